@@ -0,0 +1,80 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/mux1.circom";
+
+// Recomputes the root of a binary Poseidon Merkle tree from a leaf and its path.
+// pathIndices[i] is 1 when the node at level i is a right child.
+template MerkleRoot(depth) {
+    signal input leaf;
+    signal input pathIndices[depth];
+    signal input siblings[depth];
+    signal output root;
+
+    component hashers[depth];
+    component muxes[depth];
+    signal nodes[depth + 1];
+    nodes[0] <== leaf;
+
+    for (var i = 0; i < depth; i++) {
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+
+        muxes[i] = MultiMux1(2);
+        muxes[i].c[0][0] <== nodes[i];
+        muxes[i].c[0][1] <== siblings[i];
+        muxes[i].c[1][0] <== siblings[i];
+        muxes[i].c[1][1] <== nodes[i];
+        muxes[i].s <== pathIndices[i];
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== muxes[i].out[0];
+        hashers[i].inputs[1] <== muxes[i].out[1];
+        nodes[i + 1] <== hashers[i].out;
+    }
+
+    root <== nodes[depth];
+}
+
+// Semaphore-style ballot proof: the prover knows the secrets behind an identity
+// commitment registered in the election tree, and derives the election's nullifier
+// from them. signalHash binds the proof to the ballot so a relayer cannot swap it.
+//
+//   identityCommitment = Poseidon(identityNullifier, identityTrapdoor)
+//   nullifierHash      = Poseidon(externalNullifier, identityNullifier)
+//
+// Public signals, in order: root, nullifierHash, signalHash, externalNullifier
+template AnonymousVote(depth) {
+    signal input identityNullifier;
+    signal input identityTrapdoor;
+    signal input treePathIndices[depth];
+    signal input treeSiblings[depth];
+
+    signal input signalHash;
+    signal input externalNullifier;
+
+    signal output root;
+    signal output nullifierHash;
+
+    component commitment = Poseidon(2);
+    commitment.inputs[0] <== identityNullifier;
+    commitment.inputs[1] <== identityTrapdoor;
+
+    component tree = MerkleRoot(depth);
+    tree.leaf <== commitment.out;
+    for (var i = 0; i < depth; i++) {
+        tree.pathIndices[i] <== treePathIndices[i];
+        tree.siblings[i] <== treeSiblings[i];
+    }
+    root <== tree.root;
+
+    component nullifier = Poseidon(2);
+    nullifier.inputs[0] <== externalNullifier;
+    nullifier.inputs[1] <== identityNullifier;
+    nullifierHash <== nullifier.out;
+
+    // Constrain signalHash so it cannot be altered without invalidating the proof
+    signal signalHashSquared;
+    signalHashSquared <== signalHash * signalHash;
+}
+
+component main {public [signalHash, externalNullifier]} = AnonymousVote(16);
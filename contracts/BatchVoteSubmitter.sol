@@ -1,14 +1,42 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.22;
 
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
 import "./SafeVote.sol";
 
 /**
  * @title BatchVoteSubmitter
  * @notice Enables gasless voting by aggregating votes and submitting in batches
- * @dev Users sign votes off-chain, relayer submits to this contract
+ * @dev Users sign votes off-chain, relayer submits to this contract. Ballots go through
+ *      SafeVote.voteFor, so this contract must be set as SafeVote's batchSubmitter; the
+ *      signer, not the relayer, is the voter address-bound keys are checked against.
+ *      Ballots are EIP-712 typed data under this contract's domain (chainId and address),
+ *      so a signature only works on the deployment it was made for. Smart-contract
+ *      wallets sign through ERC-1271.
+ *      A ballot that is turned down is skipped with a VoteRejected event instead of
+ *      failing the batch; validateBatch reports the same reasons without a transaction.
+ *      Election creators may sponsor gasless voting: relayers are credited from the
+ *      election's deposit for each ballot counted, up to the sponsor's per-vote cap.
  */
-contract BatchVoteSubmitter {
+contract BatchVoteSubmitter is EIP712 {
+    bytes32 public constant VOTE_TYPEHASH = keccak256(
+        "Vote(uint256 electionId,bytes32 voterKey,uint256[][] votes,address voter,uint256 nonce,uint256 deadline)"
+    );
+    
+    // VoteRejected reason codes are short strings. Ballots SafeVote turns down carry its
+    // revert reason (e.g. "Key used", "Timing"), truncated to 32 bytes.
+    bytes32 public constant REJECT_PROCESSED = "Already processed";
+    bytes32 public constant REJECT_EXPIRED = "Expired";
+    bytes32 public constant REJECT_SIGNATURE = "Invalid signature";
+    bytes32 public constant REJECT_NONCE = "Invalid nonce";
+    bytes32 public constant REJECT_UNKNOWN = "Vote reverted"; // No reason string
+    
+    // Gas a batch costs outside the metered loop: the 21000 base fee plus reimbursement
+    // bookkeeping. Calldata is added per byte.
+    uint256 public constant REIMBURSEMENT_OVERHEAD = 50000;
+    
     SafeVote public safeVote;
     
     mapping(address => uint256) public nonces;
@@ -18,10 +46,20 @@ contract BatchVoteSubmitter {
     mapping(address => bool) public authorizedRelayers;
     address public owner;
     
+    // Per-election deposits paying relayers back for gas
+    mapping(uint256 => Sponsorship) private sponsorships;
+    // Reimbursements relayers have earned and not yet claimed
+    mapping(address => uint256) public relayerCredits;
+    
     event VoteQueued(address indexed voter, uint256 indexed electionId, bytes32 voteHash);
+    event VoteRejected(address indexed voter, uint256 indexed electionId, bytes32 voteHash, bytes32 reasonCode);
     event BatchProcessed(uint256 indexed electionId, uint256 voteCount, address indexed relayer);
     event RelayerAdded(address indexed relayer);
     event RelayerRemoved(address indexed relayer);
+    event SponsorshipDeposited(uint256 indexed electionId, address indexed sponsor, uint256 amount, uint256 maxPerVote);
+    event RelayerReimbursed(uint256 indexed electionId, address indexed relayer, uint256 voteCount, uint256 amount);
+    event SponsorshipWithdrawn(uint256 indexed electionId, address indexed sponsor, uint256 amount);
+    event ReimbursementClaimed(address indexed relayer, uint256 amount);
     
     struct SignedVote {
         uint256 electionId;
@@ -30,9 +68,27 @@ contract BatchVoteSubmitter {
         uint256[][] votes;
         address voter;
         uint256 nonce;
+        uint256 deadline;   // Unix time after which the signature is void
         bytes signature;
     }
     
+    // zkAnonymous ballot: the proof authorizes it, so there is no voter, nonce or signature
+    struct AnonymousVote {
+        uint256 electionId;
+        uint256 root;
+        uint256 nullifierHash;
+        uint256[][] votes;
+        uint256[8] proof;
+    }
+    
+    struct Sponsorship {
+        address sponsor;          // Election creator; only they can top up or withdraw
+        uint256 balance;          // Left to reimburse relayers from
+        uint256 maxPerVote;       // Cap on the reimbursement per counted ballot
+        uint256 votesReimbursed;
+        uint256 totalReimbursed;
+    }
+    
     modifier onlyOwner() {
         require(msg.sender == owner, "Not owner");
         _;
@@ -43,17 +99,19 @@ contract BatchVoteSubmitter {
         _;
     }
     
-    constructor(address _safeVoteAddress) {
+    constructor(address _safeVoteAddress) EIP712("SafeVote BatchVoteSubmitter", "1") {
         safeVote = SafeVote(_safeVoteAddress);
         owner = msg.sender;
         authorizedRelayers[msg.sender] = true;
     }
     
     /**
-     * @notice Submit a batch of signed votes
+     * @notice Submit a batch of signed votes. Ballots that fail are reported with
+     *         VoteRejected; the batch goes through even if none are counted.
      * @param signedVotes Array of signed vote structs
      */
     function submitBatch(SignedVote[] calldata signedVotes) external onlyRelayer {
+        uint256 gasStart = gasleft();
         require(signedVotes.length > 0 && signedVotes.length <= 100, "Invalid batch size");
         
         uint256 electionId = signedVotes[0].electionId;
@@ -65,114 +123,333 @@ contract BatchVoteSubmitter {
             // Verify all votes are for same election
             require(sv.electionId == electionId, "Mixed elections");
             
-            // Create vote hash (FIXED: properly encode 2D array)
+            // EIP-712 digest of the ballot the voter signed
             bytes32 voteHash = hashVote(
                 sv.electionId,
                 sv.voterKey,
                 sv.votes,
                 sv.voter,
-                sv.nonce
+                sv.nonce,
+                sv.deadline
             );
             
-            // Check not already processed
-            if (processedVotes[voteHash]) continue;
-            
-            // Verify signature
-            if (!verifySignature(voteHash, sv.signature, sv.voter)) continue;
-            
-            // Verify nonce
-            if (nonces[sv.voter] != sv.nonce) continue;
+            bytes32 reason = _precheck(sv, voteHash, nonces[sv.voter]);
+            if (reason != bytes32(0)) {
+                emit VoteRejected(sv.voter, electionId, voteHash, reason);
+                continue;
+            }
             
             // Mark as processed
             processedVotes[voteHash] = true;
             nonces[sv.voter]++;
             
-            // Submit vote to SafeVote contract
-            try safeVote.vote(
+            // Submit vote to SafeVote contract on behalf of the signer (no delegation in batch votes)
+            try safeVote.voteFor(
+                sv.voter,
                 sv.electionId,
                 sv.voterKey,
                 sv.merkleProof,
-                sv.votes,
-                address(0) // No delegation in batch votes
+                sv.votes
             ) {
                 successCount++;
                 emit VoteQueued(sv.voter, sv.electionId, voteHash);
-            } catch {
+            } catch Error(string memory revertReason) {
                 // Revert processing mark if vote failed
                 processedVotes[voteHash] = false;
                 nonces[sv.voter]--;
+                emit VoteRejected(sv.voter, electionId, voteHash, _toReasonCode(revertReason));
+            } catch {
+                processedVotes[voteHash] = false;
+                nonces[sv.voter]--;
+                emit VoteRejected(sv.voter, electionId, voteHash, REJECT_UNKNOWN);
             }
         }
         
-        require(successCount > 0, "No valid votes");
         emit BatchProcessed(electionId, successCount, msg.sender);
+        _reimburse(electionId, successCount, gasStart);
     }
     
     /**
-     * @notice Hash vote data for signing (FIXED VERSION)
-     * @dev Uses abi.encode instead of abi.encodePacked to support 2D arrays
+     * @notice Dry run of submitBatch: the reason code each ballot would be rejected with,
+     *         or zero if it would be counted. Ballots are taken in order, so a voter's
+     *         nonces run on through the batch. SafeVote is checked as it stands before
+     *         the batch, so a key spent twice within one batch only fails on submission.
+     * @param signedVotes The batch as it would be passed to submitBatch
+     */
+    function validateBatch(SignedVote[] calldata signedVotes) external view returns (bytes32[] memory reasonCodes) {
+        require(signedVotes.length > 0 && signedVotes.length <= 100, "Invalid batch size");
+        
+        uint256 electionId = signedVotes[0].electionId;
+        reasonCodes = new bytes32[](signedVotes.length);
+        bytes32[] memory voteHashes = new bytes32[](signedVotes.length);
+        
+        for (uint256 i = 0; i < signedVotes.length; i++) {
+            SignedVote calldata sv = signedVotes[i];
+            require(sv.electionId == electionId, "Mixed elections");
+            
+            voteHashes[i] = hashVote(sv.electionId, sv.voterKey, sv.votes, sv.voter, sv.nonce, sv.deadline);
+            
+            // Ballots accepted earlier in the batch are processed by the time this one runs
+            uint256 expectedNonce = nonces[sv.voter];
+            bool duplicate = false;
+            for (uint256 j = 0; j < i; j++) {
+                if (reasonCodes[j] != bytes32(0)) continue;
+                if (voteHashes[j] == voteHashes[i]) duplicate = true;
+                if (signedVotes[j].voter == sv.voter) expectedNonce++;
+            }
+            
+            bytes32 reason = duplicate ? REJECT_PROCESSED : _precheck(sv, voteHashes[i], expectedNonce);
+            if (reason == bytes32(0)) {
+                try safeVote.checkVoteFor(sv.voter, sv.electionId, sv.voterKey, sv.merkleProof, sv.votes) {
+                } catch Error(string memory revertReason) {
+                    reason = _toReasonCode(revertReason);
+                } catch {
+                    reason = REJECT_UNKNOWN;
+                }
+            }
+            reasonCodes[i] = reason;
+        }
+    }
+    
+    /**
+     * @notice Submit a batch of zkAnonymous ballots. Relaying them keeps the voter's own
+     *         wallet out of the transaction; SafeVote checks each proof and nullifier.
+     * @param anonymousVotes Array of proof-carrying ballots for one election
+     */
+    function submitAnonymousBatch(AnonymousVote[] calldata anonymousVotes) external onlyRelayer {
+        uint256 gasStart = gasleft();
+        require(anonymousVotes.length > 0 && anonymousVotes.length <= 100, "Invalid batch size");
+        
+        uint256 electionId = anonymousVotes[0].electionId;
+        uint256 successCount = 0;
+        
+        for (uint256 i = 0; i < anonymousVotes.length; i++) {
+            AnonymousVote calldata av = anonymousVotes[i];
+            require(av.electionId == electionId, "Mixed elections");
+            
+            try safeVote.castAnonymousVote(
+                av.electionId,
+                av.root,
+                av.nullifierHash,
+                av.votes,
+                av.proof
+            ) {
+                successCount++;
+                emit VoteQueued(address(0), av.electionId, bytes32(av.nullifierHash));
+            } catch Error(string memory revertReason) {
+                // Spent nullifier, stale proof or closed election: skip it
+                emit VoteRejected(address(0), electionId, bytes32(av.nullifierHash), _toReasonCode(revertReason));
+            } catch {
+                emit VoteRejected(address(0), electionId, bytes32(av.nullifierHash), REJECT_UNKNOWN);
+            }
+        }
+        
+        emit BatchProcessed(electionId, successCount, msg.sender);
+        _reimburse(electionId, successCount, gasStart);
+    }
+    
+    /**
+     * @notice Fund gasless voting for an election. Only its creator may deposit, while it
+     *         is active; each deposit also sets the per-vote cap for future batches.
+     * @param maxPerVote Most a relayer is paid per counted ballot, in wei
+     */
+    function depositSponsorship(uint256 electionId, uint256 maxPerVote) external payable {
+        require(msg.value > 0 && maxPerVote > 0, "Invalid sponsorship");
+        (address creator, ElectionLib.ElectionStatus status, ) = _electionState(electionId);
+        require(msg.sender == creator, "Not creator");
+        require(status == ElectionLib.ElectionStatus.Active, "Not active");
+        
+        Sponsorship storage sponsorship = sponsorships[electionId];
+        sponsorship.sponsor = msg.sender;
+        sponsorship.balance += msg.value;
+        sponsorship.maxPerVote = maxPerVote;
+        emit SponsorshipDeposited(electionId, msg.sender, msg.value, maxPerVote);
+    }
+    
+    /**
+     * @notice Return what is left of a sponsorship once the election is completed,
+     *         cancelled or deleted
+     */
+    function withdrawSponsorship(uint256 electionId) external {
+        Sponsorship storage sponsorship = sponsorships[electionId];
+        require(msg.sender == sponsorship.sponsor, "Not sponsor");
+        (, ElectionLib.ElectionStatus status, bool exists) = _electionState(electionId);
+        require(!exists || status != ElectionLib.ElectionStatus.Active, "Election not over");
+        
+        uint256 amount = sponsorship.balance;
+        require(amount > 0, "Nothing to withdraw");
+        sponsorship.balance = 0;
+        emit SponsorshipWithdrawn(electionId, msg.sender, amount);
+        
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Transfer failed");
+    }
+    
+    /**
+     * @notice Pay out the relayer's accumulated reimbursements
+     */
+    function claimReimbursement() external {
+        uint256 amount = relayerCredits[msg.sender];
+        require(amount > 0, "Nothing to claim");
+        relayerCredits[msg.sender] = 0;
+        emit ReimbursementClaimed(msg.sender, amount);
+        
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Transfer failed");
+    }
+    
+    /**
+     * @notice Sponsorship of an election; remainingVotes is how many more ballots the
+     *         balance covers at the full per-vote cap
+     */
+    function getSponsorship(uint256 electionId)
+        external
+        view
+        returns (
+            address sponsor,
+            uint256 balance,
+            uint256 maxPerVote,
+            uint256 votesReimbursed,
+            uint256 totalReimbursed,
+            uint256 remainingVotes
+        )
+    {
+        Sponsorship storage sponsorship = sponsorships[electionId];
+        return (
+            sponsorship.sponsor,
+            sponsorship.balance,
+            sponsorship.maxPerVote,
+            sponsorship.votesReimbursed,
+            sponsorship.totalReimbursed,
+            sponsorship.maxPerVote == 0 ? 0 : sponsorship.balance / sponsorship.maxPerVote
+        );
+    }
+    
+    /**
+     * @notice EIP-712 digest of a ballot, as signed with eth_signTypedData_v4
+     * @dev votes is encoded per EIP-712 arrays: each inner array hashed, then the hashes
      */
     function hashVote(
         uint256 electionId,
         bytes32 voterKey,
         uint256[][] memory votes,
         address voter,
-        uint256 nonce
-    ) public pure returns (bytes32) {
-        // Use abi.encode (supports complex types) then hash
-        return keccak256(abi.encode(
+        uint256 nonce,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        bytes32[] memory positionHashes = new bytes32[](votes.length);
+        for (uint256 i = 0; i < votes.length; i++) {
+            positionHashes[i] = keccak256(abi.encodePacked(votes[i]));
+        }
+        return _hashTypedDataV4(keccak256(abi.encode(
+            VOTE_TYPEHASH,
             electionId,
             voterKey,
-            votes,  // ✅ Now properly supported
+            keccak256(abi.encodePacked(positionHashes)),
             voter,
-            nonce
-        ));
+            nonce,
+            deadline
+        )));
     }
     
     /**
-     * @notice Verify ECDSA signature
+     * @notice Verify a ballot signature: ECDSA for an EOA, ERC-1271 for a contract wallet
      */
     function verifySignature(
-        bytes32 messageHash,
+        bytes32 voteHash,
         bytes memory signature,
         address expectedSigner
-    ) public pure returns (bool) {
-        bytes32 ethSignedHash = keccak256(abi.encodePacked(
-            "\x19Ethereum Signed Message:\n32",
-            messageHash
-        ));
-        
-        address recovered = recoverSigner(ethSignedHash, signature);
-        return recovered == expectedSigner;
+    ) public view returns (bool) {
+        if (expectedSigner.code.length == 0) {
+            (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(voteHash, signature);
+            return error == ECDSA.RecoverError.NoError && recovered == expectedSigner;
+        }
+        // OpenZeppelin's SignatureChecker does the same but needs solc 0.8.24
+        (bool success, bytes memory result) = expectedSigner.staticcall(
+            abi.encodeCall(IERC1271.isValidSignature, (voteHash, signature))
+        );
+        return success && result.length >= 32 && abi.decode(result, (bytes32)) == bytes32(IERC1271.isValidSignature.selector);
     }
     
     /**
-     * @notice Recover signer from signature
+     * @dev Credit the relayer for the gas this batch used, split over its counted ballots
+     *      and capped per ballot, out of whatever the election's sponsor has left
      */
-    function recoverSigner(bytes32 ethSignedHash, bytes memory signature) 
-        internal 
-        pure 
-        returns (address) 
-    {
-        require(signature.length == 65, "Invalid signature length");
+    function _reimburse(uint256 electionId, uint256 voteCount, uint256 gasStart) private {
+        Sponsorship storage sponsorship = sponsorships[electionId];
+        if (voteCount == 0 || sponsorship.balance == 0) return;
         
-        bytes32 r;
-        bytes32 s;
-        uint8 v;
+        uint256 gasUsed = gasStart - gasleft() + REIMBURSEMENT_OVERHEAD + msg.data.length * 16;
+        uint256 perVote = (gasUsed * tx.gasprice) / voteCount;
+        if (perVote > sponsorship.maxPerVote) perVote = sponsorship.maxPerVote;
+        uint256 amount = perVote * voteCount;
+        if (amount > sponsorship.balance) amount = sponsorship.balance;
+        if (amount == 0) return;
         
+        sponsorship.balance -= amount;
+        sponsorship.votesReimbursed += voteCount;
+        sponsorship.totalReimbursed += amount;
+        relayerCredits[msg.sender] += amount;
+        emit RelayerReimbursed(electionId, msg.sender, voteCount, amount);
+    }
+    
+    /**
+     * @dev Creator and status of an election; exists is false once it has been deleted
+     */
+    function _electionState(uint256 electionId)
+        private
+        view
+        returns (address creator, ElectionLib.ElectionStatus status, bool exists)
+    {
+        try safeVote.getElection(electionId) returns (
+            uint256,
+            address electionCreator,
+            string memory,
+            string memory,
+            string memory,
+            uint256,
+            uint256,
+            uint256,
+            uint256,
+            uint256,
+            bytes32,
+            bool,
+            bool,
+            bool,
+            ElectionLib.ElectionStatus electionStatus,
+            ElectionLib.Position[] memory,
+            address[] memory,
+            RolesLib.Role[] memory
+        ) {
+            return (electionCreator, electionStatus, true);
+        } catch {
+            return (address(0), ElectionLib.ElectionStatus.Active, false);
+        }
+    }
+    
+    /**
+     * @dev Checks submitBatch makes before passing a ballot to SafeVote; zero if it passes
+     */
+    function _precheck(SignedVote calldata sv, bytes32 voteHash, uint256 expectedNonce) private view returns (bytes32) {
+        if (processedVotes[voteHash]) return REJECT_PROCESSED;
+        if (block.timestamp > sv.deadline) return REJECT_EXPIRED;
+        if (!verifySignature(voteHash, sv.signature, sv.voter)) return REJECT_SIGNATURE;
+        if (sv.nonce != expectedNonce) return REJECT_NONCE;
+        return bytes32(0);
+    }
+    
+    /**
+     * @dev First 32 bytes of a revert reason, zero-padded like a bytes32 string literal
+     */
+    function _toReasonCode(string memory reason) private pure returns (bytes32 code) {
+        bytes memory raw = bytes(reason);
+        if (raw.length == 0) return REJECT_UNKNOWN;
         assembly {
-            r := mload(add(signature, 32))
-            s := mload(add(signature, 64))
-            v := byte(0, mload(add(signature, 96)))
+            code := mload(add(raw, 32))
         }
-        
-        if (v < 27) {
-            v += 27;
+        if (raw.length < 32) {
+            code &= ~bytes32(type(uint256).max >> (raw.length * 8));
         }
-        
-        require(v == 27 || v == 28, "Invalid signature v value");
-        
-        return ecrecover(ethSignedHash, v, r, s);
     }
     
     /**
@@ -4,7 +4,11 @@ pragma solidity ^0.8.22;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./libraries/ElectionLib.sol";
+import "./libraries/PollLib.sol";
+import "./libraries/InviteLib.sol";
+import "./libraries/RolesLib.sol";
+import "./libraries/OrgLib.sol";
 
 /**
  * @title SafeVote - Non-Upgradeable Full V1 + V2 Contract
@@ -17,54 +21,12 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
     uint256 private _orgCounter;
     uint256 private _pollCounter;
 
-    struct Organization {
-        string name;
-        string ensName;
-        address admin;
-        bool isPublic;
-        bool exists;
-        uint256 createdAt;
-        uint256 memberCount;
-        bytes32 secretKey; // For private orgs
-    }
-
-    struct Member {
-        address memberAddress;
-        uint256 joinedAt;
-        bool isActive;
-        uint256 votesParticipated;
-    }
-
-    enum PollType { YesNo, MultipleChoice, RankedVoting }
-    enum PollStatus { Active, Completed, Cancelled }
-
-    struct Poll {
-        uint256 pollId;
-        uint256 orgId;
-        address creator;
-        string question;
-        PollType pollType;
-        string[] options;
-        uint256 startTime;
-        uint256 endTime;
-        uint256 totalVotes;
-        uint256 requiredQuorum; // Percentage (0-100)
-        uint256 totalVotingKeys;
-        bool isAnonymous;
-        PollStatus status;
-        mapping(bytes32 => bool) usedVotingKeys;
-        mapping(uint256 => uint256) voteCounts; // optionIndex => count
-        mapping(address => bool) hasVoted;
-        mapping(address => bool) authorizedVoters;
-        address[] voters;
-    }
-
     struct PollInfo {
         uint256 pollId;
         uint256 orgId;
         address creator;
         string question;
-        PollType pollType;
+        PollLib.PollType pollType;
         string[] options;
         uint256 startTime;
         uint256 endTime;
@@ -72,57 +34,44 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         uint256 requiredQuorum;
         uint256 totalVotingKeys;
         bool isAnonymous;
-        PollStatus status;
+        PollLib.PollStatus status;
     }
 
-    mapping(uint256 => Organization) public organizations;
-    mapping(uint256 => mapping(address => Member)) public orgMembers;
+    mapping(uint256 => OrgLib.Organization) public organizations;
+    mapping(uint256 => mapping(address => OrgLib.Member)) public orgMembers;
     mapping(uint256 => address[]) public orgMembersList;
     mapping(address => uint256[]) public userOrganizations;
-    mapping(uint256 => Poll) private polls;
+    mapping(uint256 => PollLib.Poll) private polls;
     mapping(uint256 => uint256[]) public orgPolls;
 
     // ENS Integration
     mapping(string => uint256) public ensToOrgId;
 
+    // orgId => invite nonce => status of the admin-signed invitation (see InviteLib)
+    mapping(uint256 => mapping(uint256 => InviteLib.InviteStatus)) public inviteStatus;
+
+    // orgId => admins, officials and observers (the creator starts as admin; see RolesLib)
+    mapping(uint256 => RolesLib.Roles) private orgRoles;
+
     // ============ V2 Storage ============
 
     uint256 private _electionCounter;
 
-    struct Position {
-        string title;
-        string[] candidates;
-        uint256 maxSelections;
-    }
+    mapping(uint256 => ElectionLib.Election) private elections;
+    mapping(uint256 => uint256[]) public creatorElections;
 
-    struct Election {
-        uint256 electionId;
-        address creator;
-        string title;
-        string description;
-        string location;
-        uint256 createdAt;
-        uint256 startTime;
-        uint256 endTime;
-        uint256 totalRegisteredVoters;
-        uint256 totalVotesCast;
-        bytes32 voterMerkleRoot;
-        bool isPublic;
-        bool allowAnonymous;
-        bool allowDelegation;
-        ElectionStatus status;
-        Position[] positions;
-    }
+    // electionId => admins, officials, observers and cancellation approvals
+    mapping(uint256 => RolesLib.Roles) private electionRoles;
 
-    enum ElectionStatus { Active, Completed, Cancelled }
+    uint256 public currentChainId;
 
-    mapping(uint256 => Election) private elections;
-    mapping(uint256 => uint256[]) public creatorElections;
-    mapping(uint256 => mapping(uint256 => mapping(uint256 => uint256))) public electionVotes;
-    mapping(uint256 => mapping(bytes32 => bool)) public usedVoterKeys;
-    mapping(uint256 => mapping(address => address)) public delegations;
+    // BatchVoteSubmitter allowed to relay ballots through voteFor()
+    address public batchSubmitter;
 
-    uint256 public currentChainId;
+    // zkAnonymous elections: Groth16 verifier (contracts/zk/AnonymousVoteVerifier.sol) and
+    // the PoseidonT3 library the identity trees hash with (contracts/zk/IdentityHasher.sol)
+    address public anonymousVoteVerifier;
+    address public identityHasher;
 
     // ============ V1 Events ============
 
@@ -159,7 +108,7 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         uint256 indexed orgId,
         address indexed creator,
         string question,
-        PollType pollType,
+        PollLib.PollType pollType,
         uint256 endTime,
         uint256 timestamp
     );
@@ -175,6 +124,7 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
     event PollCompleted(
         uint256 indexed pollId,
         uint256 indexed orgId,
+        PollLib.PollOutcome outcome,
         uint256 winningOption,
         uint256 winningVotes,
         uint256 timestamp
@@ -192,6 +142,19 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    event InviteRedeemed(
+        uint256 indexed orgId,
+        uint256 indexed nonce,
+        address indexed member,
+        uint256 timestamp
+    );
+
+    event InviteRevoked(
+        uint256 indexed orgId,
+        uint256 indexed nonce,
+        uint256 timestamp
+    );
+
     // ============ V2 Events ============
 
     event ElectionCreatedV2(
@@ -203,6 +166,8 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    // Emitted by ElectionLib on this contract's address; declared here for the ABI
+
     event VoteCastV2(
         uint256 indexed electionId,
         bytes32 indexed voterKeyHash,
@@ -216,6 +181,40 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         uint256 indexed electionId,
         address indexed delegator,
         address indexed delegate,
+        address finalDelegate,
+        uint256 weight,
+        uint256 timestamp
+    );
+
+    event DelegationRevokedV2(
+        uint256 indexed electionId,
+        address indexed delegator,
+        address indexed delegate,
+        uint256 weight,
+        uint256 timestamp
+    );
+
+    event VoteChangedV2(
+        uint256 indexed electionId,
+        bytes32 indexed voterKeyHash,
+        address indexed voter,
+        uint256 weight,
+        uint256 timestamp
+    );
+
+    event VoteRevealedV2(
+        uint256 indexed electionId,
+        bytes32 indexed voterKeyHash,
+        uint256 weight,
+        uint256 timestamp
+    );
+
+    event IdentityRegisteredV2(
+        uint256 indexed electionId,
+        bytes32 indexed voterKeyHash,
+        uint256 identityCommitment,
+        uint256 index,
+        uint256 root,
         uint256 timestamp
     );
 
@@ -231,37 +230,126 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    event ElectionExtendedV2(
+        uint256 indexed electionId,
+        address indexed creator,
+        uint256 previousEndTime,
+        uint256 newEndTime,
+        uint256 timestamp
+    );
+
+    event VotersAppendedV2(
+        uint256 indexed electionId,
+        address indexed creator,
+        bytes32 previousRoot,
+        bytes32 newRoot,
+        uint256 previousTotalVoters,
+        uint256 newTotalVoters,
+        uint256 timestamp
+    );
+
+    event VoterKeysRevokedV2(
+        uint256 indexed electionId,
+        address indexed creator,
+        bytes32 previousRoot,
+        bytes32 newRoot,
+        bytes32[] revokedKeyHashes,
+        uint256 timestamp
+    );
+
+    event ResultsCertifiedV2(
+        uint256 indexed electionId,
+        bytes32 resultsHash,
+        uint256[] winners,
+        uint256 turnout,
+        address indexed certifiedBy,
+        uint256 timestamp
+    );
+
     event BatchVoteSubmittedV2(
         uint256 indexed electionId,
         uint256 voteCount,
         uint256 timestamp
     );
 
+    event BatchSubmitterUpdated(address indexed previousSubmitter, address indexed newSubmitter);
+
+    event AnonymousVoteContractsUpdated(address indexed verifier, address indexed hasher);
+
+    // ============ Role Events (emitted by RolesLib) ============
+
+    event RoleGranted(
+        RolesLib.Scope indexed scope,
+        uint256 indexed id,
+        address indexed account,
+        RolesLib.Role role,
+        address grantedBy
+    );
+
+    event RoleRevoked(
+        RolesLib.Scope indexed scope,
+        uint256 indexed id,
+        address indexed account,
+        address revokedBy
+    );
+
+    event CancellationThresholdSetV2(
+        uint256 indexed electionId,
+        uint256 threshold,
+        uint256 timestamp
+    );
+
+    event CancellationApprovedV2(
+        uint256 indexed electionId,
+        address indexed official,
+        uint256 approvals,
+        uint256 required,
+        uint256 timestamp
+    );
+
     // ============ Modifiers (V1) ============
 
+    // The checks live in private functions so each use does not inline a copy of them
+
     modifier onlyOrgAdmin(uint256 orgId) {
-        require(organizations[orgId].exists, "Organization does not exist");
-        require(organizations[orgId].admin == msg.sender, "Only admin can perform this action");
+        _checkOrgAdmin(orgId);
         _;
     }
 
     modifier onlyOrgMember(uint256 orgId) {
-        require(organizations[orgId].exists, "Organization does not exist");
-        require(orgMembers[orgId][msg.sender].isActive, "Not an active member");
+        _checkOrgMember(orgId);
         _;
     }
 
     modifier pollExists(uint256 pollId) {
-        require(pollId > 0 && pollId <= _pollCounter, "Poll does not exist");
+        _checkPollExists(pollId);
         _;
     }
 
     modifier pollActive(uint256 pollId) {
-        Poll storage poll = polls[pollId];
-        require(poll.status == PollStatus.Active, "Poll is not active");
+        _checkPollActive(pollId);
+        _;
+    }
+
+    function _checkOrgAdmin(uint256 orgId) private view {
+        require(organizations[orgId].exists, "Organization does not exist");
+        require(RolesLib.isAdmin(orgRoles[orgId], msg.sender), "Only admin can perform this action");
+    }
+
+    function _checkOrgMember(uint256 orgId) private view {
+        require(organizations[orgId].exists, "Organization does not exist");
+        require(orgMembers[orgId][msg.sender].isActive, "Not an active member");
+    }
+
+    function _checkPollExists(uint256 pollId) private view {
+        require(pollId > 0 && pollId <= _pollCounter, "Poll does not exist");
+    }
+
+    function _checkPollActive(uint256 pollId) private view {
+        PollLib.Poll storage poll = polls[pollId];
+        require(poll.status == PollLib.PollStatus.Active, "Poll is not active");
         require(block.timestamp >= poll.startTime, "Poll has not started");
         require(block.timestamp <= poll.endTime, "Poll has ended");
-        _;
     }
 
     // ============ Constructor ============
@@ -280,44 +368,25 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         string memory ensName,
         bool isPublic
     ) external whenNotPaused returns (uint256) {
-        require(bytes(name).length > 0, "Name cannot be empty");
-
         _orgCounter++;
         uint256 orgId = _orgCounter;
 
-        bytes32 secretKey = keccak256(abi.encodePacked(
+        OrgLib.create(
+            organizations[orgId],
+            orgMembers[orgId][msg.sender],
+            orgMembersList[orgId],
+            userOrganizations[msg.sender],
             orgId,
-            msg.sender,
-            block.timestamp,
-            block.prevrandao
-        ));
-
-        Organization storage org = organizations[orgId];
-        org.name = name;
-        org.ensName = ensName;
-        org.admin = msg.sender;
-        org.isPublic = isPublic;
-        org.exists = true;
-        org.createdAt = block.timestamp;
-        org.memberCount = 1;
-        org.secretKey = secretKey;
-
-        orgMembers[orgId][msg.sender] = Member({
-            memberAddress: msg.sender,
-            joinedAt: block.timestamp,
-            isActive: true,
-            votesParticipated: 0
-        });
-
-        orgMembersList[orgId].push(msg.sender);
-        userOrganizations[msg.sender].push(orgId);
+            name,
+            ensName,
+            isPublic
+        );
+        RolesLib.grant(orgRoles[orgId], RolesLib.Scope.Organization, orgId, msg.sender, RolesLib.Role.Admin, false);
 
         if (bytes(ensName).length > 0) {
             ensToOrgId[ensName] = orgId;
         }
 
-        emit OrganizationCreated(orgId, name, msg.sender, isPublic, block.timestamp);
-
         return orgId;
     }
 
@@ -329,18 +398,7 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         require(member != address(0), "Invalid address");
         require(!orgMembers[orgId][member].isActive, "Already a member");
 
-        orgMembers[orgId][member] = Member({
-            memberAddress: member,
-            joinedAt: block.timestamp,
-            isActive: true,
-            votesParticipated: 0
-        });
-
-        orgMembersList[orgId].push(member);
-        userOrganizations[member].push(orgId);
-        organizations[orgId].memberCount++;
-
-        emit MemberAdded(orgId, member, msg.sender, block.timestamp);
+        _addMember(orgId, member, msg.sender);
     }
 
     function batchAddMembers(uint256 orgId, address[] calldata members) 
@@ -358,19 +416,46 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
                 continue;
             }
 
-            orgMembers[orgId][member] = Member({
-                memberAddress: member,
-                joinedAt: block.timestamp,
-                isActive: true,
-                votesParticipated: 0
-            });
+            _addMember(orgId, member, msg.sender);
+        }
+    }
 
-            orgMembersList[orgId].push(member);
-            userOrganizations[member].push(orgId);
-            organizations[orgId].memberCount++;
+    /**
+     * @notice Join an organization with an invitation signed by one of its admins
+     * @param codeSignature Only for code invites (see InviteLib.redeem); empty otherwise
+     */
+    function joinWithInvite(
+        InviteLib.Invite calldata invite,
+        bytes calldata signature,
+        bytes calldata codeSignature
+    ) external whenNotPaused {
+        require(organizations[invite.orgId].exists, "Organization does not exist");
+        require(!orgMembers[invite.orgId][msg.sender].isActive, "Already a member");
+
+        address inviter = InviteLib.redeem(inviteStatus[invite.orgId], invite, signature, codeSignature, msg.sender);
+        require(RolesLib.isAdmin(orgRoles[invite.orgId], inviter), "Invalid invite signature");
+        _addMember(invite.orgId, msg.sender, inviter);
+
+        emit InviteRedeemed(invite.orgId, invite.nonce, msg.sender, block.timestamp);
+    }
 
-            emit MemberAdded(orgId, member, msg.sender, block.timestamp);
-        }
+    function revokeInvite(uint256 orgId, uint256 nonce) external onlyOrgAdmin(orgId) {
+        require(inviteStatus[orgId][nonce] == InviteLib.InviteStatus.Open, "Invite not available");
+        inviteStatus[orgId][nonce] = InviteLib.InviteStatus.Revoked;
+
+        emit InviteRevoked(orgId, nonce, block.timestamp);
+    }
+
+    function _addMember(uint256 orgId, address member, address addedBy) private {
+        OrgLib.addMember(
+            organizations[orgId],
+            orgMembers[orgId][member],
+            orgMembersList[orgId],
+            userOrganizations[member],
+            orgId,
+            member,
+            addedBy
+        );
     }
 
     function removeMember(uint256 orgId, address member) 
@@ -378,7 +463,7 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         onlyOrgAdmin(orgId) 
         whenNotPaused 
     {
-        require(member != organizations[orgId].admin, "Cannot remove admin");
+        require(!RolesLib.isAdmin(orgRoles[orgId], member), "Cannot remove admin");
         require(orgMembers[orgId][member].isActive, "Not an active member");
 
         orgMembers[orgId][member].isActive = false;
@@ -390,7 +475,7 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
     function leaveOrganization(uint256 orgId) external whenNotPaused {
         require(organizations[orgId].exists, "Organization does not exist");
         require(orgMembers[orgId][msg.sender].isActive, "Not a member");
-        require(msg.sender != organizations[orgId].admin, "Admin cannot leave");
+        require(!RolesLib.isAdmin(orgRoles[orgId], msg.sender), "Admin cannot leave");
 
         orgMembers[orgId][msg.sender].isActive = false;
         organizations[orgId].memberCount--;
@@ -406,86 +491,72 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         emit OrganizationVisibilityChanged(orgId, isPublic, block.timestamp);
     }
 
+    /**
+     * @notice Give an account an organization role. Admins share every admin power (members,
+     *         invites, roles); officials and observers are listed for members to see.
+     *         Admins and officials must be active members.
+     */
+    function grantOrgRole(uint256 orgId, address account, RolesLib.Role role)
+        external
+        onlyOrgAdmin(orgId)
+        whenNotPaused
+    {
+        require(role == RolesLib.Role.Observer || orgMembers[orgId][account].isActive, "Not an active member");
+        RolesLib.grant(orgRoles[orgId], RolesLib.Scope.Organization, orgId, account, role, false);
+    }
+
+    function revokeOrgRole(uint256 orgId, address account) external onlyOrgAdmin(orgId) whenNotPaused {
+        RolesLib.revoke(orgRoles[orgId], RolesLib.Scope.Organization, orgId, account, false);
+    }
+
     function createPoll(
         uint256 orgId,
         string memory question,
-        PollType pollType,
+        PollLib.PollType pollType,
         string[] memory options,
         uint256 durationInSeconds,
         uint256 requiredQuorum,
         uint256 numberOfKeys,
         bool isAnonymous
     ) external onlyOrgMember(orgId) whenNotPaused returns (uint256) {
-        require(bytes(question).length > 0, "Question cannot be empty");
-        require(options.length >= 2, "At least 2 options required");
-        require(durationInSeconds >= 60, "Duration must be at least 1 minute");
-        require(requiredQuorum <= 100, "Quorum cannot exceed 100%");
-        require(numberOfKeys > 0, "Must generate at least 1 key");
-
         _pollCounter++;
         uint256 pollId = _pollCounter;
 
-        Poll storage poll = polls[pollId];
-        poll.pollId = pollId;
-        poll.orgId = orgId;
-        poll.creator = msg.sender;
-        poll.question = question;
-        poll.pollType = pollType;
-        poll.options = options;
-        poll.startTime = block.timestamp;
-        poll.endTime = block.timestamp + durationInSeconds;
-        poll.totalVotes = 0;
-        poll.requiredQuorum = requiredQuorum;
-        poll.totalVotingKeys = numberOfKeys;
-        poll.isAnonymous = isAnonymous;
-        poll.status = PollStatus.Active;
-
-        orgPolls[orgId].push(pollId);
-
-        emit PollCreated(
+        PollLib.create(
+            polls[pollId],
             pollId,
             orgId,
-            msg.sender,
             question,
             pollType,
-            poll.endTime,
-            block.timestamp
+            options,
+            durationInSeconds,
+            requiredQuorum,
+            numberOfKeys,
+            isAnonymous
         );
+        orgPolls[orgId].push(pollId);
 
         return pollId;
     }
 
-    function generateVotingKeys(uint256 pollId) 
-        external 
-        pollExists(pollId) 
-        returns (bytes32[] memory) 
+    /**
+     * @notice Register the voting keys for a poll by their hashes. Keys are generated off-chain
+     *         and handed to voters privately; only keccak256(abi.encodePacked(pollId, key)) is
+     *         published, and vote() accepts no other key. May be called in several chunks.
+     */
+    function commitVotingKeys(uint256 pollId, bytes32[] calldata keyHashes)
+        external
+        pollExists(pollId)
+        pollActive(pollId)
     {
-        Poll storage poll = polls[pollId];
-        require(msg.sender == poll.creator, "Only poll creator can generate keys");
-
-        bytes32[] memory keys = new bytes32[](poll.totalVotingKeys);
-
-        for (uint256 i = 0; i < poll.totalVotingKeys; i++) {
-            bytes32 key = keccak256(abi.encodePacked(
-                pollId,
-                i,
-                block.timestamp,
-                block.prevrandao,
-                msg.sender
-            ));
-
-            keys[i] = key;
-            emit VotingKeyGenerated(pollId, key, block.timestamp);
-        }
-
-        return keys;
+        PollLib.commitKeys(polls[pollId], keyHashes);
     }
 
     function authorizeVoter(uint256 pollId, address voter) 
         external 
         pollExists(pollId) 
     {
-        Poll storage poll = polls[pollId];
+        PollLib.Poll storage poll = polls[pollId];
         require(msg.sender == poll.creator, "Only poll creator can authorize voters");
         require(orgMembers[poll.orgId][voter].isActive, "Voter must be org member");
 
@@ -496,7 +567,7 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         external 
         pollExists(pollId) 
     {
-        Poll storage poll = polls[pollId];
+        PollLib.Poll storage poll = polls[pollId];
         require(msg.sender == poll.creator, "Only poll creator can authorize voters");
 
         for (uint256 i = 0; i < voters.length; i++) {
@@ -506,56 +577,38 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         }
     }
 
+    /// @notice Single-option ballot (YesNo, one pick, or a first preference only)
     function vote(
         uint256 pollId,
         uint256 optionIndex,
         bytes32 votingKey
     ) external pollExists(pollId) pollActive(pollId) nonReentrant whenNotPaused {
-        Poll storage poll = polls[pollId];
-
-        require(poll.authorizedVoters[msg.sender], "Not authorized to vote");
-        require(!poll.hasVoted[msg.sender], "Already voted");
-        require(!poll.usedVotingKeys[votingKey], "Voting key already used");
-        require(optionIndex < poll.options.length, "Invalid option");
+        uint256[] memory optionIndexes = new uint256[](1);
+        optionIndexes[0] = optionIndex;
+        _castPollBallot(pollId, optionIndexes, votingKey);
+    }
 
-        poll.usedVotingKeys[votingKey] = true;
-        poll.hasVoted[msg.sender] = true;
-        poll.voteCounts[optionIndex]++;
-        poll.totalVotes++;
-        poll.voters.push(msg.sender);
+    /// @notice MultipleChoice: the selected options. RankedVoting: options in order of preference.
+    function voteOptions(
+        uint256 pollId,
+        uint256[] calldata optionIndexes,
+        bytes32 votingKey
+    ) external pollExists(pollId) pollActive(pollId) nonReentrant whenNotPaused {
+        _castPollBallot(pollId, optionIndexes, votingKey);
+    }
 
+    function _castPollBallot(uint256 pollId, uint256[] memory optionIndexes, bytes32 votingKey) private {
+        PollLib.Poll storage poll = polls[pollId];
+        PollLib.castBallot(poll, msg.sender, optionIndexes, votingKey);
         orgMembers[poll.orgId][msg.sender].votesParticipated++;
-
-        emit VoteCast(pollId, poll.orgId, msg.sender, optionIndex, block.timestamp);
-
-        if (block.timestamp > poll.endTime) {
-            _completePoll(pollId);
-        }
     }
 
     function completePoll(uint256 pollId) external pollExists(pollId) {
-        Poll storage poll = polls[pollId];
+        PollLib.Poll storage poll = polls[pollId];
         require(block.timestamp > poll.endTime, "Poll has not ended yet");
-        require(poll.status == PollStatus.Active, "Poll already completed");
-
-        _completePoll(pollId);
-    }
-
-    function _completePoll(uint256 pollId) private {
-        Poll storage poll = polls[pollId];
-        poll.status = PollStatus.Completed;
-
-        uint256 winningOption = 0;
-        uint256 maxVotes = 0;
-
-        for (uint256 i = 0; i < poll.options.length; i++) {
-            if (poll.voteCounts[i] > maxVotes) {
-                maxVotes = poll.voteCounts[i];
-                winningOption = i;
-            }
-        }
+        require(poll.status == PollLib.PollStatus.Active, "Poll already completed");
 
-        emit PollCompleted(pollId, poll.orgId, winningOption, maxVotes, block.timestamp);
+        PollLib.complete(poll, organizations[poll.orgId].memberCount);
     }
 
     // ============ V1 View Functions ============
@@ -572,7 +625,7 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
             uint256 memberCount
         ) 
     {
-        Organization storage org = organizations[orgId];
+        OrgLib.Organization storage org = organizations[orgId];
         require(org.exists, "Organization does not exist");
 
         return (
@@ -585,43 +638,36 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         );
     }
 
-    function getOrganizationSecretKey(uint256 orgId) 
-        external 
-        view 
-        onlyOrgAdmin(orgId) 
-        returns (bytes32) 
-    {
-        return organizations[orgId].secretKey;
+    /// @dev Scans every organization; use getPublicOrganizationsPaged once there are many
+    function getPublicOrganizations() external view returns (uint256[] memory) {
+        return _publicOrganizations(0, _orgCounter);
     }
 
-    function verifyPrivateOrgAccess(uint256 orgId, bytes32 secretKey) 
-        external 
-        view 
-        returns (bool) 
+    /**
+     * @notice Public organizations among org ids (offset, offset + limit]. Pages over the id
+     *         range so every call stays bounded; keep going while offset + limit < total.
+     */
+    function getPublicOrganizationsPaged(uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory orgIds, uint256 total)
     {
-        return organizations[orgId].secretKey == secretKey;
+        return (_publicOrganizations(offset, limit), _orgCounter);
     }
 
-    function getPublicOrganizations() external view returns (uint256[] memory) {
-        uint256 publicCount = 0;
+    function _publicOrganizations(uint256 offset, uint256 limit) private view returns (uint256[] memory orgIds) {
+        uint256 end = offset + limit > _orgCounter ? _orgCounter : offset + limit;
 
-        for (uint256 i = 1; i <= _orgCounter; i++) {
-            if (organizations[i].exists && organizations[i].isPublic) {
-                publicCount++;
-            }
+        uint256 count = 0;
+        for (uint256 i = offset + 1; i <= end; i++) {
+            if (organizations[i].exists && organizations[i].isPublic) count++;
         }
 
-        uint256[] memory publicOrgs = new uint256[](publicCount);
+        orgIds = new uint256[](count);
         uint256 index = 0;
-
-        for (uint256 i = 1; i <= _orgCounter; i++) {
-            if (organizations[i].exists && organizations[i].isPublic) {
-                publicOrgs[index] = i;
-                index++;
-            }
+        for (uint256 i = offset + 1; i <= end; i++) {
+            if (organizations[i].exists && organizations[i].isPublic) orgIds[index++] = i;
         }
-
-        return publicOrgs;
     }
 
     function getOrganizationMembers(uint256 orgId) 
@@ -633,6 +679,16 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         return orgMembersList[orgId];
     }
 
+    /// @notice Everyone who has joined, in join order (check isActive for current members)
+    function getOrganizationMembersPaged(uint256 orgId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory members, uint256 total)
+    {
+        require(organizations[orgId].exists, "Organization does not exist");
+        return _page(orgMembersList[orgId], offset, limit);
+    }
+
     function getMemberInfo(uint256 orgId, address member) 
         external 
         view 
@@ -642,10 +698,18 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
             uint256 votesParticipated
         ) 
     {
-        Member storage m = orgMembers[orgId][member];
+        OrgLib.Member storage m = orgMembers[orgId][member];
         return (m.joinedAt, m.isActive, m.votesParticipated);
     }
 
+    function getOrganizationRoles(uint256 orgId)
+        external
+        view
+        returns (address[] memory accounts, RolesLib.Role[] memory roles)
+    {
+        return RolesLib.list(orgRoles[orgId]);
+    }
+
     function getUserOrganizations(address user) 
         external 
         view 
@@ -660,7 +724,7 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         pollExists(pollId) 
         returns (PollInfo memory) 
     {
-        Poll storage poll = polls[pollId];
+        PollLib.Poll storage poll = polls[pollId];
 
         return PollInfo({
             pollId: poll.pollId,
@@ -687,27 +751,27 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
             string[] memory options,
             uint256[] memory votes,
             uint256 totalVotes,
-            PollStatus status,
-            bool quorumMet
+            PollLib.PollStatus status,
+            bool quorumMet,
+            PollLib.PollOutcome outcome,
+            uint256 winningOption
         ) 
     {
-        Poll storage poll = polls[pollId];
+        PollLib.Poll storage poll = polls[pollId];
 
         uint256[] memory voteCounts = new uint256[](poll.options.length);
         for (uint256 i = 0; i < poll.options.length; i++) {
             voteCounts[i] = poll.voteCounts[i];
         }
 
-        uint256 orgMemberCount = organizations[poll.orgId].memberCount;
-        uint256 requiredVotes = (orgMemberCount * poll.requiredQuorum) / 100;
-        bool metQuorum = poll.totalVotes >= requiredVotes;
-
         return (
             poll.options,
             voteCounts,
             poll.totalVotes,
             poll.status,
-            metQuorum
+            PollLib.quorumMet(poll, organizations[poll.orgId].memberCount),
+            poll.outcome,
+            poll.winningOption
         );
     }
 
@@ -729,6 +793,24 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         return polls[pollId].authorizedVoters[voter];
     }
 
+    /**
+     * @notice Whether a key was issued for the poll and whether it has been spent,
+     *         plus how many of the poll's keys have been committed so far
+     */
+    function checkVotingKey(uint256 pollId, bytes32 votingKey)
+        external
+        view
+        pollExists(pollId)
+        returns (bool issued, bool used, uint256 issuedKeys)
+    {
+        PollLib.Poll storage poll = polls[pollId];
+        return (
+            poll.issuedKeyHashes[keccak256(abi.encodePacked(pollId, votingKey))],
+            poll.usedVotingKeys[votingKey],
+            poll.issuedKeys
+        );
+    }
+
     function getOrganizationPolls(uint256 orgId) 
         external 
         view 
@@ -743,11 +825,35 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         pollExists(pollId) 
         returns (address[] memory) 
     {
-        Poll storage poll = polls[pollId];
+        PollLib.Poll storage poll = polls[pollId];
         require(!poll.isAnonymous, "Poll is anonymous");
         return poll.voters;
     }
 
+    function getPollVotersPaged(uint256 pollId, uint256 offset, uint256 limit)
+        external
+        view
+        pollExists(pollId)
+        returns (address[] memory voters, uint256 total)
+    {
+        PollLib.Poll storage poll = polls[pollId];
+        require(!poll.isAnonymous, "Poll is anonymous");
+        return _page(poll.voters, offset, limit);
+    }
+
+    function _page(address[] storage list, uint256 offset, uint256 limit)
+        private
+        view
+        returns (address[] memory page, uint256 total)
+    {
+        total = list.length;
+        uint256 end = offset + limit > total ? total : offset + limit;
+        page = new address[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = list[offset + i];
+        }
+    }
+
     function getTotalOrganizations() external view returns (uint256) {
         return _orgCounter;
     }
@@ -769,44 +875,39 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         bool isPublic,
         bool allowAnonymous,
         bool allowDelegation,
-        Position[] memory positions
+        ElectionLib.Position[] memory positions,
+        ElectionLib.ElectionSettings memory settings
     ) external whenNotPaused returns (uint256) {
-        require(bytes(title).length > 0, "Title required");
-        require(startTime > block.timestamp, "Start time must be future");
-        require(endTime > startTime, "End > start");
-        require(totalVoters > 0, "Must have voters");
-        require(voterMerkleRoot != bytes32(0), "Invalid root");
-        require(positions.length > 0, "Need positions");
-
         _electionCounter++;
         uint256 electionId = _electionCounter;
-        
-        Election storage election = elections[electionId];
-        election.electionId = electionId;
-        election.creator = msg.sender;
-        election.title = title;
-        election.description = description;
-        election.location = location;
-        election.createdAt = block.timestamp;
-        election.startTime = startTime;
-        election.endTime = endTime;
-        election.totalRegisteredVoters = totalVoters;
-        election.voterMerkleRoot = voterMerkleRoot;
-        election.isPublic = isPublic;
-        election.allowAnonymous = allowAnonymous;
-        election.allowDelegation = allowDelegation;
-        election.status = ElectionStatus.Active;
-
-        for (uint256 i = 0; i < positions.length; i++) {
-            election.positions.push(positions[i]);
-        }
+
+        ElectionLib.create(
+            elections[electionId],
+            electionId,
+            title,
+            description,
+            location,
+            startTime,
+            endTime,
+            totalVoters,
+            voterMerkleRoot,
+            isPublic,
+            allowAnonymous,
+            allowDelegation,
+            positions,
+            settings
+        );
 
         creatorElections[uint256(keccak256(abi.encodePacked(msg.sender)))].push(electionId);
-        
-        emit ElectionCreatedV2(electionId, msg.sender, title, startTime, endTime, block.timestamp);
+        RolesLib.grant(electionRoles[electionId], RolesLib.Scope.Election, electionId, msg.sender, RolesLib.Role.Admin, false);
+
         return electionId;
     }
 
+    /**
+     * @notice Cast (or delegate) a ballot. If the election allows revoting, calling again
+     *         with the same key before endTime replaces the earlier ballot.
+     */
     function vote(
         uint256 electionId,
         bytes32 voterKey,
@@ -814,71 +915,211 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         uint256[][] calldata votes,
         address delegateTo
     ) external nonReentrant whenNotPaused {
-        Election storage election = elections[electionId];
-        require(election.status == ElectionStatus.Active, "Not active");
-        require(block.timestamp >= election.startTime && block.timestamp <= election.endTime, "Timing");
+        ElectionLib.castVote(elections[electionId], msg.sender, voterKey, merkleProof, votes, delegateTo);
+    }
 
-        bytes32 leaf = keccak256(abi.encodePacked(voterKey));
-        require(MerkleProof.verify(merkleProof, election.voterMerkleRoot, leaf), "Invalid key");
-        
-        bytes32 keyHash = keccak256(abi.encodePacked(electionId, voterKey));
-        require(!usedVoterKeys[electionId][keyHash], "Key used");
-
-        if (delegateTo != address(0) && election.allowDelegation) {
-            require(delegateTo != msg.sender, "No self-delegate");
-            delegations[electionId][msg.sender] = delegateTo;
-            emit VoteDelegatedV2(electionId, msg.sender, delegateTo, block.timestamp);
-            return;
-        }
+    /**
+     * @notice Cast a ballot relayed by the BatchVoteSubmitter for the voter who signed it.
+     *         Address-bound keys and leaves are checked against that voter, not the relayer.
+     */
+    function voteFor(
+        address voter,
+        uint256 electionId,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        uint256[][] calldata votes
+    ) external nonReentrant whenNotPaused {
+        require(msg.sender == batchSubmitter, "Not batch submitter");
+        ElectionLib.castVote(elections[electionId], voter, voterKey, merkleProof, votes, address(0));
+    }
 
-        require(votes.length == election.positions.length, "Invalid votes");
-        
-        for (uint256 i = 0; i < votes.length; i++) {
-            for (uint256 j = 0; j < votes[i].length; j++) {
-                require(votes[i][j] < election.positions[i].candidates.length, "Invalid candidate");
-                electionVotes[electionId][i][votes[i][j]]++;
-            }
-        }
+    /**
+     * @notice Reverts with the reason voteFor would reject this ballot with, if any
+     */
+    function checkVoteFor(
+        address voter,
+        uint256 electionId,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        uint256[][] calldata votes
+    ) external view whenNotPaused {
+        ElectionLib.checkVote(elections[electionId], voter, voterKey, merkleProof, votes);
+    }
 
-        usedVoterKeys[electionId][keyHash] = true;
-        election.totalVotesCast++;
-        
-        emit VoteCastV2(
-            electionId, 
-            keyHash, 
-            election.allowAnonymous ? address(0) : msg.sender, 
-            election.allowAnonymous, 
-            block.chainid, 
-            block.timestamp
-        );
+    /**
+     * @notice Cast a secret ballot as a commitment; the choices are revealed after endTime
+     * @param commitment keccak256(abi.encode(electionId, voterKey, votes, salt))
+     */
+    function commitVote(
+        uint256 electionId,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        bytes32 commitment
+    ) external nonReentrant whenNotPaused {
+        ElectionLib.commitVote(elections[electionId], msg.sender, voterKey, merkleProof, commitment);
+    }
+
+    /**
+     * @notice Open a secret ballot commitment during the reveal period. Anyone holding
+     *         the key, votes and salt may reveal; the weight is the one recorded at commit
+     *         plus any delegations received before endTime.
+     */
+    function revealVote(
+        uint256 electionId,
+        bytes32 voterKey,
+        uint256[][] calldata votes,
+        bytes32 salt
+    ) external nonReentrant whenNotPaused {
+        ElectionLib.revealVote(elections[electionId], voterKey, votes, salt);
+    }
+
+    /**
+     * @notice Spend a voter key on registering a Semaphore-style identity commitment,
+     *         Poseidon(identityNullifier, identityTrapdoor), in a zkAnonymous election
+     */
+    function registerIdentity(
+        uint256 electionId,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        uint256 identityCommitment
+    ) external nonReentrant whenNotPaused {
+        ElectionLib.registerIdentity(elections[electionId], identityHasher, msg.sender, voterKey, merkleProof, identityCommitment);
+    }
+
+    /**
+     * @notice Cast a zkAnonymous ballot with a proof of membership in the identity tree.
+     *         Anyone may submit it (typically the BatchVoteSubmitter), so the sending
+     *         wallet says nothing about the voter.
+     */
+    function castAnonymousVote(
+        uint256 electionId,
+        uint256 root,
+        uint256 nullifierHash,
+        uint256[][] calldata votes,
+        uint256[8] calldata proof
+    ) external nonReentrant whenNotPaused {
+        ElectionLib.castAnonymousVote(elections[electionId], anonymousVoteVerifier, root, nullifierHash, votes, proof);
     }
 
     function completeElection(uint256 electionId) external {
-        Election storage election = elections[electionId];
-        require(election.status == ElectionStatus.Active, "Not active");
-        require(block.timestamp > election.endTime, "Not ended");
+        ElectionLib.Election storage election = elections[electionId];
+        require(election.status == ElectionLib.ElectionStatus.Active, "Not active");
+        require(block.timestamp > election.endTime + election.settings.revealPeriod, "Not ended");
         
-        election.status = ElectionStatus.Completed;
+        election.status = ElectionLib.ElectionStatus.Completed;
+        ElectionLib.recordOutcome(election);
         emit ElectionCompletedV2(electionId, election.totalVotesCast, block.timestamp);
     }
 
+    /**
+     * @notice Publish a hash of a completed election's tallies, outcomes and turnout. The
+     *         record cannot be changed afterwards and the election can no longer be deleted.
+     */
+    function certifyResults(uint256 electionId) external {
+        ElectionLib.certify(_adminElection(electionId));
+    }
+
+    /**
+     * @notice Push back the end of an election that has not closed yet (e.g. after a
+     *         polling station outage). A secret ballot's reveal window moves with it.
+     */
+    function extendElection(uint256 electionId, uint256 newEndTime) external whenNotPaused {
+        ElectionLib.extend(_adminElection(electionId), newEndTime);
+    }
+
+    /**
+     * @notice Register late voters by swapping in a root built over the existing keys plus
+     *         the new ones. The contract cannot check that the new tree is a superset; the
+     *         key service builds it that way and republishes every proof.
+     */
+    function appendVoters(uint256 electionId, bytes32 newRoot, uint256 newTotalVoters) external whenNotPaused {
+        ElectionLib.appendVoters(_adminElection(electionId), newRoot, newTotalVoters);
+    }
+
+    /**
+     * @notice Invalidate leaked keys by swapping in a root where the key service replaced
+     *         their leaves with reissued keys. The voter count is unchanged.
+     */
+    function revokeVoterKeys(uint256 electionId, bytes32 newRoot, bytes32[] calldata revokedKeyHashes)
+        external
+        whenNotPaused
+    {
+        ElectionLib.revokeKeys(_adminElection(electionId), newRoot, revokedKeyHashes);
+    }
+
+    /**
+     * @notice Cancel an active election. With a cancellation threshold above one, each admin
+     *         or official calls this to approve, and the approval that reaches it cancels.
+     */
     function cancelElection(uint256 electionId) external {
-        Election storage election = elections[electionId];
-        require(msg.sender == election.creator, "Not creator");
-        require(election.status == ElectionStatus.Active, "Not active");
-        
-        election.status = ElectionStatus.Cancelled;
+        ElectionLib.Election storage election = elections[electionId];
+        require(election.status == ElectionLib.ElectionStatus.Active, "Not active");
+
+        RolesLib.Roles storage roles = electionRoles[electionId];
+        if (roles.cancelThreshold > 1) {
+            if (!RolesLib.approveCancel(roles, electionId, msg.sender)) return;
+        } else {
+            _adminElection(electionId);
+        }
+
+        election.status = ElectionLib.ElectionStatus.Cancelled;
         emit ElectionCancelledV2(electionId, msg.sender, block.timestamp);
     }
 
     function deleteElection(uint256 electionId) external {
-        Election storage election = elections[electionId];
-        require(msg.sender == election.creator, "Not creator");
-        require(election.status != ElectionStatus.Active, "Still active");
+        ElectionLib.Election storage election = _adminElection(electionId);
+        require(election.status != ElectionLib.ElectionStatus.Active, "Still active");
+        require(election.certification.certifiedAt == 0, "Results certified");
         
         delete elections[electionId];
     }
 
+    /**
+     * @notice Give an account an election role: Admin (manages the election and its roles),
+     *         Official (approves cancellation) or Observer (listed only). Once an election
+     *         with a cancellation threshold above one has started, only observers can change.
+     */
+    function grantElectionRole(uint256 electionId, address account, RolesLib.Role role) external whenNotPaused {
+        RolesLib.grant(
+            electionRoles[electionId],
+            RolesLib.Scope.Election,
+            electionId,
+            account,
+            role,
+            _electionOfficialsLocked(electionId)
+        );
+    }
+
+    function revokeElectionRole(uint256 electionId, address account) external whenNotPaused {
+        RolesLib.revoke(
+            electionRoles[electionId],
+            RolesLib.Scope.Election,
+            electionId,
+            account,
+            _electionOfficialsLocked(electionId)
+        );
+    }
+
+    /**
+     * @notice Require `threshold` approvals from admins and officials to cancel (M-of-N).
+     *         0 or 1 lets any admin cancel alone. Fixed once the election starts.
+     */
+    function setCancellationThreshold(uint256 electionId, uint256 threshold) external whenNotPaused {
+        require(block.timestamp < _adminElection(electionId).startTime, "Already started");
+        RolesLib.setCancelThreshold(electionRoles[electionId], electionId, threshold);
+    }
+
+    function _adminElection(uint256 electionId) private view returns (ElectionLib.Election storage) {
+        require(RolesLib.isAdmin(electionRoles[electionId], msg.sender), "Not admin");
+        return elections[electionId];
+    }
+
+    /// @dev Also checks the caller is an election admin
+    function _electionOfficialsLocked(uint256 electionId) private view returns (bool) {
+        return block.timestamp >= _adminElection(electionId).startTime &&
+            electionRoles[electionId].cancelThreshold > 1;
+    }
+
     function getElection(uint256 electionId) external view returns (
         uint256 electionId_,
         address creator,
@@ -894,11 +1135,14 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         bool isPublic,
         bool allowAnonymous,
         bool allowDelegation,
-        ElectionStatus status,
-        Position[] memory positions
+        ElectionLib.ElectionStatus status,
+        ElectionLib.Position[] memory positions,
+        address[] memory officials,
+        RolesLib.Role[] memory officialRoles
     ) {
-        Election storage election = elections[electionId];
+        ElectionLib.Election storage election = elections[electionId];
         require(election.creator != address(0), "Election not found");
+        (officials, officialRoles) = RolesLib.list(electionRoles[electionId]);
 
         return (
             election.electionId,
@@ -916,7 +1160,9 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
             election.allowAnonymous,
             election.allowDelegation,
             election.status,
-            election.positions
+            election.positions,
+            officials,
+            officialRoles
         );
     }
 
@@ -925,23 +1171,225 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         view 
         returns (string[] memory candidates, uint256[] memory votesCast) 
     {
-        Election storage election = elections[electionId];
+        ElectionLib.Election storage election = elections[electionId];
         require(positionIndex < election.positions.length, "Invalid position");
 
-        Position storage position = election.positions[positionIndex];
+        ElectionLib.Position storage position = election.positions[positionIndex];
         uint256[] memory votes = new uint256[](position.candidates.length);
 
         for (uint256 i = 0; i < position.candidates.length; i++) {
-            votes[i] = electionVotes[electionId][positionIndex][i];
+            votes[i] = election.tallies[positionIndex][i];
         }
 
         return (position.candidates, votes);
     }
 
+    /// @notice Every position's tallies in one call; candidates are in getElection's positions
+    function getElectionResultsAll(uint256 electionId) external view returns (uint256[][] memory votesCast) {
+        return ElectionLib.resultsAll(elections[electionId]);
+    }
+
+    /// @notice The certification record; certifiedAt is 0 until certifyResults is called
+    function getCertification(uint256 electionId) external view returns (ElectionLib.Certification memory) {
+        return elections[electionId].certification;
+    }
+
+    /**
+     * @notice Quorum check and per-position outcome recorded when the election was completed
+     * @return quorumReached Whether turnout met the election's quorum
+     * @return turnout Total weight of ballots cast (secret ballot commitments included)
+     * @return quorumRequired Votes that were needed for quorum
+     * @return results One entry per position: Winner, NoQuorum or RunoffRequired
+     */
+    function getElectionOutcome(uint256 electionId)
+        external
+        view
+        returns (
+            bool quorumReached,
+            uint256 turnout,
+            uint256 quorumRequired,
+            ElectionLib.PositionResult[] memory results
+        )
+    {
+        ElectionLib.Election storage election = elections[electionId];
+        require(election.status == ElectionLib.ElectionStatus.Completed, "Not completed");
+        return (
+            election.quorumReached,
+            election.totalVotesCast,
+            ElectionLib.quorumRequired(election),
+            election.results
+        );
+    }
+
+    /**
+     * @notice Page through the stored preference lists of a ranked position
+     * @dev Only available once the election is completed; the instant-runoff count is done off-chain
+     * @return rankings Preference lists in ballot order (candidate indexes, most preferred first)
+     * @return weights Weight each ballot was counted with (delegation included)
+     * @return total Number of ballots in the election
+     */
+    function getRankedBallots(uint256 electionId, uint256 positionIndex, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[][] memory rankings, uint256[] memory weights, uint256 total)
+    {
+        return ElectionLib.rankedBallots(elections[electionId], positionIndex, offset, limit);
+    }
+
+    /**
+     * @notice Follow a voter's delegation chain
+     * @return finalDelegate Address whose ballot will carry the weight (the voter if not delegating)
+     * @return weight Voter's own vote plus everything delegated to them. On weighted
+     *         elections the own weight is only known once the voter has delegated; until
+     *         then it is counted as 1.
+     */
+    function resolveDelegate(uint256 electionId, address voter)
+        external
+        view
+        returns (address finalDelegate, uint256 weight)
+    {
+        ElectionLib.Election storage election = elections[electionId];
+        finalDelegate = voter;
+        while (election.delegations[finalDelegate] != address(0)) {
+            finalDelegate = election.delegations[finalDelegate];
+        }
+        uint256 ownWeight = election.delegatorWeights[voter];
+        weight = (ownWeight == 0 ? 1 : ownWeight) + election.delegatedWeight[voter];
+    }
+
+    /**
+     * @notice Secret ballot progress. Unrevealed commitments count towards turnout
+     *         (totalVotesCast) but not towards any candidate.
+     * @return revealDeadline Last timestamp at which commitments can be revealed
+     * @return committed Number of commitments made
+     * @return unrevealed Commitments not revealed (yet)
+     * @return unrevealedWeight Weight carried by the unrevealed commitments
+     */
+    function getRevealStatus(uint256 electionId)
+        external
+        view
+        returns (uint256 revealDeadline, uint256 committed, uint256 unrevealed, uint256 unrevealedWeight)
+    {
+        ElectionLib.Election storage election = elections[electionId];
+        require(election.settings.secretBallot, "Not secret ballot");
+
+        ElectionLib.RevealStatus storage status = election.reveal;
+        revealDeadline = election.endTime + election.settings.revealPeriod;
+        committed = status.committed;
+        unrevealed = status.committed - status.revealed;
+        unrevealedWeight = election.totalVotesCast - status.revealedWeight;
+    }
+
+    function getCancellationStatus(uint256 electionId)
+        external
+        view
+        returns (uint256 required, uint256 approvals)
+    {
+        RolesLib.Roles storage roles = electionRoles[electionId];
+        return (roles.cancelThreshold, roles.cancelApprovals);
+    }
+
+    // ============ V2 Ballot Ledger Getters ============
+
+    function electionVotes(uint256 electionId, uint256 positionIndex, uint256 candidateIndex)
+        external
+        view
+        returns (uint256)
+    {
+        return elections[electionId].tallies[positionIndex][candidateIndex];
+    }
+
+    function usedVoterKeys(uint256 electionId, bytes32 keyHash) external view returns (bool) {
+        return elections[electionId].usedKeys[keyHash];
+    }
+
+    function delegations(uint256 electionId, address voter) external view returns (address) {
+        return elections[electionId].delegations[voter];
+    }
+
+    function delegatedWeight(uint256 electionId, address voter) external view returns (uint256) {
+        return elections[electionId].delegatedWeight[voter];
+    }
+
+    function ballotWeights(uint256 electionId, bytes32 keyHash) external view returns (uint256) {
+        return elections[electionId].ballotWeights[keyHash];
+    }
+
+    function electionSettings(uint256 electionId)
+        external
+        view
+        returns (
+            bool secretBallot,
+            uint256 revealPeriod,
+            bool allowRevote,
+            ElectionLib.QuorumType quorumType,
+            uint256 quorum,
+            ElectionLib.Eligibility eligibility,
+            address token,
+            uint256 snapshotBlock,
+            bool addressBoundLeaf,
+            bool zkAnonymous
+        )
+    {
+        ElectionLib.ElectionSettings storage settings = elections[electionId].settings;
+        return (
+            settings.secretBallot,
+            settings.revealPeriod,
+            settings.allowRevote,
+            settings.quorumType,
+            settings.quorum,
+            settings.eligibility,
+            settings.token,
+            settings.snapshotBlock,
+            settings.addressBoundLeaf,
+            settings.zkAnonymous
+        );
+    }
+
+    /// @notice Current root and size of a zkAnonymous election's identity tree
+    function identityTree(uint256 electionId) external view returns (uint256 root, uint256 size) {
+        IdentityTreeLib.Tree storage tree = elections[electionId].identities;
+        return (tree.root, tree.size);
+    }
+
+    function nullifierUsed(uint256 electionId, uint256 nullifierHash) external view returns (bool) {
+        return elections[electionId].nullifiers[nullifierHash];
+    }
+
+    function voteCommitments(uint256 electionId, bytes32 keyHash) external view returns (bytes32) {
+        return elections[electionId].commitments[keyHash];
+    }
+
     function getCreatorElections(address creator) external view returns (uint256[] memory) {
         return creatorElections[uint256(keccak256(abi.encodePacked(creator)))];
     }
 
+    function getCreatorElectionsPaged(address creator, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory electionIds, uint256 total)
+    {
+        uint256[] storage list = creatorElections[uint256(keccak256(abi.encodePacked(creator)))];
+        total = list.length;
+        uint256 end = offset + limit > total ? total : offset + limit;
+        electionIds = new uint256[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < electionIds.length; i++) {
+            electionIds[i] = list[offset + i];
+        }
+    }
+
+    /**
+     * @notice Ids of elections in `status` among election ids (offset, offset + limit],
+     *         skipping deleted ones. Keep going while offset + limit < total.
+     */
+    function getElectionsByStatus(ElectionLib.ElectionStatus status, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory electionIds, uint256 total)
+    {
+        return ElectionLib.electionsByStatus(elections, _electionCounter, status, offset, limit);
+    }
+
     function getTotalElections() external view returns (uint256) {
         return _electionCounter;
     }
@@ -956,6 +1404,17 @@ contract SafeVote is Ownable, Pausable, ReentrancyGuard {
         _unpause();
     }
 
+    function setBatchSubmitter(address submitter) external onlyOwner {
+        emit BatchSubmitterUpdated(batchSubmitter, submitter);
+        batchSubmitter = submitter;
+    }
+
+    function setAnonymousVoteContracts(address verifier, address hasher) external onlyOwner {
+        anonymousVoteVerifier = verifier;
+        identityHasher = hasher;
+        emit AnonymousVoteContractsUpdated(verifier, hasher);
+    }
+
     function version() external pure returns (string memory) {
         return "2.0.0-non-upgradeable";
     }
@@ -0,0 +1,982 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "./IdentityTreeLib.sol";
+
+/// @dev Generated by scripts/zk/build-circuit.js (contracts/zk/AnonymousVoteVerifier.sol)
+interface IAnonymousVoteVerifier {
+    function verifyProof(
+        uint256[2] calldata pA,
+        uint256[2][2] calldata pB,
+        uint256[2] calldata pC,
+        uint256[4] calldata pubSignals
+    ) external view returns (bool);
+}
+
+/**
+ * @title ElectionLib - V2 election state and ballot handling
+ * @notice Holds the per-election ballot ledger (keys, delegation, ballots, tallies) and the
+ *         logic that updates it. Linked into SafeVote as an external library to keep the
+ *         main contract under the EIP-170 size limit.
+ * @dev Functions run via DELEGATECALL, so events are emitted from the SafeVote address.
+ *      The voter is passed in explicitly: msg.sender for a direct ballot, the signer for one
+ *      relayed by the BatchVoteSubmitter.
+ */
+library ElectionLib {
+    // Plurality: votes[i] is a set of picks. Ranked: votes[i] is an ordered preference list
+    // (instant-runoff); only first preferences are tallied live in tallies.
+    enum BallotType { Plurality, Ranked }
+
+    enum ElectionStatus { Active, Completed, Cancelled }
+
+    // Count: quorum is a number of votes. Percentage: basis points of totalRegisteredVoters.
+    enum QuorumType { None, Count, Percentage }
+
+    // Who may vote and with what weight:
+    // VoterRoll     - Merkle roll of random voter keys, weight 1
+    // WeightedRoll  - Merkle roll of (address, weight) snapshot leaves
+    // TokenWeighted - IVotes(token).getPastVotes(voter, snapshotBlock) as weight
+    // TokenGated    - any voter with past votes at the snapshot, weight 1 (e.g. ERC721Votes)
+    // In every mode but VoterRoll the voter key is an address-bound key: the voter's address
+    // in the low 160 bits and, for WeightedRoll only, the snapshot weight in the high 96 bits.
+    enum Eligibility { VoterRoll, WeightedRoll, TokenWeighted, TokenGated }
+
+    // Recorded per position by completeElection
+    enum Outcome { Pending, Winner, NoQuorum, RunoffRequired }
+
+    uint256 internal constant BPS = 10_000;
+
+    struct Position {
+        string title;
+        string[] candidates;
+        uint256 maxSelections; // For ranked positions: how many candidates may be ranked
+        BallotType ballotType;
+        // Share of the votes cast (basis points) the winner must exceed; 0 = most votes wins.
+        // Ranked positions always need a first-preference majority to be decided on-chain.
+        uint256 winThreshold;
+    }
+
+    struct PositionResult {
+        Outcome outcome;
+        uint256 winner;      // Candidate index, meaningful when outcome is Winner
+        uint256 winnerVotes; // Leading candidate's votes
+    }
+
+    // Written once by certify; resultsHash covers the tallies, outcomes and turnout
+    struct Certification {
+        bytes32 resultsHash;
+        uint256 certifiedAt;
+        address certifiedBy;
+    }
+
+    // Election options that are not part of getElection()
+    struct ElectionSettings {
+        bool secretBallot;     // Commit during voting, reveal after endTime
+        uint256 revealPeriod;  // Seconds after endTime during which commitments can be revealed
+        bool allowRevote;      // A key may replace its ballot (or commitment) until endTime
+        QuorumType quorumType;
+        uint256 quorum;        // Votes, or basis points of totalRegisteredVoters
+        Eligibility eligibility;
+        address token;         // IVotes token for the token modes
+        uint256 snapshotBlock; // Block the weights are read at (or the off-chain snapshot was taken)
+        bool addressBoundLeaf; // Roll leaves commit to the voter's address as well as the key
+        // Keys are spent registering an identity commitment; ballots are cast with a
+        // Groth16 membership proof and a per-election nullifier instead of the key
+        bool zkAnonymous;
+    }
+
+    struct RevealStatus {
+        uint256 committed;
+        uint256 revealed;
+        uint256 revealedWeight;
+    }
+
+    struct Election {
+        uint256 electionId;
+        address creator;
+        string title;
+        string description;
+        string location;
+        uint256 createdAt;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 totalRegisteredVoters;
+        uint256 totalVotesCast;
+        bytes32 voterMerkleRoot;
+        bool isPublic;
+        bool allowAnonymous;
+        bool allowDelegation;
+        ElectionStatus status;
+        Position[] positions;
+        ElectionSettings settings;
+
+        // Ballot ledger
+        mapping(uint256 => mapping(uint256 => uint256)) tallies; // position => candidate => weight
+        mapping(bytes32 => bool) usedKeys;
+        mapping(address => address) delegations;
+        // Weight flowing into an address from delegators (transitive)
+        mapping(address => uint256) delegatedWeight;
+        // keyHash => address that spent it on a delegation (allows override)
+        mapping(bytes32 => address) keyDelegators;
+        // Own weight each delegator passed on (1 on a voter roll)
+        mapping(address => uint256) delegatorWeights;
+        // address => keyHash of the first ballot it cast (receives delegated weight)
+        mapping(address => bytes32) ballotKeys;
+        // keyHash => stored ballot and the weight it was counted with
+        mapping(bytes32 => uint256[][]) ballots;
+        mapping(bytes32 => uint256) ballotWeights;
+        bytes32[] ballotKeyHashes;
+        // Secret ballot: keyHash => keccak256(abi.encode(electionId, voterKey, votes, salt)) until revealed
+        mapping(bytes32 => bytes32) commitments;
+        RevealStatus reveal;
+
+        // Set by completeElection
+        bool quorumReached;
+        PositionResult[] results;
+
+        // zkAnonymous: registered identity commitments and spent nullifiers
+        IdentityTreeLib.Tree identities;
+        mapping(uint256 => bool) nullifiers;
+
+        // Set once by certify
+        Certification certification;
+    }
+
+    event ElectionCreatedV2(
+        uint256 indexed electionId,
+        address indexed creator,
+        string title,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 timestamp
+    );
+
+    event VoteCastV2(
+        uint256 indexed electionId,
+        bytes32 indexed voterKeyHash,
+        address indexed voter,
+        bool isAnonymous,
+        uint256 chainId,
+        uint256 timestamp
+    );
+
+    event VoteDelegatedV2(
+        uint256 indexed electionId,
+        address indexed delegator,
+        address indexed delegate,
+        address finalDelegate,
+        uint256 weight,
+        uint256 timestamp
+    );
+
+    event DelegationRevokedV2(
+        uint256 indexed electionId,
+        address indexed delegator,
+        address indexed delegate,
+        uint256 weight,
+        uint256 timestamp
+    );
+
+    event VoteChangedV2(
+        uint256 indexed electionId,
+        bytes32 indexed voterKeyHash,
+        address indexed voter,
+        uint256 weight,
+        uint256 timestamp
+    );
+
+    event VoteRevealedV2(
+        uint256 indexed electionId,
+        bytes32 indexed voterKeyHash,
+        uint256 weight,
+        uint256 timestamp
+    );
+
+    event IdentityRegisteredV2(
+        uint256 indexed electionId,
+        bytes32 indexed voterKeyHash,
+        uint256 identityCommitment,
+        uint256 index,
+        uint256 root,
+        uint256 timestamp
+    );
+
+    event ElectionExtendedV2(
+        uint256 indexed electionId,
+        address indexed creator,
+        uint256 previousEndTime,
+        uint256 newEndTime,
+        uint256 timestamp
+    );
+
+    event VotersAppendedV2(
+        uint256 indexed electionId,
+        address indexed creator,
+        bytes32 previousRoot,
+        bytes32 newRoot,
+        uint256 previousTotalVoters,
+        uint256 newTotalVoters,
+        uint256 timestamp
+    );
+
+    event VoterKeysRevokedV2(
+        uint256 indexed electionId,
+        address indexed creator,
+        bytes32 previousRoot,
+        bytes32 newRoot,
+        bytes32[] revokedKeyHashes,
+        uint256 timestamp
+    );
+
+    event ResultsCertifiedV2(
+        uint256 indexed electionId,
+        bytes32 resultsHash,
+        uint256[] winners,
+        uint256 turnout,
+        address indexed certifiedBy,
+        uint256 timestamp
+    );
+
+    // ============ Setup ============
+
+    /**
+     * @dev Validates and stores a new election created by msg.sender. Runs in the library
+     *      to keep the string and struct copies out of SafeVote's bytecode.
+     */
+    function create(
+        Election storage election,
+        uint256 electionId,
+        string memory title,
+        string memory description,
+        string memory location,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 totalVoters,
+        bytes32 voterMerkleRoot,
+        bool isPublic,
+        bool allowAnonymous,
+        bool allowDelegation,
+        Position[] memory positions,
+        ElectionSettings memory settings
+    ) external {
+        require(bytes(title).length > 0, "Title required");
+        require(startTime > block.timestamp, "Start time must be future");
+        require(endTime > startTime, "End > start");
+        require(totalVoters > 0, "Must have voters");
+
+        election.electionId = electionId;
+        election.creator = msg.sender;
+        election.title = title;
+        election.description = description;
+        election.location = location;
+        election.createdAt = block.timestamp;
+        election.startTime = startTime;
+        election.endTime = endTime;
+        election.totalRegisteredVoters = totalVoters;
+        election.voterMerkleRoot = voterMerkleRoot;
+        election.isPublic = isPublic;
+        election.allowAnonymous = allowAnonymous;
+        election.allowDelegation = allowDelegation;
+        election.status = ElectionStatus.Active;
+        _configure(election, positions, settings);
+
+        emit ElectionCreatedV2(electionId, msg.sender, title, startTime, endTime, block.timestamp);
+    }
+
+    /// @dev Validates and stores the positions and settings
+    function _configure(
+        Election storage election,
+        Position[] memory positions,
+        ElectionSettings memory settings
+    ) private {
+        bool tokenEligibility = settings.eligibility >= Eligibility.TokenWeighted;
+        require(election.voterMerkleRoot != bytes32(0) || tokenEligibility, "Invalid root");
+        require(positions.length > 0, "Need positions");
+        require(
+            tokenEligibility
+                ? settings.token != address(0) && settings.snapshotBlock < block.number
+                : settings.token == address(0),
+            "Invalid eligibility"
+        );
+        require(settings.secretBallot == (settings.revealPeriod > 0), "Invalid reveal period");
+        // A proof carries no weight or delegate, and a nullifier cannot replace its ballot
+        require(
+            !settings.zkAnonymous ||
+                (settings.eligibility == Eligibility.VoterRoll &&
+                    !settings.secretBallot &&
+                    !settings.allowRevote &&
+                    !election.allowDelegation),
+            "Invalid anonymous mode"
+        );
+        require(
+            settings.quorumType == QuorumType.None
+                ? settings.quorum == 0
+                : settings.quorum > 0 && (settings.quorumType == QuorumType.Count || settings.quorum <= BPS),
+            "Invalid quorum"
+        );
+
+        for (uint256 i = 0; i < positions.length; i++) {
+            require(
+                positions[i].maxSelections > 0 && positions[i].maxSelections <= positions[i].candidates.length,
+                "Invalid maxSelections"
+            );
+            require(positions[i].winThreshold < BPS, "Invalid threshold");
+            election.positions.push(positions[i]);
+        }
+        election.settings = settings;
+    }
+
+    // ============ Voting ============
+
+    function castVote(
+        Election storage election,
+        address voter,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        uint256[][] calldata votes,
+        address delegateTo
+    ) external {
+        require(!election.settings.zkAnonymous, "Anonymous election");
+        (bytes32 keyHash, bool revote, uint256 ownWeight) = _useVoterKey(election, voter, voterKey, merkleProof, delegateTo);
+
+        if (!revote && delegateTo != address(0) && election.allowDelegation) {
+            _delegate(election, voter, keyHash, delegateTo, ownWeight);
+            return;
+        }
+        require(!election.settings.secretBallot, "Secret ballot");
+
+        if (revote) {
+            uint256 previousWeight = election.ballotWeights[keyHash];
+            _untallyBallot(election, election.ballots[keyHash], previousWeight);
+            _storeBallot(election, keyHash, votes);
+            _tallyBallot(election, election.ballots[keyHash], previousWeight);
+            _emitVoteChanged(election, voter, keyHash);
+            return;
+        }
+
+        uint256 weight = _openBallot(election, voter, keyHash, ownWeight);
+        _storeBallot(election, keyHash, votes);
+        _tallyBallot(election, election.ballots[keyHash], weight);
+    }
+
+    /**
+     * @dev Reverts with the reason castVote would give for this ballot (without a
+     *      delegate), changing nothing. Lets relayers screen ballots before a batch.
+     */
+    function checkVote(
+        Election storage election,
+        address voter,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        uint256[][] calldata votes
+    ) external view {
+        require(!election.settings.zkAnonymous, "Anonymous election");
+        (bytes32 keyHash, bool revote, ) = _checkVoterKey(election, voter, voterKey, merkleProof, address(0));
+        require(!election.settings.secretBallot, "Secret ballot");
+        // A delegator voting directly has the delegation revoked before _openBallot
+        if (!revote && !election.usedKeys[keyHash]) {
+            require(election.delegations[voter] == address(0), "Already delegated");
+        }
+        _checkVotes(election.positions, votes);
+    }
+
+    function commitVote(
+        Election storage election,
+        address voter,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        bytes32 commitment
+    ) external {
+        require(election.settings.secretBallot, "Not secret ballot");
+        require(commitment != bytes32(0), "Invalid commitment");
+
+        (bytes32 keyHash, bool revote, uint256 ownWeight) = _useVoterKey(election, voter, voterKey, merkleProof, address(0));
+        election.commitments[keyHash] = commitment;
+        if (revote) {
+            _emitVoteChanged(election, voter, keyHash);
+            return;
+        }
+        _openBallot(election, voter, keyHash, ownWeight);
+        election.reveal.committed++;
+    }
+
+    function revealVote(
+        Election storage election,
+        bytes32 voterKey,
+        uint256[][] calldata votes,
+        bytes32 salt
+    ) external {
+        require(election.status == ElectionStatus.Active, "Not active");
+        require(
+            block.timestamp > election.endTime &&
+                block.timestamp <= election.endTime + election.settings.revealPeriod,
+            "Not reveal phase"
+        );
+
+        uint256 electionId = election.electionId;
+        bytes32 keyHash = keccak256(abi.encodePacked(electionId, voterKey));
+        bytes32 commitment = election.commitments[keyHash];
+        require(commitment != bytes32(0), "No commitment");
+        require(keccak256(abi.encode(electionId, voterKey, votes, salt)) == commitment, "Commitment mismatch");
+        delete election.commitments[keyHash];
+
+        _storeBallot(election, keyHash, votes);
+        uint256 weight = election.ballotWeights[keyHash];
+        _tallyBallot(election, election.ballots[keyHash], weight);
+
+        election.reveal.revealed++;
+        election.reveal.revealedWeight += weight;
+        emit VoteRevealedV2(electionId, keyHash, weight, block.timestamp);
+    }
+
+    // ============ Anonymous Voting ============
+
+    /**
+     * @dev Spends the voter's key on adding an identity commitment to the election tree.
+     *      Registration stays open until endTime, so voters can register well before they
+     *      vote and keep the two transactions apart.
+     */
+    function registerIdentity(
+        Election storage election,
+        address hasher,
+        address voter,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        uint256 identityCommitment
+    ) external {
+        require(election.settings.zkAnonymous, "Not anonymous election");
+        require(election.status == ElectionStatus.Active, "Not active");
+        require(block.timestamp <= election.endTime, "Timing");
+
+        _eligibleWeight(election, voter, voterKey, merkleProof);
+        bytes32 keyHash = keccak256(abi.encodePacked(election.electionId, voterKey));
+        require(!election.usedKeys[keyHash], "Key used");
+        election.usedKeys[keyHash] = true;
+
+        (uint256 index, uint256 root) = IdentityTreeLib.insert(election.identities, hasher, identityCommitment);
+        emit IdentityRegisteredV2(election.electionId, keyHash, identityCommitment, index, root, block.timestamp);
+    }
+
+    /**
+     * @dev Counts a ballot backed by a proof that its sender knows the secrets of some
+     *      registered identity. The nullifier hash stands in for the key hash, so one
+     *      identity gets one ballot per election and the sender is never recorded.
+     * @param proof Groth16 proof as [a0, a1, b00, b01, b10, b11, c0, c1] (snarkjs calldata order)
+     */
+    function castAnonymousVote(
+        Election storage election,
+        address verifier,
+        uint256 root,
+        uint256 nullifierHash,
+        uint256[][] calldata votes,
+        uint256[8] calldata proof
+    ) external {
+        require(election.settings.zkAnonymous, "Not anonymous election");
+        require(election.status == ElectionStatus.Active, "Not active");
+        require(block.timestamp >= election.startTime && block.timestamp <= election.endTime, "Timing");
+        require(election.identities.knownRoots[root], "Unknown root");
+        require(!election.nullifiers[nullifierHash], "Nullifier used");
+        require(verifier != address(0), "No verifier");
+
+        uint256[4] memory signals = [
+            root,
+            nullifierHash,
+            signalHash(votes),
+            externalNullifier(election.electionId)
+        ];
+        require(
+            IAnonymousVoteVerifier(verifier).verifyProof(
+                [proof[0], proof[1]],
+                [[proof[2], proof[3]], [proof[4], proof[5]]],
+                [proof[6], proof[7]],
+                signals
+            ),
+            "Invalid proof"
+        );
+        election.nullifiers[nullifierHash] = true;
+
+        bytes32 keyHash = bytes32(nullifierHash);
+        election.ballotWeights[keyHash] = 1;
+        election.totalVotesCast += 1;
+        _storeBallot(election, keyHash, votes);
+        _tallyBallot(election, election.ballots[keyHash], 1);
+
+        emit VoteCastV2(election.electionId, keyHash, address(0), true, block.chainid, block.timestamp);
+    }
+
+    /// @dev Scopes nullifiers to this contract, chain and election (fits the SNARK field)
+    function externalNullifier(uint256 electionId) internal view returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(block.chainid, address(this), electionId))) >> 8;
+    }
+
+    /// @dev Binds a proof to the ballot it was generated for (fits the SNARK field)
+    function signalHash(uint256[][] calldata votes) internal pure returns (uint256) {
+        return uint256(keccak256(abi.encode(votes))) >> 8;
+    }
+
+    // ============ Administration ============
+    // SafeVote checks the caller is an election admin before these run
+
+    /// @dev Pushes back endTime; a secret ballot's reveal window moves with it
+    function extend(Election storage election, uint256 newEndTime) external {
+        require(election.status == ElectionStatus.Active, "Not active");
+        require(block.timestamp <= election.endTime, "Already ended");
+        require(newEndTime > election.endTime, "Must extend");
+
+        emit ElectionExtendedV2(election.electionId, msg.sender, election.endTime, newEndTime, block.timestamp);
+        election.endTime = newEndTime;
+    }
+
+    /// @dev Swaps in a voter root built over the existing keys plus new ones
+    function appendVoters(Election storage election, bytes32 newRoot, uint256 newTotalVoters) external {
+        require(election.status == ElectionStatus.Active, "Not active");
+        require(block.timestamp <= election.endTime, "Already ended");
+        require(newRoot != bytes32(0) && newRoot != election.voterMerkleRoot, "Invalid root");
+        require(newTotalVoters > election.totalRegisteredVoters, "Must add voters");
+
+        emit VotersAppendedV2(
+            election.electionId,
+            msg.sender,
+            election.voterMerkleRoot,
+            newRoot,
+            election.totalRegisteredVoters,
+            newTotalVoters,
+            block.timestamp
+        );
+        election.voterMerkleRoot = newRoot;
+        election.totalRegisteredVoters = newTotalVoters;
+    }
+
+    /**
+     * @dev Swaps in a root where the revoked keys' leaves were replaced by reissued ones, so the
+     *      old keys no longer prove membership. revokedKeyHashes are the key service's
+     *      keccak256(voterKey) values, recorded in the event for observers.
+     */
+    function revokeKeys(Election storage election, bytes32 newRoot, bytes32[] calldata revokedKeyHashes) external {
+        require(election.status == ElectionStatus.Active, "Not active");
+        require(block.timestamp <= election.endTime, "Already ended");
+        require(newRoot != bytes32(0) && newRoot != election.voterMerkleRoot, "Invalid root");
+        require(revokedKeyHashes.length > 0, "No keys revoked");
+
+        emit VoterKeysRevokedV2(
+            election.electionId,
+            msg.sender,
+            election.voterMerkleRoot,
+            newRoot,
+            revokedKeyHashes,
+            block.timestamp
+        );
+        election.voterMerkleRoot = newRoot;
+    }
+
+    // ============ Completion ============
+
+    /**
+     * @dev Records the quorum check and a result per position. Shares are measured against
+     *      the counted weight: totalVotesCast, or the revealed weight for secret ballots.
+     */
+    function recordOutcome(Election storage election) external {
+        bool quorumReached = election.totalVotesCast >= quorumRequired(election);
+        election.quorumReached = quorumReached;
+
+        uint256 counted = election.settings.secretBallot ? election.reveal.revealedWeight : election.totalVotesCast;
+        for (uint256 i = 0; i < election.positions.length; i++) {
+            PositionResult memory result = _leader(election, i);
+            if (!quorumReached) {
+                result.outcome = Outcome.NoQuorum;
+            } else {
+                Position storage position = election.positions[i];
+                uint256 threshold = position.winThreshold;
+                if (position.ballotType == BallotType.Ranked && threshold < BPS / 2) {
+                    threshold = BPS / 2;
+                }
+                bool decided = result.outcome == Outcome.Winner && result.winnerVotes * BPS > threshold * counted;
+                result.outcome = decided ? Outcome.Winner : Outcome.RunoffRequired;
+            }
+            election.results.push(result);
+        }
+    }
+
+    /**
+     * @dev Hashes the completed results and stores the hash with the certifier. The preimage is
+     *      abi.encode(chainId, safeVote, electionId, votesCast, winners, outcomes, totalVotesCast,
+     *      totalRegisteredVoters), so anyone can recompute it from the public views
+     *      (see scripts/verify-results.js).
+     */
+    function certify(Election storage election) external returns (bytes32 resultsHash) {
+        require(election.status == ElectionStatus.Completed, "Not completed");
+        require(election.certification.certifiedAt == 0, "Already certified");
+
+        uint256 positionCount = election.results.length;
+        uint256[] memory winners = new uint256[](positionCount);
+        Outcome[] memory outcomes = new Outcome[](positionCount);
+        for (uint256 i = 0; i < positionCount; i++) {
+            winners[i] = election.results[i].winner;
+            outcomes[i] = election.results[i].outcome;
+        }
+
+        resultsHash = keccak256(abi.encode(
+            block.chainid,
+            address(this),
+            election.electionId,
+            _tallies(election),
+            winners,
+            outcomes,
+            election.totalVotesCast,
+            election.totalRegisteredVoters
+        ));
+        election.certification = Certification(resultsHash, block.timestamp, msg.sender);
+
+        emit ResultsCertifiedV2(
+            election.electionId,
+            resultsHash,
+            winners,
+            election.totalVotesCast,
+            msg.sender,
+            block.timestamp
+        );
+    }
+
+    /// @dev Votes needed for quorum (percentages round up)
+    function quorumRequired(Election storage election) internal view returns (uint256) {
+        QuorumType quorumType = election.settings.quorumType;
+        if (quorumType == QuorumType.Count) return election.settings.quorum;
+        if (quorumType == QuorumType.Percentage) {
+            return (election.settings.quorum * election.totalRegisteredVoters + BPS - 1) / BPS;
+        }
+        return 0;
+    }
+
+    // ============ Views ============
+
+    /// @dev Every position's tallies, indexed like getElection's positions and candidates
+    function resultsAll(Election storage election) external view returns (uint256[][] memory) {
+        return _tallies(election);
+    }
+
+    function _tallies(Election storage election) private view returns (uint256[][] memory votesCast) {
+        uint256 positionCount = election.positions.length;
+        votesCast = new uint256[][](positionCount);
+        for (uint256 p = 0; p < positionCount; p++) {
+            uint256 candidateCount = election.positions[p].candidates.length;
+            votesCast[p] = new uint256[](candidateCount);
+            for (uint256 c = 0; c < candidateCount; c++) {
+                votesCast[p][c] = election.tallies[p][c];
+            }
+        }
+    }
+
+    /**
+     * @dev Ids in (offset, offset + limit] of elections in `status`, skipping deleted ones.
+     *      Pages over the id range rather than the matches, so each call stays bounded;
+     *      total is the highest id to scan up to.
+     */
+    function electionsByStatus(
+        mapping(uint256 => Election) storage elections,
+        uint256 electionCount,
+        ElectionStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory electionIds, uint256 total) {
+        total = electionCount;
+        uint256 end = offset + limit > total ? total : offset + limit;
+
+        uint256 count = 0;
+        for (uint256 id = offset + 1; id <= end; id++) {
+            if (_hasStatus(elections[id], status)) count++;
+        }
+
+        electionIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 id = offset + 1; id <= end; id++) {
+            if (_hasStatus(elections[id], status)) electionIds[index++] = id;
+        }
+    }
+
+    function _hasStatus(Election storage election, ElectionStatus status) private view returns (bool) {
+        return election.creator != address(0) && election.status == status;
+    }
+
+    function rankedBallots(Election storage election, uint256 positionIndex, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[][] memory rankings, uint256[] memory weights, uint256 total)
+    {
+        require(election.status == ElectionStatus.Completed, "Not completed");
+        require(positionIndex < election.positions.length, "Invalid position");
+        require(election.positions[positionIndex].ballotType == BallotType.Ranked, "Not ranked");
+
+        bytes32[] storage keyHashes = election.ballotKeyHashes;
+        total = keyHashes.length;
+        uint256 end = offset + limit > total ? total : offset + limit;
+        uint256 count = end > offset ? end - offset : 0;
+
+        rankings = new uint256[][](count);
+        weights = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 keyHash = keyHashes[offset + i];
+            rankings[i] = election.ballots[keyHash][positionIndex];
+            weights[i] = election.ballotWeights[keyHash];
+        }
+    }
+
+    // ============ Internals ============
+
+    /**
+     * @dev Checks the voting window and the voter's eligibility, then marks the key as
+     *      spent. A key spent on a delegation may be reused by the same wallet to vote
+     *      directly, which revokes the delegation. With allowRevote, a key that already cast
+     *      a ballot may cast it again (revote = true); the caller replaces the earlier ballot.
+     */
+    function _useVoterKey(
+        Election storage election,
+        address voter,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        address delegateTo
+    ) private returns (bytes32 keyHash, bool revote, uint256 weight) {
+        (keyHash, revote, weight) = _checkVoterKey(election, voter, voterKey, merkleProof, delegateTo);
+        if (revote) return (keyHash, true, weight);
+
+        if (election.usedKeys[keyHash]) {
+            delete election.keyDelegators[keyHash];
+            _revokeDelegation(election, voter);
+        }
+        election.usedKeys[keyHash] = true;
+    }
+
+    /**
+     * @dev The checks _useVoterKey makes before spending the key. A used key passes only
+     *      as a revote or as a delegator taking their vote back.
+     */
+    function _checkVoterKey(
+        Election storage election,
+        address voter,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof,
+        address delegateTo
+    ) private view returns (bytes32 keyHash, bool revote, uint256 weight) {
+        require(election.status == ElectionStatus.Active, "Not active");
+        require(block.timestamp >= election.startTime && block.timestamp <= election.endTime, "Timing");
+
+        weight = _eligibleWeight(election, voter, voterKey, merkleProof);
+
+        keyHash = keccak256(abi.encodePacked(election.electionId, voterKey));
+        if (election.usedKeys[keyHash]) {
+            if (election.settings.allowRevote && election.ballotWeights[keyHash] != 0 && delegateTo == address(0)) {
+                return (keyHash, true, weight);
+            }
+            // A delegator may still vote directly as long as their delegate has not
+            require(election.keyDelegators[keyHash] == voter && delegateTo == address(0), "Key used");
+        }
+    }
+
+    /**
+     * @dev Weight the voter votes with under the election's eligibility mode. Roll leaves
+     *      are keccak256(abi.encodePacked(voterKey)), or keccak256(abi.encode(voter, voterKey))
+     *      with addressBoundLeaf so that a leaked key is useless from any other wallet.
+     */
+    function _eligibleWeight(
+        Election storage election,
+        address voter,
+        bytes32 voterKey,
+        bytes32[] calldata merkleProof
+    ) private view returns (uint256 weight) {
+        ElectionSettings storage settings = election.settings;
+        Eligibility eligibility = settings.eligibility;
+        bool onRoll = eligibility == Eligibility.VoterRoll || eligibility == Eligibility.WeightedRoll;
+        if (onRoll) {
+            bytes32 leaf = settings.addressBoundLeaf
+                ? keccak256(abi.encode(voter, voterKey))
+                : keccak256(abi.encodePacked(voterKey));
+            require(MerkleProof.verify(merkleProof, election.voterMerkleRoot, leaf), "Invalid key");
+            if (eligibility == Eligibility.VoterRoll) return 1;
+        }
+
+        require(address(uint160(uint256(voterKey))) == voter, "Invalid key");
+        weight = uint256(voterKey) >> 160;
+        if (!onRoll) {
+            require(weight == 0, "Invalid key");
+            weight = IVotes(settings.token).getPastVotes(voter, settings.snapshotBlock);
+            if (eligibility == Eligibility.TokenGated && weight > 0) weight = 1;
+        }
+        require(weight > 0, "Not eligible");
+    }
+
+    /**
+     * @dev Records a ballot (or secret ballot commitment) for the voter and counts its
+     *      weight towards turnout. Delegated weight lands on the first ballot an address casts.
+     */
+    function _openBallot(Election storage election, address voter, bytes32 keyHash, uint256 ownWeight)
+        private
+        returns (uint256 weight)
+    {
+        require(election.delegations[voter] == address(0), "Already delegated");
+
+        weight = ownWeight;
+        if (election.ballotKeys[voter] == bytes32(0)) {
+            election.ballotKeys[voter] = keyHash;
+            weight += election.delegatedWeight[voter];
+        }
+        election.ballotWeights[keyHash] = weight;
+        election.totalVotesCast += weight;
+
+        emit VoteCastV2(
+            election.electionId,
+            keyHash,
+            election.allowAnonymous ? address(0) : voter,
+            election.allowAnonymous,
+            block.chainid,
+            block.timestamp
+        );
+    }
+
+    function _storeBallot(Election storage election, bytes32 keyHash, uint256[][] calldata votes) private {
+        _checkVotes(election.positions, votes);
+
+        uint256[][] storage ballot = election.ballots[keyHash];
+        if (ballot.length == 0) {
+            election.ballotKeyHashes.push(keyHash);
+        } else {
+            delete election.ballots[keyHash]; // Revote replaces the stored ballot
+        }
+
+        for (uint256 i = 0; i < votes.length; i++) {
+            ballot.push(votes[i]);
+        }
+    }
+
+    function _checkVotes(Position[] storage positions, uint256[][] calldata votes) private view {
+        require(votes.length == positions.length, "Invalid votes");
+
+        for (uint256 i = 0; i < votes.length; i++) {
+            require(votes[i].length <= positions[i].maxSelections, "Too many selections");
+
+            for (uint256 j = 0; j < votes[i].length; j++) {
+                require(votes[i][j] < positions[i].candidates.length, "Invalid candidate");
+                for (uint256 k = 0; k < j; k++) {
+                    require(votes[i][k] != votes[i][j], "Duplicate candidate");
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Passes the voter's weight (own key plus anything delegated to them) along the
+     *      delegation chain. If the end of the chain has already voted, the weight is added
+     *      to that ballot immediately.
+     */
+    function _delegate(
+        Election storage election,
+        address voter,
+        bytes32 keyHash,
+        address delegateTo,
+        uint256 ownWeight
+    ) private {
+        require(delegateTo != voter, "No self-delegate");
+        require(
+            election.delegations[voter] == address(0) && election.ballotKeys[voter] == bytes32(0),
+            "Already voted"
+        );
+
+        uint256 weight = ownWeight + election.delegatedWeight[voter];
+        address finalDelegate = delegateTo;
+        while (true) {
+            require(finalDelegate != voter, "Delegation loop");
+            election.delegatedWeight[finalDelegate] += weight;
+            address next = election.delegations[finalDelegate];
+            if (next == address(0)) break;
+            finalDelegate = next;
+        }
+
+        election.delegations[voter] = delegateTo;
+        election.delegatorWeights[voter] = ownWeight;
+        election.keyDelegators[keyHash] = voter;
+
+        // A secret ballot commitment has no stored choices yet; the weight is tallied on reveal
+        bytes32 delegateKey = election.ballotKeys[finalDelegate];
+        if (delegateKey != bytes32(0)) {
+            _tallyBallot(election, election.ballots[delegateKey], weight);
+            election.ballotWeights[delegateKey] += weight;
+            election.totalVotesCast += weight;
+        }
+
+        emit VoteDelegatedV2(election.electionId, voter, delegateTo, finalDelegate, weight, block.timestamp);
+    }
+
+    function _revokeDelegation(Election storage election, address delegator) private {
+        address delegateTo = election.delegations[delegator];
+        uint256 weight = election.delegatorWeights[delegator] + election.delegatedWeight[delegator];
+
+        address finalDelegate = delegateTo;
+        while (true) {
+            election.delegatedWeight[finalDelegate] -= weight;
+            address next = election.delegations[finalDelegate];
+            if (next == address(0)) break;
+            finalDelegate = next;
+        }
+        require(election.ballotKeys[finalDelegate] == bytes32(0), "Delegate already voted");
+
+        delete election.delegations[delegator];
+        delete election.delegatorWeights[delegator];
+        emit DelegationRevokedV2(election.electionId, delegator, delegateTo, weight, block.timestamp);
+    }
+
+    /// @dev Leading candidate of a position; outcome is Winner unless nobody leads alone
+    function _leader(Election storage election, uint256 positionIndex)
+        private
+        view
+        returns (PositionResult memory result)
+    {
+        uint256 candidateCount = election.positions[positionIndex].candidates.length;
+        bool tied = true;
+        for (uint256 c = 0; c < candidateCount; c++) {
+            uint256 votes = election.tallies[positionIndex][c];
+            if (votes > result.winnerVotes) {
+                result.winner = c;
+                result.winnerVotes = votes;
+                tied = false;
+            } else if (votes == result.winnerVotes) {
+                tied = true;
+            }
+        }
+        result.outcome = tied ? Outcome.RunoffRequired : Outcome.Winner;
+    }
+
+    function _tallyBallot(Election storage election, uint256[][] storage ballot, uint256 weight) private {
+        _applyBallot(election, ballot, weight, true);
+    }
+
+    function _untallyBallot(Election storage election, uint256[][] storage ballot, uint256 weight) private {
+        _applyBallot(election, ballot, weight, false);
+    }
+
+    function _applyBallot(Election storage election, uint256[][] storage ballot, uint256 weight, bool add) private {
+        Position[] storage positions = election.positions;
+        for (uint256 i = 0; i < ballot.length; i++) {
+            uint256 counted = ballot[i].length;
+            if (positions[i].ballotType == BallotType.Ranked && counted > 1) {
+                counted = 1;
+            }
+            for (uint256 j = 0; j < counted; j++) {
+                if (add) {
+                    election.tallies[i][ballot[i][j]] += weight;
+                } else {
+                    election.tallies[i][ballot[i][j]] -= weight;
+                }
+            }
+        }
+    }
+
+    function _emitVoteChanged(Election storage election, address voter, bytes32 keyHash) private {
+        emit VoteChangedV2(
+            election.electionId,
+            keyHash,
+            election.allowAnonymous ? address(0) : voter,
+            election.ballotWeights[keyHash],
+            block.timestamp
+        );
+    }
+}
@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/// @dev poseidon-solidity's PoseidonT3 library, called at its deployed address (contracts/zk/IdentityHasher.sol)
+interface IPoseidonT3 {
+    function hash(uint256[2] memory inputs) external pure returns (uint256);
+}
+
+/**
+ * @title IdentityTreeLib - Incremental Poseidon Merkle tree of identity commitments
+ * @notice Append-only tree matching circuits/anonymousVote.circom: depth 16, zero leaf 0,
+ *         nodes hashed with Poseidon(left, right). Every root the tree has had stays valid
+ *         so that proofs generated before later registrations still verify.
+ * @dev PoseidonT3 is called rather than linked so that it stays out of the viaIR build.
+ */
+library IdentityTreeLib {
+    uint256 internal constant DEPTH = 16;
+
+    // BN254 scalar field; commitments, roots and nullifiers are elements of it
+    uint256 internal constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    struct Tree {
+        uint256 size;
+        uint256 root;
+        uint256[DEPTH] filledSubtrees; // Last left node seen at each level
+        mapping(uint256 => bool) knownRoots;
+    }
+
+    /// @dev Appends a leaf and returns its index and the new root
+    function insert(Tree storage tree, address hasher, uint256 leaf) internal returns (uint256 index, uint256 root) {
+        require(hasher != address(0), "No hasher");
+        require(leaf != 0 && leaf < SNARK_SCALAR_FIELD, "Invalid commitment");
+        index = tree.size;
+        require(index < 1 << DEPTH, "Tree full");
+
+        root = leaf;
+        uint256 position = index;
+        for (uint256 level = 0; level < DEPTH; level++) {
+            if (position & 1 == 0) {
+                tree.filledSubtrees[level] = root;
+                root = IPoseidonT3(hasher).hash([root, zeros(level)]);
+            } else {
+                root = IPoseidonT3(hasher).hash([tree.filledSubtrees[level], root]);
+            }
+            position >>= 1;
+        }
+
+        tree.size = index + 1;
+        tree.root = root;
+        tree.knownRoots[root] = true;
+    }
+
+    /// @dev Root of an empty subtree of height `level` (zeros(0) is the empty leaf)
+    function zeros(uint256 level) internal pure returns (uint256) {
+        if (level == 0) return 0;
+        if (level == 1) return 0x2098f5fb9e239eab3ceac3f27b81e481dc3124d55ffed523a839ee8446b64864;
+        if (level == 2) return 0x1069673dcdb12263df301a6ff584a7ec261a44cb9dc68df067a4774460b1f1e1;
+        if (level == 3) return 0x18f43331537ee2af2e3d758d50f72106467c6eea50371dd528d57eb2b856d238;
+        if (level == 4) return 0x07f9d837cb17b0d36320ffe93ba52345f1b728571a568265caac97559dbc952a;
+        if (level == 5) return 0x2b94cf5e8746b3f5c9631f4c5df32907a699c58c94b2ad4d7b5cec1639183f55;
+        if (level == 6) return 0x2dee93c5a666459646ea7d22cca9e1bcfed71e6951b953611d11dda32ea09d78;
+        if (level == 7) return 0x078295e5a22b84e982cf601eb639597b8b0515a88cb5ac7fa8a4aabe3c87349d;
+        if (level == 8) return 0x2fa5e5f18f6027a6501bec864564472a616b2e274a41211a444cbe3a99f3cc61;
+        if (level == 9) return 0x0e884376d0d8fd21ecb780389e941f66e45e7acce3e228ab3e2156a614fcd747;
+        if (level == 10) return 0x1b7201da72494f1e28717ad1a52eb469f95892f957713533de6175e5da190af2;
+        if (level == 11) return 0x1f8d8822725e36385200c0b201249819a6e6e1e4650808b5bebc6bface7d7636;
+        if (level == 12) return 0x2c5d82f66c914bafb9701589ba8cfcfb6162b0a12acf88a8d0879a0471b5f85a;
+        if (level == 13) return 0x14c54148a0940bb820957f5adf3fa1134ef5c4aaa113f4646458f270e0bfbfd0;
+        if (level == 14) return 0x190d33b12f986f961e10c0ee44d8b9af11be25588cad89d416118e4bf4ebe80c;
+        return 0x22f98aa9ce704152ac17354914ad73ed1167ae6596af510aa5b3649325e06c92;
+    }
+}
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title InviteLib - EIP-712 organization invitations
+ * @notice Org admins sign invitations off-chain; SafeVote.joinWithInvite checks and consumes
+ *         them. Linked into SafeVote as an external library to keep the main contract under
+ *         the EIP-170 size limit.
+ * @dev Functions run via DELEGATECALL, so address(this) in the domain is the SafeVote address.
+ *      An invite names its invitee, which is either the member's own address or the address
+ *      of a one-time key handed out as the invite code. Redeeming a code invite takes a
+ *      signature by that key over the redeemer's address, so a code seen in a pending
+ *      transaction cannot be replayed for someone else.
+ */
+library InviteLib {
+    enum InviteStatus { Open, Redeemed, Revoked }
+
+    struct Invite {
+        uint256 orgId;
+        address invitee;
+        uint256 expiry;
+        uint256 nonce; // Chosen by the admin; identifies the invite for revocation
+    }
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant INVITE_TYPEHASH =
+        keccak256("Invite(uint256 orgId,address invitee,uint256 expiry,uint256 nonce)");
+
+    /**
+     * @notice Check an invite's signatures and mark it redeemed
+     * @param statuses The org's invite statuses, by nonce
+     * @param codeSignature For code invites: the code key's personal_sign of
+     *        keccak256(abi.encode(inviteDigest, redeemer)). Ignored when the redeemer is the invitee.
+     * @return inviter The invite's signer; the caller checks it is an org admin
+     */
+    function redeem(
+        mapping(uint256 => InviteStatus) storage statuses,
+        Invite calldata invite,
+        bytes calldata signature,
+        bytes calldata codeSignature,
+        address redeemer
+    ) external returns (address inviter) {
+        require(block.timestamp <= invite.expiry, "Invite expired");
+        require(statuses[invite.nonce] == InviteStatus.Open, "Invite not available");
+
+        bytes32 digest = inviteDigest(invite);
+        inviter = _recover(digest, signature);
+        require(inviter != address(0), "Invalid invite signature");
+
+        if (redeemer != invite.invitee) {
+            bytes32 claim = MessageHashUtils.toEthSignedMessageHash(keccak256(abi.encode(digest, redeemer)));
+            require(
+                invite.invitee != address(0) && _recover(claim, codeSignature) == invite.invitee,
+                "Invalid invite code"
+            );
+        }
+
+        statuses[invite.nonce] = InviteStatus.Redeemed;
+    }
+
+    function inviteDigest(Invite calldata invite) internal view returns (bytes32) {
+        bytes32 domainSeparator = keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("SafeVote"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+        bytes32 structHash = keccak256(abi.encode(
+            INVITE_TYPEHASH,
+            invite.orgId,
+            invite.invitee,
+            invite.expiry,
+            invite.nonce
+        ));
+        return MessageHashUtils.toTypedDataHash(domainSeparator, structHash);
+    }
+
+    function _recover(bytes32 hash, bytes calldata signature) private pure returns (address signer) {
+        (signer, , ) = ECDSA.tryRecover(hash, signature);
+    }
+}
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/**
+ * @title OrgLib - V1 organizations and membership
+ * @notice Organization and member records and the writes that create them. Linked into
+ *         SafeVote as an external library, like PollLib, to keep the main contract under
+ *         the EIP-170 size limit; SafeVote keeps the mappings and checks who may call.
+ * @dev Functions run via DELEGATECALL, so events are emitted from the SafeVote address and
+ *      msg.sender is the account calling SafeVote.
+ */
+library OrgLib {
+    struct Organization {
+        string name;
+        string ensName;
+        address admin; // Creator; RolesLib tracks every current admin
+        bool isPublic;
+        bool exists;
+        uint256 createdAt;
+        uint256 memberCount;
+    }
+
+    struct Member {
+        address memberAddress;
+        uint256 joinedAt;
+        bool isActive;
+        uint256 votesParticipated;
+    }
+
+    event OrganizationCreated(
+        uint256 indexed orgId,
+        string name,
+        address indexed admin,
+        bool isPublic,
+        uint256 timestamp
+    );
+
+    event MemberAdded(
+        uint256 indexed orgId,
+        address indexed member,
+        address indexed addedBy,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Record a new organization with msg.sender as its admin and first member
+     * @param founder The creator's member record
+     * @param founderOrgs The creator's list of organizations
+     */
+    function create(
+        Organization storage org,
+        Member storage founder,
+        address[] storage memberList,
+        uint256[] storage founderOrgs,
+        uint256 orgId,
+        string memory name,
+        string memory ensName,
+        bool isPublic
+    ) external {
+        require(bytes(name).length > 0, "Name cannot be empty");
+
+        org.name = name;
+        org.ensName = ensName;
+        org.admin = msg.sender;
+        org.isPublic = isPublic;
+        org.exists = true;
+        org.createdAt = block.timestamp;
+        _join(org, founder, memberList, founderOrgs, orgId, msg.sender);
+
+        emit OrganizationCreated(orgId, name, msg.sender, isPublic, block.timestamp);
+    }
+
+    /// @notice Add `account` as an active member; SafeVote has checked it is not one already
+    function addMember(
+        Organization storage org,
+        Member storage member,
+        address[] storage memberList,
+        uint256[] storage memberOrgs,
+        uint256 orgId,
+        address account,
+        address addedBy
+    ) external {
+        _join(org, member, memberList, memberOrgs, orgId, account);
+
+        emit MemberAdded(orgId, account, addedBy, block.timestamp);
+    }
+
+    function _join(
+        Organization storage org,
+        Member storage member,
+        address[] storage memberList,
+        uint256[] storage memberOrgs,
+        uint256 orgId,
+        address account
+    ) private {
+        member.memberAddress = account;
+        member.joinedAt = block.timestamp;
+        member.isActive = true;
+        member.votesParticipated = 0;
+
+        memberList.push(account);
+        memberOrgs.push(orgId);
+        org.memberCount++;
+    }
+}
@@ -0,0 +1,214 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/**
+ * @title PollLib - V1 poll state, ballots and tallying
+ * @notice Holds the per-poll ledger (keys, voters, tallies) and the type-specific ballot and
+ *         completion logic. Linked into SafeVote as an external library, like ElectionLib,
+ *         to keep the main contract under the EIP-170 size limit.
+ * @dev Functions run via DELEGATECALL, so events are emitted from the SafeVote address.
+ */
+library PollLib {
+    // YesNo          - exactly one option
+    // MultipleChoice - any non-empty set of distinct options, one vote each (approval)
+    // RankedVoting   - an ordered list of distinct options, tallied as a Borda count:
+    //                  with n options the k-th preference (from 0) scores n - k points,
+    //                  unranked options score nothing
+    enum PollType { YesNo, MultipleChoice, RankedVoting }
+
+    enum PollStatus { Active, Completed, Cancelled }
+
+    // Recorded by complete(): FailedQuorum takes precedence over Tie
+    enum PollOutcome { Pending, Decided, Tie, FailedQuorum }
+
+    struct Poll {
+        uint256 pollId;
+        uint256 orgId;
+        address creator;
+        string question;
+        PollType pollType;
+        string[] options;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 totalVotes;
+        uint256 requiredQuorum; // Percentage (0-100) of the org's members who must vote
+        uint256 totalVotingKeys;
+        bool isAnonymous;
+        PollStatus status;
+        mapping(bytes32 => bool) usedVotingKeys;
+        mapping(uint256 => uint256) voteCounts; // optionIndex => votes (Borda points when ranked)
+        mapping(address => bool) hasVoted;
+        mapping(address => bool) authorizedVoters;
+        address[] voters;
+        // keccak256(abi.encodePacked(pollId, votingKey)) of each key the creator issued
+        mapping(bytes32 => bool) issuedKeyHashes;
+        uint256 issuedKeys;
+
+        // Set by complete()
+        PollOutcome outcome;
+        uint256 winningOption;
+    }
+
+    event PollCreated(
+        uint256 indexed pollId,
+        uint256 indexed orgId,
+        address indexed creator,
+        string question,
+        PollType pollType,
+        uint256 endTime,
+        uint256 timestamp
+    );
+
+    event VotingKeyGenerated(
+        uint256 indexed pollId,
+        bytes32 keyHash,
+        uint256 timestamp
+    );
+
+    event VoteCast(
+        uint256 indexed pollId,
+        uint256 indexed orgId,
+        address indexed voter,
+        uint256 optionIndex,
+        uint256 timestamp
+    );
+
+    event PollCompleted(
+        uint256 indexed pollId,
+        uint256 indexed orgId,
+        PollOutcome outcome,
+        uint256 winningOption,
+        uint256 winningVotes,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Open a new poll created by msg.sender, starting now. SafeVote has checked the
+     *         creator is an org member; voting keys are committed separately.
+     */
+    function create(
+        Poll storage poll,
+        uint256 pollId,
+        uint256 orgId,
+        string memory question,
+        PollType pollType,
+        string[] memory options,
+        uint256 durationInSeconds,
+        uint256 requiredQuorum,
+        uint256 numberOfKeys,
+        bool isAnonymous
+    ) external {
+        require(bytes(question).length > 0, "Question cannot be empty");
+        require(options.length >= 2, "At least 2 options required");
+        require(durationInSeconds >= 60, "Duration must be at least 1 minute");
+        require(requiredQuorum <= 100, "Quorum cannot exceed 100%");
+        require(numberOfKeys > 0, "Must generate at least 1 key");
+
+        poll.pollId = pollId;
+        poll.orgId = orgId;
+        poll.creator = msg.sender;
+        poll.question = question;
+        poll.pollType = pollType;
+        poll.options = options;
+        poll.startTime = block.timestamp;
+        poll.endTime = block.timestamp + durationInSeconds;
+        poll.totalVotes = 0;
+        poll.requiredQuorum = requiredQuorum;
+        poll.totalVotingKeys = numberOfKeys;
+        poll.isAnonymous = isAnonymous;
+        poll.status = PollStatus.Active;
+
+        emit PollCreated(pollId, orgId, msg.sender, question, pollType, poll.endTime, block.timestamp);
+    }
+
+    /// @notice Register key hashes for the poll; only its creator may
+    function commitKeys(Poll storage poll, bytes32[] calldata keyHashes) external {
+        require(msg.sender == poll.creator, "Only poll creator can generate keys");
+        require(poll.issuedKeys + keyHashes.length <= poll.totalVotingKeys, "Too many keys");
+
+        for (uint256 i = 0; i < keyHashes.length; i++) {
+            require(keyHashes[i] != bytes32(0) && !poll.issuedKeyHashes[keyHashes[i]], "Invalid key hash");
+            poll.issuedKeyHashes[keyHashes[i]] = true;
+            emit VotingKeyGenerated(poll.pollId, keyHashes[i], block.timestamp);
+        }
+        poll.issuedKeys += keyHashes.length;
+    }
+
+    /**
+     * @notice Record a ballot. optionIndexes is the single pick for YesNo, the chosen set for
+     *         MultipleChoice and the preference order for RankedVoting.
+     * @dev VoteCast carries the first entry (the pick, or the first preference)
+     */
+    function castBallot(
+        Poll storage poll,
+        address voter,
+        uint256[] memory optionIndexes,
+        bytes32 votingKey
+    ) external {
+        require(poll.authorizedVoters[voter], "Not authorized to vote");
+        require(!poll.hasVoted[voter], "Already voted");
+        require(poll.issuedKeyHashes[keccak256(abi.encodePacked(poll.pollId, votingKey))], "Invalid voting key");
+        require(!poll.usedVotingKeys[votingKey], "Voting key already used");
+
+        uint256 optionCount = poll.options.length;
+        require(optionIndexes.length > 0, "No option selected");
+        require(poll.pollType != PollType.YesNo || optionIndexes.length == 1, "Select exactly one option");
+
+        bool[] memory seen = new bool[](optionCount);
+        for (uint256 i = 0; i < optionIndexes.length; i++) {
+            uint256 option = optionIndexes[i];
+            require(option < optionCount, "Invalid option");
+            require(!seen[option], "Duplicate option");
+            seen[option] = true;
+
+            poll.voteCounts[option] += poll.pollType == PollType.RankedVoting ? optionCount - i : 1;
+        }
+
+        poll.usedVotingKeys[votingKey] = true;
+        poll.hasVoted[voter] = true;
+        poll.totalVotes++;
+        poll.voters.push(voter);
+
+        emit VoteCast(poll.pollId, poll.orgId, voter, optionIndexes[0], block.timestamp);
+    }
+
+    /**
+     * @notice Close the poll and record its outcome against the org's current member count
+     */
+    function complete(Poll storage poll, uint256 memberCount) external {
+        poll.status = PollStatus.Completed;
+
+        uint256 winningOption = 0;
+        uint256 maxVotes = 0;
+        bool tied = false;
+
+        for (uint256 i = 0; i < poll.options.length; i++) {
+            uint256 votes = poll.voteCounts[i];
+            if (votes > maxVotes) {
+                maxVotes = votes;
+                winningOption = i;
+                tied = false;
+            } else if (votes == maxVotes) {
+                tied = true;
+            }
+        }
+
+        PollOutcome outcome;
+        if (!quorumMet(poll, memberCount)) {
+            outcome = PollOutcome.FailedQuorum;
+        } else if (tied || maxVotes == 0) {
+            outcome = PollOutcome.Tie;
+        } else {
+            outcome = PollOutcome.Decided;
+        }
+
+        poll.outcome = outcome;
+        poll.winningOption = winningOption;
+
+        emit PollCompleted(poll.pollId, poll.orgId, outcome, winningOption, maxVotes, block.timestamp);
+    }
+
+    function quorumMet(Poll storage poll, uint256 memberCount) internal view returns (bool) {
+        return poll.totalVotes >= (memberCount * poll.requiredQuorum) / 100;
+    }
+}
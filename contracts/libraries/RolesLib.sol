@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/**
+ * @title RolesLib - Organization and election officials
+ * @notice Per-organization and per-election role registry, plus the M-of-N approvals an
+ *         election needs before it is cancelled. Linked into SafeVote as an external library
+ *         to keep the main contract under the EIP-170 size limit.
+ * @dev Functions run via DELEGATECALL, so events are emitted from the SafeVote address and
+ *      msg.sender is the account calling SafeVote.
+ */
+library RolesLib {
+    // Admin    - manages the organization or election and its roles (the creator starts as one)
+    // Official - approves cancellation alongside the admins, e.g. a returning officer
+    // Observer - listed publicly, no powers
+    enum Role { None, Admin, Official, Observer }
+
+    enum Scope { Organization, Election }
+
+    struct Roles {
+        mapping(address => Role) roles;
+        mapping(address => bool) listed;
+        address[] accounts; // Everyone ever granted a role, in grant order
+        uint256 admins;
+        uint256 officials; // Admins and officials: who may approve cancellation
+        // Elections: approvals needed to cancel; 0 or 1 lets any admin cancel alone
+        uint256 cancelThreshold;
+        mapping(address => bool) approvedCancel;
+        uint256 cancelApprovals;
+    }
+
+    event RoleGranted(
+        Scope indexed scope,
+        uint256 indexed id,
+        address indexed account,
+        Role role,
+        address grantedBy
+    );
+
+    event RoleRevoked(
+        Scope indexed scope,
+        uint256 indexed id,
+        address indexed account,
+        address revokedBy
+    );
+
+    event CancellationThresholdSetV2(
+        uint256 indexed electionId,
+        uint256 threshold,
+        uint256 timestamp
+    );
+
+    event CancellationApprovedV2(
+        uint256 indexed electionId,
+        address indexed official,
+        uint256 approvals,
+        uint256 required,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Give `account` a role, replacing any role it held
+     * @param officialsLocked Admins and officials are frozen (observers can still change),
+     *        e.g. while an election that needs several cancel approvals is running
+     */
+    function grant(
+        Roles storage self,
+        Scope scope,
+        uint256 id,
+        address account,
+        Role role,
+        bool officialsLocked
+    ) external {
+        require(account != address(0) && role != Role.None, "Invalid role");
+        Role current = self.roles[account];
+        require(current != role, "Role already held");
+        require(!officialsLocked || (role == Role.Observer && !_counts(current)), "Officials locked");
+
+        _release(self, account, current);
+        self.roles[account] = role;
+        if (role == Role.Admin) self.admins++;
+        if (_counts(role)) self.officials++;
+
+        if (!self.listed[account]) {
+            self.listed[account] = true;
+            self.accounts.push(account);
+        }
+
+        emit RoleGranted(scope, id, account, role, msg.sender);
+    }
+
+    function revoke(Roles storage self, Scope scope, uint256 id, address account, bool officialsLocked) external {
+        Role current = self.roles[account];
+        require(current != Role.None, "No role");
+        require(!officialsLocked || current == Role.Observer, "Officials locked");
+
+        _release(self, account, current);
+        self.roles[account] = Role.None;
+
+        emit RoleRevoked(scope, id, account, msg.sender);
+    }
+
+    function setCancelThreshold(Roles storage self, uint256 electionId, uint256 threshold) external {
+        require(threshold <= self.officials, "Threshold exceeds officials");
+        self.cancelThreshold = threshold;
+
+        emit CancellationThresholdSetV2(electionId, threshold, block.timestamp);
+    }
+
+    /**
+     * @notice Record an admin's or official's approval to cancel
+     * @return reached Whether the election now has enough approvals to be cancelled
+     */
+    function approveCancel(Roles storage self, uint256 electionId, address official) external returns (bool reached) {
+        Role role = self.roles[official];
+        require(role == Role.Admin || role == Role.Official, "Not an official");
+        require(!self.approvedCancel[official], "Already approved");
+
+        self.approvedCancel[official] = true;
+        uint256 approvals = ++self.cancelApprovals;
+
+        emit CancellationApprovedV2(electionId, official, approvals, self.cancelThreshold, block.timestamp);
+        return approvals >= self.cancelThreshold;
+    }
+
+    /// @notice Accounts currently holding a role, with their roles
+    function list(Roles storage self) external view returns (address[] memory accounts, Role[] memory roles) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < self.accounts.length; i++) {
+            if (self.roles[self.accounts[i]] != Role.None) count++;
+        }
+
+        accounts = new address[](count);
+        roles = new Role[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < self.accounts.length; i++) {
+            Role role = self.roles[self.accounts[i]];
+            if (role == Role.None) continue;
+            accounts[j] = self.accounts[i];
+            roles[j] = role;
+            j++;
+        }
+    }
+
+    function isAdmin(Roles storage self, address account) internal view returns (bool) {
+        return self.roles[account] == Role.Admin;
+    }
+
+    function _counts(Role role) private pure returns (bool) {
+        return role == Role.Admin || role == Role.Official;
+    }
+
+    /// @dev Take `account` out of the counts for its current role, dropping its approval.
+    ///      The last admin stays, and so do enough officials to reach the cancel threshold.
+    function _release(Roles storage self, address account, Role current) private {
+        if (current == Role.Admin) {
+            require(self.admins > 1, "Last admin");
+            self.admins--;
+        }
+        if (_counts(current)) {
+            require(self.officials > self.cancelThreshold || self.cancelThreshold <= 1, "Below cancel threshold");
+            self.officials--;
+            if (self.approvedCancel[account]) {
+                self.approvedCancel[account] = false;
+                self.cancelApprovals--;
+            }
+        }
+    }
+}
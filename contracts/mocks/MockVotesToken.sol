@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/**
+ * @title MockVotesToken - Stand-in for an ERC20Votes / ERC721Votes token in tests
+ * @dev Only the IVotes read SafeVote relies on; past votes are set directly per timepoint
+ */
+contract MockVotesToken {
+    mapping(address => mapping(uint256 => uint256)) private _pastVotes;
+
+    function setPastVotes(address account, uint256 timepoint, uint256 votes) external {
+        _pastVotes[account][timepoint] = votes;
+    }
+
+    function getPastVotes(address account, uint256 timepoint) external view returns (uint256) {
+        require(timepoint < block.number, "ERC5805FutureLookup");
+        return _pastVotes[account][timepoint];
+    }
+}
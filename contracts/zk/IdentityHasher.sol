@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+// Brings poseidon-solidity's PoseidonT3 library into the build so it can be deployed and
+// handed to SafeVote.setAnonymousVoteContracts. This file is compiled without viaIR (see
+// the overrides in hardhat.config.js); nothing in the viaIR build may import it.
+import "poseidon-solidity/PoseidonT3.sol";
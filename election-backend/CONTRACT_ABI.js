@@ -243,7 +243,7 @@ const SAFE_VOTE_V2_ABI = [
         type: 'bool',
       },
       {
-        internalType: 'enum SafeVote.ElectionStatus',
+        internalType: 'enum ElectionLib.ElectionStatus',
         name: 'status',
         type: 'uint8',
       },
@@ -264,11 +264,31 @@ const SAFE_VOTE_V2_ABI = [
             name: 'maxSelections',
             type: 'uint256',
           },
+          {
+            internalType: 'enum ElectionLib.BallotType',
+            name: 'ballotType',
+            type: 'uint8',
+          },
+          {
+            internalType: 'uint256',
+            name: 'winThreshold',
+            type: 'uint256',
+          },
         ],
-        internalType: 'struct SafeVote.Position[]',
+        internalType: 'struct ElectionLib.Position[]',
         name: 'positions',
         type: 'tuple[]',
       },
+      {
+        internalType: 'address[]',
+        name: 'officials',
+        type: 'address[]',
+      },
+      {
+        internalType: 'enum RolesLib.Role[]',
+        name: 'officialRoles',
+        type: 'uint8[]',
+      },
     ],
     stateMutability: 'view',
     type: 'function',
@@ -80,6 +80,9 @@ async function initializeTables() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(election_id, chain_id)
       );
+
+      -- Merkle leaf format of the voter tree: 'key' or 'address' (bound to the voter's wallet)
+      ALTER TABLE elections ADD COLUMN IF NOT EXISTS leaf_format VARCHAR(16) DEFAULT 'key';
     `);
     console.log('✅ Tables initialized');
   } catch (err) {
@@ -180,6 +183,7 @@ app.get('/api/elections/:uuid', async (req, res) => {
       allowAnonymous: row.allow_anonymous,
       allowDelegation: row.allow_delegation,
       merkleRoot: row.merkle_root,
+      leafFormat: row.leaf_format || 'key',
       positions: row.positions,
       voterAddresses: row.voter_addresses,
       createdAt: row.created_at,
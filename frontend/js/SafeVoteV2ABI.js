@@ -42,6 +42,44 @@ export const SAFE_VOTE_V2_ABI = [
       "name": "ReentrancyGuardReentrantCall",
       "type": "error"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "verifier",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "hasher",
+          "type": "address"
+        }
+      ],
+      "name": "AnonymousVoteContractsUpdated",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "previousSubmitter",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "newSubmitter",
+          "type": "address"
+        }
+      ],
+      "name": "BatchSubmitterUpdated",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -67,6 +105,105 @@ export const SAFE_VOTE_V2_ABI = [
       "name": "BatchVoteSubmittedV2",
       "type": "event"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "official",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "approvals",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "required",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "CancellationApprovedV2",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "threshold",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "CancellationThresholdSetV2",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "delegator",
+          "type": "address"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "delegate",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "weight",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "DelegationRevokedV2",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -160,6 +297,142 @@ export const SAFE_VOTE_V2_ABI = [
       "name": "ElectionCreatedV2",
       "type": "event"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "creator",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "previousEndTime",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "newEndTime",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "ElectionExtendedV2",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "voterKeyHash",
+          "type": "bytes32"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "identityCommitment",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "index",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "root",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "IdentityRegisteredV2",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "nonce",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "member",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "InviteRedeemed",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "nonce",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "InviteRevoked",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -356,6 +629,12 @@ export const SAFE_VOTE_V2_ABI = [
           "name": "orgId",
           "type": "uint256"
         },
+        {
+          "indexed": false,
+          "internalType": "enum PollLib.PollOutcome",
+          "name": "outcome",
+          "type": "uint8"
+        },
         {
           "indexed": false,
           "internalType": "uint256",
@@ -407,7 +686,7 @@ export const SAFE_VOTE_V2_ABI = [
         },
         {
           "indexed": false,
-          "internalType": "enum SafeVote.PollType",
+          "internalType": "enum PollLib.PollType",
           "name": "pollType",
           "type": "uint8"
         },
@@ -431,10 +710,121 @@ export const SAFE_VOTE_V2_ABI = [
       "anonymous": false,
       "inputs": [
         {
-          "indexed": false,
-          "internalType": "address",
-          "name": "account",
-          "type": "address"
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "resultsHash",
+          "type": "bytes32"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256[]",
+          "name": "winners",
+          "type": "uint256[]"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "turnout",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "certifiedBy",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "ResultsCertifiedV2",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "enum RolesLib.Scope",
+          "name": "scope",
+          "type": "uint8"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "id",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "enum RolesLib.Role",
+          "name": "role",
+          "type": "uint8"
+        },
+        {
+          "indexed": false,
+          "internalType": "address",
+          "name": "grantedBy",
+          "type": "address"
+        }
+      ],
+      "name": "RoleGranted",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "enum RolesLib.Scope",
+          "name": "scope",
+          "type": "uint8"
+        },
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "id",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "address",
+          "name": "revokedBy",
+          "type": "address"
+        }
+      ],
+      "name": "RoleRevoked",
+      "type": "event"
+    },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": false,
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
         }
       ],
       "name": "Unpaused",
@@ -520,6 +910,43 @@ export const SAFE_VOTE_V2_ABI = [
       "name": "VoteCastV2",
       "type": "event"
     },
+    {
+      "anonymous": false,
+      "inputs": [
+        {
+          "indexed": true,
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "indexed": true,
+          "internalType": "bytes32",
+          "name": "voterKeyHash",
+          "type": "bytes32"
+        },
+        {
+          "indexed": true,
+          "internalType": "address",
+          "name": "voter",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "weight",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
+        }
+      ],
+      "name": "VoteChangedV2",
+      "type": "event"
+    },
     {
       "anonymous": false,
       "inputs": [
@@ -541,6 +968,18 @@ export const SAFE_VOTE_V2_ABI = [
           "name": "delegate",
           "type": "address"
         },
+        {
+          "indexed": false,
+          "internalType": "address",
+          "name": "finalDelegate",
+          "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "weight",
+          "type": "uint256"
+        },
         {
           "indexed": false,
           "internalType": "uint256",
@@ -557,15 +996,21 @@ export const SAFE_VOTE_V2_ABI = [
         {
           "indexed": true,
           "internalType": "uint256",
-          "name": "pollId",
+          "name": "electionId",
           "type": "uint256"
         },
         {
-          "indexed": false,
+          "indexed": true,
           "internalType": "bytes32",
-          "name": "keyHash",
+          "name": "voterKeyHash",
           "type": "bytes32"
         },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "weight",
+          "type": "uint256"
+        },
         {
           "indexed": false,
           "internalType": "uint256",
@@ -573,232 +1018,177 @@ export const SAFE_VOTE_V2_ABI = [
           "type": "uint256"
         }
       ],
-      "name": "VotingKeyGenerated",
+      "name": "VoteRevealedV2",
       "type": "event"
     },
     {
+      "anonymous": false,
       "inputs": [
         {
+          "indexed": true,
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "electionId",
           "type": "uint256"
         },
         {
+          "indexed": true,
           "internalType": "address",
-          "name": "member",
+          "name": "creator",
           "type": "address"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "previousRoot",
+          "type": "bytes32"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "newRoot",
+          "type": "bytes32"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32[]",
+          "name": "revokedKeyHashes",
+          "type": "bytes32[]"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
         }
       ],
-      "name": "addMember",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
+      "name": "VoterKeysRevokedV2",
+      "type": "event"
     },
     {
+      "anonymous": false,
       "inputs": [
         {
+          "indexed": true,
           "internalType": "uint256",
-          "name": "pollId",
+          "name": "electionId",
           "type": "uint256"
         },
         {
+          "indexed": true,
           "internalType": "address",
-          "name": "voter",
+          "name": "creator",
           "type": "address"
-        }
-      ],
-      "name": "authorizeVoter",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "previousRoot",
+          "type": "bytes32"
+        },
+        {
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "newRoot",
+          "type": "bytes32"
+        },
         {
+          "indexed": false,
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "previousTotalVoters",
           "type": "uint256"
         },
         {
-          "internalType": "address[]",
-          "name": "members",
-          "type": "address[]"
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "newTotalVoters",
+          "type": "uint256"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
         }
       ],
-      "name": "batchAddMembers",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
+      "name": "VotersAppendedV2",
+      "type": "event"
     },
     {
+      "anonymous": false,
       "inputs": [
         {
+          "indexed": true,
           "internalType": "uint256",
           "name": "pollId",
           "type": "uint256"
         },
         {
-          "internalType": "address[]",
-          "name": "voters",
-          "type": "address[]"
+          "indexed": false,
+          "internalType": "bytes32",
+          "name": "keyHash",
+          "type": "bytes32"
+        },
+        {
+          "indexed": false,
+          "internalType": "uint256",
+          "name": "timestamp",
+          "type": "uint256"
         }
       ],
-      "name": "batchAuthorizeVoters",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
+      "name": "VotingKeyGenerated",
+      "type": "event"
     },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "electionId",
+          "name": "orgId",
           "type": "uint256"
-        }
-      ],
-      "name": "cancelElection",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
+        },
         {
-          "internalType": "uint256",
-          "name": "electionId",
-          "type": "uint256"
+          "internalType": "address",
+          "name": "member",
+          "type": "address"
         }
       ],
-      "name": "completeElection",
+      "name": "addMember",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
     },
     {
-      "inputs": [
+      "inputs": [],
+      "name": "anonymousVoteVerifier",
+      "outputs": [
         {
-          "internalType": "uint256",
-          "name": "pollId",
-          "type": "uint256"
+          "internalType": "address",
+          "name": "",
+          "type": "address"
         }
       ],
-      "name": "completePoll",
-      "outputs": [],
-      "stateMutability": "nonpayable",
+      "stateMutability": "view",
       "type": "function"
     },
     {
       "inputs": [
-        {
-          "internalType": "string",
-          "name": "title",
-          "type": "string"
-        },
-        {
-          "internalType": "string",
-          "name": "description",
-          "type": "string"
-        },
-        {
-          "internalType": "string",
-          "name": "location",
-          "type": "string"
-        },
-        {
-          "internalType": "uint256",
-          "name": "startTime",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint256",
-          "name": "endTime",
-          "type": "uint256"
-        },
         {
           "internalType": "uint256",
-          "name": "totalVoters",
+          "name": "electionId",
           "type": "uint256"
         },
         {
           "internalType": "bytes32",
-          "name": "voterMerkleRoot",
+          "name": "newRoot",
           "type": "bytes32"
         },
-        {
-          "internalType": "bool",
-          "name": "isPublic",
-          "type": "bool"
-        },
-        {
-          "internalType": "bool",
-          "name": "allowAnonymous",
-          "type": "bool"
-        },
-        {
-          "internalType": "bool",
-          "name": "allowDelegation",
-          "type": "bool"
-        },
-        {
-          "components": [
-            {
-              "internalType": "string",
-              "name": "title",
-              "type": "string"
-            },
-            {
-              "internalType": "string[]",
-              "name": "candidates",
-              "type": "string[]"
-            },
-            {
-              "internalType": "uint256",
-              "name": "maxSelections",
-              "type": "uint256"
-            }
-          ],
-          "internalType": "struct SafeVote.Position[]",
-          "name": "positions",
-          "type": "tuple[]"
-        }
-      ],
-      "name": "createElection",
-      "outputs": [
-        {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
-        }
-      ],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        {
-          "internalType": "string",
-          "name": "name",
-          "type": "string"
-        },
-        {
-          "internalType": "string",
-          "name": "ensName",
-          "type": "string"
-        },
-        {
-          "internalType": "bool",
-          "name": "isPublic",
-          "type": "bool"
-        }
-      ],
-      "name": "createOrganization",
-      "outputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "newTotalVoters",
           "type": "uint256"
         }
       ],
+      "name": "appendVoters",
+      "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
     },
@@ -806,53 +1196,17 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "orgId",
-          "type": "uint256"
-        },
-        {
-          "internalType": "string",
-          "name": "question",
-          "type": "string"
-        },
-        {
-          "internalType": "enum SafeVote.PollType",
-          "name": "pollType",
-          "type": "uint8"
-        },
-        {
-          "internalType": "string[]",
-          "name": "options",
-          "type": "string[]"
-        },
-        {
-          "internalType": "uint256",
-          "name": "durationInSeconds",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint256",
-          "name": "requiredQuorum",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint256",
-          "name": "numberOfKeys",
+          "name": "pollId",
           "type": "uint256"
         },
         {
-          "internalType": "bool",
-          "name": "isAnonymous",
-          "type": "bool"
-        }
-      ],
-      "name": "createPoll",
-      "outputs": [
-        {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
+          "internalType": "address",
+          "name": "voter",
+          "type": "address"
         }
       ],
+      "name": "authorizeVoter",
+      "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
     },
@@ -860,16 +1214,16 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "electionId",
           "type": "uint256"
         },
         {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
+          "internalType": "bytes32",
+          "name": "keyHash",
+          "type": "bytes32"
         }
       ],
-      "name": "creatorElections",
+      "name": "ballotWeights",
       "outputs": [
         {
           "internalType": "uint256",
@@ -881,32 +1235,44 @@ export const SAFE_VOTE_V2_ABI = [
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "currentChainId",
-      "outputs": [
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "orgId",
           "type": "uint256"
+        },
+        {
+          "internalType": "address[]",
+          "name": "members",
+          "type": "address[]"
         }
       ],
-      "stateMutability": "view",
+      "name": "batchAddMembers",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "pollId",
           "type": "uint256"
         },
         {
-          "internalType": "address",
-          "name": "",
-          "type": "address"
+          "internalType": "address[]",
+          "name": "voters",
+          "type": "address[]"
         }
       ],
-      "name": "delegations",
+      "name": "batchAuthorizeVoters",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "batchSubmitter",
       "outputs": [
         {
           "internalType": "address",
@@ -925,7 +1291,7 @@ export const SAFE_VOTE_V2_ABI = [
           "type": "uint256"
         }
       ],
-      "name": "deleteElection",
+      "name": "cancelElection",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -934,83 +1300,110 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "electionId",
           "type": "uint256"
         },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "root",
           "type": "uint256"
         },
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "nullifierHash",
           "type": "uint256"
-        }
-      ],
-      "name": "electionVotes",
-      "outputs": [
+        },
         {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
+          "internalType": "uint256[][]",
+          "name": "votes",
+          "type": "uint256[][]"
+        },
+        {
+          "internalType": "uint256[8]",
+          "name": "proof",
+          "type": "uint256[8]"
         }
       ],
-      "stateMutability": "view",
+      "name": "castAnonymousVote",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
-        {
-          "internalType": "string",
-          "name": "",
-          "type": "string"
-        }
-      ],
-      "name": "ensToOrgId",
-      "outputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "electionId",
           "type": "uint256"
         }
       ],
-      "stateMutability": "view",
+      "name": "certifyResults",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
-          "internalType": "uint256",
-          "name": "pollId",
-          "type": "uint256"
-        }
-      ],
-      "name": "generateVotingKeys",
-      "outputs": [
+          "internalType": "address",
+          "name": "voter",
+          "type": "address"
+        },
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "voterKey",
+          "type": "bytes32"
+        },
         {
           "internalType": "bytes32[]",
-          "name": "",
+          "name": "merkleProof",
           "type": "bytes32[]"
+        },
+        {
+          "internalType": "uint256[][]",
+          "name": "votes",
+          "type": "uint256[][]"
         }
       ],
-      "stateMutability": "nonpayable",
+      "name": "checkVoteFor",
+      "outputs": [],
+      "stateMutability": "view",
       "type": "function"
     },
     {
       "inputs": [
         {
-          "internalType": "address",
-          "name": "creator",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "pollId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "votingKey",
+          "type": "bytes32"
         }
       ],
-      "name": "getCreatorElections",
+      "name": "checkVotingKey",
       "outputs": [
         {
-          "internalType": "uint256[]",
-          "name": "",
-          "type": "uint256[]"
+          "internalType": "bool",
+          "name": "issued",
+          "type": "bool"
+        },
+        {
+          "internalType": "bool",
+          "name": "used",
+          "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "issuedKeys",
+          "type": "uint256"
         }
       ],
       "stateMutability": "view",
@@ -1022,20 +1415,74 @@ export const SAFE_VOTE_V2_ABI = [
           "internalType": "uint256",
           "name": "electionId",
           "type": "uint256"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "voterKey",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "bytes32[]",
+          "name": "merkleProof",
+          "type": "bytes32[]"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "commitment",
+          "type": "bytes32"
         }
       ],
-      "name": "getElection",
-      "outputs": [
+      "name": "commitVote",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "electionId_",
+          "name": "pollId",
           "type": "uint256"
         },
         {
-          "internalType": "address",
-          "name": "creator",
-          "type": "address"
-        },
+          "internalType": "bytes32[]",
+          "name": "keyHashes",
+          "type": "bytes32[]"
+        }
+      ],
+      "name": "commitVotingKeys",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        }
+      ],
+      "name": "completeElection",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "pollId",
+          "type": "uint256"
+        }
+      ],
+      "name": "completePoll",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "string",
           "name": "title",
@@ -1051,11 +1498,6 @@ export const SAFE_VOTE_V2_ABI = [
           "name": "location",
           "type": "string"
         },
-        {
-          "internalType": "uint256",
-          "name": "createdAt",
-          "type": "uint256"
-        },
         {
           "internalType": "uint256",
           "name": "startTime",
@@ -1068,12 +1510,7 @@ export const SAFE_VOTE_V2_ABI = [
         },
         {
           "internalType": "uint256",
-          "name": "totalRegisteredVoters",
-          "type": "uint256"
-        },
-        {
-          "internalType": "uint256",
-          "name": "totalVotesCast",
+          "name": "totalVoters",
           "type": "uint256"
         },
         {
@@ -1092,36 +1529,1198 @@ export const SAFE_VOTE_V2_ABI = [
           "type": "bool"
         },
         {
-          "internalType": "bool",
-          "name": "allowDelegation",
-          "type": "bool"
-        },
+          "internalType": "bool",
+          "name": "allowDelegation",
+          "type": "bool"
+        },
+        {
+          "components": [
+            {
+              "internalType": "string",
+              "name": "title",
+              "type": "string"
+            },
+            {
+              "internalType": "string[]",
+              "name": "candidates",
+              "type": "string[]"
+            },
+            {
+              "internalType": "uint256",
+              "name": "maxSelections",
+              "type": "uint256"
+            },
+            {
+              "internalType": "enum ElectionLib.BallotType",
+              "name": "ballotType",
+              "type": "uint8"
+            },
+            {
+              "internalType": "uint256",
+              "name": "winThreshold",
+              "type": "uint256"
+            }
+          ],
+          "internalType": "struct ElectionLib.Position[]",
+          "name": "positions",
+          "type": "tuple[]"
+        },
+        {
+          "components": [
+            {
+              "internalType": "bool",
+              "name": "secretBallot",
+              "type": "bool"
+            },
+            {
+              "internalType": "uint256",
+              "name": "revealPeriod",
+              "type": "uint256"
+            },
+            {
+              "internalType": "bool",
+              "name": "allowRevote",
+              "type": "bool"
+            },
+            {
+              "internalType": "enum ElectionLib.QuorumType",
+              "name": "quorumType",
+              "type": "uint8"
+            },
+            {
+              "internalType": "uint256",
+              "name": "quorum",
+              "type": "uint256"
+            },
+            {
+              "internalType": "enum ElectionLib.Eligibility",
+              "name": "eligibility",
+              "type": "uint8"
+            },
+            {
+              "internalType": "address",
+              "name": "token",
+              "type": "address"
+            },
+            {
+              "internalType": "uint256",
+              "name": "snapshotBlock",
+              "type": "uint256"
+            },
+            {
+              "internalType": "bool",
+              "name": "addressBoundLeaf",
+              "type": "bool"
+            },
+            {
+              "internalType": "bool",
+              "name": "zkAnonymous",
+              "type": "bool"
+            }
+          ],
+          "internalType": "struct ElectionLib.ElectionSettings",
+          "name": "settings",
+          "type": "tuple"
+        }
+      ],
+      "name": "createElection",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "string",
+          "name": "name",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "ensName",
+          "type": "string"
+        },
+        {
+          "internalType": "bool",
+          "name": "isPublic",
+          "type": "bool"
+        }
+      ],
+      "name": "createOrganization",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "string",
+          "name": "question",
+          "type": "string"
+        },
+        {
+          "internalType": "enum PollLib.PollType",
+          "name": "pollType",
+          "type": "uint8"
+        },
+        {
+          "internalType": "string[]",
+          "name": "options",
+          "type": "string[]"
+        },
+        {
+          "internalType": "uint256",
+          "name": "durationInSeconds",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "requiredQuorum",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "numberOfKeys",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bool",
+          "name": "isAnonymous",
+          "type": "bool"
+        }
+      ],
+      "name": "createPoll",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "name": "creatorElections",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "currentChainId",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "voter",
+          "type": "address"
+        }
+      ],
+      "name": "delegatedWeight",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "voter",
+          "type": "address"
+        }
+      ],
+      "name": "delegations",
+      "outputs": [
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        }
+      ],
+      "name": "deleteElection",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        }
+      ],
+      "name": "electionSettings",
+      "outputs": [
+        {
+          "internalType": "bool",
+          "name": "secretBallot",
+          "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "revealPeriod",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bool",
+          "name": "allowRevote",
+          "type": "bool"
+        },
+        {
+          "internalType": "enum ElectionLib.QuorumType",
+          "name": "quorumType",
+          "type": "uint8"
+        },
+        {
+          "internalType": "uint256",
+          "name": "quorum",
+          "type": "uint256"
+        },
+        {
+          "internalType": "enum ElectionLib.Eligibility",
+          "name": "eligibility",
+          "type": "uint8"
+        },
+        {
+          "internalType": "address",
+          "name": "token",
+          "type": "address"
+        },
+        {
+          "internalType": "uint256",
+          "name": "snapshotBlock",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bool",
+          "name": "addressBoundLeaf",
+          "type": "bool"
+        },
+        {
+          "internalType": "bool",
+          "name": "zkAnonymous",
+          "type": "bool"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "positionIndex",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "candidateIndex",
+          "type": "uint256"
+        }
+      ],
+      "name": "electionVotes",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        }
+      ],
+      "name": "ensToOrgId",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "newEndTime",
+          "type": "uint256"
+        }
+      ],
+      "name": "extendElection",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getCancellationStatus",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "required",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "approvals",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getCertification",
+      "outputs": [
+        {
+          "components": [
+            {
+              "internalType": "bytes32",
+              "name": "resultsHash",
+              "type": "bytes32"
+            },
+            {
+              "internalType": "uint256",
+              "name": "certifiedAt",
+              "type": "uint256"
+            },
+            {
+              "internalType": "address",
+              "name": "certifiedBy",
+              "type": "address"
+            }
+          ],
+          "internalType": "struct ElectionLib.Certification",
+          "name": "",
+          "type": "tuple"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "creator",
+          "type": "address"
+        }
+      ],
+      "name": "getCreatorElections",
+      "outputs": [
+        {
+          "internalType": "uint256[]",
+          "name": "",
+          "type": "uint256[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "address",
+          "name": "creator",
+          "type": "address"
+        },
+        {
+          "internalType": "uint256",
+          "name": "offset",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "limit",
+          "type": "uint256"
+        }
+      ],
+      "name": "getCreatorElectionsPaged",
+      "outputs": [
+        {
+          "internalType": "uint256[]",
+          "name": "electionIds",
+          "type": "uint256[]"
+        },
+        {
+          "internalType": "uint256",
+          "name": "total",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getElection",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId_",
+          "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "creator",
+          "type": "address"
+        },
+        {
+          "internalType": "string",
+          "name": "title",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "description",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "location",
+          "type": "string"
+        },
+        {
+          "internalType": "uint256",
+          "name": "createdAt",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "startTime",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "endTime",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "totalRegisteredVoters",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "totalVotesCast",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "voterMerkleRoot",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "bool",
+          "name": "isPublic",
+          "type": "bool"
+        },
+        {
+          "internalType": "bool",
+          "name": "allowAnonymous",
+          "type": "bool"
+        },
+        {
+          "internalType": "bool",
+          "name": "allowDelegation",
+          "type": "bool"
+        },
+        {
+          "internalType": "enum ElectionLib.ElectionStatus",
+          "name": "status",
+          "type": "uint8"
+        },
+        {
+          "components": [
+            {
+              "internalType": "string",
+              "name": "title",
+              "type": "string"
+            },
+            {
+              "internalType": "string[]",
+              "name": "candidates",
+              "type": "string[]"
+            },
+            {
+              "internalType": "uint256",
+              "name": "maxSelections",
+              "type": "uint256"
+            },
+            {
+              "internalType": "enum ElectionLib.BallotType",
+              "name": "ballotType",
+              "type": "uint8"
+            },
+            {
+              "internalType": "uint256",
+              "name": "winThreshold",
+              "type": "uint256"
+            }
+          ],
+          "internalType": "struct ElectionLib.Position[]",
+          "name": "positions",
+          "type": "tuple[]"
+        },
+        {
+          "internalType": "address[]",
+          "name": "officials",
+          "type": "address[]"
+        },
+        {
+          "internalType": "enum RolesLib.Role[]",
+          "name": "officialRoles",
+          "type": "uint8[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getElectionOutcome",
+      "outputs": [
+        {
+          "internalType": "bool",
+          "name": "quorumReached",
+          "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "turnout",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "quorumRequired",
+          "type": "uint256"
+        },
+        {
+          "components": [
+            {
+              "internalType": "enum ElectionLib.Outcome",
+              "name": "outcome",
+              "type": "uint8"
+            },
+            {
+              "internalType": "uint256",
+              "name": "winner",
+              "type": "uint256"
+            },
+            {
+              "internalType": "uint256",
+              "name": "winnerVotes",
+              "type": "uint256"
+            }
+          ],
+          "internalType": "struct ElectionLib.PositionResult[]",
+          "name": "results",
+          "type": "tuple[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "positionIndex",
+          "type": "uint256"
+        }
+      ],
+      "name": "getElectionResults",
+      "outputs": [
+        {
+          "internalType": "string[]",
+          "name": "candidates",
+          "type": "string[]"
+        },
+        {
+          "internalType": "uint256[]",
+          "name": "votesCast",
+          "type": "uint256[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getElectionResultsAll",
+      "outputs": [
+        {
+          "internalType": "uint256[][]",
+          "name": "votesCast",
+          "type": "uint256[][]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "enum ElectionLib.ElectionStatus",
+          "name": "status",
+          "type": "uint8"
+        },
+        {
+          "internalType": "uint256",
+          "name": "offset",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "limit",
+          "type": "uint256"
+        }
+      ],
+      "name": "getElectionsByStatus",
+      "outputs": [
+        {
+          "internalType": "uint256[]",
+          "name": "electionIds",
+          "type": "uint256[]"
+        },
+        {
+          "internalType": "uint256",
+          "name": "total",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "member",
+          "type": "address"
+        }
+      ],
+      "name": "getMemberInfo",
+      "outputs": [
+        {
+          "internalType": "uint256",
+          "name": "joinedAt",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bool",
+          "name": "isActive",
+          "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "votesParticipated",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getOrganization",
+      "outputs": [
+        {
+          "internalType": "string",
+          "name": "name",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "ensName",
+          "type": "string"
+        },
+        {
+          "internalType": "address",
+          "name": "admin",
+          "type": "address"
+        },
+        {
+          "internalType": "bool",
+          "name": "isPublic",
+          "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "createdAt",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "memberCount",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getOrganizationMembers",
+      "outputs": [
+        {
+          "internalType": "address[]",
+          "name": "",
+          "type": "address[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "offset",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "limit",
+          "type": "uint256"
+        }
+      ],
+      "name": "getOrganizationMembersPaged",
+      "outputs": [
+        {
+          "internalType": "address[]",
+          "name": "members",
+          "type": "address[]"
+        },
+        {
+          "internalType": "uint256",
+          "name": "total",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getOrganizationPolls",
+      "outputs": [
+        {
+          "internalType": "uint256[]",
+          "name": "",
+          "type": "uint256[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "orgId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getOrganizationRoles",
+      "outputs": [
+        {
+          "internalType": "address[]",
+          "name": "accounts",
+          "type": "address[]"
+        },
+        {
+          "internalType": "enum RolesLib.Role[]",
+          "name": "roles",
+          "type": "uint8[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "pollId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getPoll",
+      "outputs": [
+        {
+          "components": [
+            {
+              "internalType": "uint256",
+              "name": "pollId",
+              "type": "uint256"
+            },
+            {
+              "internalType": "uint256",
+              "name": "orgId",
+              "type": "uint256"
+            },
+            {
+              "internalType": "address",
+              "name": "creator",
+              "type": "address"
+            },
+            {
+              "internalType": "string",
+              "name": "question",
+              "type": "string"
+            },
+            {
+              "internalType": "enum PollLib.PollType",
+              "name": "pollType",
+              "type": "uint8"
+            },
+            {
+              "internalType": "string[]",
+              "name": "options",
+              "type": "string[]"
+            },
+            {
+              "internalType": "uint256",
+              "name": "startTime",
+              "type": "uint256"
+            },
+            {
+              "internalType": "uint256",
+              "name": "endTime",
+              "type": "uint256"
+            },
+            {
+              "internalType": "uint256",
+              "name": "totalVotes",
+              "type": "uint256"
+            },
+            {
+              "internalType": "uint256",
+              "name": "requiredQuorum",
+              "type": "uint256"
+            },
+            {
+              "internalType": "uint256",
+              "name": "totalVotingKeys",
+              "type": "uint256"
+            },
+            {
+              "internalType": "bool",
+              "name": "isAnonymous",
+              "type": "bool"
+            },
+            {
+              "internalType": "enum PollLib.PollStatus",
+              "name": "status",
+              "type": "uint8"
+            }
+          ],
+          "internalType": "struct SafeVote.PollInfo",
+          "name": "",
+          "type": "tuple"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "pollId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getPollResults",
+      "outputs": [
+        {
+          "internalType": "string[]",
+          "name": "options",
+          "type": "string[]"
+        },
+        {
+          "internalType": "uint256[]",
+          "name": "votes",
+          "type": "uint256[]"
+        },
+        {
+          "internalType": "uint256",
+          "name": "totalVotes",
+          "type": "uint256"
+        },
+        {
+          "internalType": "enum PollLib.PollStatus",
+          "name": "status",
+          "type": "uint8"
+        },
+        {
+          "internalType": "bool",
+          "name": "quorumMet",
+          "type": "bool"
+        },
+        {
+          "internalType": "enum PollLib.PollOutcome",
+          "name": "outcome",
+          "type": "uint8"
+        },
+        {
+          "internalType": "uint256",
+          "name": "winningOption",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "pollId",
+          "type": "uint256"
+        }
+      ],
+      "name": "getPollVoters",
+      "outputs": [
+        {
+          "internalType": "address[]",
+          "name": "",
+          "type": "address[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "pollId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "offset",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "limit",
+          "type": "uint256"
+        }
+      ],
+      "name": "getPollVotersPaged",
+      "outputs": [
+        {
+          "internalType": "address[]",
+          "name": "voters",
+          "type": "address[]"
+        },
+        {
+          "internalType": "uint256",
+          "name": "total",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "getPublicOrganizations",
+      "outputs": [
+        {
+          "internalType": "uint256[]",
+          "name": "",
+          "type": "uint256[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "offset",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "limit",
+          "type": "uint256"
+        }
+      ],
+      "name": "getPublicOrganizationsPaged",
+      "outputs": [
         {
-          "internalType": "enum SafeVote.ElectionStatus",
-          "name": "status",
-          "type": "uint8"
+          "internalType": "uint256[]",
+          "name": "orgIds",
+          "type": "uint256[]"
         },
         {
-          "components": [
-            {
-              "internalType": "string",
-              "name": "title",
-              "type": "string"
-            },
-            {
-              "internalType": "string[]",
-              "name": "candidates",
-              "type": "string[]"
-            },
-            {
-              "internalType": "uint256",
-              "name": "maxSelections",
-              "type": "uint256"
-            }
-          ],
-          "internalType": "struct SafeVote.Position[]",
-          "name": "positions",
-          "type": "tuple[]"
+          "internalType": "uint256",
+          "name": "total",
+          "type": "uint256"
         }
       ],
       "stateMutability": "view",
@@ -1138,19 +2737,34 @@ export const SAFE_VOTE_V2_ABI = [
           "internalType": "uint256",
           "name": "positionIndex",
           "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "offset",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "limit",
+          "type": "uint256"
         }
       ],
-      "name": "getElectionResults",
+      "name": "getRankedBallots",
       "outputs": [
         {
-          "internalType": "string[]",
-          "name": "candidates",
-          "type": "string[]"
+          "internalType": "uint256[][]",
+          "name": "rankings",
+          "type": "uint256[][]"
         },
         {
           "internalType": "uint256[]",
-          "name": "votesCast",
+          "name": "weights",
           "type": "uint256[]"
+        },
+        {
+          "internalType": "uint256",
+          "name": "total",
+          "type": "uint256"
         }
       ],
       "stateMutability": "view",
@@ -1160,30 +2774,30 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "electionId",
           "type": "uint256"
-        },
-        {
-          "internalType": "address",
-          "name": "member",
-          "type": "address"
         }
       ],
-      "name": "getMemberInfo",
+      "name": "getRevealStatus",
       "outputs": [
         {
           "internalType": "uint256",
-          "name": "joinedAt",
+          "name": "revealDeadline",
           "type": "uint256"
         },
         {
-          "internalType": "bool",
-          "name": "isActive",
-          "type": "bool"
+          "internalType": "uint256",
+          "name": "committed",
+          "type": "uint256"
         },
         {
           "internalType": "uint256",
-          "name": "votesParticipated",
+          "name": "unrevealed",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "unrevealedWeight",
           "type": "uint256"
         }
       ],
@@ -1191,63 +2805,141 @@ export const SAFE_VOTE_V2_ABI = [
       "type": "function"
     },
     {
-      "inputs": [
+      "inputs": [],
+      "name": "getTotalElections",
+      "outputs": [
         {
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "",
           "type": "uint256"
         }
       ],
-      "name": "getOrganization",
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "getTotalOrganizations",
       "outputs": [
         {
-          "internalType": "string",
-          "name": "name",
-          "type": "string"
-        },
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "getTotalPolls",
+      "outputs": [
         {
-          "internalType": "string",
-          "name": "ensName",
-          "type": "string"
-        },
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "address",
-          "name": "admin",
+          "name": "user",
           "type": "address"
-        },
+        }
+      ],
+      "name": "getUserOrganizations",
+      "outputs": [
         {
-          "internalType": "bool",
-          "name": "isPublic",
-          "type": "bool"
-        },
+          "internalType": "uint256[]",
+          "name": "",
+          "type": "uint256[]"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "createdAt",
+          "name": "electionId",
           "type": "uint256"
         },
+        {
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
+        },
+        {
+          "internalType": "enum RolesLib.Role",
+          "name": "role",
+          "type": "uint8"
+        }
+      ],
+      "name": "grantElectionRole",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "memberCount",
+          "name": "orgId",
           "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "account",
+          "type": "address"
+        },
+        {
+          "internalType": "enum RolesLib.Role",
+          "name": "role",
+          "type": "uint8"
         }
       ],
-      "stateMutability": "view",
+      "name": "grantOrgRole",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "pollId",
           "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "voter",
+          "type": "address"
         }
       ],
-      "name": "getOrganizationMembers",
+      "name": "hasVoted",
       "outputs": [
         {
-          "internalType": "address[]",
+          "internalType": "bool",
           "name": "",
-          "type": "address[]"
+          "type": "bool"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "identityHasher",
+      "outputs": [
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
         }
       ],
       "stateMutability": "view",
@@ -1257,16 +2949,21 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "electionId",
           "type": "uint256"
         }
       ],
-      "name": "getOrganizationPolls",
+      "name": "identityTree",
       "outputs": [
         {
-          "internalType": "uint256[]",
-          "name": "",
-          "type": "uint256[]"
+          "internalType": "uint256",
+          "name": "root",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "size",
+          "type": "uint256"
         }
       ],
       "stateMutability": "view",
@@ -1276,16 +2973,21 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
           "type": "uint256"
         }
       ],
-      "name": "getOrganizationSecretKey",
+      "name": "inviteStatus",
       "outputs": [
         {
-          "internalType": "bytes32",
+          "internalType": "enum InviteLib.InviteStatus",
           "name": "",
-          "type": "bytes32"
+          "type": "uint8"
         }
       ],
       "stateMutability": "view",
@@ -1297,119 +2999,100 @@ export const SAFE_VOTE_V2_ABI = [
           "internalType": "uint256",
           "name": "pollId",
           "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "voter",
+          "type": "address"
         }
       ],
-      "name": "getPoll",
-      "outputs": [
-        {
-          "components": [
-            {
-              "internalType": "uint256",
-              "name": "pollId",
-              "type": "uint256"
-            },
-            {
-              "internalType": "uint256",
-              "name": "orgId",
-              "type": "uint256"
-            },
-            {
-              "internalType": "address",
-              "name": "creator",
-              "type": "address"
-            },
-            {
-              "internalType": "string",
-              "name": "question",
-              "type": "string"
-            },
-            {
-              "internalType": "enum SafeVote.PollType",
-              "name": "pollType",
-              "type": "uint8"
-            },
-            {
-              "internalType": "string[]",
-              "name": "options",
-              "type": "string[]"
-            },
-            {
-              "internalType": "uint256",
-              "name": "startTime",
-              "type": "uint256"
-            },
+      "name": "isAuthorizedVoter",
+      "outputs": [
+        {
+          "internalType": "bool",
+          "name": "",
+          "type": "bool"
+        }
+      ],
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "components": [
             {
               "internalType": "uint256",
-              "name": "endTime",
+              "name": "orgId",
               "type": "uint256"
             },
             {
-              "internalType": "uint256",
-              "name": "totalVotes",
-              "type": "uint256"
+              "internalType": "address",
+              "name": "invitee",
+              "type": "address"
             },
             {
               "internalType": "uint256",
-              "name": "requiredQuorum",
+              "name": "expiry",
               "type": "uint256"
             },
             {
               "internalType": "uint256",
-              "name": "totalVotingKeys",
+              "name": "nonce",
               "type": "uint256"
-            },
-            {
-              "internalType": "bool",
-              "name": "isAnonymous",
-              "type": "bool"
-            },
-            {
-              "internalType": "enum SafeVote.PollStatus",
-              "name": "status",
-              "type": "uint8"
             }
           ],
-          "internalType": "struct SafeVote.PollInfo",
-          "name": "",
+          "internalType": "struct InviteLib.Invite",
+          "name": "invite",
           "type": "tuple"
+        },
+        {
+          "internalType": "bytes",
+          "name": "signature",
+          "type": "bytes"
+        },
+        {
+          "internalType": "bytes",
+          "name": "codeSignature",
+          "type": "bytes"
         }
       ],
-      "stateMutability": "view",
+      "name": "joinWithInvite",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "pollId",
+          "name": "orgId",
           "type": "uint256"
         }
       ],
-      "name": "getPollResults",
-      "outputs": [
-        {
-          "internalType": "string[]",
-          "name": "options",
-          "type": "string[]"
-        },
-        {
-          "internalType": "uint256[]",
-          "name": "votes",
-          "type": "uint256[]"
-        },
+      "name": "leaveOrganization",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "totalVotes",
+          "name": "electionId",
           "type": "uint256"
         },
         {
-          "internalType": "enum SafeVote.PollStatus",
-          "name": "status",
-          "type": "uint8"
-        },
+          "internalType": "uint256",
+          "name": "nullifierHash",
+          "type": "uint256"
+        }
+      ],
+      "name": "nullifierUsed",
+      "outputs": [
         {
           "internalType": "bool",
-          "name": "quorumMet",
+          "name": "",
           "type": "bool"
         }
       ],
@@ -1420,63 +3103,79 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "pollId",
+          "name": "",
           "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "",
+          "type": "address"
         }
       ],
-      "name": "getPollVoters",
+      "name": "orgMembers",
       "outputs": [
         {
-          "internalType": "address[]",
-          "name": "",
-          "type": "address[]"
+          "internalType": "address",
+          "name": "memberAddress",
+          "type": "address"
+        },
+        {
+          "internalType": "uint256",
+          "name": "joinedAt",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bool",
+          "name": "isActive",
+          "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "votesParticipated",
+          "type": "uint256"
         }
       ],
       "stateMutability": "view",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "getPublicOrganizations",
-      "outputs": [
+      "inputs": [
         {
-          "internalType": "uint256[]",
+          "internalType": "uint256",
           "name": "",
-          "type": "uint256[]"
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
         }
       ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "getTotalElections",
+      "name": "orgMembersList",
       "outputs": [
         {
-          "internalType": "uint256",
+          "internalType": "address",
           "name": "",
-          "type": "uint256"
+          "type": "address"
         }
       ],
       "stateMutability": "view",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "getTotalOrganizations",
-      "outputs": [
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
+        },
         {
           "internalType": "uint256",
           "name": "",
           "type": "uint256"
         }
       ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "getTotalPolls",
+      "name": "orgPolls",
       "outputs": [
         {
           "internalType": "uint256",
@@ -1490,36 +3189,75 @@ export const SAFE_VOTE_V2_ABI = [
     {
       "inputs": [
         {
-          "internalType": "address",
-          "name": "user",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "",
+          "type": "uint256"
         }
       ],
-      "name": "getUserOrganizations",
+      "name": "organizations",
       "outputs": [
         {
-          "internalType": "uint256[]",
-          "name": "",
-          "type": "uint256[]"
+          "internalType": "string",
+          "name": "name",
+          "type": "string"
+        },
+        {
+          "internalType": "string",
+          "name": "ensName",
+          "type": "string"
+        },
+        {
+          "internalType": "address",
+          "name": "admin",
+          "type": "address"
+        },
+        {
+          "internalType": "bool",
+          "name": "isPublic",
+          "type": "bool"
+        },
+        {
+          "internalType": "bool",
+          "name": "exists",
+          "type": "bool"
+        },
+        {
+          "internalType": "uint256",
+          "name": "createdAt",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "memberCount",
+          "type": "uint256"
         }
       ],
       "stateMutability": "view",
       "type": "function"
     },
     {
-      "inputs": [
-        {
-          "internalType": "uint256",
-          "name": "pollId",
-          "type": "uint256"
-        },
+      "inputs": [],
+      "name": "owner",
+      "outputs": [
         {
           "internalType": "address",
-          "name": "voter",
+          "name": "",
           "type": "address"
         }
       ],
-      "name": "hasVoted",
+      "stateMutability": "view",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "pause",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "paused",
       "outputs": [
         {
           "internalType": "bool",
@@ -1534,24 +3272,28 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "pollId",
+          "name": "electionId",
           "type": "uint256"
         },
         {
-          "internalType": "address",
-          "name": "voter",
-          "type": "address"
-        }
-      ],
-      "name": "isAuthorizedVoter",
-      "outputs": [
+          "internalType": "bytes32",
+          "name": "voterKey",
+          "type": "bytes32"
+        },
         {
-          "internalType": "bool",
-          "name": "",
-          "type": "bool"
+          "internalType": "bytes32[]",
+          "name": "merkleProof",
+          "type": "bytes32[]"
+        },
+        {
+          "internalType": "uint256",
+          "name": "identityCommitment",
+          "type": "uint256"
         }
       ],
-      "stateMutability": "view",
+      "name": "registerIdentity",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
@@ -1560,9 +3302,21 @@ export const SAFE_VOTE_V2_ABI = [
           "internalType": "uint256",
           "name": "orgId",
           "type": "uint256"
+        },
+        {
+          "internalType": "address",
+          "name": "member",
+          "type": "address"
         }
       ],
-      "name": "leaveOrganization",
+      "name": "removeMember",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [],
+      "name": "renounceOwnership",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -1571,35 +3325,25 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "electionId",
           "type": "uint256"
         },
         {
           "internalType": "address",
-          "name": "",
+          "name": "voter",
           "type": "address"
         }
       ],
-      "name": "orgMembers",
+      "name": "resolveDelegate",
       "outputs": [
         {
           "internalType": "address",
-          "name": "memberAddress",
+          "name": "finalDelegate",
           "type": "address"
         },
         {
           "internalType": "uint256",
-          "name": "joinedAt",
-          "type": "uint256"
-        },
-        {
-          "internalType": "bool",
-          "name": "isActive",
-          "type": "bool"
-        },
-        {
-          "internalType": "uint256",
-          "name": "votesParticipated",
+          "name": "weight",
           "type": "uint256"
         }
       ],
@@ -1610,158 +3354,152 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "electionId",
           "type": "uint256"
         },
         {
-          "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
+          "internalType": "bytes32",
+          "name": "voterKey",
+          "type": "bytes32"
+        },
+        {
+          "internalType": "uint256[][]",
+          "name": "votes",
+          "type": "uint256[][]"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "salt",
+          "type": "bytes32"
         }
       ],
-      "name": "orgMembersList",
-      "outputs": [
+      "name": "revealVote",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
         {
           "internalType": "address",
-          "name": "",
+          "name": "account",
           "type": "address"
         }
       ],
-      "stateMutability": "view",
+      "name": "revokeElectionRole",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "orgId",
           "type": "uint256"
         },
         {
           "internalType": "uint256",
-          "name": "",
-          "type": "uint256"
-        }
-      ],
-      "name": "orgPolls",
-      "outputs": [
-        {
-          "internalType": "uint256",
-          "name": "",
+          "name": "nonce",
           "type": "uint256"
         }
       ],
-      "stateMutability": "view",
+      "name": "revokeInvite",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "orgId",
           "type": "uint256"
-        }
-      ],
-      "name": "organizations",
-      "outputs": [
-        {
-          "internalType": "string",
-          "name": "name",
-          "type": "string"
-        },
-        {
-          "internalType": "string",
-          "name": "ensName",
-          "type": "string"
         },
         {
           "internalType": "address",
-          "name": "admin",
+          "name": "account",
           "type": "address"
-        },
-        {
-          "internalType": "bool",
-          "name": "isPublic",
-          "type": "bool"
-        },
-        {
-          "internalType": "bool",
-          "name": "exists",
-          "type": "bool"
-        },
-        {
-          "internalType": "uint256",
-          "name": "createdAt",
-          "type": "uint256"
-        },
+        }
+      ],
+      "name": "revokeOrgRole",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
           "internalType": "uint256",
-          "name": "memberCount",
+          "name": "electionId",
           "type": "uint256"
         },
         {
           "internalType": "bytes32",
-          "name": "secretKey",
+          "name": "newRoot",
           "type": "bytes32"
+        },
+        {
+          "internalType": "bytes32[]",
+          "name": "revokedKeyHashes",
+          "type": "bytes32[]"
         }
       ],
-      "stateMutability": "view",
+      "name": "revokeVoterKeys",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "owner",
-      "outputs": [
+      "inputs": [
         {
           "internalType": "address",
-          "name": "",
+          "name": "verifier",
+          "type": "address"
+        },
+        {
+          "internalType": "address",
+          "name": "hasher",
           "type": "address"
         }
       ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "pause",
+      "name": "setAnonymousVoteContracts",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "paused",
-      "outputs": [
+      "inputs": [
         {
-          "internalType": "bool",
-          "name": "",
-          "type": "bool"
+          "internalType": "address",
+          "name": "submitter",
+          "type": "address"
         }
       ],
-      "stateMutability": "view",
+      "name": "setBatchSubmitter",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "electionId",
           "type": "uint256"
         },
         {
-          "internalType": "address",
-          "name": "member",
-          "type": "address"
+          "internalType": "uint256",
+          "name": "threshold",
+          "type": "uint256"
         }
       ],
-      "name": "removeMember",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "renounceOwnership",
+      "name": "setCancellationThreshold",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -1808,12 +3546,12 @@ export const SAFE_VOTE_V2_ABI = [
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "",
+          "name": "electionId",
           "type": "uint256"
         },
         {
           "internalType": "bytes32",
-          "name": "",
+          "name": "keyHash",
           "type": "bytes32"
         }
       ],
@@ -1852,45 +3590,106 @@ export const SAFE_VOTE_V2_ABI = [
       "stateMutability": "view",
       "type": "function"
     },
+    {
+      "inputs": [],
+      "name": "version",
+      "outputs": [
+        {
+          "internalType": "string",
+          "name": "",
+          "type": "string"
+        }
+      ],
+      "stateMutability": "pure",
+      "type": "function"
+    },
     {
       "inputs": [
         {
           "internalType": "uint256",
-          "name": "orgId",
+          "name": "electionId",
           "type": "uint256"
         },
         {
           "internalType": "bytes32",
-          "name": "secretKey",
+          "name": "voterKey",
           "type": "bytes32"
+        },
+        {
+          "internalType": "bytes32[]",
+          "name": "merkleProof",
+          "type": "bytes32[]"
+        },
+        {
+          "internalType": "uint256[][]",
+          "name": "votes",
+          "type": "uint256[][]"
+        },
+        {
+          "internalType": "address",
+          "name": "delegateTo",
+          "type": "address"
         }
       ],
-      "name": "verifyPrivateOrgAccess",
-      "outputs": [
+      "name": "vote",
+      "outputs": [],
+      "stateMutability": "nonpayable",
+      "type": "function"
+    },
+    {
+      "inputs": [
         {
-          "internalType": "bool",
-          "name": "",
-          "type": "bool"
+          "internalType": "uint256",
+          "name": "pollId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "uint256",
+          "name": "optionIndex",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "votingKey",
+          "type": "bytes32"
         }
       ],
-      "stateMutability": "view",
+      "name": "vote",
+      "outputs": [],
+      "stateMutability": "nonpayable",
       "type": "function"
     },
     {
-      "inputs": [],
-      "name": "version",
+      "inputs": [
+        {
+          "internalType": "uint256",
+          "name": "electionId",
+          "type": "uint256"
+        },
+        {
+          "internalType": "bytes32",
+          "name": "keyHash",
+          "type": "bytes32"
+        }
+      ],
+      "name": "voteCommitments",
       "outputs": [
         {
-          "internalType": "string",
+          "internalType": "bytes32",
           "name": "",
-          "type": "string"
+          "type": "bytes32"
         }
       ],
-      "stateMutability": "pure",
+      "stateMutability": "view",
       "type": "function"
     },
     {
       "inputs": [
+        {
+          "internalType": "address",
+          "name": "voter",
+          "type": "address"
+        },
         {
           "internalType": "uint256",
           "name": "electionId",
@@ -1910,14 +3709,9 @@ export const SAFE_VOTE_V2_ABI = [
           "internalType": "uint256[][]",
           "name": "votes",
           "type": "uint256[][]"
-        },
-        {
-          "internalType": "address",
-          "name": "delegateTo",
-          "type": "address"
         }
       ],
-      "name": "vote",
+      "name": "voteFor",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -1930,9 +3724,9 @@ export const SAFE_VOTE_V2_ABI = [
           "type": "uint256"
         },
         {
-          "internalType": "uint256",
-          "name": "optionIndex",
-          "type": "uint256"
+          "internalType": "uint256[]",
+          "name": "optionIndexes",
+          "type": "uint256[]"
         },
         {
           "internalType": "bytes32",
@@ -1940,7 +3734,7 @@ export const SAFE_VOTE_V2_ABI = [
           "type": "bytes32"
         }
       ],
-      "name": "vote",
+      "name": "voteOptions",
       "outputs": [],
       "stateMutability": "nonpayable",
       "type": "function"
@@ -787,6 +787,7 @@ const ElectionConductor = {
             title: p.title || 'Untitled Position',
             candidates: p.candidates.filter((c) => c.trim()),
             maxSelections: 1,
+            ballotType: 'plurality',
           })),
           voterAddresses: voterAddresses,
         }),
@@ -910,6 +911,8 @@ const ElectionConductor = {
         title: pos.title || 'Untitled Position',
         candidates: pos.candidates.filter((c) => c.trim()),
         maxSelections: 1,
+        ballotType: 0, // plurality; ranked positions are created from the React app
+        winThreshold: 0,
       }));
 
       // Validate positions have candidates
@@ -955,7 +958,19 @@ const ElectionConductor = {
             this.electionData.isPublic,
             this.electionData.allowAnonymous,
             this.electionData.allowDelegation,
-            positions
+            positions,
+            {
+              secretBallot: false,
+              revealPeriod: 0,
+              allowRevote: false,
+              quorumType: 0,
+              quorum: 0,
+              eligibility: 0,
+              token: '0x0000000000000000000000000000000000000000',
+              snapshotBlock: 0,
+              addressBoundLeaf: false,
+              zkAnonymous: false,
+            }
           );
 
           const receipt = await tx.wait();
@@ -5,16 +5,36 @@ require('hardhat-abi-exporter');
 require('hardhat-deploy');
 require('dotenv').config();
 
+const legacyPipeline = {
+  version: '0.8.22',
+  settings: {
+    optimizer: {
+      enabled: true,
+      runs: 200,
+    },
+    viaIR: false,
+  },
+};
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: '0.8.22',
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200,
+    compilers: [
+      {
+        version: '0.8.22',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+          viaIR: true,
+        },
       },
-      viaIR: true,
+    ],
+    overrides: {
+      // PoseidonT3's hand-written assembly is not meant for the IR pipeline
+      'contracts/zk/IdentityHasher.sol': legacyPipeline,
+      'poseidon-solidity/PoseidonT3.sol': legacyPipeline,
     },
   },
   networks: {
@@ -113,5 +133,6 @@ module.exports = {
     clear: true,
     flat: true,
     format: 'minimal', // or "full", "json"
+    except: ['contracts/mocks/'], // test-only contracts
   },
 };
@@ -0,0 +1,477 @@
+// relayer/ballotQueue.js
+// Validates relayed ballots, queues them per election and submits them to the
+// BatchVoteSubmitter in batches. One BallotQueue serves one chain.
+const { ethers } = require('ethers');
+
+// BatchVoteSubmitter rejects larger batches
+const MAX_BATCH_SIZE = 100;
+
+const BALLOT_KINDS = {
+  SIGNED: 'signed', // EIP-712 signed ballot -> submitBatch
+  ANONYMOUS: 'anonymous', // zkAnonymous proof -> submitAnonymousBatch
+};
+
+// Per-ballot status reported back to the voter
+const BALLOT_STATUS = {
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  INCLUDED: 'included',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+};
+
+// Statuses a ballot never leaves; their records are dropped recordTtlMs later
+const FINAL_STATUSES = new Set([BALLOT_STATUS.INCLUDED, BALLOT_STATUS.FAILED, BALLOT_STATUS.EXPIRED]);
+
+const SIGNED_VOTE_TUPLE =
+  'tuple(uint256 electionId, bytes32 voterKey, bytes32[] merkleProof, uint256[][] votes, address voter, uint256 nonce, uint256 deadline, bytes signature)';
+const ANONYMOUS_VOTE_TUPLE =
+  'tuple(uint256 electionId, uint256 root, uint256 nullifierHash, uint256[][] votes, uint256[8] proof)';
+
+const BATCH_SUBMITTER_ABI = [
+  `function submitBatch(${SIGNED_VOTE_TUPLE}[] signedVotes)`,
+  `function submitAnonymousBatch(${ANONYMOUS_VOTE_TUPLE}[] anonymousVotes)`,
+  'function hashVote(uint256 electionId, bytes32 voterKey, uint256[][] votes, address voter, uint256 nonce, uint256 deadline) view returns (bytes32)',
+  'function verifySignature(bytes32 voteHash, bytes signature, address expectedSigner) view returns (bool)',
+  'function getNonce(address voter) view returns (uint256)',
+  'function isVoteProcessed(bytes32 voteHash) view returns (bool)',
+  'function authorizedRelayers(address relayer) view returns (bool)',
+  `function validateBatch(${SIGNED_VOTE_TUPLE}[] signedVotes) view returns (bytes32[] reasonCodes)`,
+  'function getSponsorship(uint256 electionId) view returns (address sponsor, uint256 balance, uint256 maxPerVote, uint256 votesReimbursed, uint256 totalReimbursed, uint256 remainingVotes)',
+  'function relayerCredits(address relayer) view returns (uint256)',
+  'function claimReimbursement()',
+  'event VoteQueued(address indexed voter, uint256 indexed electionId, bytes32 voteHash)',
+  'event VoteRejected(address indexed voter, uint256 indexed electionId, bytes32 voteHash, bytes32 reasonCode)',
+];
+
+const SAFEVOTE_ABI = [
+  'function getElection(uint256 electionId) view returns (uint256 electionId_, address creator, string title, string description, string location, uint256 createdAt, uint256 startTime, uint256 endTime, uint256 totalRegisteredVoters, uint256 totalVotesCast, bytes32 voterMerkleRoot, bool isPublic, bool allowAnonymous, bool allowDelegation, uint8 status, tuple(string title, string[] candidates, uint256 maxSelections, uint8 ballotType, uint256 winThreshold)[] positions, address[] officials, uint8[] officialRoles)',
+  'function electionSettings(uint256 electionId) view returns (bool secretBallot, uint256 revealPeriod, bool allowRevote, uint8 quorumType, uint256 quorum, uint8 eligibility, address token, uint256 snapshotBlock, bool addressBoundLeaf, bool zkAnonymous)',
+  'function nullifierUsed(uint256 electionId, uint256 nullifierHash) view returns (bool)',
+  'function castAnonymousVote(uint256 electionId, uint256 root, uint256 nullifierHash, uint256[][] votes, uint256[8] proof)',
+];
+
+const ELECTION_ACTIVE = 0;
+const TOKEN_WEIGHTED = 2; // Eligibility modes from here on have no voter roll
+
+class RelayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// OpenZeppelin MerkleProof: pairs are hashed in sorted order
+function verifyMerkleProof(proof, root, leaf) {
+  let computed = leaf;
+  for (const node of proof) {
+    const [a, b] = computed.toLowerCase() < node.toLowerCase() ? [computed, node] : [node, computed];
+    computed = ethers.utils.keccak256(ethers.utils.concat([a, b]));
+  }
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+// VoteRejected reason codes are bytes32 strings ("Invalid nonce", "Key used", ...)
+function decodeReason(code) {
+  try {
+    return ethers.utils.parseBytes32String(code);
+  } catch (error) {
+    return code;
+  }
+}
+
+function normalizeVotes(votes) {
+  if (!Array.isArray(votes) || !votes.every(Array.isArray)) {
+    throw new RelayError('votes must be an array of arrays (uint256[][])');
+  }
+  return votes.map(arr => arr.map(v => ethers.BigNumber.from(v).toString()));
+}
+
+class BallotQueue {
+  /**
+   * @param {object} config
+   * @param {number} config.chainId
+   * @param {ethers.Wallet} config.wallet Relayer wallet, authorized on the BatchVoteSubmitter
+   * @param {string} config.safeVoteAddress
+   * @param {string} config.batchSubmitterAddress
+   * @param {number} [config.maxWaitMs] Longest a ballot waits for its batch to fill
+   * @param {number} [config.maxGasPriceGwei] Batches wait for gas below this unless a deadline is near
+   * @param {number} [config.deadlineMarginSec] Submit regardless of gas this close to a deadline
+   * @param {string} [config.claimThresholdEth] Claim sponsor reimbursements once they reach this much
+   * @param {number} [config.recordTtlMs] How long a finished ballot's status stays queryable
+   */
+  constructor({
+    chainId,
+    wallet,
+    safeVoteAddress,
+    batchSubmitterAddress,
+    maxWaitMs = 30000,
+    maxGasPriceGwei,
+    deadlineMarginSec = 300,
+    claimThresholdEth = '0.01',
+    recordTtlMs = 24 * 60 * 60 * 1000,
+  }) {
+    this.chainId = chainId;
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.safeVote = new ethers.Contract(safeVoteAddress, SAFEVOTE_ABI, wallet);
+    this.submitter = new ethers.Contract(batchSubmitterAddress, BATCH_SUBMITTER_ABI, wallet);
+    this.maxWaitMs = maxWaitMs;
+    this.maxGasPrice = maxGasPriceGwei ? ethers.utils.parseUnits(String(maxGasPriceGwei), 'gwei') : null;
+    this.deadlineMarginSec = deadlineMarginSec;
+    this.claimThreshold = ethers.utils.parseEther(String(claimThresholdEth));
+    this.recordTtlMs = recordTtlMs;
+
+    this.queues = new Map(); // `${kind}:${electionId}` => entries waiting for a batch
+    this.ballots = new Map(); // ballot id => status record
+    this.finishedAt = new Map(); // ballot id => ms its record reached a final status, in that order
+    this.inFlight = []; // Batch whose transaction has not been mined yet
+    this.ticking = false; // One transaction in flight per chain keeps wallet nonces simple
+  }
+
+  // ============================================
+  // INTAKE
+  // ============================================
+
+  /**
+   * Validate a signed ballot against the submitter (hashVote, signature, getNonce) and
+   * the election's Merkle root, then queue it. The ballot id is its EIP-712 digest.
+   */
+  async addSignedBallot(ballot) {
+    const vote = this._parseSignedBallot(ballot);
+    const now = Math.floor(Date.now() / 1000);
+    if (vote.deadline <= now + 30) throw new RelayError('Signature deadline has passed or is too close');
+
+    const id = await this.submitter.hashVote(vote.electionId, vote.voterKey, vote.votes, vote.voter, vote.nonce, vote.deadline);
+    if (this._isRelayed(id) || (await this.submitter.isVoteProcessed(id))) {
+      throw new RelayError('Ballot already relayed', 409);
+    }
+    if (!(await this.submitter.verifySignature(id, vote.signature, vote.voter))) {
+      throw new RelayError('Invalid signature');
+    }
+
+    // Several ballots from one voter may wait together as long as their nonces follow on
+    const pending = this._pendingFrom(vote.voter);
+    const expectedNonce = (await this.submitter.getNonce(vote.voter)).add(pending);
+    if (!expectedNonce.eq(vote.nonce)) {
+      throw new RelayError(`Invalid nonce: expected ${expectedNonce.toString()}`);
+    }
+
+    await this._checkEligibility(vote, pending === 0);
+
+    return this._enqueue(BALLOT_KINDS.SIGNED, id, vote, vote.deadline);
+  }
+
+  /**
+   * Queue a zkAnonymous ballot. Proofs are checked by simulating castAnonymousVote, so
+   * nothing about the voter is needed; the id is the nullifier hash as bytes32.
+   */
+  async addAnonymousBallot(ballot) {
+    const vote = this._parseAnonymousBallot(ballot);
+    const id = ethers.utils.hexZeroPad(ethers.BigNumber.from(vote.nullifierHash).toHexString(), 32);
+
+    if (this._isRelayed(id) || (await this.safeVote.nullifierUsed(vote.electionId, vote.nullifierHash))) {
+      throw new RelayError('Nullifier already used', 409);
+    }
+
+    try {
+      await this.safeVote.callStatic.castAnonymousVote(vote.electionId, vote.root, vote.nullifierHash, vote.votes, vote.proof);
+    } catch (error) {
+      throw new RelayError(`Ballot would be rejected: ${error.reason || error.message}`);
+    }
+
+    const { endTime } = await this.safeVote.getElection(vote.electionId);
+    return this._enqueue(BALLOT_KINDS.ANONYMOUS, id, vote, endTime.toNumber());
+  }
+
+  /**
+   * Sponsorship of an election (see BatchVoteSubmitter.depositSponsorship), in wei
+   */
+  async getSponsorship(electionId) {
+    const s = await this.submitter.getSponsorship(electionId);
+    return {
+      chainId: this.chainId,
+      electionId: String(electionId),
+      sponsored: s.balance.gt(0),
+      sponsor: s.sponsor,
+      balance: s.balance.toString(),
+      maxPerVote: s.maxPerVote.toString(),
+      votesReimbursed: s.votesReimbursed.toString(),
+      totalReimbursed: s.totalReimbursed.toString(),
+      remainingVotes: s.remainingVotes.toString(),
+    };
+  }
+
+  getStatus(id) {
+    return this.ballots.get(id) || null;
+  }
+
+  pendingCount() {
+    let count = 0;
+    for (const entries of this.queues.values()) count += entries.length;
+    return count;
+  }
+
+  // ============================================
+  // BATCHING
+  // ============================================
+
+  /**
+   * Called on an interval. A queue is flushed once it holds a full batch, its oldest
+   * ballot has waited maxWaitMs, or a ballot's deadline is near. Above maxGasPrice only
+   * the last case submits.
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const now = Date.now();
+      this._pruneRecords(now);
+      for (const [key, entries] of this.queues) {
+        this._dropExpired(entries);
+        if (entries.length === 0) {
+          this.queues.delete(key);
+          continue;
+        }
+
+        const urgent = entries.some(e => e.deadline - now / 1000 <= this.deadlineMarginSec);
+        const ready = urgent || entries.length >= MAX_BATCH_SIZE || now - entries[0].queuedAt >= this.maxWaitMs;
+        if (!ready) continue;
+
+        const feeData = await this.provider.getFeeData();
+        const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+        if (this.maxGasPrice && gasPrice.gt(this.maxGasPrice) && !urgent) {
+          console.log(`⛽ Chain ${this.chainId}: gas ${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei above cap, holding ${key}`);
+          continue;
+        }
+
+        await this._submit(key, entries.splice(0, MAX_BATCH_SIZE), feeData);
+        if (entries.length === 0) this.queues.delete(key);
+        return; // One batch per tick; the next tick picks up the rest
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async _submit(key, batch, feeData) {
+    const kind = batch[0].kind;
+    this.inFlight = batch;
+
+    try {
+      // State may have moved since intake (key used elsewhere, election closed): drop
+      // whatever the submitter would reject rather than pay to have it rejected
+      if (kind === BALLOT_KINDS.SIGNED) {
+        const reasonCodes = await this.submitter.validateBatch(batch.map(e => e.vote));
+        batch = batch.filter((entry, i) => {
+          if (reasonCodes[i] === ethers.constants.HashZero) return true;
+          this._update(entry.id, { status: BALLOT_STATUS.FAILED, error: decodeReason(reasonCodes[i]) });
+          return false;
+        });
+        this.inFlight = batch;
+        if (batch.length === 0) return;
+      }
+
+      const payload = batch.map(e => e.vote);
+      const method = kind === BALLOT_KINDS.SIGNED ? 'submitBatch' : 'submitAnonymousBatch';
+      const gasLimit = (await this.submitter.estimateGas[method](payload)).mul(120).div(100);
+      const overrides = feeData.maxFeePerGas
+        ? { gasLimit, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+        : { gasLimit, gasPrice: feeData.gasPrice };
+
+      const tx = await this.submitter[method](payload, overrides);
+      console.log(`📤 Chain ${this.chainId}: ${batch.length} ballot(s) for ${key} in ${tx.hash}`);
+      batch.forEach(e => this._update(e.id, { status: BALLOT_STATUS.SUBMITTED, txHash: tx.hash }));
+
+      const receipt = await tx.wait();
+      // Both events carry the digest of a signed ballot, or the nullifier of an anonymous one
+      const included = new Set();
+      const rejected = new Map();
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== this.submitter.address.toLowerCase()) continue;
+        let parsed;
+        try {
+          parsed = this.submitter.interface.parseLog(log);
+        } catch (error) {
+          continue; // BatchProcessed and other events this relayer does not track
+        }
+        if (parsed.name === 'VoteQueued') included.add(parsed.args.voteHash);
+        if (parsed.name === 'VoteRejected') rejected.set(parsed.args.voteHash, decodeReason(parsed.args.reasonCode));
+      }
+
+      for (const entry of batch) {
+        this._update(
+          entry.id,
+          included.has(entry.id)
+            ? { status: BALLOT_STATUS.INCLUDED, blockNumber: receipt.blockNumber }
+            : {
+                status: BALLOT_STATUS.FAILED,
+                blockNumber: receipt.blockNumber,
+                error: rejected.get(entry.id) || 'Rejected by the contract',
+              }
+        );
+      }
+      console.log(`✅ Chain ${this.chainId}: ${included.size}/${batch.length} included in block ${receipt.blockNumber}`);
+      await this._claimReimbursements();
+    } catch (error) {
+      const reason = error.reason || error.error?.reason || error.message;
+      console.error(`❌ Chain ${this.chainId}: batch for ${key} failed: ${reason}`);
+      batch.forEach(e => this._update(e.id, { status: BALLOT_STATUS.FAILED, error: reason }));
+    } finally {
+      this.inFlight = [];
+    }
+  }
+
+  // ============================================
+  // INTERNALS
+  // ============================================
+
+  _parseSignedBallot(ballot) {
+    const { electionId, voterKey, merkleProof, votes, voter, nonce, deadline, signature } = ballot || {};
+    if (!ethers.utils.isHexString(voterKey, 32)) throw new RelayError('Invalid voterKey');
+    if (!Array.isArray(merkleProof) || !merkleProof.every(p => ethers.utils.isHexString(p, 32))) {
+      throw new RelayError('Invalid merkleProof');
+    }
+    if (!ethers.utils.isAddress(voter || '')) throw new RelayError('Invalid voter address');
+    if (!ethers.utils.isHexString(signature)) throw new RelayError('Invalid signature');
+
+    try {
+      return {
+        electionId: ethers.BigNumber.from(electionId).toString(),
+        voterKey,
+        merkleProof,
+        votes: normalizeVotes(votes),
+        voter: ethers.utils.getAddress(voter),
+        nonce: ethers.BigNumber.from(nonce).toString(),
+        deadline: ethers.BigNumber.from(deadline).toNumber(),
+        signature,
+      };
+    } catch (error) {
+      if (error instanceof RelayError) throw error;
+      throw new RelayError('electionId, nonce and deadline must be integers');
+    }
+  }
+
+  _parseAnonymousBallot(ballot) {
+    const { electionId, root, nullifierHash, votes, proof } = ballot || {};
+    if (!Array.isArray(proof) || proof.length !== 8) throw new RelayError('proof must have 8 elements');
+
+    try {
+      return {
+        electionId: ethers.BigNumber.from(electionId).toString(),
+        root: ethers.BigNumber.from(root).toString(),
+        nullifierHash: ethers.BigNumber.from(nullifierHash).toString(),
+        votes: normalizeVotes(votes),
+        proof: proof.map(p => ethers.BigNumber.from(p).toString()),
+      };
+    } catch (error) {
+      if (error instanceof RelayError) throw error;
+      throw new RelayError('electionId, root, nullifierHash and proof must be integers');
+    }
+  }
+
+  // The checks SafeVote makes before counting the ballot, so bad ballots never reach a batch
+  async _checkEligibility(vote, isNextNonce) {
+    const [election, settings, block] = await Promise.all([
+      this.safeVote.getElection(vote.electionId),
+      this.safeVote.electionSettings(vote.electionId),
+      this.provider.getBlock('latest'),
+    ]);
+
+    if (election.status !== ELECTION_ACTIVE) throw new RelayError('Election is not active');
+    if (block.timestamp < election.startTime.toNumber()) throw new RelayError('Election has not started');
+    if (block.timestamp > election.endTime.toNumber()) throw new RelayError('Election has ended');
+    if (settings.secretBallot || settings.zkAnonymous) {
+      throw new RelayError('This election does not take relayed ballots');
+    }
+    if (vote.votes.length !== election.positions.length) throw new RelayError('Invalid votes');
+
+    if (settings.eligibility < TOKEN_WEIGHTED) {
+      const leaf = settings.addressBoundLeaf
+        ? ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['address', 'bytes32'], [vote.voter, vote.voterKey]))
+        : ethers.utils.keccak256(vote.voterKey);
+      if (!verifyMerkleProof(vote.merkleProof, election.voterMerkleRoot, leaf)) {
+        throw new RelayError('Voter key is not in the election Merkle root');
+      }
+    }
+
+    // Key reuse, weights and token balances are left to the submitter's own dry run.
+    // Ballots queued behind an earlier one from the same voter are checked at submission.
+    if (isNextNonce) {
+      const [reasonCode] = await this.submitter.validateBatch([vote]);
+      if (reasonCode !== ethers.constants.HashZero) {
+        throw new RelayError(`Ballot would be rejected: ${decodeReason(reasonCode)}`);
+      }
+    }
+  }
+
+  // Sponsored elections credit the relayer per batch; collect once it is worth the gas
+  async _claimReimbursements() {
+    const credit = await this.submitter.relayerCredits(this.wallet.address);
+    if (credit.lt(this.claimThreshold) || credit.isZero()) return;
+
+    const receipt = await (await this.submitter.claimReimbursement()).wait();
+    console.log(`💰 Chain ${this.chainId}: claimed ${ethers.utils.formatEther(credit)} in ${receipt.transactionHash}`);
+  }
+
+  // Ballots from the voter that are queued or in a transaction not yet mined
+  _pendingFrom(voter) {
+    const fromVoter = e => e.kind === BALLOT_KINDS.SIGNED && e.vote.voter === voter;
+    let count = this.inFlight.filter(fromVoter).length;
+    for (const entries of this.queues.values()) count += entries.filter(fromVoter).length;
+    return count;
+  }
+
+  // A failed ballot may be sent again, e.g. after a temporary error or with a corrected proof
+  _isRelayed(id) {
+    const record = this.ballots.get(id);
+    return Boolean(record) && record.status !== BALLOT_STATUS.FAILED;
+  }
+
+  _enqueue(kind, id, vote, deadline) {
+    const key = `${kind}:${vote.electionId}`;
+    if (!this.queues.has(key)) this.queues.set(key, []);
+    this.queues.get(key).push({ id, kind, vote, deadline, queuedAt: Date.now() });
+
+    const record = {
+      id,
+      kind,
+      chainId: this.chainId,
+      electionId: vote.electionId,
+      status: BALLOT_STATUS.QUEUED,
+      queuedAt: new Date().toISOString(),
+    };
+    this.ballots.set(id, record);
+    this.finishedAt.delete(id); // A resent ballot starts over
+    return record;
+  }
+
+  _dropExpired(entries) {
+    const now = Math.floor(Date.now() / 1000);
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].deadline < now) {
+        this._update(entries[i].id, { status: BALLOT_STATUS.EXPIRED, error: 'Deadline passed before submission' });
+        entries.splice(i, 1);
+      }
+    }
+  }
+
+  _update(id, changes) {
+    const record = this.ballots.get(id);
+    if (!record) return;
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    if (FINAL_STATUSES.has(record.status) && !this.finishedAt.has(id)) this.finishedAt.set(id, Date.now());
+  }
+
+  // Replays of a dropped ballot are still refused on-chain (isVoteProcessed, nullifierUsed)
+  _pruneRecords(now) {
+    for (const [id, finishedAt] of this.finishedAt) {
+      if (now - finishedAt < this.recordTtlMs) break; // Map keeps insertion order
+      this.finishedAt.delete(id);
+      this.ballots.delete(id);
+    }
+  }
+}
+
+module.exports = { BallotQueue, RelayError, BALLOT_KINDS, BALLOT_STATUS, MAX_BATCH_SIZE, verifyMerkleProof };
@@ -0,0 +1,191 @@
+// relayer/server.js
+// SafeVote Relayer - collects signed (and zero-knowledge) ballots over HTTP and
+// submits them through the BatchVoteSubmitter so voters pay no gas.
+//
+// Configuration (.env):
+//   RELAYER_PRIVATE_KEY        Wallet authorized with BatchVoteSubmitter.addRelayer
+//   RELAYER_CHAIN_IDS          Comma-separated chains to serve, e.g. 84532,421614
+//   RPC_URL_<chainId>          JSON-RPC endpoint per chain
+//   SAFEVOTE_ADDRESS_<chainId> / BATCH_SUBMITTER_ADDRESS_<chainId>
+//   BATCH_INTERVAL_MS          How often queues are checked (default 5000)
+//   MAX_WAIT_MS                Longest a ballot waits for its batch to fill (default 30000)
+//   MAX_GAS_PRICE_GWEI         Hold batches above this gas price unless a deadline is near
+//   CLAIM_THRESHOLD_ETH        Claim sponsor reimbursements once they reach this much (default 0.01)
+//   BALLOT_RECORD_TTL_MS       How long finished ballot statuses are kept (default 24 hours)
+//
+// Local end-to-end run: see scripts/relayer-e2e.js
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const { ethers } = require('ethers');
+const { BallotQueue, RelayError } = require('./ballotQueue');
+
+const app = express();
+const PORT = process.env.PORT || process.env.RELAYER_PORT || 4000;
+const BATCH_INTERVAL_MS = Number(process.env.BATCH_INTERVAL_MS) || 5000;
+
+app.use(cors({ origin: '*' }));
+app.use(express.json({ limit: '1mb' }));
+
+// chainId => BallotQueue
+const queues = new Map();
+
+// ============================================
+// CHAIN SETUP
+// ============================================
+async function initializeChains() {
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    console.error('❌ RELAYER_PRIVATE_KEY not set');
+    process.exit(1);
+  }
+
+  const chainIds = (process.env.RELAYER_CHAIN_IDS || '')
+    .split(',')
+    .map(id => Number(id.trim()))
+    .filter(Boolean);
+  if (chainIds.length === 0) {
+    console.error('❌ RELAYER_CHAIN_IDS not set');
+    process.exit(1);
+  }
+
+  for (const chainId of chainIds) {
+    const rpcUrl = process.env[`RPC_URL_${chainId}`];
+    const safeVoteAddress = process.env[`SAFEVOTE_ADDRESS_${chainId}`];
+    const batchSubmitterAddress = process.env[`BATCH_SUBMITTER_ADDRESS_${chainId}`];
+    if (!rpcUrl || !safeVoteAddress || !batchSubmitterAddress) {
+      console.error(`❌ Chain ${chainId}: RPC_URL, SAFEVOTE_ADDRESS and BATCH_SUBMITTER_ADDRESS are required`);
+      process.exit(1);
+    }
+
+    const provider = new ethers.providers.JsonRpcProvider(rpcUrl, chainId);
+    const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+    const queue = new BallotQueue({
+      chainId,
+      wallet,
+      safeVoteAddress,
+      batchSubmitterAddress,
+      maxWaitMs: Number(process.env.MAX_WAIT_MS) || undefined,
+      maxGasPriceGwei: process.env.MAX_GAS_PRICE_GWEI,
+      claimThresholdEth: process.env.CLAIM_THRESHOLD_ETH,
+      recordTtlMs: Number(process.env.BALLOT_RECORD_TTL_MS) || undefined,
+    });
+
+    if (!(await queue.submitter.authorizedRelayers(wallet.address))) {
+      console.warn(`⚠️  Chain ${chainId}: ${wallet.address} is not an authorized relayer yet`);
+    }
+    queues.set(chainId, queue);
+    console.log(`✅ Chain ${chainId}: relaying to ${batchSubmitterAddress} as ${wallet.address}`);
+  }
+}
+
+function getQueue(chainId) {
+  const queue = queues.get(Number(chainId));
+  if (!queue) throw new RelayError(`Chain ${chainId} is not served by this relayer`, 404);
+  return queue;
+}
+
+function sendError(res, error) {
+  if (error instanceof RelayError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error('❌ Relayer error:', error);
+  return res.status(500).json({ success: false, error: 'Internal relayer error' });
+}
+
+// ============================================
+// HEALTH CHECK
+// ============================================
+app.get('/', (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'SafeVote Relayer',
+    chains: [...queues.values()].map(q => ({ chainId: q.chainId, pending: q.pendingCount() })),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// ============================================
+// SUBMIT SIGNED BALLOT
+// Called by: votingService.castGaslessVote (voting-ui)
+// Input: { chainId, ballot: SignedVote } (see BatchVoteSubmitter)
+// Output: 202 { success, id, status } - poll GET /api/relay/ballots/:id
+// ============================================
+app.post('/api/relay/ballots', async (req, res) => {
+  try {
+    const { chainId, ballot } = req.body;
+    const record = await getQueue(chainId).addSignedBallot(ballot);
+    console.log(`📥 Chain ${chainId}: queued signed ballot ${record.id} (election ${record.electionId})`);
+    res.status(202).json({ success: true, ...record });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// SUBMIT ANONYMOUS BALLOT
+// Called by: votingService.castAnonymousVote (voting-ui)
+// Input: { chainId, ballot: AnonymousVote } (see BatchVoteSubmitter)
+// Output: 202 { success, id, status } - poll GET /api/relay/ballots/:id
+// ============================================
+app.post('/api/relay/anonymous', async (req, res) => {
+  try {
+    const { chainId, ballot } = req.body;
+    const record = await getQueue(chainId).addAnonymousBallot(ballot);
+    console.log(`📥 Chain ${chainId}: queued anonymous ballot (election ${record.electionId})`);
+    res.status(202).json({ success: true, ...record });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// BALLOT STATUS
+// queued -> submitted -> included | failed, or expired if the deadline passed first
+// ============================================
+app.get('/api/relay/ballots/:id', (req, res) => {
+  for (const queue of queues.values()) {
+    const record = queue.getStatus(req.params.id);
+    if (record) return res.json({ success: true, ...record });
+  }
+  res.status(404).json({ success: false, error: 'Unknown ballot' });
+});
+
+// ============================================
+// SPONSORSHIP
+// Called by: voting-ui to show whether an election's gas is covered
+// Output: { success, sponsored, balance, maxPerVote, remainingVotes, ... } (wei)
+// ============================================
+app.get('/api/relay/sponsorship/:chainId/:electionId', async (req, res) => {
+  try {
+    const sponsorship = await getQueue(req.params.chainId).getSponsorship(req.params.electionId);
+    res.json({ success: true, ...sponsorship });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============================================
+// START
+// ============================================
+async function start() {
+  await initializeChains();
+
+  const timer = setInterval(() => {
+    for (const queue of queues.values()) {
+      queue.tick().catch(error => console.error(`❌ Chain ${queue.chainId}: tick failed:`, error.message));
+    }
+  }, BATCH_INTERVAL_MS);
+
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 SafeVote Relayer on port ${PORT} (batch check every ${BATCH_INTERVAL_MS}ms)`);
+  });
+
+  const shutdown = () => {
+    clearInterval(timer);
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+start();
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { BallotQueue, BALLOT_STATUS } = require('../ballotQueue');
+
+const { BigNumber } = ethers;
+const HashZero = ethers.constants.HashZero;
+
+// Minimal ABIs written by hardhat-abi-exporter on compile
+function exportedAbi(name) {
+  return new ethers.utils.Interface(JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'abis', `${name}.json`), 'utf8')));
+}
+
+// Stand-ins for the chain: one active election whose Merkle root is the voter's own leaf
+function fakeChain(queue) {
+  const now = Math.floor(Date.now() / 1000);
+  const chain = {
+    processed: new Set(),
+    rejectAtSubmit: null, // reason code validateBatch returns at submission
+    failTx: null, // error submitBatch throws
+    sent: [],
+  };
+  const iface = queue.submitter.interface;
+
+  queue.provider = {
+    getBlock: async () => ({ timestamp: now }),
+    getFeeData: async () => ({ gasPrice: ethers.utils.parseUnits('1', 'gwei') }),
+  };
+  queue.safeVote = {
+    getElection: async () => ({
+      status: 0,
+      startTime: BigNumber.from(now - 60),
+      endTime: BigNumber.from(now + 3600),
+      positions: [{}],
+      voterMerkleRoot: chain.root,
+    }),
+    electionSettings: async () => ({ secretBallot: false, zkAnonymous: false, eligibility: 0, addressBoundLeaf: false }),
+    nullifierUsed: async () => false,
+  };
+  queue.submitter = {
+    address: ethers.Wallet.createRandom().address,
+    interface: iface,
+    hashVote: async (...args) => ethers.utils.id(JSON.stringify(args)),
+    isVoteProcessed: async id => chain.processed.has(id),
+    verifySignature: async () => true,
+    getNonce: async () => BigNumber.from(0),
+    validateBatch: async votes => votes.map(() => (chain.sent.length > 0 || !chain.rejectAtSubmit ? HashZero : chain.rejectAtSubmit)),
+    estimateGas: { submitBatch: async () => BigNumber.from(100000) },
+    submitBatch: async payload => {
+      if (chain.failTx) throw chain.failTx;
+      chain.sent.push(payload);
+      return {
+        hash: ethers.utils.id(`tx${chain.sent.length}`),
+        wait: async () => ({
+          blockNumber: 7,
+          logs: payload.map(vote => {
+            const id = ethers.utils.id(JSON.stringify([vote.electionId, vote.voterKey, vote.votes, vote.voter, vote.nonce, vote.deadline]));
+            chain.processed.add(id);
+            const log = iface.encodeEventLog(iface.getEvent('VoteQueued'), [vote.voter, vote.electionId, id]);
+            return { ...log, address: queue.submitter.address };
+          }),
+        }),
+      };
+    },
+    relayerCredits: async () => BigNumber.from(0),
+  };
+  return chain;
+}
+
+describe('BallotQueue', function () {
+  let queue;
+  let chain;
+  let ballot;
+
+  beforeEach(function () {
+    queue = new BallotQueue({
+      chainId: 31337,
+      wallet: ethers.Wallet.createRandom(),
+      safeVoteAddress: ethers.Wallet.createRandom().address,
+      batchSubmitterAddress: ethers.Wallet.createRandom().address,
+      maxWaitMs: 0,
+      recordTtlMs: 60000,
+    });
+    chain = fakeChain(queue);
+
+    const voterKey = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    chain.root = ethers.utils.keccak256(voterKey);
+    ballot = {
+      electionId: 1,
+      voterKey,
+      merkleProof: [],
+      votes: [[0]],
+      voter: ethers.Wallet.createRandom().address,
+      nonce: 0,
+      deadline: Math.floor(Date.now() / 1000) + 3600,
+      signature: '0x1234',
+    };
+  });
+
+  async function expectRelayError(promise, message, status) {
+    let error;
+    try {
+      await promise;
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an('error');
+    expect(error.message).to.equal(message);
+    expect(error.status).to.equal(status);
+  }
+
+  it('queues a valid signed ballot', async function () {
+    const record = await queue.addSignedBallot(ballot);
+
+    expect(record.status).to.equal(BALLOT_STATUS.QUEUED);
+    expect(queue.getStatus(record.id)).to.equal(record);
+    expect(queue.pendingCount()).to.equal(1);
+  });
+
+  it('refuses a ballot outside the election Merkle root', async function () {
+    chain.root = ethers.utils.keccak256(ethers.utils.randomBytes(32));
+    await expectRelayError(queue.addSignedBallot(ballot), 'Voter key is not in the election Merkle root', 400);
+  });
+
+  it('refuses a ballot that is already queued or included', async function () {
+    const { id } = await queue.addSignedBallot(ballot);
+    await expectRelayError(queue.addSignedBallot(ballot), 'Ballot already relayed', 409);
+
+    await queue.tick();
+    expect(queue.getStatus(id)).to.include({ status: BALLOT_STATUS.INCLUDED, blockNumber: 7 });
+    await expectRelayError(queue.addSignedBallot(ballot), 'Ballot already relayed', 409);
+  });
+
+  it('takes a ballot again after it failed', async function () {
+    const { id } = await queue.addSignedBallot(ballot);
+    chain.failTx = new Error('replacement transaction underpriced');
+    await queue.tick();
+    expect(queue.getStatus(id)).to.include({ status: BALLOT_STATUS.FAILED, error: 'replacement transaction underpriced' });
+
+    chain.failTx = null;
+    expect((await queue.addSignedBallot(ballot)).status).to.equal(BALLOT_STATUS.QUEUED);
+    await queue.tick();
+    expect(queue.getStatus(id).status).to.equal(BALLOT_STATUS.INCLUDED);
+  });
+
+  it('drops ballots the submitter would reject at submission', async function () {
+    const { id } = await queue.addSignedBallot(ballot);
+    chain.rejectAtSubmit = ethers.utils.formatBytes32String('Key used');
+    await queue.tick();
+
+    expect(queue.getStatus(id)).to.include({ status: BALLOT_STATUS.FAILED, error: 'Key used' });
+    expect(chain.sent).to.have.length(0);
+  });
+
+  it('forgets finished ballots after recordTtlMs', async function () {
+    const { id } = await queue.addSignedBallot(ballot);
+    await queue.tick();
+
+    const realNow = Date.now;
+    try {
+      Date.now = () => realNow() + 30000;
+      await queue.tick();
+      expect(queue.getStatus(id)).to.not.equal(null);
+
+      Date.now = () => realNow() + 60001;
+      await queue.tick();
+      expect(queue.getStatus(id)).to.equal(null);
+    } finally {
+      Date.now = realNow;
+    }
+
+    // The chain still knows it
+    await expectRelayError(queue.addSignedBallot(ballot), 'Ballot already relayed', 409);
+  });
+
+  describe('ABIs', function () {
+    // Catches fragments left behind when a contract's signatures change
+    function expectMatches(iface, exported) {
+      for (const fragment of Object.values(iface.functions).concat(Object.values(iface.events))) {
+        const minimal = fragment.format(ethers.utils.FormatTypes.minimal);
+        const current = fragment.type === 'event' ? exported.getEvent(fragment.name) : exported.getFunction(fragment.name);
+        expect(minimal, fragment.name).to.equal(current.format(ethers.utils.FormatTypes.minimal));
+      }
+    }
+
+    it('match SafeVote', function () {
+      const { interface: iface } = new BallotQueue({
+        chainId: 31337,
+        wallet: ethers.Wallet.createRandom(),
+        safeVoteAddress: ethers.constants.AddressZero,
+        batchSubmitterAddress: ethers.constants.AddressZero,
+      }).safeVote;
+      expectMatches(iface, exportedAbi('SafeVote'));
+    });
+
+    it('match BatchVoteSubmitter', function () {
+      expectMatches(queue.submitter.interface, exportedAbi('BatchVoteSubmitter'));
+    });
+  });
+});
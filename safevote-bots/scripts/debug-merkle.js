@@ -6,11 +6,25 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const axios = require('axios');
 const chalk = require('chalk');
+const apiClient = require('../src/core/apiClient');
+const walletManager = require('../src/core/walletManager');
 
 const KEYGEN_API = process.env.KEYGEN_API;
 const BACKEND_API = process.env.BACKEND_API;
 
-async function debugMerkleProof(electionId, voterAddress) {
+// Leaf formats, chosen per election:
+//   key     - keccak256(abi.encodePacked(voterKey))
+//   address - keccak256(abi.encode(voterAddress, voterKey)), only valid from the voter's wallet
+function computeLeaf(voterKey, voterAddress, leafFormat) {
+  if (leafFormat === 'address') {
+    return ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(['address', 'bytes32'], [voterAddress, voterKey])
+    );
+  }
+  return ethers.utils.keccak256(ethers.utils.solidityPack(['bytes32'], [voterKey]));
+}
+
+async function debugMerkleProof(electionId, voterAddress, leafFormatOverride) {
   console.log(chalk.cyan('═'.repeat(60)));
   console.log(chalk.bold.white('  Merkle Proof Debug Tool'));
   console.log(chalk.cyan('═'.repeat(60)));
@@ -27,9 +41,14 @@ async function debugMerkleProof(electionId, voterAddress) {
     console.log(`  Total Voters: ${chalk.green(election.totalVoters)}`);
     console.log('');
 
-    // Step 2: Get voter data from keyService
+    // Step 2: Get voter data from keyService (it only releases a key to its own wallet,
+    // so the voter must be one of the bot wallets in data/wallets.json)
     console.log(chalk.bold.white('Step 2: Fetching voter data...'));
-    const voterRes = await axios.get(`${KEYGEN_API}/api/elections/${electionId}/keys/${voterAddress}`);
+    await walletManager.loadWallets();
+    const token = await apiClient.getKeySession(walletManager.getEthersWallet(voterAddress));
+    const voterRes = await axios.get(`${KEYGEN_API}/api/elections/${electionId}/keys/${voterAddress}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
     const voterData = voterRes.data;
 
     if (!voterData.success) {
@@ -40,6 +59,9 @@ async function debugMerkleProof(electionId, voterAddress) {
     console.log(`  Voter Key: ${chalk.cyan(voterData.voterKey)}`);
     console.log(`  Merkle Proof Length: ${chalk.green(voterData.merkleProof.length)} hashes`);
     console.log(`  Merkle Root (from keyService): ${chalk.yellow(voterData.merkleRoot)}`);
+
+    const leafFormat = leafFormatOverride || voterData.leafFormat || election.leafFormat || 'key';
+    console.log(`  Leaf Format: ${chalk.cyan(leafFormat)}${leafFormatOverride ? chalk.gray(' (override)') : ''}`);
     console.log('');
 
     // Step 3: Verify roots match
@@ -63,9 +85,9 @@ async function debugMerkleProof(electionId, voterAddress) {
     
     // Create leaf from voter key (match contract logic)
     const packed = ethers.utils.solidityPack(['bytes32'], [voterData.voterKey]);
-    const leaf = ethers.utils.keccak256(packed);
+    const leaf = computeLeaf(voterData.voterKey, voterAddress, leafFormat);
     
-    console.log(`  Leaf (from voterKey): ${chalk.cyan(leaf)}`);
+    console.log(`  Leaf (${leafFormat === 'address' ? 'from voterAddress + voterKey' : 'from voterKey'}): ${chalk.cyan(leaf)}`);
     console.log(`  Proof hashes:`);
     voterData.merkleProof.forEach((hash, i) => {
       console.log(`    [${i}] ${chalk.gray(hash)}`);
@@ -113,6 +135,7 @@ async function debugMerkleProof(electionId, voterAddress) {
       console.log('    1. Merkle tree was not built correctly');
       console.log('    2. Proof was generated for wrong voter key');
       console.log('    3. Tree structure mismatch (sortPairs setting)');
+      console.log('    4. Leaf format mismatch (try the other format with --leaf-format)');
     }
     console.log('');
 
@@ -154,13 +177,16 @@ async function debugMerkleProof(electionId, voterAddress) {
 // Usage
 const args = process.argv.slice(2);
 
-if (args.length < 2) {
-  console.log('Usage: node scripts/debug-merkle.js <electionId> <voterAddress>');
+const formatArg = args.find(a => a.startsWith('--leaf-format='));
+const positional = args.filter(a => !a.startsWith('--'));
+
+if (positional.length < 2) {
+  console.log('Usage: node scripts/debug-merkle.js <electionId> <voterAddress> [--leaf-format=key|address]');
   console.log('');
   console.log('Example:');
   console.log('  node scripts/debug-merkle.js elec-de471849-ee51-4fc7-8860-ee0a722ea8ab 0xa4c6907dc6C7f6e7728f2a94294f05EC47c4b0B4');
   process.exit(1);
 }
 
-const [electionId, voterAddress] = args;
-debugMerkleProof(electionId, voterAddress);
\ No newline at end of file
+const [electionId, voterAddress] = positional;
+debugMerkleProof(electionId, voterAddress, formatArg && formatArg.split('=')[1]);
\ No newline at end of file
@@ -35,12 +35,16 @@ const ABI = [
         components: [
           { internalType: 'string', name: 'title', type: 'string' },
           { internalType: 'string[]', name: 'candidates', type: 'string[]' },
-          { internalType: 'uint256', name: 'maxSelections', type: 'uint256' }
+          { internalType: 'uint256', name: 'maxSelections', type: 'uint256' },
+          { internalType: 'enum ElectionLib.BallotType', name: 'ballotType', type: 'uint8' },
+          { internalType: 'uint256', name: 'winThreshold', type: 'uint256' }
         ],
-        internalType: 'struct SafeVote.Position[]',
+        internalType: 'struct ElectionLib.Position[]',
         name: 'positions',
         type: 'tuple[]'
-      }
+      },
+      { internalType: 'address[]', name: 'officials', type: 'address[]' },
+      { internalType: 'enum RolesLib.Role[]', name: 'officialRoles', type: 'uint8[]' }
     ],
     stateMutability: 'view',
     type: 'function'
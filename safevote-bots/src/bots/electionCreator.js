@@ -109,7 +109,9 @@ class ElectionCreatorBot {
       const keyGenResult = await apiClient.generateVoterKeys(
         electionUUID,
         voterAddresses.length,
-        voterAddresses
+        voterAddresses,
+        this.wallet,
+        electionData.leafFormat
       );
 
       logger.info(`  ✅ Keys generated`);
@@ -63,7 +63,7 @@ class EligibleVoterBot {
       }
 
       // Check eligibility (has voter key)
-      const voterData = await apiClient.getVoterData(election.uuid, this.wallet.address);
+      const voterData = await apiClient.getVoterData(election.uuid, this.wallet);
       if (!voterData) {
         logger.debug(`Not eligible for election ${election.uuid}`);
         return { canVote: false, reason: 'not_eligible' };
@@ -51,7 +51,7 @@ class IneligibleVoterBot {
 
       // Step 1: Check if we have voter key (we shouldn't)
       logger.info('Step 1: Checking eligibility...');
-      const voterData = await apiClient.getVoterData(election.uuid, this.wallet.address);
+      const voterData = await apiClient.getVoterData(election.uuid, this.wallet);
 
       if (!voterData) {
         logger.info('  ✅ SECURITY CHECK PASSED: Not eligible (as expected)');
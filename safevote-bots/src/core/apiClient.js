@@ -12,6 +12,7 @@ class APIClient {
   constructor() {
     this.requestCount = 0;
     this.lastRequestTime = 0;
+    this.keySessions = new Map(); // lowercase address => { token, expiresAt }
   }
 
   /**
@@ -126,9 +127,10 @@ class APIClient {
 
   /**
    * Generate voter keys and Merkle root
-   * Called AFTER creating election in database
+   * Called AFTER creating election in database, signed in as its creator `wallet`
+   * leafFormat 'address' binds each key to its voter's wallet
    */
-  async generateVoterKeys(electionId, numVoters, voterAddresses) {
+  async generateVoterKeys(electionId, numVoters, voterAddresses, wallet, leafFormat = 'key') {
     try {
       logger.debug(`Generating ${numVoters} voter keys for election ${electionId}`);
 
@@ -138,8 +140,10 @@ class APIClient {
         {
           electionId,
           numVoters,
-          voterAddresses
-        }
+          voterAddresses,
+          leafFormat
+        },
+        { headers: { Authorization: `Bearer ${await this.getKeySession(wallet)}` } }
       );
 
       if (!response.success || !response.merkleRoot) {
@@ -160,18 +164,57 @@ class APIClient {
     }
   }
 
+  /**
+   * Sign in to the key service with the wallet (Sign-In-With-Ethereum)
+   * Returns a session token, reused until shortly before it expires
+   */
+  async getKeySession(wallet) {
+    const address = wallet.address.toLowerCase();
+    const cached = this.keySessions.get(address);
+    if (cached && cached.expiresAt - Date.now() > 30000) {
+      return cached.token;
+    }
+
+    const chainId = wallet.provider ? (await wallet.provider.getNetwork()).chainId : undefined;
+    const challenge = await this.makeRequest('POST', `${KEYGEN_API}/api/auth/nonce`, {
+      address: wallet.address,
+      chainId
+    });
+    const signature = await wallet.signMessage(challenge.message);
+    const session = await this.makeRequest('POST', `${KEYGEN_API}/api/auth/verify`, {
+      nonce: challenge.nonce,
+      signature
+    });
+
+    logger.debug(`🔑 Signed in to key service as ${wallet.address.substring(0, 10)}...`);
+    this.keySessions.set(address, { token: session.token, expiresAt: Date.parse(session.expiresAt) });
+    return session.token;
+  }
+
   /**
    * Get voter key and merkle proof
-   * Called when voter is ready to vote
+   * Called when voter is ready to vote; the key service only releases
+   * a key to its own wallet, so this signs in with `wallet` first
    */
-  async getVoterData(electionId, voterAddress) {
+  async getVoterData(electionId, wallet) {
+    const voterAddress = wallet.address;
     try {
       logger.debug(`Fetching voter data for ${voterAddress.substring(0, 10)}... in election ${electionId}`);
 
-      const response = await this.makeRequest(
-        'GET',
-        `${KEYGEN_API}/api/elections/${electionId}/keys/${voterAddress}`
-      );
+      const url = `${KEYGEN_API}/api/elections/${electionId}/keys/${voterAddress}`;
+      const request = async () => this.makeRequest('GET', url, null, {
+        headers: { Authorization: `Bearer ${await this.getKeySession(wallet)}` }
+      });
+
+      let response;
+      try {
+        response = await request();
+      } catch (error) {
+        // Session lapsed or the service restarted: sign in again once
+        if (error.response?.status !== 401) throw error;
+        this.keySessions.delete(voterAddress.toLowerCase());
+        response = await request();
+      }
 
       if (!response.success || !response.voterKey) {
         throw new Error('Voter not eligible or data not found');
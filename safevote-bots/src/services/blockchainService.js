@@ -80,9 +80,24 @@ class BlockchainService {
       const positions = electionData.positions.map(p => ({
         title: p.title,
         candidates: p.candidates,
-        maxSelections: p.maxSelections || 1
+        maxSelections: p.maxSelections || 1,
+        ballotType: p.ballotType || 0, // 0 = plurality, 1 = ranked
+        winThreshold: p.winThreshold || 0 // basis points the winner must exceed
       }));
 
+      const settings = {
+        secretBallot: electionData.secretBallot || false,
+        revealPeriod: electionData.secretBallot ? electionData.revealPeriod : 0,
+        allowRevote: electionData.allowRevote || false,
+        quorumType: electionData.quorumType || 0, // 0 = none, 1 = count, 2 = percentage (bps)
+        quorum: electionData.quorum || 0,
+        eligibility: electionData.eligibility || 0, // 0 = voter roll, 1 = weighted roll, 2 = token-weighted, 3 = token-gated
+        token: electionData.token || ethers.constants.AddressZero,
+        snapshotBlock: electionData.snapshotBlock || 0,
+        addressBoundLeaf: electionData.leafFormat === 'address', // leaf = keccak256(abi.encode(voter, voterKey))
+        zkAnonymous: electionData.zkAnonymous || false // register identities, vote with Groth16 proofs
+      };
+
       // Connect wallet to contract
       const contractWithSigner = this.contract.connect(wallet);
 
@@ -103,7 +118,8 @@ class BlockchainService {
           electionData.isPublic !== false,
           electionData.allowAnonymous || false,
           electionData.allowDelegation || false,
-          positions
+          positions,
+          settings
         );
         
         // Add 20% buffer
@@ -128,6 +144,7 @@ class BlockchainService {
         electionData.allowAnonymous || false,
         electionData.allowDelegation || false,
         positions,
+        settings,
         {
           gasLimit,
           gasPrice
@@ -312,7 +329,9 @@ class BlockchainService {
         positions: election.positions.map(p => ({
           title: p.title,
           candidates: p.candidates,
-          maxSelections: p.maxSelections.toNumber()
+          maxSelections: p.maxSelections.toNumber(),
+          ballotType: p.ballotType,
+          winThreshold: p.winThreshold.toNumber()
         }))
       };
 
@@ -19,11 +19,30 @@ const SAFE_VOTE_V2_ABI = [
         components: [
           { internalType: 'string', name: 'title', type: 'string' },
           { internalType: 'string[]', name: 'candidates', type: 'string[]' },
-          { internalType: 'uint256', name: 'maxSelections', type: 'uint256' }
+          { internalType: 'uint256', name: 'maxSelections', type: 'uint256' },
+          { internalType: 'enum ElectionLib.BallotType', name: 'ballotType', type: 'uint8' },
+          { internalType: 'uint256', name: 'winThreshold', type: 'uint256' }
         ],
-        internalType: 'struct SafeVote.Position[]',
+        internalType: 'struct ElectionLib.Position[]',
         name: 'positions',
         type: 'tuple[]'
+      },
+      {
+        components: [
+          { internalType: 'bool', name: 'secretBallot', type: 'bool' },
+          { internalType: 'uint256', name: 'revealPeriod', type: 'uint256' },
+          { internalType: 'bool', name: 'allowRevote', type: 'bool' },
+          { internalType: 'enum ElectionLib.QuorumType', name: 'quorumType', type: 'uint8' },
+          { internalType: 'uint256', name: 'quorum', type: 'uint256' },
+          { internalType: 'enum ElectionLib.Eligibility', name: 'eligibility', type: 'uint8' },
+          { internalType: 'address', name: 'token', type: 'address' },
+          { internalType: 'uint256', name: 'snapshotBlock', type: 'uint256' },
+          { internalType: 'bool', name: 'addressBoundLeaf', type: 'bool' },
+          { internalType: 'bool', name: 'zkAnonymous', type: 'bool' }
+        ],
+        internalType: 'struct ElectionLib.ElectionSettings',
+        name: 'settings',
+        type: 'tuple'
       }
     ],
     name: 'createElection',
@@ -71,12 +90,16 @@ const SAFE_VOTE_V2_ABI = [
         components: [
           { internalType: 'string', name: 'title', type: 'string' },
           { internalType: 'string[]', name: 'candidates', type: 'string[]' },
-          { internalType: 'uint256', name: 'maxSelections', type: 'uint256' }
+          { internalType: 'uint256', name: 'maxSelections', type: 'uint256' },
+          { internalType: 'enum ElectionLib.BallotType', name: 'ballotType', type: 'uint8' },
+          { internalType: 'uint256', name: 'winThreshold', type: 'uint256' }
         ],
-        internalType: 'struct SafeVote.Position[]',
+        internalType: 'struct ElectionLib.Position[]',
         name: 'positions',
         type: 'tuple[]'
-      }
+      },
+      { internalType: 'address[]', name: 'officials', type: 'address[]' },
+      { internalType: 'enum RolesLib.Role[]', name: 'officialRoles', type: 'uint8[]' }
     ],
     stateMutability: 'view',
     type: 'function'
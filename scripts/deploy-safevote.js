@@ -1,16 +1,79 @@
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('hardhat');
 
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log('Deploying with account:', deployer.address);
 
-  const SafeVote = await ethers.getContractFactory('SafeVote');
+  // SafeVote links ElectionLib (V2 ballot logic), PollLib (V1 polls), OrgLib (V1
+  // organizations), InviteLib (org invitations) and RolesLib (admins and officials) as
+  // external libraries
+  console.log('Deploying ElectionLib...');
+  const electionLib = await ethers.deployContract('ElectionLib');
+  await electionLib.waitForDeployment();
+  console.log('ElectionLib deployed to:', await electionLib.getAddress());
+
+  console.log('Deploying PollLib...');
+  const pollLib = await ethers.deployContract('PollLib');
+  await pollLib.waitForDeployment();
+  console.log('PollLib deployed to:', await pollLib.getAddress());
+
+  console.log('Deploying InviteLib...');
+  const inviteLib = await ethers.deployContract('InviteLib');
+  await inviteLib.waitForDeployment();
+  console.log('InviteLib deployed to:', await inviteLib.getAddress());
+
+  console.log('Deploying RolesLib...');
+  const rolesLib = await ethers.deployContract('RolesLib');
+  await rolesLib.waitForDeployment();
+  console.log('RolesLib deployed to:', await rolesLib.getAddress());
+
+  console.log('Deploying OrgLib...');
+  const orgLib = await ethers.deployContract('OrgLib');
+  await orgLib.waitForDeployment();
+  console.log('OrgLib deployed to:', await orgLib.getAddress());
+
+  const SafeVote = await ethers.getContractFactory('SafeVote', {
+    libraries: {
+      ElectionLib: await electionLib.getAddress(),
+      PollLib: await pollLib.getAddress(),
+      InviteLib: await inviteLib.getAddress(),
+      RolesLib: await rolesLib.getAddress(),
+      OrgLib: await orgLib.getAddress(),
+    },
+  });
   console.log('Deploying SafeVote...');
 
   const safeVote = await SafeVote.deploy();
   await safeVote.waitForDeployment();
 
   console.log('SafeVote deployed to:', await safeVote.getAddress());
+
+  // Gasless ballots are relayed through voteFor(), which only accepts this submitter
+  console.log('Deploying BatchVoteSubmitter...');
+  const batchSubmitter = await ethers.deployContract('BatchVoteSubmitter', [await safeVote.getAddress()]);
+  await batchSubmitter.waitForDeployment();
+  await (await safeVote.setBatchSubmitter(await batchSubmitter.getAddress())).wait();
+
+  console.log('BatchVoteSubmitter deployed to:', await batchSubmitter.getAddress());
+
+  // zkAnonymous elections verify Groth16 ballots and hash identity trees with PoseidonT3.
+  // The verifier must come from the same build as voting-ui/public/zk (scripts/zk/build-circuit.js).
+  // Ship voting-ui/public/zk from this same machine with the UI.
+  if (!fs.existsSync(path.join(__dirname, '..', 'voting-ui', 'public', 'zk', 'anonymousVote.zkey')) ||
+      !fs.existsSync(path.join(__dirname, '..', 'contracts', 'zk', 'AnonymousVoteVerifier.sol'))) {
+    throw new Error('No circuit build in voting-ui/public/zk: run `npm run build:circuit` before deploying');
+  }
+  console.log('Deploying AnonymousVoteVerifier and PoseidonT3...');
+  const verifier = await ethers.deployContract('AnonymousVoteVerifier');
+  await verifier.waitForDeployment();
+  const poseidon = await ethers.deployContract('PoseidonT3');
+  await poseidon.waitForDeployment();
+  await (await safeVote.setAnonymousVoteContracts(await verifier.getAddress(), await poseidon.getAddress())).wait();
+
+  console.log('AnonymousVoteVerifier deployed to:', await verifier.getAddress());
+  console.log('PoseidonT3 deployed to:', await poseidon.getAddress());
 }
 
 main().catch((error) => {
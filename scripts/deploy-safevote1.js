@@ -8,9 +8,50 @@ async function main() {
   console.log('Deploying with account:', deployer.address);
   console.log('Account balance:', ethers.formatEther(await ethers.provider.getBalance(deployer.address)), 'ETH');
 
+  // SafeVote links ElectionLib (V2 ballot logic), PollLib (V1 polls), OrgLib (V1
+  // organizations), InviteLib (org invitations) and RolesLib (admins and officials) as
+  // external libraries
+  console.log('\n📚 Deploying ElectionLib...');
+  const electionLib = await ethers.deployContract('ElectionLib');
+  await electionLib.waitForDeployment();
+  const electionLibAddress = await electionLib.getAddress();
+  console.log('📍 ElectionLib Address:', electionLibAddress);
+
+  console.log('\n📚 Deploying PollLib...');
+  const pollLib = await ethers.deployContract('PollLib');
+  await pollLib.waitForDeployment();
+  const pollLibAddress = await pollLib.getAddress();
+  console.log('📍 PollLib Address:', pollLibAddress);
+
+  console.log('\n📚 Deploying InviteLib...');
+  const inviteLib = await ethers.deployContract('InviteLib');
+  await inviteLib.waitForDeployment();
+  const inviteLibAddress = await inviteLib.getAddress();
+  console.log('📍 InviteLib Address:', inviteLibAddress);
+
+  console.log('\n📚 Deploying RolesLib...');
+  const rolesLib = await ethers.deployContract('RolesLib');
+  await rolesLib.waitForDeployment();
+  const rolesLibAddress = await rolesLib.getAddress();
+  console.log('📍 RolesLib Address:', rolesLibAddress);
+
+  console.log('\n📚 Deploying OrgLib...');
+  const orgLib = await ethers.deployContract('OrgLib');
+  await orgLib.waitForDeployment();
+  const orgLibAddress = await orgLib.getAddress();
+  console.log('📍 OrgLib Address:', orgLibAddress);
+
   // Deploy regular contract (no proxy, no upgrades)
   console.log('\n📦 Deploying SafeVote...');
-  const SafeVote = await ethers.getContractFactory('SafeVote');
+  const SafeVote = await ethers.getContractFactory('SafeVote', {
+    libraries: {
+      ElectionLib: electionLibAddress,
+      PollLib: pollLibAddress,
+      InviteLib: inviteLibAddress,
+      RolesLib: rolesLibAddress,
+      OrgLib: orgLibAddress,
+    },
+  });
   const contract = await SafeVote.deploy();
   
   console.log('⏳ Waiting for deployment...');
@@ -0,0 +1,207 @@
+// End-to-end check of the relayer against a local Hardhat node:
+//
+//   npx hardhat node                                   (terminal 1)
+//   cd relayer && npm install && cd ..
+//   npx hardhat run scripts/relayer-e2e.js --network localhost
+//
+// Deploys SafeVote and the BatchVoteSubmitter, opens an election, starts relayer/server.js
+// against it, relays signed ballots over HTTP and waits for every one to be included.
+const { ethers, network } = require('hardhat');
+const { spawn } = require('child_process');
+const path = require('path');
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+
+const RELAYER_PORT = 4010;
+const RELAYER_URL = `http://127.0.0.1:${RELAYER_PORT}`;
+// First default Hardhat account; it deploys the submitter, which authorizes it as relayer
+const RELAYER_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const VOTE_TYPES = {
+  Vote: [
+    { name: 'electionId', type: 'uint256' },
+    { name: 'voterKey', type: 'bytes32' },
+    { name: 'votes', type: 'uint256[][]' },
+    { name: 'voter', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForRelayer() {
+  for (let i = 0; i < 30; i++) {
+    try {
+      const res = await fetch(`${RELAYER_URL}/`);
+      if (res.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await sleep(500);
+  }
+  throw new Error('Relayer did not start');
+}
+
+async function relay(ballot) {
+  const res = await fetch(`${RELAYER_URL}/api/relay/ballots`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chainId: network.config.chainId || 31337, ballot }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function main() {
+  if (network.name === 'hardhat') {
+    throw new Error('Run against a node: npx hardhat run scripts/relayer-e2e.js --network localhost');
+  }
+  const [deployer, ...voters] = await ethers.getSigners();
+  const honest = voters.slice(0, 5);
+  const outsider = voters[5];
+
+  const electionLib = await ethers.deployContract('ElectionLib');
+  const pollLib = await ethers.deployContract('PollLib');
+  const inviteLib = await ethers.deployContract('InviteLib');
+  const rolesLib = await ethers.deployContract('RolesLib');
+  const orgLib = await ethers.deployContract('OrgLib');
+  const safeVote = await ethers.deployContract('SafeVote', {
+    libraries: {
+      ElectionLib: await electionLib.getAddress(),
+      PollLib: await pollLib.getAddress(),
+      InviteLib: await inviteLib.getAddress(),
+      RolesLib: await rolesLib.getAddress(),
+      OrgLib: await orgLib.getAddress(),
+    },
+  });
+  const batch = await ethers.deployContract('BatchVoteSubmitter', [await safeVote.getAddress()]);
+  await (await safeVote.setBatchSubmitter(await batch.getAddress())).wait();
+  console.log('SafeVote:', await safeVote.getAddress());
+  console.log('BatchVoteSubmitter:', await batch.getAddress());
+
+  // Voter keys as in the key service: leaf = keccak256(abi.encodePacked(voterKey))
+  const keys = honest.map(v => '0x' + keccak256(v.address).toString('hex'));
+  const tree = new MerkleTree(keys.map(k => keccak256(k)), keccak256, { sortPairs: true });
+
+  const now = (await ethers.provider.getBlock('latest')).timestamp;
+  await (
+    await safeVote.createElection(
+      'Relayer E2E',
+      'Gasless ballots',
+      'Localhost',
+      now + 60,
+      now + 7200,
+      honest.length,
+      tree.getHexRoot(),
+      true,
+      false,
+      false,
+      [{ title: 'Chair', candidates: ['Alice', 'Bob'], maxSelections: 1, ballotType: 0, winThreshold: 0 }],
+      {
+        secretBallot: false,
+        revealPeriod: 0,
+        allowRevote: false,
+        quorumType: 0,
+        quorum: 0,
+        eligibility: 0,
+        token: ethers.ZeroAddress,
+        snapshotBlock: 0,
+        addressBoundLeaf: false,
+        zkAnonymous: false,
+      }
+    )
+  ).wait();
+  const electionId = 1n;
+  await network.provider.send('evm_increaseTime', [120]);
+  await network.provider.send('evm_mine');
+
+  const relayer = spawn(process.execPath, [path.join(__dirname, '..', 'relayer', 'server.js')], {
+    cwd: path.join(__dirname, '..', 'relayer'),
+    env: {
+      ...process.env,
+      PORT: String(RELAYER_PORT),
+      RELAYER_PRIVATE_KEY: RELAYER_KEY,
+      RELAYER_CHAIN_IDS: '31337',
+      RPC_URL_31337: network.config.url,
+      SAFEVOTE_ADDRESS_31337: await safeVote.getAddress(),
+      BATCH_SUBMITTER_ADDRESS_31337: await batch.getAddress(),
+      BATCH_INTERVAL_MS: '1000',
+      MAX_WAIT_MS: '3000',
+    },
+    stdio: 'inherit',
+  });
+
+  try {
+    await waitForRelayer();
+
+    const domain = {
+      name: 'SafeVote BatchVoteSubmitter',
+      version: '1',
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await batch.getAddress(),
+    };
+    const deadline = Math.floor(Date.now() / 1000) + 3600;
+    const sign = async (signer, voterKey, merkleProof, choice, nonce = 0n) => {
+      const vote = { electionId, voterKey, votes: [[choice]], voter: signer.address, nonce, deadline };
+      const signature = await signer.signTypedData(domain, VOTE_TYPES, vote);
+      return {
+        ...vote,
+        electionId: vote.electionId.toString(),
+        nonce: vote.nonce.toString(),
+        merkleProof,
+        signature,
+      };
+    };
+
+    // Ballots the relayer must refuse before they cost any gas
+    const notOnRoll = await relay(await sign(outsider, '0x' + keccak256(outsider.address).toString('hex'), [], 0));
+    if (notOnRoll.status !== 400) throw new Error(`Expected 400 for unknown key, got ${notOnRoll.status}`);
+    const badNonce = await relay(await sign(honest[0], keys[0], tree.getHexProof(keccak256(keys[0])), 0, 5n));
+    if (badNonce.status !== 400) throw new Error(`Expected 400 for bad nonce, got ${badNonce.status}`);
+    // Screened by BatchVoteSubmitter.validateBatch, which reports SafeVote's revert reason
+    const badCandidate = await relay(await sign(honest[0], keys[0], tree.getHexProof(keccak256(keys[0])), 7));
+    if (!/Invalid candidate/.test(badCandidate.body.error || '')) {
+      throw new Error(`Expected an invalid candidate rejection, got ${JSON.stringify(badCandidate.body)}`);
+    }
+    console.log('✅ Invalid ballots rejected:', [notOnRoll, badNonce, badCandidate].map(r => r.body.error).join(' / '));
+
+    const ids = [];
+    for (let i = 0; i < honest.length; i++) {
+      const ballot = await sign(honest[i], keys[i], tree.getHexProof(keccak256(keys[i])), i < 3 ? 0 : 1);
+      const { status, body } = await relay(ballot);
+      if (status !== 202) throw new Error(`Ballot ${i} refused: ${body.error}`);
+      ids.push(body.id);
+    }
+
+    const duplicate = await relay(await sign(honest[0], keys[0], tree.getHexProof(keccak256(keys[0])), 0));
+    if (duplicate.status !== 409) throw new Error(`Expected 409 for duplicate, got ${duplicate.status}`);
+
+    // The batch goes out once the oldest ballot has waited MAX_WAIT_MS
+    const statuses = new Map();
+    for (let attempt = 0; attempt < 60 && statuses.size < ids.length; attempt++) {
+      await sleep(1000);
+      for (const id of ids) {
+        const res = await fetch(`${RELAYER_URL}/api/relay/ballots/${id}`);
+        const record = await res.json();
+        if (['included', 'failed', 'expired'].includes(record.status)) statuses.set(id, record);
+      }
+    }
+
+    const records = [...statuses.values()];
+    if (records.length !== ids.length || records.some(r => r.status !== 'included')) {
+      throw new Error(`Not all ballots included: ${JSON.stringify(records)}`);
+    }
+    if (new Set(records.map(r => r.txHash)).size !== 1) throw new Error('Expected a single batch transaction');
+
+    const [, counts] = await safeVote.getElectionResults(electionId, 0);
+    if (counts[0] !== 3n || counts[1] !== 2n) throw new Error(`Unexpected tally ${counts}`);
+    console.log(`✅ ${records.length} ballots included in ${records[0].txHash}; tally ${counts.join('/')}`);
+  } finally {
+    relayer.kill();
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,126 @@
+// Checks a certified election result against the hash SafeVote recorded in certifyResults.
+//
+// The hash is keccak256(abi.encode(chainId, safeVote, electionId, votesCast, winners,
+// outcomes, turnout, totalRegisteredVoters)) where votesCast is getElectionResultsAll,
+// winners/outcomes come from getElectionOutcome's per-position results and turnout is
+// totalVotesCast. Anyone with an RPC endpoint can recompute it; an exported results file
+// (e.g. the one an organizer publishes) can be checked the same way without trusting it.
+//
+// Usage:
+//   RPC_URL=... SAFEVOTE_ADDRESS=0x... node scripts/verify-results.js export <electionId> [results.json]
+//   RPC_URL=... SAFEVOTE_ADDRESS=0x... node scripts/verify-results.js verify <electionId> [results.json]
+//
+// verify exits with status 1 when the chain state or the export does not match the certification.
+require('dotenv').config();
+const fs = require('fs');
+const { ethers } = require('ethers');
+// Minimal (unnamed) ABI, so struct fields below are read by position
+const SAFEVOTE_ABI = require('../abis/SafeVote.json');
+
+const RESULTS_TYPES = ['uint256', 'address', 'uint256', 'uint256[][]', 'uint256[]', 'uint8[]', 'uint256', 'uint256'];
+
+function computeResultsHash(results) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(RESULTS_TYPES, [
+    results.chainId,
+    results.safeVote,
+    results.electionId,
+    results.votesCast,
+    results.winners,
+    results.outcomes,
+    results.turnout,
+    results.totalRegisteredVoters,
+  ]));
+}
+
+// Reads a completed election's results in the export format (numbers as decimal strings)
+async function readResults(safeVote, electionId) {
+  const { chainId } = await safeVote.runner.provider.getNetwork();
+  const election = await safeVote.getElection(electionId);
+  const [, turnout, , positionResults] = await safeVote.getElectionOutcome(electionId);
+  const votesCast = await safeVote.getElectionResultsAll(electionId);
+  const [resultsHash, certifiedAt, certifiedBy] = await safeVote.getCertification(electionId);
+
+  return {
+    chainId: chainId.toString(),
+    safeVote: await safeVote.getAddress(),
+    electionId: election[0].toString(),
+    title: election[2],
+    votesCast: votesCast.map(position => position.map(votes => votes.toString())),
+    // PositionResult: (outcome, winner, winnerVotes)
+    winners: positionResults.map(result => result[1].toString()),
+    outcomes: positionResults.map(result => Number(result[0])),
+    turnout: turnout.toString(),
+    totalRegisteredVoters: election[8].toString(),
+    certification: certifiedAt === 0n ? null : {
+      resultsHash,
+      certifiedAt: certifiedAt.toString(),
+      certifiedBy,
+    },
+  };
+}
+
+function connect() {
+  const { RPC_URL, SAFEVOTE_ADDRESS } = process.env;
+  if (!RPC_URL || !SAFEVOTE_ADDRESS) {
+    throw new Error('RPC_URL and SAFEVOTE_ADDRESS are required');
+  }
+  return new ethers.Contract(SAFEVOTE_ADDRESS, SAFEVOTE_ABI, new ethers.JsonRpcProvider(RPC_URL));
+}
+
+async function exportResults(electionId, file) {
+  const results = await readResults(connect(), electionId);
+  const json = JSON.stringify(results, null, 2);
+  if (file) {
+    fs.writeFileSync(file, json + '\n');
+    console.log(`✅ Election ${electionId} results written to ${file}`);
+  } else {
+    console.log(json);
+  }
+}
+
+async function verify(electionId, file) {
+  const onChain = await readResults(connect(), electionId);
+  if (!onChain.certification) {
+    console.error(`❌ Election ${electionId} has not been certified`);
+    return false;
+  }
+
+  const certified = onChain.certification.resultsHash;
+  const fromChain = computeResultsHash(onChain);
+  console.log(`Certified hash:   ${certified}`);
+  console.log(`From chain state: ${fromChain}`);
+  let ok = fromChain === certified;
+
+  if (file) {
+    const exported = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const fromExport = computeResultsHash(exported);
+    console.log(`From ${file}: ${fromExport}`);
+    ok = ok && fromExport === certified;
+  }
+
+  console.log(ok ? '✅ Results match the certification' : '❌ Results do not match the certification');
+  return ok;
+}
+
+async function main() {
+  const [command, electionId, file] = process.argv.slice(2);
+  if (!['export', 'verify'].includes(command) || !electionId) {
+    console.error('Usage: node scripts/verify-results.js <export|verify> <electionId> [results.json]');
+    process.exit(1);
+  }
+
+  if (command === 'export') {
+    await exportResults(electionId, file);
+  } else if (!(await verify(electionId, file))) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { computeResultsHash, readResults };
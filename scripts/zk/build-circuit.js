@@ -0,0 +1,102 @@
+// Builds the anonymous ballot circuit and everything that has to match it:
+//   - voting-ui/public/zk/anonymousVote.wasm   (witness generator, loaded by the browser and tests)
+//   - voting-ui/public/zk/anonymousVote.zkey   (Groth16 proving key)
+//   - contracts/zk/AnonymousVoteVerifier.sol   (on-chain verifier for that key)
+//
+// The powers-of-tau and phase 2 contributions are generated locally with random
+// entropy, which is fine for development and tests but NOT for a production
+// election: whoever runs this script could forge proofs. Production keys must come
+// from a multi-party ceremony (e.g. a public Hermez ptau plus independent phase 2
+// contributions) before the verifier is deployed.
+//
+// All three are build output and not committed: each build draws new entropy, so they only
+// match each other when they come from the same run. `npm test` runs this with --if-missing,
+// which does nothing when all three are already there and rebuilds all of them otherwise.
+// The voting UI build runs it with --check, which fails instead of building: the UI has to
+// ship the proving key of the verifier that was deployed, so copy voting-ui/public/zk from
+// the machine that deployed rather than building a new one.
+//
+// Usage: npm run build:circuit [-- --if-missing | --check]
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const snarkjs = require('snarkjs');
+
+const ROOT = path.join(__dirname, '..', '..');
+const CIRCUIT = path.join(ROOT, 'circuits', 'anonymousVote.circom');
+const PUBLIC_DIR = path.join(ROOT, 'voting-ui', 'public', 'zk');
+const VERIFIER = path.join(ROOT, 'contracts', 'zk', 'AnonymousVoteVerifier.sol');
+
+// 2^13 covers the depth-16 circuit once --O2 folds away its linear constraints (~4.4k left)
+const PTAU_POWER = 13;
+
+const entropy = () => crypto.randomBytes(32).toString('hex');
+
+async function main() {
+  const outputs = [...['anonymousVote.wasm', 'anonymousVote.zkey'].map(file => path.join(PUBLIC_DIR, file)), VERIFIER];
+  const missing = outputs.filter(file => !fs.existsSync(file)).map(file => path.relative(ROOT, file));
+  if (process.argv.includes('--check')) {
+    if (missing.length > 0) {
+      throw new Error(`Missing circuit build output: ${missing.join(', ')}. Copy it from the deployment ` +
+        'this build targets, or run `npm run build:circuit` for a local development setup.');
+    }
+    console.log('Circuit artifacts present');
+    return;
+  }
+  if (process.argv.includes('--if-missing') && missing.length === 0) {
+    console.log('Circuit artifacts present, skipping build');
+    return;
+  }
+
+  const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymous-vote-'));
+  const r1cs = path.join(buildDir, 'anonymousVote.r1cs');
+  const ptau0 = path.join(buildDir, 'pot_0000.ptau');
+  const ptau1 = path.join(buildDir, 'pot_0001.ptau');
+  const ptauFinal = path.join(buildDir, 'pot_final.ptau');
+  const zkey0 = path.join(buildDir, 'anonymousVote_0000.zkey');
+  const zkeyFinal = path.join(PUBLIC_DIR, 'anonymousVote.zkey');
+
+  console.log('Compiling circuit...');
+  execFileSync(
+    'npx',
+    ['circom2', CIRCUIT, '--r1cs', '--wasm', '--O2', '-o', buildDir, '-l', path.join(ROOT, 'node_modules')],
+    { stdio: 'inherit', cwd: ROOT }
+  );
+
+  console.log('Running local powers of tau (development only)...');
+  const curve = await snarkjs.curves.getCurveFromName('bn128');
+  await snarkjs.powersOfTau.newAccumulator(curve, PTAU_POWER, ptau0);
+  await snarkjs.powersOfTau.contribute(ptau0, ptau1, 'safevote-dev', entropy());
+  await snarkjs.powersOfTau.preparePhase2(ptau1, ptauFinal);
+
+  console.log('Running Groth16 setup...');
+  fs.mkdirSync(PUBLIC_DIR, { recursive: true });
+  await snarkjs.zKey.newZKey(r1cs, ptauFinal, zkey0);
+  await snarkjs.zKey.contribute(zkey0, zkeyFinal, 'safevote-dev', entropy());
+
+  fs.copyFileSync(
+    path.join(buildDir, 'anonymousVote_js', 'anonymousVote.wasm'),
+    path.join(PUBLIC_DIR, 'anonymousVote.wasm')
+  );
+
+  console.log('Exporting Solidity verifier...');
+  const templateDir = path.join(path.dirname(require.resolve('snarkjs')), '..', 'templates');
+  const templates = { groth16: fs.readFileSync(path.join(templateDir, 'verifier_groth16.sol.ejs'), 'utf8') };
+  const verifier = (await snarkjs.zKey.exportSolidityVerifier(zkeyFinal, templates))
+    .replace('contract Groth16Verifier', 'contract AnonymousVoteVerifier')
+    .replace(/\r?\n/g, '\r\n');
+  fs.mkdirSync(path.dirname(VERIFIER), { recursive: true });
+  fs.writeFileSync(VERIFIER, verifier);
+
+  fs.rmSync(buildDir, { recursive: true, force: true });
+  console.log('Done. Re-run the Hardhat tests to check the new verifier against the new key.');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
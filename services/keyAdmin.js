@@ -0,0 +1,124 @@
+// services/keyAdmin.js - Maintenance commands for encrypted voter keys
+//
+// Usage (from services/, with the key service's .env):
+//   npm run keys:migrate     Apply the key service section of schema.sql, then encrypt every
+//                            plaintext voter_key. Safe to re-run; run it before starting a new
+//                            version of the key service.
+//   npm run keys:rotate      Re-wrap every election's data key under the current master key.
+//                            Local provider: put the new key in MASTER_KEY and the old one in
+//                            MASTER_KEYS_PREVIOUS, rotate, then drop the old key.
+//                            KMS: point KMS_KEY_ID at the new key and rotate.
+//   node keyAdmin.js new-master-key   Print a random 32-byte key for MASTER_KEY
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { VoterKeyGenerator } = require('./keyGenerator');
+const { KeyVault, createKeyProvider } = require('./keyVault');
+
+const SCHEMA_FILE = path.join(__dirname, 'schema.sql');
+const SCHEMA_MARKER = '-- Applied by `npm run keys:migrate`';
+
+// The key service section of schema.sql; the MySQL tables above it are the old vote tracker's
+function keyServiceSchema() {
+  const sql = fs.readFileSync(SCHEMA_FILE, 'utf8');
+  const start = sql.indexOf(SCHEMA_MARKER);
+  if (start === -1) {
+    throw new Error(`No key service section in ${SCHEMA_FILE}`);
+  }
+  return sql.slice(sql.indexOf('\n', start) + 1);
+}
+
+function connect() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL not set in .env file');
+  }
+  return new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  });
+}
+
+async function migrate(db, vault) {
+  await db.query(keyServiceSchema());
+  console.log('✅ Schema ready');
+
+  const keyGen = new VoterKeyGenerator(db, vault);
+  const { rows: elections } = await db.query(
+    `SELECT DISTINCT election_id FROM voter_keys WHERE voter_key NOT LIKE 'enc:v1:%'`
+  );
+  console.log(`📋 ${elections.length} election(s) with plaintext voter keys`);
+
+  for (const { election_id: electionId } of elections) {
+    const leafFormat = await keyGen.getLeafFormat(electionId);
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rowCount: hasDataKey } = await client.query(
+        `SELECT 1 FROM election_data_keys WHERE election_id = $1`,
+        [electionId]
+      );
+      const dataKey = hasDataKey
+        ? await vault.getDataKey(electionId, client)
+        : await vault.createDataKey(client, electionId);
+
+      const { rows } = await client.query(
+        `SELECT id, voter_address, voter_key FROM voter_keys
+         WHERE election_id = $1 AND voter_key NOT LIKE 'enc:v1:%'
+         FOR UPDATE`,
+        [electionId]
+      );
+      for (const row of rows) {
+        const leaf = '0x' + keyGen.buildLeaf(row.voter_key, row.voter_address, leafFormat).toString('hex');
+        await client.query(
+          `UPDATE voter_keys SET voter_key = $1, leaf = $2 WHERE id = $3`,
+          [vault.encryptVoterKey(dataKey, electionId, row.voter_address, row.voter_key), leaf, row.id]
+        );
+      }
+
+      await client.query('COMMIT');
+      console.log(`  ✓ ${electionId}: encrypted ${rows.length} voter key(s)`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`${electionId}: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+async function rotate(vault) {
+  const count = await vault.rewrapDataKeys();
+  console.log(`✅ Re-wrapped ${count} data key(s) under ${vault.provider.currentKeyId}`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  if (command === 'new-master-key') {
+    console.log(crypto.randomBytes(32).toString('hex'));
+    return;
+  }
+  if (!['migrate', 'rotate'].includes(command)) {
+    console.error('Usage: node keyAdmin.js <migrate|rotate|new-master-key>');
+    process.exit(1);
+  }
+
+  const db = connect();
+  try {
+    const vault = new KeyVault(db, createKeyProvider());
+    if (command === 'migrate') {
+      await migrate(db, vault);
+    } else {
+      await rotate(vault);
+    }
+  } finally {
+    await db.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,406 @@
+// services/keyDistribution.js - Out-of-band voter key distribution
+//
+// Keys never leave the service in a message. Every delivery carries a one-time claim link
+// (CLAIM_URL_BASE/<token>, valid CLAIM_TTL_MS); the voter opens it, signs in with a wallet, and
+// the key is bound to that wallet (see VoterKeyGenerator.rebindVoterKey). Channels:
+//   email     SMTP through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+//             MAIL_FROM), templated from EMAIL_TEMPLATE_FILE. Any SMTP catcher (e.g. Mailpit on
+//             localhost:1025) works for local testing.
+//   qr-sheet  One printable PDF page per voter with the claim link as a QR code (pdfkit, qrcode)
+//   link      The claim links themselves, for the organizer to hand out
+// Every delivery is recorded in key_distributions; a delivered key is marked distributed.
+const crypto = require('crypto');
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const DEFAULT_CLAIM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_TEMPLATE = {
+  subject: 'Your voting key for {{electionTitle}}',
+  text: [
+    'Hello {{name}},',
+    '',
+    'You are registered to vote in {{electionTitle}}.',
+    'Open this link and sign in with the wallet you will vote with to claim your voting key:',
+    '',
+    '{{claimUrl}}',
+    '',
+    'The link works once and expires on {{expiresAt}}. Do not forward this email.',
+  ].join('\n'),
+  html: [
+    '<p>Hello {{name}},</p>',
+    '<p>You are registered to vote in <strong>{{electionTitle}}</strong>.</p>',
+    '<p>Open this link and sign in with the wallet you will vote with to claim your voting key:</p>',
+    '<p><a href="{{claimUrl}}">{{claimUrl}}</a></p>',
+    '<p>The link works once and expires on {{expiresAt}}. Do not forward this email.</p>',
+  ].join('\n'),
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function render(template, vars, escape = String) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (vars[name] === undefined ? '' : escape(vars[name])));
+}
+
+function templateVars(item, context) {
+  return {
+    name: item.name || 'voter',
+    memberId: item.memberId || '',
+    voterAddress: item.voterAddress,
+    electionTitle: context.electionTitle,
+    claimUrl: item.claimUrl,
+    expiresAt: item.expiresAt.toUTCString(),
+  };
+}
+
+// ============================================
+// CHANNELS
+// deliver(items, context) -> { results: [{ voterAddress, ok, error? }], artifact? }
+// items: { voterAddress, memberId, name, email, claimUrl, expiresAt }
+// context: { electionId, electionTitle }
+// ============================================
+
+class EmailChannel {
+  constructor({ transport, from, template = DEFAULT_TEMPLATE }) {
+    this.transport = transport;
+    this.from = from;
+    this.template = template;
+  }
+
+  static fromEnv(env = process.env) {
+    if (!env.SMTP_HOST) {
+      throw new Error('Email is not configured (set SMTP_HOST)');
+    }
+    const transport = nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+    });
+    const template = env.EMAIL_TEMPLATE_FILE
+      ? { ...DEFAULT_TEMPLATE, ...JSON.parse(fs.readFileSync(env.EMAIL_TEMPLATE_FILE, 'utf8')) }
+      : DEFAULT_TEMPLATE;
+    return new EmailChannel({ transport, from: env.MAIL_FROM || `SafeVote <no-reply@${env.SMTP_HOST}>`, template });
+  }
+
+  async deliver(items, context) {
+    const results = [];
+    for (const item of items) {
+      if (!item.email) {
+        results.push({ voterAddress: item.voterAddress, ok: false, error: 'No email address' });
+        continue;
+      }
+      const vars = templateVars(item, context);
+      try {
+        await this.transport.sendMail({
+          from: this.from,
+          to: item.name ? `"${item.name.replace(/"/g, '')}" <${item.email}>` : item.email,
+          subject: render(this.template.subject, vars),
+          text: render(this.template.text, vars),
+          html: this.template.html && render(this.template.html, vars, escapeHtml),
+        });
+        results.push({ voterAddress: item.voterAddress, ok: true });
+      } catch (error) {
+        results.push({ voterAddress: item.voterAddress, ok: false, error: error.message });
+      }
+    }
+    return { results };
+  }
+}
+
+class QrSheetChannel {
+  async deliver(items, context) {
+    const doc = new PDFDocument({ size: 'A4', autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', resolve);
+      doc.on('error', reject);
+    });
+
+    for (const item of items) {
+      const qr = await QRCode.toBuffer(item.claimUrl, { errorCorrectionLevel: 'M', margin: 1, width: 300 });
+      doc.addPage({ margin: 56 });
+      doc.fontSize(20).text(context.electionTitle, { align: 'center' });
+      doc.moveDown();
+      doc.fontSize(14).text(item.name || item.voterAddress, { align: 'center' });
+      if (item.memberId) doc.fontSize(11).text(`Member ID: ${item.memberId}`, { align: 'center' });
+      doc.image(qr, (doc.page.width - 220) / 2, doc.y + 24, { width: 220 });
+      doc.y += 268;
+      doc.fontSize(11).text('Scan this code and sign in with the wallet you will vote with to claim your voting key.', { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(8).text(item.claimUrl, { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(9).text(`Single use. Expires ${item.expiresAt.toUTCString()}. Keep this sheet private.`, { align: 'center' });
+    }
+    doc.end();
+    await done;
+
+    return {
+      results: items.map(item => ({ voterAddress: item.voterAddress, ok: true })),
+      artifact: { contentType: 'application/pdf', data: Buffer.concat(chunks).toString('base64') },
+    };
+  }
+}
+
+class LinkChannel {
+  async deliver(items) {
+    return {
+      results: items.map(item => ({ voterAddress: item.voterAddress, ok: true, claimUrl: item.claimUrl })),
+    };
+  }
+}
+
+// Channels are built on first use, so an unconfigured channel (email without SMTP_HOST) only fails when picked
+function createChannels(env = process.env) {
+  return {
+    email: () => EmailChannel.fromEnv(env),
+    'qr-sheet': () => new QrSheetChannel(),
+    link: () => new LinkChannel(),
+  };
+}
+
+// ============================================
+// DISTRIBUTOR
+// ============================================
+
+function hashToken(token) {
+  return '0x' + crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function transaction(client, work) {
+  await client.query('BEGIN');
+  try {
+    const result = await work();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+class KeyDistributor {
+  constructor(db, keyGen, { channels = createChannels(), claimUrlBase, claimTtlMs } = {}) {
+    this.db = db;
+    this.keyGen = keyGen;
+    this.channelFactories = channels;
+    this.channels = new Map();
+    this.claimUrlBase = (claimUrlBase || 'http://localhost:3000/claim').replace(/\/$/, '');
+    this.claimTtlMs = Number(claimTtlMs) || DEFAULT_CLAIM_TTL_MS;
+  }
+
+  channel(name) {
+    if (!this.channelFactories[name]) {
+      throw new Error(`Unknown channel: ${name} (use ${Object.keys(this.channelFactories).join(', ')})`);
+    }
+    if (!this.channels.has(name)) {
+      this.channels.set(name, this.channelFactories[name]());
+    }
+    return this.channels.get(name);
+  }
+
+  /**
+   * Send claim links over `channelName` to the given voters, or to every
+   * voter whose key has not been distributed yet. Each voter gets a fresh
+   * link; earlier unclaimed links for them stop working.
+   */
+  async distribute(electionId, channelName, addresses = null) {
+    const channel = this.channel(channelName);
+
+    const { rows: elections } = await this.db.query(
+      `SELECT title FROM elections WHERE uuid = $1`,
+      [electionId]
+    );
+    if (elections.length === 0) {
+      throw new Error(`Election ${electionId} not found`);
+    }
+
+    const normalized = addresses && addresses.map(a => a.toLowerCase());
+    const { rows: voters } = await this.db.query(
+      `SELECT voter_address, member_id, voter_name, voter_email FROM voter_keys
+       WHERE election_id = $1 AND ${normalized ? 'voter_address = ANY($2)' : 'distributed = FALSE'}
+       ORDER BY id ASC`,
+      normalized ? [electionId, normalized] : [electionId]
+    );
+    if (voters.length === 0) {
+      throw new Error(normalized ? 'Voter not registered for this election' : 'Every key has already been distributed');
+    }
+
+    console.log(`📬 Distributing ${voters.length} key(s) for ${electionId} via ${channelName}`);
+
+    const expiresAt = new Date(Date.now() + this.claimTtlMs);
+    const items = [];
+    let delivery;
+    const client = await this.db.connect();
+    try {
+      // A voter's old link is only superseded together with the new one being recorded
+      for (const voter of voters) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const id = await transaction(client, async () => {
+          await client.query(
+            `UPDATE key_distributions SET status = 'superseded', updated_at = CURRENT_TIMESTAMP
+             WHERE election_id = $1 AND voter_address = $2 AND status IN ('pending', 'sent')`,
+            [electionId, voter.voter_address]
+          );
+          const { rows } = await client.query(
+            `INSERT INTO key_distributions
+             (election_id, voter_address, channel, recipient, status, claim_token_hash, claim_expires_at, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, 'pending', $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+             RETURNING id`,
+            [electionId, voter.voter_address, channelName, channelName === 'email' ? voter.voter_email : null, hashToken(token), expiresAt]
+          );
+          return rows[0].id;
+        });
+        items.push({
+          id,
+          voterAddress: voter.voter_address,
+          memberId: voter.member_id,
+          name: voter.voter_name,
+          email: voter.voter_email,
+          claimUrl: `${this.claimUrlBase}/${token}`,
+          expiresAt,
+        });
+      }
+
+      try {
+        delivery = await channel.deliver(items, { electionId, electionTitle: elections[0].title });
+      } catch (error) {
+        // e.g. the PDF could not be built: nothing went out, so every link is unusable
+        delivery = { results: items.map(item => ({ voterAddress: item.voterAddress, ok: false, error: error.message })) };
+      }
+
+      // The delivery record and the key's distributed flag move together
+      for (let i = 0; i < items.length; i++) {
+        const result = delivery.results[i];
+        await transaction(client, async () => {
+          await client.query(
+            `UPDATE key_distributions
+             SET status = $1, error = $2, attempts = attempts + 1,
+                 sent_at = CASE WHEN $1 = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [result.ok ? 'sent' : 'failed', result.ok ? null : result.error, items[i].id]
+          );
+          if (result.ok) {
+            await this.keyGen.markKeyDistributed(electionId, items[i].voterAddress, client);
+          }
+        });
+      }
+    } finally {
+      client.release();
+    }
+    const { results, artifact } = delivery;
+
+    const sent = results.filter(r => r.ok).length;
+    console.log(`✅ ${sent} delivered, ${results.length - sent} failed`);
+
+    return {
+      channel: channelName,
+      sent,
+      failed: results.length - sent,
+      expiresAt: expiresAt.toISOString(),
+      results: results.map(({ voterAddress, ok, error, claimUrl }) => ({
+        voterAddress,
+        status: ok ? 'sent' : 'failed',
+        ...(error && { error }),
+        ...(claimUrl && { claimUrl }),
+      })),
+      ...(artifact && { artifact }),
+    };
+  }
+
+  /**
+   * Deliver a voter's key again, by default over the channel last used for them
+   */
+  async resend(electionId, voterAddress, channelName = null) {
+    let name = channelName;
+    if (!name) {
+      const { rows } = await this.db.query(
+        `SELECT channel FROM key_distributions
+         WHERE election_id = $1 AND voter_address = $2
+         ORDER BY id DESC LIMIT 1`,
+        [electionId, voterAddress.toLowerCase()]
+      );
+      if (rows.length === 0) {
+        throw new Error('Nothing to resend: no delivery recorded for this voter');
+      }
+      name = rows[0].channel;
+    }
+    return this.distribute(electionId, name, [voterAddress]);
+  }
+
+  /**
+   * Redeem a claim link for the signed-in `claimerAddress`: the key moves to
+   * that wallet, which then fetches it like any registered voter
+   */
+  async claim(token, claimerAddress) {
+    const claimer = claimerAddress.toLowerCase();
+
+    // Taking the link first makes a second, concurrent claim of it fail
+    const { rows } = await this.db.query(
+      `UPDATE key_distributions
+       SET status = 'claimed', claimed_by = $2, claimed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE claim_token_hash = $1 AND status = 'sent' AND claim_expires_at > CURRENT_TIMESTAMP
+       RETURNING id, election_id, voter_address`,
+      [hashToken(token), claimer]
+    );
+    const delivery = rows[0];
+    if (!delivery) {
+      throw new Error('Unknown, used or expired claim link');
+    }
+
+    try {
+      await this.keyGen.rebindVoterKey(delivery.election_id, delivery.voter_address, claimer);
+    } catch (error) {
+      await this.db.query(
+        `UPDATE key_distributions SET status = 'sent', claimed_by = NULL, claimed_at = NULL WHERE id = $1`,
+        [delivery.id]
+      );
+      throw error;
+    }
+
+    // Later deliveries follow the key to its new wallet
+    await this.db.query(
+      `UPDATE key_distributions SET voter_address = $1
+       WHERE election_id = $2 AND voter_address = $3`,
+      [claimer, delivery.election_id, delivery.voter_address]
+    );
+
+    console.log(`🎟️  Claim for ${delivery.voter_address.substring(0, 10)}... redeemed by ${claimer.substring(0, 10)}...`);
+    return { electionId: delivery.election_id, voterAddress: claimer, registeredAddress: delivery.voter_address };
+  }
+
+  /**
+   * Latest delivery per voter
+   */
+  async getDeliveryStatus(electionId) {
+    const { rows } = await this.db.query(
+      `SELECT DISTINCT ON (voter_address)
+              voter_address, channel, recipient, status, error, attempts, sent_at, claim_expires_at,
+              claimed_by, claimed_at
+       FROM key_distributions
+       WHERE election_id = $1
+       ORDER BY voter_address, id DESC`,
+      [electionId]
+    );
+    return rows.map(r => ({
+      voterAddress: r.voter_address,
+      channel: r.channel,
+      recipient: r.recipient,
+      status: r.status,
+      error: r.error,
+      attempts: r.attempts,
+      sentAt: r.sent_at,
+      claimExpiresAt: r.claim_expires_at,
+      claimedBy: r.claimed_by,
+      claimedAt: r.claimed_at,
+    }));
+  }
+}
+
+module.exports = { KeyDistributor, EmailChannel, QrSheetChannel, LinkChannel, createChannels, render };
@@ -4,23 +4,89 @@ const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
 const crypto = require('crypto');
 
+// Merkle leaf formats, chosen per election (the contract's settings.addressBoundLeaf):
+// 'key'     - keccak256(abi.encodePacked(voterKey)); the key votes from any wallet
+// 'address' - keccak256(abi.encode(voterAddress, voterKey)); only from the voter's wallet
+const LEAF_FORMATS = { KEY: 'key', ADDRESS: 'address' };
+
 class VoterKeyGenerator {
-  constructor(dbPool) {
+  /**
+   * @param {KeyVault} vault - encrypts voter keys at rest (see keyVault.js); the
+   *   tree is rebuilt from the stored leaves, so only a key release decrypts
+   */
+  constructor(dbPool, vault) {
     this.db = dbPool;
+    this.vault = vault;
     this.inMemoryTrees = new Map();
     console.log('🔐 VoterKeyGenerator initialized');
   }
 
+  /**
+   * Merkle leaf for a voter key in the given leaf format (see LEAF_FORMATS)
+   */
+  buildLeaf(voterKey, voterAddress, leafFormat = LEAF_FORMATS.KEY) {
+    if (leafFormat === LEAF_FORMATS.ADDRESS) {
+      return keccak256(ethers.utils.defaultAbiCoder.encode(['address', 'bytes32'], [voterAddress, voterKey]));
+    }
+    return keccak256(ethers.utils.solidityPack(['bytes32'], [voterKey]));
+  }
+
+  /**
+   * Weighted-roll voter key: the weight in the high 96 bits, the voter's
+   * address in the low 160. The leaf is still keccak256(voterKey), so the
+   * tree proves the weight; the contract checks the address against
+   * msg.sender, which is why this key need not be secret.
+   */
+  buildWeightedKey(address, weight) {
+    const value = ethers.BigNumber.from(weight);
+    if (value.lte(0) || value.gte(ethers.BigNumber.from(2).pow(96))) {
+      throw new Error(`Invalid weight for ${address}: ${weight}`);
+    }
+    return ethers.utils.hexZeroPad(value.shl(160).or(address).toHexString(), 32);
+  }
+
+  /**
+   * Weight a weighted-roll key carries for `address` (see buildWeightedKey),
+   * or null for a random key
+   */
+  keyWeight(voterKey, address) {
+    const value = BigInt(voterKey);
+    const weight = value >> 160n;
+    return weight !== 0n && value % (1n << 160n) === BigInt(address) ? weight.toString() : null;
+  }
+
+  /**
+   * Lock the election row until `client`'s transaction ends, so appends and
+   * revocations rebuild the tree one at a time from the rows they read.
+   * Returns the stored root (null before keys are generated) and leaf format.
+   */
+  async lockElection(client, electionId) {
+    const { rows } = await client.query(
+      `SELECT merkle_root, leaf_format FROM elections WHERE uuid = $1 FOR UPDATE`,
+      [electionId]
+    );
+    const root = rows[0]?.merkle_root;
+    return {
+      merkleRoot: root && !/^0x0*$/.test(root) ? root : null,
+      leafFormat: rows[0]?.leaf_format || LEAF_FORMATS.KEY,
+    };
+  }
+
   /**
    * Generate random voter keys (bytes32) and merkle root
    * Contract expects: leaf = keccak256(abi.encodePacked(voterKey))
-   * voterKey is a random bytes32 value (0x...)
+   * (or keccak256(abi.encode(voterAddress, voterKey)) with leafFormat 'address')
+   * voterKey is a random bytes32 value (0x...), or a weighted-roll key
+   * (see buildWeightedKey) when weights[i] is given for each address.
+   * identities[i] ({ memberId, name, email }, from a voter roll import) is
+   * stored with the voter's key for the admin export.
    */
-  async generateVoterKeys(electionId, numVoters, voterAddresses = []) {
+  async generateVoterKeys(electionId, numVoters, voterAddresses = [], { weights = null, leafFormat = LEAF_FORMATS.KEY, identities = null } = {}) {
     console.log(`\n=== 🚀 KEY GENERATION START ===`);
     console.log(`📋 Election ID: ${electionId}`);
     console.log(`👥 Total Voters: ${numVoters}`);
     console.log(`📊 Voter Addresses: ${voterAddresses.length}`);
+    console.log(`🌿 Leaf Format: ${leafFormat}`);
 
     try {
       // Check if keys already exist for this election
@@ -47,6 +113,11 @@ class VoterKeyGenerator {
         return cleaned;
       });
 
+      const duplicate = normalized.find((a, i) => normalized.indexOf(a) !== i);
+      if (duplicate) {
+        throw new Error(`Duplicate address: ${duplicate}`);
+      }
+
       console.log(`✓ All ${numVoters} addresses validated`);
 
       const records = [];
@@ -54,15 +125,27 @@ class VoterKeyGenerator {
       // Step 1: Generate random voter keys (bytes32)
       console.log(`\n📝 Generating ${numVoters} random voter keys...`);
 
+      if (weights && weights.length !== numVoters) {
+        throw new Error(`Weight count mismatch: expected ${numVoters}, got ${weights.length}`);
+      }
+      if (identities && identities.length !== numVoters) {
+        throw new Error(`Identity count mismatch: expected ${numVoters}, got ${identities.length}`);
+      }
+      if (!Object.values(LEAF_FORMATS).includes(leafFormat)) {
+        throw new Error(`Invalid leaf format: ${leafFormat}`);
+      }
+
       for (let i = 0; i < numVoters; i++) {
         // Generate random 32 bytes
-        const keyBytes = crypto.randomBytes(32);
-        const voterKey = '0x' + keyBytes.toString('hex');
+        const voterKey = weights
+          ? this.buildWeightedKey(normalized[i], weights[i])
+          : '0x' + crypto.randomBytes(32).toString('hex');
 
         records.push({
           election_id: electionId,
           voter_address: normalized[i],
           voter_key: voterKey,
+          identity: identities?.[i] || {},
           // proof will be generated after tree is built
           proof: null
         });
@@ -76,16 +159,11 @@ class VoterKeyGenerator {
 
       // Step 2: Build merkle tree
       // For contract verification: leaf = keccak256(abi.encodePacked(voterKey))
+      // or keccak256(abi.encode(voterAddress, voterKey)) for address-bound leaves
       console.log(`\n🌳 Building Merkle Tree...`);
 
       // Create leaves: hash of each voter key
-      const leaves = records.map(r => {
-        // Match contract: keccak256(abi.encodePacked(voterKey))
-        // In ethers: keccak256(toBeHex(voterKey))
-        const packed = ethers.utils.solidityPack(['bytes32'], [r.voter_key]);
-        const leaf = keccak256(packed);
-        return leaf;
-      });
+      const leaves = records.map(r => this.buildLeaf(r.voter_key, r.voter_address, leafFormat));
 
       console.log(`📌 Created ${leaves.length} leaf hashes`);
 
@@ -101,6 +179,7 @@ class VoterKeyGenerator {
       records.forEach((r, i) => {
         const proof = tree.getHexProof(leaves[i]);
         r.proof = JSON.stringify(proof);
+        r.leaf = '0x' + leaves[i].toString('hex');
 
         if ((i + 1) % Math.max(1, Math.floor(numVoters / 5)) === 0) {
           console.log(`  ✓ Generated proofs for ${i + 1}/${numVoters} voters (proof length: ${proof.length})`);
@@ -119,9 +198,9 @@ class VoterKeyGenerator {
         // Update election with merkle root
         const updateResult = await client.query(
           `UPDATE elections 
-           SET merkle_root = $1, updated_at = CURRENT_TIMESTAMP
+           SET merkle_root = $1, leaf_format = $3, updated_at = CURRENT_TIMESTAMP
            WHERE uuid = $2`,
-          [merkleRoot, electionId]
+          [merkleRoot, electionId, leafFormat]
         );
 
         if (updateResult.rowCount === 0) {
@@ -130,24 +209,33 @@ class VoterKeyGenerator {
 
         console.log(`✓ Updated election with merkle root`);
 
-        // Insert voter keys with proofs
+        const dataKey = await this.vault.createDataKey(client, electionId);
+
+        // Insert voter keys (encrypted) with proofs. Any failed insert rolls the
+        // whole roll back: a root over voters without stored keys is unusable.
         let insertCount = 0;
         for (const r of records) {
-          try {
-            // Generate key_hash for this voter_key
-            const keyHashInput = keccak256(ethers.utils.solidityPack(['bytes32'], [r.voter_key]));
-            const keyHash = '0x' + keyHashInput.toString('hex');
-
-            await client.query(
-              `INSERT INTO voter_keys 
-               (election_id, voter_address, voter_key, key_hash, proof, distributed, created_at)
-               VALUES ($1, $2, $3, $4, $5, FALSE, CURRENT_TIMESTAMP)`,
-              [r.election_id, r.voter_address, r.voter_key, keyHash, r.proof]
-            );
-            insertCount++;
-          } catch (insertErr) {
-            console.warn(`⚠️  Failed to insert key for ${r.voter_address}: ${insertErr.message}`);
-          }
+          // Generate key_hash for this voter_key
+          const keyHashInput = keccak256(ethers.utils.solidityPack(['bytes32'], [r.voter_key]));
+          const keyHash = '0x' + keyHashInput.toString('hex');
+
+          await client.query(
+            `INSERT INTO voter_keys 
+             (election_id, voter_address, voter_key, key_hash, leaf, proof, member_id, voter_name, voter_email, distributed, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, FALSE, CURRENT_TIMESTAMP)`,
+            [
+              r.election_id,
+              r.voter_address,
+              this.vault.encryptVoterKey(dataKey, electionId, r.voter_address, r.voter_key),
+              keyHash,
+              r.leaf,
+              r.proof,
+              r.identity.memberId || null,
+              r.identity.name || null,
+              r.identity.email || null,
+            ]
+          );
+          insertCount++;
         }
 
         await client.query('COMMIT');
@@ -157,6 +245,7 @@ class VoterKeyGenerator {
 
         return {
           merkleRoot,
+          leafFormat,
           totalKeys: numVoters,
           votersProcessed: insertCount,
           success: true
@@ -177,6 +266,392 @@ class VoterKeyGenerator {
     }
   }
 
+  /**
+   * Append mode: generate keys only for addresses not yet registered and
+   * rebuild the tree over existing + new keys (existing keys keep their
+   * leaves, so the new tree is a superset of the old one).
+   * Every stored proof is refreshed. The creator must then call
+   * appendVoters(electionId, merkleRoot, totalKeys) on-chain; until then
+   * the contract still checks proofs against the previous root.
+   * Weighted-roll elections must pass weights alongside the addresses, and roll
+   * imports their identities (see generateVoterKeys).
+   */
+  async appendVoterKeys(electionId, voterAddresses = [], weights = null, identities = null) {
+    console.log(`\n=== ➕ KEY APPEND START ===`);
+    console.log(`📋 Election ID: ${electionId}`);
+    console.log(`📊 Addresses submitted: ${voterAddresses.length}`);
+
+    try {
+      const normalized = voterAddresses.map(a => {
+        const cleaned = a.trim().toLowerCase();
+        if (!/^0x[a-f0-9]{40}$/.test(cleaned)) {
+          throw new Error(`Invalid address format: ${a}`);
+        }
+        return cleaned;
+      });
+
+      if (weights && weights.length !== normalized.length) {
+        throw new Error(`Weight count mismatch: expected ${normalized.length}, got ${weights.length}`);
+      }
+      const weightOf = new Map(normalized.map((a, i) => [a, weights?.[i]]));
+      const identityOf = new Map(normalized.map((a, i) => [a, identities?.[i] || {}]));
+
+      const client = await this.db.connect();
+      let previousRoot, merkleRoot, records, allRows, skipped;
+      try {
+        await client.query('BEGIN');
+
+        const election = await this.lockElection(client, electionId);
+        previousRoot = election.merkleRoot;
+        if (!previousRoot) {
+          throw new Error('No keys generated for this election yet');
+        }
+
+        const { rows: existingRows } = await client.query(
+          `SELECT id, voter_address, voter_key, leaf FROM voter_keys 
+           WHERE election_id = $1 
+           ORDER BY id ASC`,
+          [electionId]
+        );
+
+        const registered = new Set(existingRows.map(r => r.voter_address));
+        const newAddresses = [...new Set(normalized)].filter(a => !registered.has(a));
+        skipped = normalized.length - newAddresses.length;
+
+        if (newAddresses.length === 0) {
+          throw new Error('All submitted addresses are already registered');
+        }
+
+        console.log(`✓ ${newAddresses.length} new addresses (${skipped} already registered or duplicated)`);
+
+        // A weighted roll stays weighted: late registrants need a weight too
+        const dataKey = await this.vault.getDataKey(electionId, client);
+        const [first] = existingRows;
+        const firstKey = !weights && first && this.vault.decryptVoterKey(dataKey, electionId, first.voter_address, first.voter_key);
+        if (firstKey && this.keyWeight(firstKey, first.voter_address) !== null) {
+          throw new Error('Invalid weights: this election has a weighted roll; give every address a weight');
+        }
+
+        // Same ordering as loadTreeIntoMemory: existing keys by id, then the new ones
+        records = newAddresses.map(address => ({
+          voter_address: address,
+          voter_key: weights
+            ? this.buildWeightedKey(address, weightOf.get(address))
+            : '0x' + crypto.randomBytes(32).toString('hex'),
+        }));
+        allRows = [...existingRows, ...records];
+
+        // Existing voters keep their stored leaves; their keys stay encrypted
+        const leaves = [
+          ...existingRows.map(r => Buffer.from(r.leaf.substring(2), 'hex')),
+          ...records.map(r => this.buildLeaf(r.voter_key, r.voter_address, election.leafFormat)),
+        ];
+        const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+        merkleRoot = tree.getHexRoot();
+
+        console.log(`🔑 New Merkle Root: ${merkleRoot} (was ${previousRoot.substring(0, 10)}...)`);
+
+        await client.query(
+          `UPDATE elections 
+           SET merkle_root = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE uuid = $2`,
+          [merkleRoot, electionId]
+        );
+
+        // Proofs of existing voters change with the tree
+        for (let i = 0; i < existingRows.length; i++) {
+          await client.query(
+            `UPDATE voter_keys SET proof = $1 WHERE id = $2`,
+            [JSON.stringify(tree.getHexProof(leaves[i])), existingRows[i].id]
+          );
+        }
+
+        for (let i = 0; i < records.length; i++) {
+          const r = records[i];
+          const keyHash = '0x' + keccak256(ethers.utils.solidityPack(['bytes32'], [r.voter_key])).toString('hex');
+          const leaf = leaves[existingRows.length + i];
+          const proof = JSON.stringify(tree.getHexProof(leaf));
+          const identity = identityOf.get(r.voter_address);
+
+          await client.query(
+            `INSERT INTO voter_keys 
+             (election_id, voter_address, voter_key, key_hash, leaf, proof, member_id, voter_name, voter_email, distributed, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, FALSE, CURRENT_TIMESTAMP)`,
+            [
+              electionId,
+              r.voter_address,
+              this.vault.encryptVoterKey(dataKey, electionId, r.voter_address, r.voter_key),
+              keyHash,
+              '0x' + leaf.toString('hex'),
+              proof,
+              identity.memberId || null,
+              identity.name || null,
+              identity.email || null,
+            ]
+          );
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Database transaction failed:`, err.message);
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      this.inMemoryTrees.delete(electionId);
+
+      console.log(`\n=== ✅ KEY APPEND SUCCESS ===\n`);
+
+      return {
+        merkleRoot,
+        previousMerkleRoot: previousRoot,
+        totalKeys: allRows.length,
+        votersAdded: records.length,
+        skipped,
+        success: true
+      };
+
+    } catch (error) {
+      console.error(`\n=== ❌ KEY APPEND FAILED ===`);
+      console.error(`Error: ${error.message}\n`);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a voter's key (leaked key or compromised wallet) and issue a
+   * replacement, to the same address or to `newAddress`. The replacement
+   * takes the revoked key's place in the tree, so the voter count is unchanged
+   * and every stored proof is refreshed. The revoked key hash is kept in
+   * revoked_voter_keys. The creator must then call
+   * revokeVoterKeys(electionId, merkleRoot, [revokedKeyHash]) on-chain.
+   * A weighted key is reissued with its weight unless `weight` is given; it
+   * is derived from its address, so it can only be reissued to a new address.
+   */
+  async revokeVoterKey(electionId, voterAddress, { newAddress = null, weight = null, reason = null, revokedBy = null } = {}) {
+    console.log(`\n=== 🚫 KEY REVOCATION START ===`);
+    console.log(`📋 Election ID: ${electionId}`);
+
+    try {
+      const normalized = voterAddress.toLowerCase();
+      const replacement = (newAddress || normalized).trim().toLowerCase();
+      if (!/^0x[a-f0-9]{40}$/.test(replacement)) {
+        throw new Error(`Invalid address format: ${newAddress}`);
+      }
+
+      const client = await this.db.connect();
+      let previousRoot, merkleRoot, revoked, keyHash, totalKeys;
+      try {
+        await client.query('BEGIN');
+
+        const election = await this.lockElection(client, electionId);
+        previousRoot = election.merkleRoot;
+        if (!previousRoot) {
+          throw new Error('No keys generated for this election yet');
+        }
+
+        const { rows } = await client.query(
+          `SELECT id, voter_address, voter_key, key_hash, leaf FROM voter_keys 
+           WHERE election_id = $1 
+           ORDER BY id ASC`,
+          [electionId]
+        );
+        totalKeys = rows.length;
+
+        const index = rows.findIndex(r => r.voter_address === normalized);
+        if (index === -1) {
+          throw new Error('Voter not registered for this election');
+        }
+        if (replacement !== normalized && rows.some(r => r.voter_address === replacement)) {
+          throw new Error(`${replacement} is already registered`);
+        }
+        if (await this.hasVotedAnyChain(electionId, normalized, null, { strict: true })) {
+          throw new Error('Voter key already used');
+        }
+
+        // A weighted key is reissued with its weight unless a new one is given
+        revoked = rows[index];
+        const dataKey = await this.vault.getDataKey(electionId, client);
+        const revokedKey = this.vault.decryptVoterKey(dataKey, electionId, normalized, revoked.voter_key);
+        const newWeight = weight ?? this.keyWeight(revokedKey, normalized);
+        if (newWeight !== null && replacement === normalized) {
+          throw new Error('Weighted keys are bound to their address; reissue to a new address');
+        }
+
+        const voterKey = newWeight !== null
+          ? this.buildWeightedKey(replacement, newWeight)
+          : '0x' + crypto.randomBytes(32).toString('hex');
+        keyHash = '0x' + keccak256(ethers.utils.solidityPack(['bytes32'], [voterKey])).toString('hex');
+
+        const leaves = rows.map(r => Buffer.from(r.leaf.substring(2), 'hex'));
+        leaves[index] = this.buildLeaf(voterKey, replacement, election.leafFormat);
+        const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+        merkleRoot = tree.getHexRoot();
+
+        console.log(`🔑 New Merkle Root: ${merkleRoot} (was ${previousRoot.substring(0, 10)}...)`);
+
+        await client.query(
+          `UPDATE elections 
+           SET merkle_root = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE uuid = $2`,
+          [merkleRoot, electionId]
+        );
+
+        await client.query(
+          `INSERT INTO revoked_voter_keys 
+           (election_id, voter_address, key_hash, replaced_by, reason, revoked_by, revoked_at)
+           VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)`,
+          [electionId, normalized, revoked.key_hash, replacement, reason, revokedBy]
+        );
+
+        await client.query(
+          `UPDATE voter_keys 
+           SET voter_address = $1, voter_key = $2, key_hash = $3, leaf = $4, proof = $5,
+               distributed = FALSE, distributed_at = NULL
+           WHERE id = $6`,
+          [
+            replacement,
+            this.vault.encryptVoterKey(dataKey, electionId, replacement, voterKey),
+            keyHash,
+            '0x' + leaves[index].toString('hex'),
+            JSON.stringify(tree.getHexProof(leaves[index])),
+            revoked.id,
+          ]
+        );
+
+        for (let i = 0; i < rows.length; i++) {
+          if (i === index) continue;
+          await client.query(
+            `UPDATE voter_keys SET proof = $1 WHERE id = $2`,
+            [JSON.stringify(tree.getHexProof(leaves[i])), rows[i].id]
+          );
+        }
+
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Database transaction failed:`, err.message);
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      this.inMemoryTrees.delete(electionId);
+
+      console.log(`✅ Revoked ${revoked.key_hash.substring(0, 10)}... for ${normalized.substring(0, 10)}...`);
+      console.log(`\n=== ✅ KEY REVOCATION SUCCESS ===\n`);
+
+      return {
+        merkleRoot,
+        previousMerkleRoot: previousRoot,
+        revokedKeyHash: revoked.key_hash,
+        voterAddress: replacement,
+        keyHash,
+        totalKeys,
+        success: true
+      };
+
+    } catch (error) {
+      console.error(`\n=== ❌ KEY REVOCATION FAILED ===`);
+      console.error(`Error: ${error.message}\n`);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a voter's key to the wallet that claimed it through a claim link
+   * (see keyDistribution.js). Only 'key'-format leaves are independent of the
+   * address, so the root and proofs are unchanged; address-bound leaves and
+   * weighted keys stay with the registered wallet.
+   */
+  async rebindVoterKey(electionId, fromAddress, toAddress) {
+    const from = fromAddress.toLowerCase();
+    const to = toAddress.toLowerCase();
+    if (from === to) return;
+
+    const { rows } = await this.db.query(
+      `SELECT id, voter_address, voter_key FROM voter_keys 
+       WHERE election_id = $1 AND voter_address IN ($2, $3)`,
+      [electionId, from, to]
+    );
+    const row = rows.find(r => r.voter_address === from);
+    if (!row) {
+      throw new Error('Voter not registered for this election');
+    }
+    if (rows.some(r => r.voter_address === to)) {
+      throw new Error(`${to} is already registered`);
+    }
+    if (await this.hasVotedAnyChain(electionId, from, null, { strict: true })) {
+      throw new Error('Voter key already used');
+    }
+
+    const dataKey = await this.vault.getDataKey(electionId);
+    const voterKey = this.vault.decryptVoterKey(dataKey, electionId, from, row.voter_key);
+    if (this.keyWeight(voterKey, from) !== null || await this.getLeafFormat(electionId) === LEAF_FORMATS.ADDRESS) {
+      throw new Error(`This key is bound to ${from}; claim it from that wallet`);
+    }
+
+    // The ciphertext is authenticated with the address, so it is re-encrypted for the new one
+    await this.db.query(
+      `UPDATE voter_keys SET voter_address = $1, voter_key = $2 WHERE id = $3`,
+      [to, this.vault.encryptVoterKey(dataKey, electionId, to, voterKey), row.id]
+    );
+    this.inMemoryTrees.delete(electionId);
+
+    console.log(`🔁 Key for ${from.substring(0, 10)}... rebound to ${to.substring(0, 10)}...`);
+  }
+
+  /**
+   * Status of every key in an election, or of one voter's keys:
+   * issued -> distributed -> used, plus the revoked keys they replaced
+   */
+  async getKeyStatuses(electionId, voterAddress = null) {
+    const normalized = voterAddress ? voterAddress.toLowerCase() : null;
+
+    const { rows: current } = await this.db.query(
+      `SELECT vk.voter_address, vk.key_hash, vk.distributed, vk.distributed_at, vk.created_at,
+              v.voted_at
+       FROM voter_keys vk
+       LEFT JOIN (
+         SELECT voter_address, MIN(voted_at) AS voted_at FROM votes
+         WHERE election_uuid = $1
+         GROUP BY voter_address
+       ) v ON v.voter_address = vk.voter_address
+       WHERE vk.election_id = $1 AND ($2::text IS NULL OR vk.voter_address = $2)
+       ORDER BY vk.id ASC`,
+      [electionId, normalized]
+    );
+
+    const { rows: revoked } = await this.db.query(
+      `SELECT voter_address, key_hash, replaced_by, reason, revoked_at
+       FROM revoked_voter_keys
+       WHERE election_id = $1 AND ($2::text IS NULL OR voter_address = $2 OR replaced_by = $2)
+       ORDER BY revoked_at ASC`,
+      [electionId, normalized]
+    );
+
+    return [
+      ...current.map(r => ({
+        voterAddress: r.voter_address,
+        keyHash: r.key_hash,
+        status: r.voted_at ? 'used' : r.distributed ? 'distributed' : 'issued',
+        issuedAt: r.created_at,
+        distributedAt: r.distributed_at,
+        usedAt: r.voted_at,
+      })),
+      ...revoked.map(r => ({
+        voterAddress: r.voter_address,
+        keyHash: r.key_hash,
+        status: 'revoked',
+        revokedAt: r.revoked_at,
+        replacedBy: r.replaced_by,
+        reason: r.reason,
+      })),
+    ];
+  }
+
   /**
    * Load merkle tree from database into memory
    * Used for proof generation when voting
@@ -190,8 +665,9 @@ class VoterKeyGenerator {
     console.log(`📖 Loading merkle tree for ${electionId} from database...`);
 
     try {
+      const leafFormat = await this.getLeafFormat(electionId);
       const { rows } = await this.db.query(
-        `SELECT voter_key FROM voter_keys 
+        `SELECT voter_address, leaf FROM voter_keys 
          WHERE election_id = $1 
          ORDER BY id ASC`,
         [electionId]
@@ -201,16 +677,10 @@ class VoterKeyGenerator {
         throw new Error(`No voter keys found for election ${electionId}`);
       }
 
-      console.log(`✓ Loaded ${rows.length} voter keys from database`);
-
-      const voterKeys = rows.map(r => r.voter_key);
+      console.log(`✓ Loaded ${rows.length} voter leaves from database`);
 
-      // Rebuild leaves (match generation process)
-      const leaves = voterKeys.map(k => {
-        const packed = ethers.utils.solidityPack(['bytes32'], [k]);
-        const leaf = keccak256(packed);
-        return leaf;
-      });
+      // Leaves were stored at generation, so the keys need not be decrypted
+      const leaves = rows.map(r => Buffer.from(r.leaf.substring(2), 'hex'));
 
       console.log(`✓ Created ${leaves.length} leaf hashes`);
 
@@ -220,7 +690,7 @@ class VoterKeyGenerator {
 
       console.log(`✓ Merkle tree loaded (root: ${root.substring(0, 10)}...)`);
 
-      const treeData = { tree, leaves, root };
+      const treeData = { tree, leaves, root, leafFormat };
       this.inMemoryTrees.set(electionId, treeData);
 
       return treeData;
@@ -234,16 +704,16 @@ class VoterKeyGenerator {
   /**
    * Generate merkle proof for a specific voter
    * Contract call: MerkleProof.verify(merkleProof, root, leaf)
+   * voterAddress is needed for elections with address-bound leaves
    */
-  async getMerkleProof(electionId, voterKey) {
+  async getMerkleProof(electionId, voterKey, voterAddress = null) {
     console.log(`\n🔍 Generating merkle proof for ${voterKey.substring(0, 10)}...`);
 
     try {
       const treeData = await this.loadTreeIntoMemory(electionId);
 
       // Create leaf from voter key (match contract)
-      const packed = ethers.utils.solidityPack(['bytes32'], [voterKey]);
-      const leaf = keccak256(packed);
+      const leaf = this.buildLeaf(voterKey, voterAddress, treeData.leafFormat);
 
       console.log(`📌 Leaf hash: ${leaf.toString('hex').substring(0, 10)}...`);
 
@@ -256,6 +726,7 @@ class VoterKeyGenerator {
       return {
         proof,
         merkleRoot: treeData.root,
+        leafFormat: treeData.leafFormat,
         leaf: '0x' + leaf.toString('hex')
       };
 
@@ -265,6 +736,17 @@ class VoterKeyGenerator {
     }
   }
 
+  /**
+   * Leaf format the election's tree was built with (see LEAF_FORMATS)
+   */
+  async getLeafFormat(electionId) {
+    const { rows } = await this.db.query(
+      `SELECT leaf_format FROM elections WHERE uuid = $1`,
+      [electionId]
+    );
+    return rows[0]?.leaf_format || LEAF_FORMATS.KEY;
+  }
+
   /**
    * Get stored merkle root from database
    */
@@ -320,7 +802,7 @@ class VoterKeyGenerator {
         return null;
       }
 
-      const voterKey = rows[0].voter_key;
+      const voterKey = await this.decryptVoterKey(electionId, normalized, rows[0].voter_key);
       const keyHash = rows[0].key_hash;
       const storedProof = JSON.parse(rows[0].proof);
 
@@ -329,7 +811,7 @@ class VoterKeyGenerator {
       console.log(`✓ Proof hashes: ${storedProof.length}`);
 
       // Generate fresh proof from tree to ensure accuracy
-      const proofData = await this.getMerkleProof(electionId, voterKey);
+      const proofData = await this.getMerkleProof(electionId, voterKey, normalized);
 
       console.log(`✅ Voter data ready for voting\n`);
 
@@ -338,6 +820,7 @@ class VoterKeyGenerator {
         keyHash,
         merkleProof: proofData.proof,
         merkleRoot: proofData.merkleRoot,
+        leafFormat: proofData.leafFormat,
         eligible: true
       };
 
@@ -347,19 +830,31 @@ class VoterKeyGenerator {
     }
   }
 
+  /**
+   * Decrypt a voter_key column value. Only call this when releasing the key
+   * to its authenticated voter.
+   */
+  async decryptVoterKey(electionId, voterAddress, storedKey) {
+    const dataKey = await this.vault.getDataKey(electionId);
+    return this.vault.decryptVoterKey(dataKey, electionId, voterAddress.toLowerCase(), storedKey);
+  }
+
   /**
    * Check if voter has already voted on any chain
    * Prevents cross-chain double voting
+   * @param {string|number} [exceptChainId] - Ignore votes recorded on this chain
+   * @param {boolean} [options.strict] - Rethrow lookup errors instead of answering false
    */
-  async hasVotedAnyChain(electionId, voterAddress) {
+  async hasVotedAnyChain(electionId, voterAddress, exceptChainId = null, { strict = false } = {}) {
     try {
       const normalized = voterAddress.toLowerCase();
 
       const { rows } = await this.db.query(
         `SELECT 1 FROM votes 
          WHERE election_uuid = $1 AND voter_address = $2 
+           AND ($3::integer IS NULL OR chain_id <> $3::integer)
          LIMIT 1`,
-        [electionId, normalized]
+        [electionId, normalized, exceptChainId ? Number(exceptChainId) : null]
       );
 
       if (rows.length > 0) {
@@ -372,6 +867,7 @@ class VoterKeyGenerator {
 
     } catch (error) {
       console.error(`❌ Error checking vote status: ${error.message}`);
+      if (strict) throw error;
       return false;
     }
   }
@@ -405,12 +901,13 @@ class VoterKeyGenerator {
 
   /**
    * Mark voter key as distributed (optional tracking)
+   * Pass the client of an open transaction to make it part of it; errors then propagate
    */
-  async markKeyDistributed(electionId, voterAddress) {
+  async markKeyDistributed(electionId, voterAddress, client = null) {
     try {
       const normalized = voterAddress.toLowerCase();
 
-      const { rows } = await this.db.query(
+      const { rows } = await (client || this.db).query(
         `UPDATE voter_keys 
          SET distributed = TRUE, distributed_at = CURRENT_TIMESTAMP
          WHERE election_id = $1 AND voter_address = $2
@@ -424,18 +921,21 @@ class VoterKeyGenerator {
 
     } catch (error) {
       console.error(`❌ Error marking distributed: ${error.message}`);
+      if (client) throw error;
     }
   }
 
   /**
    * Get all voter keys for an election (for admin/export)
+   * Keys are encrypted at rest and only released to their voters, so the
+   * export lists key hashes, with the identity fields of imported rolls
    */
   async getAllVoterKeys(electionId) {
     try {
       console.log(`📥 Exporting all voter keys for ${electionId}...`);
 
       const { rows } = await this.db.query(
-        `SELECT voter_address, voter_key, key_hash, distributed, created_at
+        `SELECT voter_address, member_id, voter_name, voter_email, key_hash, distributed, created_at
          FROM voter_keys 
          WHERE election_id = $1
          ORDER BY id ASC`,
@@ -476,4 +976,4 @@ class VoterKeyGenerator {
   }
 }
 
-module.exports = { VoterKeyGenerator };
\ No newline at end of file
+module.exports = { VoterKeyGenerator, LEAF_FORMATS };
\ No newline at end of file
@@ -3,7 +3,12 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
-const { VoterKeyGenerator } = require('./keyGenerator');
+const { VoterKeyGenerator, LEAF_FORMATS } = require('./keyGenerator');
+const { VoterAuth, AuthError } = require('./voterAuth');
+const { KeyVault, createKeyProvider } = require('./keyVault');
+const { readRoll, validateRoll } = require('./voterRoll');
+const { KeyDistributor } = require('./keyDistribution');
+const { ethers } = require('ethers');
 
 const app = express();
 const PORT = process.env.PORT || process.env.KEY_SERVICE_PORT || 3001;
@@ -16,6 +21,28 @@ app.use(express.urlencoded({ limit: '50mb', extended: true }));
 // PostgreSQL connection pool
 let dbPool = null;
 let keyGen = null;
+let distributor = null;
+
+// Voter keys are only released to a signed-in wallet (see voterAuth.js)
+const voterAuth = new VoterAuth({
+  secret: process.env.SESSION_SECRET,
+  sessionTtlMs: process.env.SESSION_TTL_MS,
+  uri: process.env.SIWE_URI,
+  domain: process.env.SIWE_DOMAIN,
+  maxChallenges: process.env.SIWE_MAX_PENDING,
+});
+const requireVoterSession = voterAuth.requireVoterSession();
+// Claim links are redeemed by whichever wallet signs in
+const requireWalletSession = voterAuth.requireSession();
+// Key management is for the election's creator, signed in the same way (the election is in the path, or the body)
+const requireCreatorSession = voterAuth.requireSession(async req => {
+  const electionId = req.params.electionId || req.body?.electionId;
+  const { rows } = await dbPool.query('SELECT creator FROM elections WHERE uuid = $1', [electionId]);
+  return rows[0]?.creator;
+}, 'Only the election creator can manage its keys');
+
+// ENS names in voter rolls are resolved on this chain (mainnet); unset, they are reported unresolved
+const ensProvider = process.env.ENS_RPC_URL ? new ethers.providers.JsonRpcProvider(process.env.ENS_RPC_URL) : null;
 
 // ============================================
 // DATABASE CONNECTION
@@ -36,13 +63,25 @@ async function connectDB() {
     await dbPool.query('SELECT 1');
     console.log('✅ PostgreSQL connected successfully');
 
-    // Initialize key generator with DB pool
-    keyGen = new VoterKeyGenerator(dbPool);
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
     console.error('   Check your DATABASE_URL in .env');
     process.exit(1);
   }
+
+  // Voter keys are stored encrypted under per-election data keys (see keyVault.js)
+  try {
+    const provider = createKeyProvider();
+    keyGen = new VoterKeyGenerator(dbPool, new KeyVault(dbPool, provider));
+    distributor = new KeyDistributor(dbPool, keyGen, {
+      claimUrlBase: process.env.CLAIM_URL_BASE,
+      claimTtlMs: process.env.CLAIM_TTL_MS,
+    });
+    console.log(`✅ Key provider ready (${process.env.KEY_PROVIDER || 'local'}, master key ${provider.currentKeyId})`);
+  } catch (error) {
+    console.error('❌ Key provider setup failed:', error.message);
+    process.exit(1);
+  }
 }
 
 // ============================================
@@ -58,13 +97,51 @@ app.get('/', (req, res) => {
   });
 });
 
+// ============================================
+// VOTER SIGN-IN (Sign-In-With-Ethereum)
+// Called by: votingService (voting-ui), apiClient (bots) before fetching a key
+// 1. POST /api/auth/nonce  { address, chainId? } -> { nonce, message, expiresAt }
+// 2. The wallet signs `message` (personal_sign)
+// 3. POST /api/auth/verify { nonce, signature } -> { token, address, expiresAt }
+// Key requests then send "Authorization: Bearer <token>" for that address.
+// ============================================
+app.post('/api/auth/nonce', (req, res) => {
+  try {
+    const { address, chainId } = req.body;
+    // Browsers send Origin; bots and scripts do not and are not phishable this way
+    const challenge = voterAuth.createChallenge(address, { chainId, origin: req.get('origin') });
+
+    res.json({ success: true, ...challenge });
+  } catch (error) {
+    const status = error instanceof AuthError ? error.status : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/verify', (req, res) => {
+  try {
+    const { nonce, signature } = req.body;
+    const session = voterAuth.verifyChallenge(nonce, signature);
+
+    console.log(`🔑 Voter signed in: ${session.address.substring(0, 10)}...`);
+    res.json({ success: true, ...session });
+  } catch (error) {
+    const status = error instanceof AuthError ? error.status : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // GENERATE VOTER KEYS
 // Called by: electionconductor.js (frontend)
-// Input: { electionId, numVoters, voterAddresses[] }
-// Output: { merkleRoot, totalKeys, success }
+// Input: { electionId, numVoters, voterAddresses[], weights[]?, leafFormat?, mode? }; a session for the election's creator
+//   mode 'append': keys only for addresses not yet registered
+//   weights: weighted-roll elections, one voting weight per address
+//   leafFormat: 'key' (default) or 'address' to bind each key to its wallet
+// Output: { merkleRoot, leafFormat, totalKeys, success }
+//   (append also: previousMerkleRoot, votersAdded, skipped)
 // ============================================
-app.post('/api/elections/keys/generate', async (req, res) => {
+app.post('/api/elections/keys/generate', requireCreatorSession, async (req, res) => {
   console.log('\n📨 POST /api/elections/keys/generate');
 
   if (!keyGen) {
@@ -77,12 +154,15 @@ app.post('/api/elections/keys/generate', async (req, res) => {
   }
 
   try {
-    const { electionId, numVoters, voterAddresses } = req.body;
+    const { electionId, numVoters, voterAddresses, weights, leafFormat = LEAF_FORMATS.KEY, mode = 'create' } = req.body;
 
     console.log(`📋 Request payload:`);
     console.log(`   - electionId: ${electionId}`);
     console.log(`   - numVoters: ${numVoters}`);
     console.log(`   - voterAddresses: ${voterAddresses?.length || 0} addresses`);
+    console.log(`   - weights: ${weights ? 'yes' : 'no'}`);
+    console.log(`   - leafFormat: ${leafFormat}`);
+    console.log(`   - mode: ${mode}`);
 
     // Validate input
     if (!electionId || typeof electionId !== 'string') {
@@ -118,10 +198,55 @@ app.post('/api/elections/keys/generate', async (req, res) => {
       });
     }
 
+    if (weights !== undefined && (!Array.isArray(weights) || weights.length !== voterAddresses.length)) {
+      return res.status(400).json({
+        success: false,
+        error: 'weights must be an array with one entry per voter address',
+        expected: voterAddresses.length,
+        received: Array.isArray(weights) ? weights.length : typeof weights,
+      });
+    }
+
+    if (!Object.values(LEAF_FORMATS).includes(leafFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown leafFormat: ${leafFormat}`,
+        allowed: Object.values(LEAF_FORMATS),
+      });
+    }
+
+    // Append mode: keys for late registrants only (the election keeps its leaf format), returning the superset root
+    // to pass to appendVoters() on-chain
+    if (mode === 'append') {
+      console.log(`➕ Appending voters to election ${electionId}`);
+      const result = await keyGen.appendVoterKeys(electionId, voterAddresses, weights);
+
+      return res.status(200).json({
+        success: true,
+        electionId,
+        mode,
+        merkleRoot: result.merkleRoot,
+        previousMerkleRoot: result.previousMerkleRoot,
+        totalKeys: result.totalKeys,
+        votersAdded: result.votersAdded,
+        skipped: result.skipped,
+        message: 'Voters appended. Call appendVoters(electionId, merkleRoot, totalKeys) on-chain to apply the new root.',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (mode !== 'create') {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown mode: ${mode}`,
+        allowed: ['create', 'append'],
+      });
+    }
+
     console.log(`🔐 Starting key generation for election ${electionId}`);
 
     // Generate keys and merkle root
-    const result = await keyGen.generateVoterKeys(electionId, numVoters, voterAddresses);
+    const result = await keyGen.generateVoterKeys(electionId, numVoters, voterAddresses, { weights, leafFormat });
 
     console.log(`\n✅ Key generation response:`);
     console.log(`   - merkleRoot: ${result.merkleRoot.substring(0, 10)}...`);
@@ -132,6 +257,7 @@ app.post('/api/elections/keys/generate', async (req, res) => {
       success: true,
       electionId,
       merkleRoot: result.merkleRoot,
+      leafFormat: result.leafFormat,
       totalKeys: result.totalKeys,
       votersProcessed: result.votersProcessed,
       message: 'Voter keys generated successfully',
@@ -149,7 +275,21 @@ app.post('/api/elections/keys/generate', async (req, res) => {
       });
     }
 
-    if (error.message.includes('Address count mismatch')) {
+    if (error.message.includes('No keys generated')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+        status: 'not_found',
+      });
+    }
+
+    if (
+      error.message.includes('Address count mismatch') ||
+      error.message.includes('Duplicate address') ||
+      error.message.includes('Invalid address format') ||
+      error.message.includes('already registered') ||
+      error.message.includes('Invalid weight')
+    ) {
       return res.status(400).json({
         success: false,
         error: error.message,
@@ -166,13 +306,225 @@ app.post('/api/elections/keys/generate', async (req, res) => {
   }
 });
 
+// ============================================
+// VOTER ROLL DRY RUN
+// Called by: Admin dashboard, before creating the election
+// Input: { format: 'csv' | 'xlsx', content } - CSV text or base64 XLSX (see voterRoll.js)
+// Output: { report: { totalRows, validRows, rejectedRows, invalid[], duplicates[],
+//           checksumMismatches[], ens[] }, voters[] } - nothing is stored
+// ============================================
+// Roll errors (unreadable file, no wallet column) are the caller's: they carry status 400
+async function checkRoll({ format = 'csv', content } = {}) {
+  try {
+    if (!content) {
+      throw new Error('Missing roll content');
+    }
+    const rows = await readRoll(content, format);
+    return await validateRoll(rows, { resolveName: ensProvider && (name => ensProvider.resolveName(name)) });
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+}
+
+app.post('/api/voter-rolls/validate', async (req, res) => {
+  console.log('\n📋 POST /api/voter-rolls/validate');
+
+  try {
+    const { voters, report } = await checkRoll(req.body);
+    console.log(`✓ ${report.validRows}/${report.totalRows} rows valid`);
+
+    res.json({
+      success: true,
+      report,
+      voters,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Roll validation error: ${error.message}`);
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message,
+      status: 'validation_error',
+    });
+  }
+});
+
+// ============================================
+// VOTER ROLL IMPORT
+// Called by: Admin dashboard, after the dry run
+// Input: electionId; { format, content, leafFormat?, mode?, skipRejected? }; a session for the
+//   election's creator. The roll is validated again and its valid rows are committed in one
+//   transaction ('create' generates the election's keys, 'append' adds late registrants).
+//   A roll with rejected rows is refused unless skipRejected is true.
+// Output: { merkleRoot, totalKeys, report } (append also: previousMerkleRoot, votersAdded, skipped)
+// ============================================
+app.post('/api/elections/:electionId/roll/import', requireCreatorSession, async (req, res) => {
+  console.log(`\n📥 POST /api/elections/${req.params.electionId}/roll/import`);
+
+  if (!keyGen) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not available',
+    });
+  }
+
+  const { electionId } = req.params;
+  const { leafFormat = LEAF_FORMATS.KEY, mode = 'create', skipRejected = false } = req.body;
+
+  try {
+    const { voters, report } = await checkRoll(req.body);
+
+    if (report.rejectedRows > 0 && !skipRejected) {
+      return res.status(400).json({
+        success: false,
+        error: `${report.rejectedRows} row(s) rejected; fix the roll or pass skipRejected`,
+        status: 'validation_error',
+        report,
+      });
+    }
+    if (voters.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Roll has no valid rows',
+        status: 'validation_error',
+        report,
+      });
+    }
+
+    const addresses = voters.map(v => v.address);
+    const weights = report.weighted ? voters.map(v => v.weight) : null;
+    const identities = voters.map(({ memberId, name, email }) => ({ memberId, name, email }));
+
+    let result;
+    if (mode === 'append') {
+      result = await keyGen.appendVoterKeys(electionId, addresses, weights, identities);
+    } else if (mode === 'create') {
+      result = await keyGen.generateVoterKeys(electionId, addresses.length, addresses, { weights, leafFormat, identities });
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown mode: ${mode}`,
+        allowed: ['create', 'append'],
+      });
+    }
+
+    res.json({
+      success: true,
+      electionId,
+      mode,
+      merkleRoot: result.merkleRoot,
+      totalKeys: result.totalKeys,
+      ...(mode === 'append' && {
+        previousMerkleRoot: result.previousMerkleRoot,
+        votersAdded: result.votersAdded,
+        skipped: result.skipped,
+      }),
+      report,
+      message: mode === 'append'
+        ? 'Roll imported. Call appendVoters(electionId, merkleRoot, totalKeys) on-chain to apply the new root.'
+        : 'Roll imported and voter keys generated',
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Roll import error: ${error.message}`);
+    const status = error.status
+      || (error.message.includes('already generated') ? 409 : null)
+      || (/No keys generated|not found/.test(error.message) ? 404 : null)
+      || (/already registered|Invalid|Duplicate/.test(error.message) ? 400 : 500);
+    res.status(status).json({
+      success: false,
+      error: 'Failed to import voter roll',
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// KEY STATUS
+// Called by: Admin dashboard
+// Input: electionId, optional ?address=; a session for the election's creator
+// Output: { keys: [{ voterAddress, keyHash, status: issued|distributed|used|revoked, ... }] }
+// ============================================
+app.get('/api/elections/:electionId/keys/status', requireCreatorSession, async (req, res) => {
+  console.log(`\n📊 GET /api/elections/${req.params.electionId}/keys/status`);
+
+  if (!keyGen) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not available',
+    });
+  }
+
+  try {
+    const keys = await keyGen.getKeyStatuses(req.params.electionId, req.query.address || null);
+    const counts = keys.reduce((acc, key) => ({ ...acc, [key.status]: (acc[key.status] || 0) + 1 }), {});
+
+    res.json({
+      success: true,
+      electionId: req.params.electionId,
+      counts,
+      keys,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Key status error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load key status',
+      message: error.message,
+    });
+  }
+});
+
+// ============================================
+// GET ALL VOTER KEYS (ADMIN EXPORT)
+// Called by: Admin dashboard
+// Input: electionId; a session for the election's creator
+// Output: every key with its voter's member ID, name and email
+// Registered before /keys/:address, which would otherwise take "export" as an address
+// ============================================
+app.get('/api/elections/:electionId/keys/export', requireCreatorSession, async (req, res) => {
+  console.log(`\n📥 GET /api/elections/${req.params.electionId}/keys/export`);
+
+  if (!keyGen) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not available',
+    });
+  }
+
+  try {
+    const { electionId } = req.params;
+
+    const result = await keyGen.getAllVoterKeys(electionId);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error(`❌ Export keys error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export voter keys',
+      message: error.message,
+    });
+  }
+});
+
 // ============================================
 // GET VOTER KEY + MERKLE PROOF (FOR VOTING)
 // Called by: voting-ui.js (frontend during voting)
-// Input: electionId, address
+// Input: electionId, address; a voter session for that address
 // Output: { voterKey, merkleProof, merkleRoot, eligible }
 // ============================================
-app.get('/api/elections/:electionId/keys/:address', async (req, res) => {
+app.get('/api/elections/:electionId/keys/:address', requireVoterSession, async (req, res) => {
   console.log(`\n🔍 GET /api/elections/${req.params.electionId}/keys/${req.params.address}`);
 
   if (!keyGen) {
@@ -190,8 +542,9 @@ app.get('/api/elections/:electionId/keys/:address', async (req, res) => {
     console.log(`📍 Voter: ${normalized.substring(0, 10)}...`);
     console.log(`📋 Election: ${electionId}`);
 
-    // Check if voter already voted on another chain
-    const hasVoted = await keyGen.hasVotedAnyChain(electionId, normalized);
+    // Check if voter already voted on another chain. Votes on the caller's own
+    // chain are left to the contract, which decides whether a revote is allowed.
+    const hasVoted = await keyGen.hasVotedAnyChain(electionId, normalized, req.query.chainId);
     if (hasVoted) {
       console.log(`⚠️  Double voting detected`);
       return res.status(403).json({
@@ -224,6 +577,7 @@ app.get('/api/elections/:electionId/keys/:address', async (req, res) => {
       voterKey: voterData.voterKey,
       merkleProof: voterData.merkleProof,
       merkleRoot: voterData.merkleRoot,
+      leafFormat: voterData.leafFormat,
       eligible: voterData.eligible,
       timestamp: new Date().toISOString(),
     });
@@ -241,10 +595,10 @@ app.get('/api/elections/:electionId/keys/:address', async (req, res) => {
 // ============================================
 // GET VOTER KEY ONLY (FOR VERIFICATION PAGE)
 // Called by: VoterVerificationPage.jsx (key lookup)
-// Input: electionId, address
+// Input: electionId, address; a voter session for that address
 // Output: { voterKey, keyHash, merkleProof }
 // ============================================
-app.get('/api/elections/:electionId/voter/:address/key', async (req, res) => {
+app.get('/api/elections/:electionId/voter/:address/key', requireVoterSession, async (req, res) => {
   console.log(`\n🔓 GET /api/elections/${req.params.electionId}/voter/${req.params.address}/key`);
 
   const { electionId, address } = req.params;
@@ -254,8 +608,10 @@ app.get('/api/elections/:electionId/voter/:address/key', async (req, res) => {
     console.log(`📍 Looking up key for: ${normalized.substring(0, 10)}...`);
 
     const { rows } = await dbPool.query(
-      `SELECT voter_key, key_hash, proof FROM voter_keys 
-       WHERE election_id = $1 AND voter_address = $2 
+      `SELECT vk.voter_key, vk.key_hash, vk.proof, e.leaf_format
+       FROM voter_keys vk
+       LEFT JOIN elections e ON e.uuid = vk.election_id
+       WHERE vk.election_id = $1 AND vk.voter_address = $2 
        LIMIT 1`,
       [electionId, normalized]
     );
@@ -268,7 +624,7 @@ app.get('/api/elections/:electionId/voter/:address/key', async (req, res) => {
       });
     }
 
-    const voterKey = rows[0].voter_key;
+    const voterKey = await keyGen.decryptVoterKey(electionId, normalized, rows[0].voter_key);
     const keyHash = rows[0].key_hash;
     const merkleProof = JSON.parse(rows[0].proof);
 
@@ -278,7 +634,9 @@ app.get('/api/elections/:electionId/voter/:address/key', async (req, res) => {
       success: true,
       voterKey,
       keyHash,
-      merkleProof
+      merkleProof,
+      // With 'address' leaves the key only verifies from this voter's wallet
+      leafFormat: rows[0].leaf_format || LEAF_FORMATS.KEY
     });
 
   } catch (err) {
@@ -529,11 +887,14 @@ app.post('/api/elections/:electionId/keys/:address/mark-distributed', async (req
 });
 
 // ============================================
-// GET ALL VOTER KEYS (ADMIN EXPORT)
-// Called by: Admin dashboard
+// REVOKE AND REISSUE A VOTER KEY
+// Called by: Admin dashboard (leaked key, compromised wallet)
+// Input: electionId, address; { newAddress?, weight?, reason? }; a session for the election's creator
+// Output: { merkleRoot, revokedKeyHash } - the creator then calls
+//         revokeVoterKeys(onChainElectionId, merkleRoot, [revokedKeyHash]) on-chain
 // ============================================
-app.get('/api/elections/:electionId/keys/export', async (req, res) => {
-  console.log(`\n📥 GET /api/elections/${req.params.electionId}/keys/export`);
+app.post('/api/elections/:electionId/keys/:address/revoke', requireCreatorSession, async (req, res) => {
+  console.log(`\n🚫 POST /api/elections/${req.params.electionId}/keys/${req.params.address}/revoke`);
 
   if (!keyGen) {
     return res.status(503).json({
@@ -543,42 +904,213 @@ app.get('/api/elections/:electionId/keys/export', async (req, res) => {
   }
 
   try {
-    const { electionId } = req.params;
+    const { electionId, address } = req.params;
+    const { newAddress, weight, reason } = req.body;
 
-    const result = await keyGen.getAllVoterKeys(electionId);
+    const result = await keyGen.revokeVoterKey(electionId, address, {
+      newAddress: newAddress || null,
+      weight: weight === undefined || weight === null ? null : weight,
+      reason: reason || null,
+      revokedBy: req.sessionAddress,
+    });
 
     res.json({
       success: true,
-      ...result,
+      electionId,
+      merkleRoot: result.merkleRoot,
+      previousMerkleRoot: result.previousMerkleRoot,
+      revokedKeyHash: result.revokedKeyHash,
+      voterAddress: result.voterAddress,
+      totalKeys: result.totalKeys,
+      message: 'Key revoked and reissued. Call revokeVoterKeys(electionId, merkleRoot, [revokedKeyHash]) on-chain before the election ends.',
       timestamp: new Date().toISOString(),
     });
 
   } catch (error) {
-    console.error(`❌ Export keys error: ${error.message}`);
-    res.status(500).json({
+    console.error(`❌ Revoke key error: ${error.message}`);
+    const status = /not registered|No keys generated/.test(error.message) ? 404
+      : /already|Invalid|bound/.test(error.message) ? 400 : 500;
+    res.status(status).json({
       success: false,
-      error: 'Failed to export voter keys',
+      error: 'Failed to revoke voter key',
       message: error.message,
     });
   }
 });
 
+// ============================================
+// DISTRIBUTE KEYS (EMAIL, QR SHEETS, CLAIM LINKS)
+// Called by: Admin dashboard
+// Input: electionId; { channel: 'email' | 'qr-sheet' | 'link', addresses[]? } (default: every
+//   voter not yet distributed); a session for the election's creator
+// Output: { sent, failed, results: [{ voterAddress, status, error?, claimUrl? }],
+//           artifact? } - qr-sheet returns the PDF as base64 in artifact.data
+// ============================================
+function distributionError(res, error, action) {
+  console.error(`❌ ${action} error: ${error.message}`);
+  const status = /not found|not registered|Nothing to resend/.test(error.message) ? 404
+    : /Unknown|already|not configured|bound|claim link/.test(error.message) ? 400 : 500;
+  res.status(status).json({
+    success: false,
+    error: `${action} failed`,
+    message: error.message,
+  });
+}
+
+app.post('/api/elections/:electionId/distribution', requireCreatorSession, async (req, res) => {
+  console.log(`\n📬 POST /api/elections/${req.params.electionId}/distribution`);
+
+  if (!distributor) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not available',
+    });
+  }
+
+  try {
+    const { channel, addresses } = req.body;
+    if (addresses !== undefined && (!Array.isArray(addresses) || addresses.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'addresses must be a non-empty array when given',
+      });
+    }
+
+    const result = await distributor.distribute(req.params.electionId, channel, addresses || null);
+
+    res.json({
+      success: true,
+      electionId: req.params.electionId,
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    distributionError(res, error, 'Distribution');
+  }
+});
+
+// ============================================
+// RESEND A VOTER'S KEY
+// Called by: Admin dashboard (bounced email, lost sheet)
+// Input: electionId, address; { channel? } (default: the last channel used); creator session
+// Output: as DISTRIBUTE KEYS; the voter's earlier claim links stop working
+// ============================================
+app.post('/api/elections/:electionId/distribution/:address/resend', requireCreatorSession, async (req, res) => {
+  console.log(`\n🔁 POST /api/elections/${req.params.electionId}/distribution/${req.params.address}/resend`);
+
+  if (!distributor) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not available',
+    });
+  }
+
+  try {
+    const { electionId, address } = req.params;
+    const result = await distributor.resend(electionId, address, req.body.channel || null);
+
+    res.json({
+      success: true,
+      electionId,
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    distributionError(res, error, 'Resend');
+  }
+});
+
+// ============================================
+// DELIVERY STATUS
+// Called by: Admin dashboard
+// Input: electionId; creator session
+// Output: { deliveries: [{ voterAddress, channel, recipient, status: sent|failed|claimed|..., ... }] }
+// ============================================
+app.get('/api/elections/:electionId/distribution', requireCreatorSession, async (req, res) => {
+  console.log(`\n📊 GET /api/elections/${req.params.electionId}/distribution`);
+
+  if (!distributor) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not available',
+    });
+  }
+
+  try {
+    const deliveries = await distributor.getDeliveryStatus(req.params.electionId);
+
+    res.json({
+      success: true,
+      electionId: req.params.electionId,
+      deliveries,
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    distributionError(res, error, 'Delivery status');
+  }
+});
+
+// ============================================
+// CLAIM A KEY
+// Called by: ClaimKeyPage (voting-ui), from an emailed link or a scanned QR sheet
+// Input: claim token; a session for the wallet claiming the key
+// Output: { electionId, voterAddress } - the key is now that wallet's; fetch it from
+//         /api/elections/:electionId/keys/:address as usual
+// ============================================
+app.post('/api/claims/:token', requireWalletSession, async (req, res) => {
+  console.log('\n🎟️  POST /api/claims/:token');
+
+  if (!distributor) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not available',
+    });
+  }
+
+  try {
+    const { electionId, voterAddress } = await distributor.claim(req.params.token, req.sessionAddress);
+
+    res.json({
+      success: true,
+      electionId,
+      voterAddress,
+      message: 'Key claimed. It can now be fetched by this wallet.',
+      timestamp: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    distributionError(res, error, 'Claim');
+  }
+});
+
+// Tests wire in their own pool and generator instead of connectDB()
+function setServices(services) {
+  ({ dbPool, keyGen, distributor } = { dbPool, keyGen, distributor, ...services });
+}
+
+module.exports = { app, voterAuth, setServices };
+
 // ============================================
 // START SERVER
 // ============================================
-connectDB()
-  .then(() => {
-    app.listen(PORT, '0.0.0.0', () => {
-      console.log('\n');
-      console.log('🚀 ============================================');
-      console.log('🔐 SafeVote Key Service v2.0.0 (PostgreSQL)');
-      console.log(`🔌 Running on http://0.0.0.0:${PORT}`);
-      console.log('🗄️  Database: PostgreSQL (Supabase)');
-      console.log('✅ Ready for deployment!');
-      console.log('============================================\n');
-    });
-  })
-  .catch((err) => {
-    console.error('Failed to start server:', err);
-    process.exit(1);
-  });
\ No newline at end of file
+if (require.main === module) {
+  connectDB()
+    .then(() => {
+      app.listen(PORT, '0.0.0.0', () => {
+        console.log('\n');
+        console.log('🚀 ============================================');
+        console.log('🔐 SafeVote Key Service v2.0.0 (PostgreSQL)');
+        console.log(`🔌 Running on http://0.0.0.0:${PORT}`);
+        console.log('🗄️  Database: PostgreSQL (Supabase)');
+        console.log('✅ Ready for deployment!');
+        console.log('============================================\n');
+      });
+    })
+    .catch((err) => {
+      console.error('Failed to start server:', err);
+      process.exit(1);
+    });
+}
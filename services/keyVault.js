@@ -0,0 +1,254 @@
+// services/keyVault.js - Envelope encryption for voter keys at rest
+//
+// Each election has a random data key (AES-256-GCM) that encrypts its voter keys.
+// Only the wrapped data key is stored (election_data_keys); a master key held by a
+// key provider wraps and unwraps it:
+//   KEY_PROVIDER=local     MASTER_KEY (or MASTER_KEY_FILE), 32 bytes as hex or base64.
+//                          Previous master keys stay readable through MASTER_KEYS_PREVIOUS
+//                          (comma-separated) until `npm run keys:rotate` re-wraps everything.
+//   KEY_PROVIDER=kms       AWS KMS (needs @aws-sdk/client-kms) with KMS_KEY_ID
+//   KEY_PROVIDER=kms-stub  In-process KMS for local development, keyed by KMS_STUB_SECRET
+const crypto = require('crypto');
+const fs = require('fs');
+
+const CIPHER = 'aes-256-gcm';
+const KEY_PREFIX = 'enc:v1:';
+
+function parseMasterKey(value, name) {
+  const text = String(value).trim();
+  const key = /^(0x)?[0-9a-fA-F]{64}$/.test(text)
+    ? Buffer.from(text.replace(/^0x/, ''), 'hex')
+    : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes (hex or base64)`);
+  }
+  return key;
+}
+
+// Master keys are told apart by a fingerprint, so the key itself never reaches the database
+function fingerprint(key) {
+  return 'local:' + crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  return `${iv.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+function open(key, sealed, aad) {
+  const [iv, data] = sealed.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+}
+
+// ============================================
+// KEY PROVIDERS
+// wrap(dataKey, electionId) -> { wrappedKey, masterKeyId }
+// unwrap(wrappedKey, masterKeyId, electionId) -> dataKey
+// currentKeyId: what wrap() uses now; rows under another id need re-wrapping
+// ============================================
+
+class LocalKeyProvider {
+  constructor(masterKey, previousKeys = []) {
+    this.keys = new Map([masterKey, ...previousKeys].map(key => [fingerprint(key), key]));
+    this.currentKeyId = fingerprint(masterKey);
+  }
+
+  static fromEnv(env = process.env) {
+    const current = env.MASTER_KEY || (env.MASTER_KEY_FILE && fs.readFileSync(env.MASTER_KEY_FILE, 'utf8'));
+    if (!current) {
+      throw new Error('MASTER_KEY or MASTER_KEY_FILE must be set for KEY_PROVIDER=local');
+    }
+    const previous = (env.MASTER_KEYS_PREVIOUS || '')
+      .split(',')
+      .filter(Boolean)
+      .map(key => parseMasterKey(key, 'MASTER_KEYS_PREVIOUS'));
+    return new LocalKeyProvider(parseMasterKey(current, 'MASTER_KEY'), previous);
+  }
+
+  async wrap(dataKey, electionId) {
+    return {
+      wrappedKey: seal(this.keys.get(this.currentKeyId), dataKey, electionId),
+      masterKeyId: this.currentKeyId,
+    };
+  }
+
+  async unwrap(wrappedKey, masterKeyId, electionId) {
+    const key = this.keys.get(masterKeyId);
+    if (!key) {
+      throw new Error(`Master key ${masterKeyId} is not configured (add it to MASTER_KEYS_PREVIOUS)`);
+    }
+    return open(key, wrappedKey, electionId);
+  }
+}
+
+/**
+ * Any client with the AWS KMS Encrypt/Decrypt shape:
+ *   encrypt({ KeyId, Plaintext, EncryptionContext }) -> { CiphertextBlob, KeyId }
+ *   decrypt({ CiphertextBlob, EncryptionContext }) -> { Plaintext }
+ */
+class KmsKeyProvider {
+  constructor(client, keyId) {
+    if (!keyId) throw new Error('KMS_KEY_ID must be set for KEY_PROVIDER=kms');
+    this.client = client;
+    this.currentKeyId = keyId;
+  }
+
+  async wrap(dataKey, electionId) {
+    const { CiphertextBlob } = await this.client.encrypt({
+      KeyId: this.currentKeyId,
+      Plaintext: dataKey,
+      EncryptionContext: { electionId },
+    });
+    // KMS answers with the key's ARN; record the id we asked for so rotation compares like with like
+    return { wrappedKey: Buffer.from(CiphertextBlob).toString('base64'), masterKeyId: this.currentKeyId };
+  }
+
+  async unwrap(wrappedKey, masterKeyId, electionId) {
+    const { Plaintext } = await this.client.decrypt({
+      KeyId: masterKeyId,
+      CiphertextBlob: Buffer.from(wrappedKey, 'base64'),
+      EncryptionContext: { electionId },
+    });
+    return Buffer.from(Plaintext);
+  }
+}
+
+// AWS SDK v3 client behind the KmsKeyProvider interface
+function awsKmsClient() {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-kms');
+  } catch (error) {
+    throw new Error('KEY_PROVIDER=kms needs @aws-sdk/client-kms (npm install @aws-sdk/client-kms)');
+  }
+  const kms = new sdk.KMSClient({});
+  return {
+    encrypt: params => kms.send(new sdk.EncryptCommand(params)),
+    decrypt: params => kms.send(new sdk.DecryptCommand(params)),
+  };
+}
+
+/**
+ * Local stand-in for KMS: every key id maps to a key derived from one secret,
+ * so rotating KMS_KEY_ID can be exercised without a cloud account
+ */
+class KmsStubClient {
+  constructor(secret) {
+    if (!secret) throw new Error('KMS_STUB_SECRET must be set for KEY_PROVIDER=kms-stub');
+    this.secret = secret;
+  }
+
+  keyFor(keyId) {
+    return crypto.createHmac('sha256', this.secret).update(keyId).digest();
+  }
+
+  async encrypt({ KeyId, Plaintext, EncryptionContext }) {
+    const sealed = seal(this.keyFor(KeyId), Plaintext, JSON.stringify(EncryptionContext));
+    return { CiphertextBlob: Buffer.from(`${KeyId}|${sealed}`), KeyId };
+  }
+
+  async decrypt({ CiphertextBlob, EncryptionContext }) {
+    const blob = Buffer.from(CiphertextBlob).toString();
+    const split = blob.lastIndexOf('|');
+    if (split < 0) throw new Error('Not a KMS stub ciphertext');
+    const plaintext = open(this.keyFor(blob.substring(0, split)), blob.substring(split + 1), JSON.stringify(EncryptionContext));
+    return { Plaintext: plaintext };
+  }
+}
+
+function createKeyProvider(env = process.env) {
+  const kind = env.KEY_PROVIDER || 'local';
+  if (kind === 'local') return LocalKeyProvider.fromEnv(env);
+  if (kind === 'kms') return new KmsKeyProvider(awsKmsClient(), env.KMS_KEY_ID);
+  if (kind === 'kms-stub') return new KmsKeyProvider(new KmsStubClient(env.KMS_STUB_SECRET), env.KMS_KEY_ID);
+  throw new Error(`Unknown KEY_PROVIDER: ${kind} (use local, kms or kms-stub)`);
+}
+
+// ============================================
+// KEY VAULT
+// ============================================
+
+class KeyVault {
+  constructor(db, provider) {
+    this.db = db;
+    this.provider = provider;
+  }
+
+  /**
+   * Create and store an election's data key. Pass the transaction's client so
+   * the key is only kept if the voter keys it encrypts are.
+   */
+  async createDataKey(client, electionId) {
+    const dataKey = crypto.randomBytes(32);
+    const { wrappedKey, masterKeyId } = await this.provider.wrap(dataKey, electionId);
+
+    await client.query(
+      `INSERT INTO election_data_keys (election_id, wrapped_key, master_key_id, created_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
+      [electionId, wrappedKey, masterKeyId]
+    );
+    return dataKey;
+  }
+
+  async getDataKey(electionId, client = this.db) {
+    const { rows } = await client.query(
+      `SELECT wrapped_key, master_key_id FROM election_data_keys WHERE election_id = $1`,
+      [electionId]
+    );
+    if (rows.length === 0) {
+      throw new Error(`No data key for election ${electionId}`);
+    }
+    return this.provider.unwrap(rows[0].wrapped_key, rows[0].master_key_id, electionId);
+  }
+
+  /**
+   * Ciphertext for the voter_key column. The election and address are
+   * authenticated with it, so a row's ciphertext cannot be moved to another voter.
+   */
+  encryptVoterKey(dataKey, electionId, voterAddress, voterKey) {
+    return KEY_PREFIX + seal(dataKey, Buffer.from(voterKey), `${electionId}:${voterAddress}`);
+  }
+
+  decryptVoterKey(dataKey, electionId, voterAddress, stored) {
+    if (!this.isEncrypted(stored)) {
+      throw new Error('Voter key is stored in plaintext; run `npm run keys:migrate`');
+    }
+    return open(dataKey, stored.substring(KEY_PREFIX.length), `${electionId}:${voterAddress}`).toString();
+  }
+
+  isEncrypted(stored) {
+    return typeof stored === 'string' && stored.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Re-wrap every data key that is not under the provider's current master key.
+   * Voter key ciphertexts are untouched: only the data keys' wrapping changes.
+   */
+  async rewrapDataKeys() {
+    const { rows } = await this.db.query(
+      `SELECT election_id, wrapped_key, master_key_id FROM election_data_keys
+       WHERE master_key_id <> $1`,
+      [this.provider.currentKeyId]
+    );
+
+    for (const row of rows) {
+      const dataKey = await this.provider.unwrap(row.wrapped_key, row.master_key_id, row.election_id);
+      const { wrappedKey, masterKeyId } = await this.provider.wrap(dataKey, row.election_id);
+      await this.db.query(
+        `UPDATE election_data_keys
+         SET wrapped_key = $1, master_key_id = $2, rotated_at = CURRENT_TIMESTAMP
+         WHERE election_id = $3 AND master_key_id = $4`,
+        [wrappedKey, masterKeyId, row.election_id, row.master_key_id]
+      );
+    }
+    return rows.length;
+  }
+}
+
+module.exports = { KeyVault, LocalKeyProvider, KmsKeyProvider, KmsStubClient, createKeyProvider };
@@ -112,4 +112,65 @@ VALUES (
   100,
   TRUE
 );
-*/
\ No newline at end of file
+*/
+
+-- ============================================
+-- KEY SERVICE (PostgreSQL)
+-- Applied by `npm run keys:migrate` (keyAdmin.js runs everything from the next line on).
+-- Expects the elections and voter_keys tables to exist; every statement is safe to re-run.
+-- ============================================
+
+-- Merkle leaf layout of an election's tree: 'key' or 'address' (election-backend also adds it on start)
+ALTER TABLE elections ADD COLUMN IF NOT EXISTS leaf_format VARCHAR(16) DEFAULT 'key';
+
+-- Per-election data keys, wrapped by the master key (keyVault.js)
+CREATE TABLE IF NOT EXISTS election_data_keys (
+  election_id TEXT PRIMARY KEY,
+  wrapped_key TEXT NOT NULL,
+  master_key_id TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  rotated_at TIMESTAMP
+);
+
+-- Ciphertexts are longer than a bytes32 hex string
+ALTER TABLE voter_keys ALTER COLUMN voter_key TYPE TEXT;
+
+-- Merkle leaf per voter, so trees are rebuilt without decrypting keys
+ALTER TABLE voter_keys ADD COLUMN IF NOT EXISTS leaf VARCHAR(66);
+
+-- Keys replaced through the revoke endpoint
+CREATE TABLE IF NOT EXISTS revoked_voter_keys (
+  id SERIAL PRIMARY KEY,
+  election_id TEXT NOT NULL,
+  voter_address VARCHAR(42) NOT NULL,
+  key_hash VARCHAR(66) NOT NULL,
+  replaced_by VARCHAR(42),
+  reason TEXT,
+  revoked_by VARCHAR(42),
+  revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Identity fields from voter roll imports (voterRoll.js)
+ALTER TABLE voter_keys ADD COLUMN IF NOT EXISTS member_id TEXT;
+ALTER TABLE voter_keys ADD COLUMN IF NOT EXISTS voter_name TEXT;
+ALTER TABLE voter_keys ADD COLUMN IF NOT EXISTS voter_email TEXT;
+
+-- Deliveries and claim links (keyDistribution.js); only the claim token's hash is kept
+CREATE TABLE IF NOT EXISTS key_distributions (
+  id SERIAL PRIMARY KEY,
+  election_id TEXT NOT NULL,
+  voter_address VARCHAR(42) NOT NULL,
+  channel TEXT NOT NULL,
+  recipient TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  claim_token_hash VARCHAR(66) UNIQUE NOT NULL,
+  claim_expires_at TIMESTAMP NOT NULL,
+  claimed_by VARCHAR(42),
+  claimed_at TIMESTAMP,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS key_distributions_voter ON key_distributions (election_id, voter_address);
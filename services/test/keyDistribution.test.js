@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const { KeyDistributor, LinkChannel } = require('../keyDistribution');
+
+const ELECTION = 'election-1';
+const VOTER = '0x' + 'aa'.repeat(20);
+const CLAIMER = '0x' + 'bb'.repeat(20);
+
+// voter_keys and key_distributions, for the queries KeyDistributor makes.
+// `now` stands in for CURRENT_TIMESTAMP.
+function fakeDb() {
+  const db = {
+    now: Date.now(),
+    voters: [{ voter_address: VOTER, member_id: 'M1', voter_name: 'Alice', voter_email: null, distributed: false }],
+    deliveries: [],
+    async connect() {
+      return {
+        query: (sql, params) => (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql) ? {} : db.query(sql, params)),
+        release() {},
+      };
+    },
+    async query(sql, params) {
+      if (sql.includes('SELECT title FROM elections')) {
+        return { rows: [{ title: 'Annual Meeting' }] };
+      }
+      if (sql.includes('FROM voter_keys')) {
+        return { rows: db.voters.filter(v => (params[1] ? params[1].includes(v.voter_address) : !v.distributed)) };
+      }
+      if (sql.includes(`SET status = 'superseded'`)) {
+        db.deliveries
+          .filter(d => d.voter_address === params[1] && ['pending', 'sent'].includes(d.status))
+          .forEach(d => { d.status = 'superseded'; });
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO key_distributions')) {
+        const id = db.deliveries.length + 1;
+        db.deliveries.push({
+          id, election_id: params[0], voter_address: params[1], channel: params[2], status: 'pending',
+          claim_token_hash: params[4], claim_expires_at: params[5].getTime(),
+        });
+        return { rows: [{ id }] };
+      }
+      if (sql.includes('SET status = $1, error = $2')) {
+        db.deliveries[params[2] - 1].status = params[0];
+        return { rows: [] };
+      }
+      if (sql.includes(`SET status = 'claimed'`)) {
+        const delivery = db.deliveries.find(d =>
+          d.claim_token_hash === params[0] && d.status === 'sent' && d.claim_expires_at > db.now);
+        if (!delivery) return { rows: [] };
+        Object.assign(delivery, { status: 'claimed', claimed_by: params[1] });
+        return { rows: [{ ...delivery }] };
+      }
+      if (sql.includes(`SET status = 'sent', claimed_by = NULL`)) {
+        Object.assign(db.deliveries[params[0] - 1], { status: 'sent', claimed_by: null });
+        return { rows: [] };
+      }
+      if (sql.includes('SET voter_address = $1')) {
+        db.deliveries
+          .filter(d => d.election_id === params[1] && d.voter_address === params[2])
+          .forEach(d => { d.voter_address = params[0]; });
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+  return db;
+}
+
+function fakeKeyGen(db) {
+  return {
+    rebound: [],
+    async markKeyDistributed(electionId, voterAddress) {
+      db.voters.find(v => v.voter_address === voterAddress).distributed = true;
+    },
+    async rebindVoterKey(electionId, from, to) {
+      if (this.failRebind) throw new Error(this.failRebind);
+      this.rebound.push({ from, to });
+    },
+  };
+}
+
+async function expectClaimRejected(distributor, token, claimer = CLAIMER) {
+  let error;
+  try {
+    await distributor.claim(token, claimer);
+  } catch (err) {
+    error = err;
+  }
+  expect(error).to.be.an('error');
+  expect(error.message).to.equal('Unknown, used or expired claim link');
+}
+
+describe('KeyDistributor claim links', function () {
+  const TTL_MS = 60 * 60 * 1000;
+
+  let db;
+  let keyGen;
+  let distributor;
+
+  beforeEach(function () {
+    db = fakeDb();
+    keyGen = fakeKeyGen(db);
+    distributor = new KeyDistributor(db, keyGen, {
+      channels: { link: () => new LinkChannel() },
+      claimUrlBase: 'https://vote.example/claim/',
+      claimTtlMs: TTL_MS,
+    });
+  });
+
+  async function sendLink() {
+    const { results } = await distributor.distribute(ELECTION, 'link', [VOTER]);
+    const { claimUrl } = results[0];
+    expect(claimUrl).to.match(/^https:\/\/vote\.example\/claim\/[\w-]+$/);
+    return claimUrl.split('/').pop();
+  }
+
+  it('stores only a hash of the claim token', async function () {
+    const token = await sendLink();
+    expect(JSON.stringify(db.deliveries)).to.not.include(token);
+  });
+
+  it('binds the key to the claiming wallet', async function () {
+    const token = await sendLink();
+    const result = await distributor.claim(token, CLAIMER.toUpperCase().replace('0X', '0x'));
+
+    expect(result).to.deep.equal({ electionId: ELECTION, voterAddress: CLAIMER, registeredAddress: VOTER });
+    expect(keyGen.rebound).to.deep.equal([{ from: VOTER, to: CLAIMER }]);
+    expect(db.deliveries[0]).to.include({ status: 'claimed', voter_address: CLAIMER });
+  });
+
+  it('works only once', async function () {
+    const token = await sendLink();
+    await distributor.claim(token, CLAIMER);
+
+    await expectClaimRejected(distributor, token, '0x' + 'cc'.repeat(20));
+    expect(keyGen.rebound).to.have.length(1);
+  });
+
+  it('expires after the claim TTL', async function () {
+    const token = await sendLink();
+    db.now = Date.now() + TTL_MS + 1;
+
+    await expectClaimRejected(distributor, token);
+    expect(keyGen.rebound).to.have.length(0);
+  });
+
+  it('stops working once a new link is sent', async function () {
+    const first = await sendLink();
+    const second = await sendLink();
+
+    await expectClaimRejected(distributor, first);
+    await distributor.claim(second, CLAIMER);
+  });
+
+  it('rejects an unknown token', async function () {
+    await sendLink();
+    await expectClaimRejected(distributor, 'not-a-token');
+  });
+
+  it('stays usable when the key cannot be bound', async function () {
+    const token = await sendLink();
+    keyGen.failRebind = `This key is bound to ${VOTER}`;
+
+    let error;
+    try {
+      await distributor.claim(token, CLAIMER);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal(keyGen.failRebind);
+    expect(db.deliveries[0].status).to.equal('sent');
+
+    delete keyGen.failRebind;
+    await distributor.claim(token, VOTER);
+    expect(keyGen.rebound).to.deep.equal([{ from: VOTER, to: VOTER }]);
+  });
+});
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const { VoterKeyGenerator } = require('../keyGenerator');
+const { KeyVault, createKeyProvider } = require('../keyVault');
+
+const ELECTION = 'election-1';
+const VOTER = '0x' + 'aa'.repeat(20);
+const OTHER = '0x' + 'bb'.repeat(20);
+const NEW_VOTER = '0x' + 'cc'.repeat(20);
+
+// elections, voter_keys and election_data_keys, for the queries appends and
+// revocations make. `log` records each query with the connection it used.
+function fakeDb() {
+  const db = {
+    election: { merkle_root: '0x' + '11'.repeat(32), leaf_format: 'key' },
+    keys: [],
+    dataKeys: new Map(),
+    log: [],
+    async connect() {
+      return {
+        query: (sql, params) => db.run('client', sql, params),
+        release() {},
+      };
+    },
+    query(sql, params) {
+      return db.run('pool', sql, params);
+    },
+    async run(via, sql, params) {
+      db.log.push([via, sql.trim().split('\n')[0]]);
+      if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) return {};
+      if (sql.includes('FROM elections WHERE uuid = $1 FOR UPDATE')) {
+        return { rows: [db.election] };
+      }
+      if (sql.includes('SELECT id, voter_address')) {
+        return { rows: db.keys.map(k => ({ ...k })) };
+      }
+      if (sql.includes('FROM votes')) return { rows: [] };
+      if (sql.includes('INSERT INTO election_data_keys')) {
+        db.dataKeys.set(params[0], { wrapped_key: params[1], master_key_id: params[2] });
+        return { rows: [] };
+      }
+      if (sql.includes('SELECT wrapped_key')) return { rows: [db.dataKeys.get(params[0])] };
+      if (sql.includes('UPDATE elections')) {
+        db.election.merkle_root = params[0];
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO revoked_voter_keys')) return { rows: [] };
+      if (sql.includes('SET voter_address = $1, voter_key = $2')) {
+        Object.assign(db.keys.find(k => k.id === params[5]), { voter_address: params[0], voter_key: params[1], leaf: params[3] });
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE voter_keys SET proof')) return { rows: [] };
+      if (sql.includes('INSERT INTO voter_keys')) {
+        db.keys.push({ id: db.keys.length + 1, voter_address: params[1], voter_key: params[2], leaf: params[4] });
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+  return db;
+}
+
+describe('VoterKeyGenerator', function () {
+  let db;
+  let vault;
+  let keyGen;
+  let quietLog;
+
+  before(function () {
+    quietLog = console.log;
+    console.log = () => {};
+  });
+
+  after(function () {
+    console.log = quietLog;
+  });
+
+  // A weighted roll: VOTER weighs 5, OTHER 3
+  beforeEach(async function () {
+    db = fakeDb();
+    vault = new KeyVault(db, createKeyProvider({ MASTER_KEY: crypto.randomBytes(32).toString('hex') }));
+    keyGen = new VoterKeyGenerator(db, vault);
+    const dataKey = await vault.createDataKey(db, ELECTION);
+    [[VOTER, 5], [OTHER, 3]].forEach(([address, weight], i) => {
+      const voterKey = keyGen.buildWeightedKey(address, weight);
+      db.keys.push({
+        id: i + 1,
+        voter_address: address,
+        voter_key: vault.encryptVoterKey(dataKey, ELECTION, address, voterKey),
+        key_hash: '0x' + 'ee'.repeat(32),
+        leaf: '0x' + keyGen.buildLeaf(voterKey, address).toString('hex'),
+      });
+    });
+    db.log = [];
+  });
+
+  async function weightOf(address) {
+    const row = db.keys.find(k => k.voter_address === address);
+    return keyGen.keyWeight(await keyGen.decryptVoterKey(ELECTION, address, row.voter_key), address);
+  }
+
+  function expectLockedRead() {
+    const lock = db.log.findIndex(([, sql]) => sql.includes('FOR UPDATE'));
+    const read = db.log.findIndex(([, sql]) => sql.startsWith('SELECT id, voter_address'));
+    expect(db.log[0]).to.deep.equal(['client', 'BEGIN']);
+    expect(db.log[lock][0]).to.equal('client');
+    expect(db.log[read][0]).to.equal('client');
+    expect(lock).to.be.below(read);
+  }
+
+  describe('revokeVoterKey', function () {
+    it('locks the election before reading the roll', async function () {
+      await keyGen.revokeVoterKey(ELECTION, VOTER, { newAddress: NEW_VOTER });
+
+      expectLockedRead();
+    });
+
+    it('carries a weighted key\'s weight over to its replacement', async function () {
+      const result = await keyGen.revokeVoterKey(ELECTION, VOTER, { newAddress: NEW_VOTER });
+
+      expect(result.voterAddress).to.equal(NEW_VOTER);
+      expect(await weightOf(NEW_VOTER)).to.equal('5');
+      expect(db.election.merkle_root).to.equal(result.merkleRoot);
+    });
+
+    it('uses a new weight when one is given', async function () {
+      await keyGen.revokeVoterKey(ELECTION, VOTER, { newAddress: NEW_VOTER, weight: 7 });
+
+      expect(await weightOf(NEW_VOTER)).to.equal('7');
+    });
+
+    it('refuses to reissue a weighted key to the same address', async function () {
+      const root = db.election.merkle_root;
+      let error;
+      try {
+        await keyGen.revokeVoterKey(ELECTION, VOTER);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error?.message).to.include('bound to their address');
+      expect(db.log.at(-1)).to.deep.equal(['client', 'ROLLBACK']);
+      expect(db.election.merkle_root).to.equal(root);
+    });
+  });
+
+  describe('appendVoterKeys', function () {
+    it('locks the election before reading the roll', async function () {
+      await keyGen.appendVoterKeys(ELECTION, [NEW_VOTER], [2]);
+
+      expectLockedRead();
+      expect(await weightOf(NEW_VOTER)).to.equal('2');
+    });
+
+    it('needs weights for a weighted roll', async function () {
+      let error;
+      try {
+        await keyGen.appendVoterKeys(ELECTION, [NEW_VOTER]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error?.message).to.include('Invalid weights');
+      expect(db.keys).to.have.length(2);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { app, voterAuth, setServices } = require('../keyService');
+
+const ELECTION = 'election-1';
+const VOTER = '0x' + 'aa'.repeat(20);
+
+describe('keyService routes', function () {
+  let server;
+  let baseUrl;
+  let creator;
+  let calls;
+  let quietLog;
+
+  before(function (done) {
+    quietLog = console.log;
+    console.log = () => {};
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function (done) {
+    console.log = quietLog;
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    creator = ethers.Wallet.createRandom();
+    calls = [];
+    setServices({
+      dbPool: {
+        async query(sql, params) {
+          if (sql.includes('SELECT creator FROM elections')) {
+            return { rows: params[0] === ELECTION ? [{ creator: creator.address.toLowerCase() }] : [] };
+          }
+          throw new Error(`Unexpected query: ${sql}`);
+        },
+      },
+      keyGen: {
+        async appendVoterKeys(...args) {
+          calls.push(['appendVoterKeys', ...args]);
+          return { merkleRoot: '0x01', previousMerkleRoot: '0x00', totalKeys: 2, votersAdded: 1, skipped: [] };
+        },
+        async getAllVoterKeys(...args) {
+          calls.push(['getAllVoterKeys', ...args]);
+          return { totalKeys: 1, keys: [{ voterAddress: VOTER, memberId: 'M1', voterName: 'Alice' }] };
+        },
+      },
+    });
+  });
+
+  async function signIn(wallet) {
+    const { nonce, message } = voterAuth.createChallenge(wallet.address);
+    const { token } = voterAuth.verifyChallenge(nonce, await wallet.signMessage(message));
+    return token;
+  }
+
+  async function request(method, path, { body, token } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  }
+
+  describe('POST /api/elections/keys/generate', function () {
+    const append = { electionId: ELECTION, numVoters: 1, voterAddresses: [VOTER], mode: 'append' };
+
+    it('refuses an append without a session', async function () {
+      const { status, body } = await request('POST', '/api/elections/keys/generate', { body: append });
+
+      expect(status).to.equal(401);
+      expect(body.success).to.equal(false);
+      expect(calls).to.be.empty;
+    });
+
+    it('refuses an append from a wallet other than the creator', async function () {
+      const token = await signIn(ethers.Wallet.createRandom());
+      const { status } = await request('POST', '/api/elections/keys/generate', { body: append, token });
+
+      expect(status).to.equal(403);
+      expect(calls).to.be.empty;
+    });
+
+    it('appends for the election creator', async function () {
+      const token = await signIn(creator);
+      const { status, body } = await request('POST', '/api/elections/keys/generate', { body: append, token });
+
+      expect(status).to.equal(200);
+      expect(body.merkleRoot).to.equal('0x01');
+      expect(calls).to.deep.equal([['appendVoterKeys', ELECTION, [VOTER], undefined]]);
+    });
+  });
+
+  describe('GET /api/elections/:electionId/keys/export', function () {
+    const path = `/api/elections/${ELECTION}/keys/export`;
+
+    it('exports the roll to the election creator', async function () {
+      const token = await signIn(creator);
+      const { status, body } = await request('GET', path, { token });
+
+      expect(status).to.equal(200);
+      expect(body.keys).to.have.length(1);
+      expect(calls).to.deep.equal([['getAllVoterKeys', ELECTION]]);
+    });
+
+    it('refuses anyone else', async function () {
+      expect((await request('GET', path)).status).to.equal(401);
+
+      const token = await signIn(ethers.Wallet.createRandom());
+      const { status, body } = await request('GET', path, { token });
+
+      expect(status).to.equal(403);
+      expect(body.error).to.equal('Only the election creator can manage its keys');
+      expect(calls).to.be.empty;
+    });
+  });
+});
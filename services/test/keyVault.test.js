@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const { KeyVault, createKeyProvider } = require('../keyVault');
+
+// election_data_keys, for the queries KeyVault makes
+function fakeDb() {
+  const rows = new Map();
+  return {
+    rows,
+    async query(sql, params) {
+      if (sql.includes('INSERT INTO election_data_keys')) {
+        rows.set(params[0], { wrapped_key: params[1], master_key_id: params[2] });
+        return { rows: [] };
+      }
+      if (sql.includes('SELECT wrapped_key')) {
+        return { rows: rows.has(params[0]) ? [rows.get(params[0])] : [] };
+      }
+      if (sql.includes('WHERE master_key_id <> $1')) {
+        return {
+          rows: [...rows]
+            .filter(([, row]) => row.master_key_id !== params[0])
+            .map(([electionId, row]) => ({ election_id: electionId, ...row })),
+        };
+      }
+      if (sql.includes('UPDATE election_data_keys')) {
+        rows.set(params[2], { wrapped_key: params[0], master_key_id: params[1] });
+        return { rows: [] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+describe('KeyVault', function () {
+  const ELECTION = 'election-1';
+  const VOTER = '0x' + 'ab'.repeat(20);
+  const oldMaster = crypto.randomBytes(32).toString('hex');
+  const newMaster = crypto.randomBytes(32).toString('base64');
+
+  let db;
+  let voterKey;
+
+  beforeEach(function () {
+    db = fakeDb();
+    voterKey = '0x' + crypto.randomBytes(32).toString('hex');
+  });
+
+  async function encryptUnder(masterKey) {
+    const vault = new KeyVault(db, createKeyProvider({ MASTER_KEY: masterKey }));
+    const dataKey = await vault.createDataKey(db, ELECTION);
+    return vault.encryptVoterKey(dataKey, ELECTION, VOTER, voterKey);
+  }
+
+  describe('voter keys', function () {
+    it('round-trips through encrypt and decrypt', async function () {
+      const stored = await encryptUnder(oldMaster);
+      const vault = new KeyVault(db, createKeyProvider({ MASTER_KEY: oldMaster }));
+
+      expect(stored).to.not.include(voterKey.slice(2));
+      expect(vault.isEncrypted(stored)).to.equal(true);
+      expect(vault.decryptVoterKey(await vault.getDataKey(ELECTION), ELECTION, VOTER, stored)).to.equal(voterKey);
+    });
+
+    it('binds the ciphertext to its election and voter', async function () {
+      const stored = await encryptUnder(oldMaster);
+      const vault = new KeyVault(db, createKeyProvider({ MASTER_KEY: oldMaster }));
+      const dataKey = await vault.getDataKey(ELECTION);
+
+      expect(() => vault.decryptVoterKey(dataKey, ELECTION, '0x' + 'cd'.repeat(20), stored)).to.throw();
+      expect(() => vault.decryptVoterKey(dataKey, 'election-2', VOTER, stored)).to.throw();
+    });
+
+    it('rejects a tampered ciphertext', async function () {
+      const stored = await encryptUnder(oldMaster);
+      const vault = new KeyVault(db, createKeyProvider({ MASTER_KEY: oldMaster }));
+      const dataKey = await vault.getDataKey(ELECTION);
+      // enc:v1:<iv>:<ciphertext and tag>, base64
+      const [iv, data] = stored.slice('enc:v1:'.length).split(':');
+      const tampered = Buffer.from(data, 'base64');
+      tampered[0] ^= 1;
+
+      expect(() => vault.decryptVoterKey(dataKey, ELECTION, VOTER, `enc:v1:${iv}:${tampered.toString('base64')}`))
+        .to.throw('Unsupported state or unable to authenticate data');
+    });
+
+    it('refuses a plaintext key', async function () {
+      await encryptUnder(oldMaster);
+      const vault = new KeyVault(db, createKeyProvider({ MASTER_KEY: oldMaster }));
+
+      expect(() => vault.decryptVoterKey(null, ELECTION, VOTER, voterKey)).to.throw('keys:migrate');
+    });
+  });
+
+  describe('master key rotation', function () {
+    it('decrypts existing keys after rotating and dropping the old master key', async function () {
+      const stored = await encryptUnder(oldMaster);
+
+      const rotating = new KeyVault(db, createKeyProvider({ MASTER_KEY: newMaster, MASTER_KEYS_PREVIOUS: oldMaster }));
+      expect(await rotating.rewrapDataKeys()).to.equal(1);
+      expect(await rotating.rewrapDataKeys()).to.equal(0);
+
+      const vault = new KeyVault(db, createKeyProvider({ MASTER_KEY: newMaster }));
+      expect(db.rows.get(ELECTION).master_key_id).to.equal(vault.provider.currentKeyId);
+      expect(vault.decryptVoterKey(await vault.getDataKey(ELECTION), ELECTION, VOTER, stored)).to.equal(voterKey);
+    });
+
+    it('cannot unwrap a data key whose master key is gone', async function () {
+      await encryptUnder(oldMaster);
+      const vault = new KeyVault(db, createKeyProvider({ MASTER_KEY: newMaster }));
+
+      let error;
+      try {
+        await vault.getDataKey(ELECTION);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an('error');
+      expect(error.message).to.include('is not configured');
+    });
+
+    it('rotates KMS-wrapped data keys to a new key id', async function () {
+      const env = { KEY_PROVIDER: 'kms-stub', KMS_STUB_SECRET: 'stub-secret' };
+      const first = new KeyVault(db, createKeyProvider({ ...env, KMS_KEY_ID: 'alias/voter-keys-1' }));
+      const dataKey = await first.createDataKey(db, ELECTION);
+      const stored = first.encryptVoterKey(dataKey, ELECTION, VOTER, voterKey);
+
+      const vault = new KeyVault(db, createKeyProvider({ ...env, KMS_KEY_ID: 'alias/voter-keys-2' }));
+      expect(await vault.rewrapDataKeys()).to.equal(1);
+      expect(db.rows.get(ELECTION).master_key_id).to.equal(vault.provider.currentKeyId);
+      expect(vault.decryptVoterKey(await vault.getDataKey(ELECTION), ELECTION, VOTER, stored)).to.equal(voterKey);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { VoterAuth, AuthError } = require('../voterAuth');
+
+const SITE = { secret: 'test-secret', uri: 'https://vote.example' };
+
+describe('VoterAuth', function () {
+  let auth;
+  let voter;
+
+  beforeEach(function () {
+    auth = new VoterAuth(SITE);
+    voter = ethers.Wallet.createRandom();
+  });
+
+  function expectAuthError(fn, message) {
+    expect(fn).to.throw(AuthError, message);
+  }
+
+  describe('createChallenge', function () {
+    it('names the configured site, not the requesting one', function () {
+      const { message } = auth.createChallenge(voter.address, { origin: 'https://vote.example' });
+
+      expect(message).to.match(/^vote\.example wants you to sign in/);
+      expect(message).to.include('URI: https://vote.example');
+    });
+
+    it('refuses pages on another origin', function () {
+      expectAuthError(() => auth.createChallenge(voter.address, { origin: 'https://vote.example.evil' }), 'only offered to https://vote.example');
+      expectAuthError(() => auth.createChallenge(voter.address, { origin: 'null' }), 'only offered to https://vote.example');
+    });
+
+    it('caps pending challenges and evicts expired ones', function () {
+      auth = new VoterAuth({ ...SITE, maxChallenges: 2 });
+      auth.createChallenge(voter.address);
+      auth.createChallenge(voter.address);
+      expectAuthError(() => auth.createChallenge(voter.address), 'Too many pending sign-ins');
+
+      const realNow = Date.now;
+      Date.now = () => realNow() + 5 * 60 * 1000 + 1;
+      try {
+        auth.createChallenge(voter.address);
+        expect(auth.challenges.size).to.equal(1);
+      } finally {
+        Date.now = realNow;
+      }
+    });
+  });
+
+  describe('verifyChallenge', function () {
+    it('starts a session for the challenged address', async function () {
+      const { nonce, message } = auth.createChallenge(voter.address, { chainId: 84532 });
+      const session = auth.verifyChallenge(nonce, await voter.signMessage(message));
+
+      expect(session.address).to.equal(voter.address.toLowerCase());
+      expect(auth.verifySession(session.token)).to.equal(voter.address.toLowerCase());
+    });
+
+    it('rejects an expired nonce', async function () {
+      const { nonce, message } = auth.createChallenge(voter.address, { chainId: 84532 });
+      const signature = await voter.signMessage(message);
+
+      const realNow = Date.now;
+      Date.now = () => realNow() + 5 * 60 * 1000 + 1;
+      try {
+        expectAuthError(() => auth.verifyChallenge(nonce, signature), 'Unknown or expired challenge');
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    it('rejects a replayed nonce', async function () {
+      const { nonce, message } = auth.createChallenge(voter.address, { chainId: 84532 });
+      const signature = await voter.signMessage(message);
+      auth.verifyChallenge(nonce, signature);
+
+      expectAuthError(() => auth.verifyChallenge(nonce, signature), 'Unknown or expired challenge');
+    });
+
+    it('rejects a signature from another address', async function () {
+      const { nonce, message } = auth.createChallenge(voter.address, { chainId: 84532 });
+      const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+      expectAuthError(() => auth.verifyChallenge(nonce, signature), 'Signature does not match address');
+    });
+
+    it('consumes the nonce even when the signature is wrong', async function () {
+      const { nonce, message } = auth.createChallenge(voter.address, { chainId: 84532 });
+      const wrong = await ethers.Wallet.createRandom().signMessage(message);
+      expectAuthError(() => auth.verifyChallenge(nonce, wrong), 'Signature does not match address');
+
+      const signature = await voter.signMessage(message);
+      expectAuthError(() => auth.verifyChallenge(nonce, signature), 'Unknown or expired challenge');
+    });
+
+    it('rejects a malformed signature', function () {
+      const { nonce } = auth.createChallenge(voter.address, { chainId: 84532 });
+      expectAuthError(() => auth.verifyChallenge(nonce, '0x1234'), 'Invalid signature');
+    });
+  });
+
+  describe('verifySession', function () {
+    it('rejects a tampered token', async function () {
+      const { nonce, message } = auth.createChallenge(voter.address, { chainId: 84532 });
+      const { token } = auth.verifyChallenge(nonce, await voter.signMessage(message));
+      const [payload, mac] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: '0x' + '1'.repeat(40), exp: Date.now() + 60000 })).toString('base64url');
+
+      expectAuthError(() => auth.verifySession(`${forged}.${mac}`), 'Invalid session');
+      expectAuthError(() => new VoterAuth({ ...SITE, secret: 'other' }).verifySession(`${payload}.${mac}`), 'Invalid session');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const { parseCsv, validateRoll } = require('../voterRoll');
+
+// Hardhat's first default accounts, checksummed
+const ALICE = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const BOB = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const CAROL = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+function validateCsv(text, options) {
+  return validateRoll(parseCsv(text), options);
+}
+
+describe('voterRoll', function () {
+  describe('parseCsv', function () {
+    it('reads quoted fields, semicolons and CRLF line endings', function () {
+      const rows = parseCsv('\uFEFFname;wallet\r\n"Doe; Jane ""JD""";' + ALICE + '\r\n');
+      expect(rows).to.deep.equal([['name', 'wallet'], ['Doe; Jane "JD"', ALICE]]);
+    });
+  });
+
+  describe('validateRoll', function () {
+    it('keeps valid rows in file order with their identity fields', async function () {
+      const { voters, report } = await validateCsv(
+        `Member ID,Name,Email,Wallet\nM1,Alice,alice@example.org,${ALICE}\nM2,Bob,,${BOB.toLowerCase()}\n`
+      );
+
+      expect(voters).to.deep.equal([
+        { row: 2, memberId: 'M1', name: 'Alice', email: 'alice@example.org', address: ALICE.toLowerCase(), weight: null },
+        { row: 3, memberId: 'M2', name: 'Bob', email: null, address: BOB.toLowerCase(), weight: null },
+      ]);
+      expect(report).to.include({ totalRows: 2, validRows: 2, rejectedRows: 0, weighted: false });
+    });
+
+    it('reads a roll without a header as one wallet per line', async function () {
+      const { voters } = await validateCsv(`${ALICE}\n${BOB}\n`);
+      expect(voters.map(v => v.address)).to.deep.equal([ALICE.toLowerCase(), BOB.toLowerCase()]);
+    });
+
+    it('needs a wallet column', async function () {
+      let error;
+      try {
+        await validateCsv('name,email\nAlice,alice@example.org\n');
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an('error');
+      expect(error.message).to.equal('Roll needs a wallet (or address) column');
+    });
+
+    it('rejects mixed-case addresses with a bad checksum', async function () {
+      const typo = '0xF39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+      const { voters, report } = await validateCsv(`wallet\n${typo}\n${ALICE.toUpperCase().replace('0X', '0x')}\n`);
+
+      expect(report.checksumMismatches).to.deep.equal([{ row: 2, value: typo, expected: ALICE }]);
+      // All-caps and all-lowercase addresses carry no checksum
+      expect(voters.map(v => v.address)).to.deep.equal([ALICE.toLowerCase()]);
+    });
+
+    it('reports invalid and missing wallets', async function () {
+      const { report } = await validateCsv('name,wallet\nAlice,0x1234\nBob,\n');
+      expect(report.invalid).to.deep.equal([
+        { row: 2, value: '0x1234', reason: 'Invalid wallet address' },
+        { row: 3, value: '', reason: 'Missing wallet' },
+      ]);
+    });
+
+    it('reports duplicate wallets and member IDs against the first row', async function () {
+      const { voters, report } = await validateCsv(
+        `member id,wallet\nM1,${ALICE}\nM2,${ALICE.toLowerCase()}\nM1,${BOB}\nM3,${CAROL}\n`
+      );
+
+      expect(report.duplicates).to.deep.equal([
+        { row: 3, field: 'wallet', value: ALICE.toLowerCase(), firstRow: 2 },
+        { row: 4, field: 'memberId', value: 'M1', firstRow: 2 },
+      ]);
+      expect(voters.map(v => v.row)).to.deep.equal([2, 5]);
+      expect(report).to.include({ totalRows: 4, validRows: 2, rejectedRows: 2 });
+    });
+
+    it('accepts whole positive weights below 2^96', async function () {
+      const { voters, report } = await validateCsv(`wallet,weight\n${ALICE},1\n${BOB},79228162514264337593543950335\n`);
+      expect(report.weighted).to.equal(true);
+      expect(voters.map(v => v.weight)).to.deep.equal(['1', '79228162514264337593543950335']);
+    });
+
+    it('rejects zero, fractional, negative, missing and oversized weights', async function () {
+      const weights = ['0', '1.5', '-2', '', '79228162514264337593543950336'];
+      const wallets = [ALICE, BOB, CAROL, '0x90F79bf6EB2c4f870365E785982E1f101E93b906', '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65'];
+      const csv = 'wallet,weight\n' + wallets.map((w, i) => `${w},${weights[i]}`).join('\n');
+      const { voters, report } = await validateCsv(csv);
+
+      expect(voters).to.have.length(0);
+      expect(report.invalid.map(r => r.value)).to.deep.equal(weights);
+      expect(report.invalid.every(r => r.reason === 'Weight must be a whole number above zero')).to.equal(true);
+    });
+
+    it('rejects invalid emails', async function () {
+      const { report } = await validateCsv(`wallet,email\n${ALICE},not-an-email\n`);
+      expect(report.invalid).to.deep.equal([{ row: 2, value: 'not-an-email', reason: 'Invalid email' }]);
+    });
+
+    it('resolves ENS names and reports unresolved ones', async function () {
+      const names = { 'alice.eth': ALICE };
+      const resolveName = async name => names[name] || null;
+      const { voters, report } = await validateCsv('wallet\nAlice.eth\nnobody.eth\n', { resolveName });
+
+      expect(voters.map(v => v.address)).to.deep.equal([ALICE.toLowerCase()]);
+      expect(report.ens).to.deep.equal([
+        { row: 2, name: 'Alice.eth', address: ALICE.toLowerCase() },
+        { row: 3, name: 'nobody.eth', address: null },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+// services/voterAuth.js - Sign-In-With-Ethereum sessions for voter key release
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_SESSION_TTL_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_CHALLENGES = 10000;
+const DEFAULT_URI = 'http://localhost:3000';
+const STATEMENT = 'Sign in to the SafeVote key service.';
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * EIP-4361 challenge/response. The service writes the message, the wallet
+ * signs it with personal_sign, and the recovered signer gets a session token
+ * bound to its address. Tokens are HMAC-signed rather than stored, so every
+ * instance sharing SESSION_SECRET accepts them; challenges live in memory.
+ *
+ * Messages always name the voting site this service is configured for (`uri`,
+ * and `domain`, by default the uri's host), never the site that asked, so a
+ * wallet warns when another site requests the signature.
+ */
+class VoterAuth {
+  constructor({ secret, sessionTtlMs, uri, domain, maxChallenges } = {}) {
+    if (!secret) {
+      console.warn('⚠️  SESSION_SECRET not set; voter sessions end when the service restarts');
+    }
+    if (!uri) {
+      console.warn(`⚠️  SIWE_URI not set; sign-in messages name ${DEFAULT_URI}`);
+    }
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.sessionTtlMs = Number(sessionTtlMs) || DEFAULT_SESSION_TTL_MS;
+    this.uri = uri || DEFAULT_URI;
+    this.origin = new URL(this.uri).origin;
+    this.domain = domain || new URL(this.uri).host;
+    this.maxChallenges = Number(maxChallenges) || DEFAULT_MAX_CHALLENGES;
+    this.challenges = new Map(); // nonce => { address, message, expiresAt }, oldest first
+  }
+
+  /**
+   * Issue a one-time challenge for `address`. `origin` is the requesting
+   * page's Origin header; browsers on any other site are refused.
+   */
+  createChallenge(address, { chainId = 1, origin } = {}) {
+    if (origin !== undefined && origin !== this.origin) {
+      throw new AuthError(`Sign-in is only offered to ${this.origin}`, 403);
+    }
+    if (!ethers.utils.isAddress(address || '')) {
+      throw new AuthError('Invalid address', 400);
+    }
+    this.pruneChallenges();
+    if (this.challenges.size >= this.maxChallenges) {
+      throw new AuthError('Too many pending sign-ins, try again shortly', 429);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+    const message = [
+      `${this.domain} wants you to sign in with your Ethereum account:`,
+      ethers.utils.getAddress(address),
+      '',
+      STATEMENT,
+      '',
+      `URI: ${this.uri}`,
+      'Version: 1',
+      `Chain ID: ${Number(chainId) || 1}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`,
+    ].join('\n');
+
+    this.challenges.set(nonce, { address: address.toLowerCase(), message, expiresAt: expiresAt.getTime() });
+    return { nonce, message, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Consume a challenge and, if the signature recovers to its address,
+   * start a session
+   */
+  verifyChallenge(nonce, signature) {
+    const challenge = this.challenges.get(nonce);
+    this.challenges.delete(nonce);
+    if (!challenge || challenge.expiresAt < Date.now()) {
+      throw new AuthError('Unknown or expired challenge');
+    }
+
+    let signer;
+    try {
+      signer = ethers.utils.verifyMessage(challenge.message, signature);
+    } catch (error) {
+      throw new AuthError('Invalid signature');
+    }
+    if (signer.toLowerCase() !== challenge.address) {
+      throw new AuthError('Signature does not match address');
+    }
+
+    const expiresAt = Date.now() + this.sessionTtlMs;
+    const payload = Buffer.from(JSON.stringify({ sub: challenge.address, exp: expiresAt })).toString('base64url');
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      address: challenge.address,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  /**
+   * Address a session token was issued to
+   */
+  verifySession(token) {
+    const [payload, mac] = (token || '').split('.');
+    if (!payload || !mac) throw new AuthError('Sign in with your wallet to get your voter key');
+
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(mac);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      throw new AuthError('Invalid session');
+    }
+
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (exp < Date.now()) throw new AuthError('Session expired');
+    return sub;
+  }
+
+  /**
+   * Express middleware: the Bearer session must belong to req.params.address
+   */
+  requireVoterSession() {
+    return this.requireSession(req => req.params.address, 'Session does not belong to this voter');
+  }
+
+  /**
+   * Express middleware: the Bearer session must belong to the address
+   * `addressFor(req)` resolves (e.g. an election's creator), or to any wallet
+   * without `addressFor`; sets req.sessionAddress
+   */
+  requireSession(addressFor = null, forbiddenMessage = 'Forbidden') {
+    return async (req, res, next) => {
+      try {
+        const [scheme, token] = (req.get('authorization') || '').split(' ');
+        const address = this.verifySession(scheme === 'Bearer' ? token : null);
+        const expected = addressFor ? await addressFor(req) : address;
+        if (!expected || address !== String(expected).toLowerCase()) {
+          throw new AuthError(forbiddenMessage, 403);
+        }
+        req.sessionAddress = address;
+        next();
+      } catch (error) {
+        const status = error instanceof AuthError ? error.status : 500;
+        res.status(status).json({
+          success: false,
+          error: error.message,
+          status: { 401: 'unauthorized', 403: 'forbidden' }[status] || 'error',
+        });
+      }
+    };
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  // Every challenge lives NONCE_TTL_MS, so the oldest expire first
+  pruneChallenges() {
+    const now = Date.now();
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt >= now) break;
+      this.challenges.delete(nonce);
+    }
+  }
+}
+
+module.exports = { VoterAuth, AuthError };
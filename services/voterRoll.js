@@ -0,0 +1,221 @@
+// services/voterRoll.js - Voter roll import (CSV/XLSX) and dry-run validation
+//
+// A roll has a header row naming its columns (any order, case-insensitive):
+//   member id | name | email | wallet (or address, an 0x address or an ENS name) | weight
+// Only the wallet column is required. A file without a header is read as one wallet per line.
+// XLSX rolls are read with exceljs; only the first sheet is read.
+const ExcelJS = require('exceljs');
+const { ethers } = require('ethers');
+
+const COLUMNS = {
+  memberId: ['member id', 'memberid', 'member', 'member number', 'id'],
+  name: ['name', 'full name', 'voter name'],
+  email: ['email', 'e mail', 'email address'],
+  wallet: ['wallet', 'address', 'wallet address', 'voter address', 'ethereum address', 'ens'],
+  weight: ['weight', 'votes', 'voting weight', 'shares'],
+};
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ENS_PATTERN = /^([a-z0-9-]+\.)+eth$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_WEIGHT = ethers.BigNumber.from(2).pow(96);
+
+// RFC 4180 fields: quoted fields may hold the delimiter, quotes ("") and line breaks
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// exceljs cell values: plain values, or objects for hyperlinks, rich text and formulas
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return '';
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new Error('Workbook has no sheets');
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-based
+    rows[rowNumber - 1] = row.values.slice(1).map(cellText);
+  });
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Read a roll file into raw rows (arrays of cell strings).
+ * `content` is the CSV text, or the XLSX file as a Buffer or base64 string.
+ */
+async function readRoll(content, format = 'csv') {
+  if (format === 'xlsx') {
+    return parseXlsx(Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'base64'));
+  }
+  if (format === 'csv') {
+    return parseCsv(Buffer.isBuffer(content) ? content.toString('utf8') : String(content));
+  }
+  throw new Error(`Unknown roll format: ${format} (use csv or xlsx)`);
+}
+
+function normalizeHeader(cell) {
+  return cell.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+// Column index per field, or null when the first row is already data
+function mapColumns(header) {
+  const names = header.map(normalizeHeader);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMNS)) {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+  if (columns.wallet !== undefined) return columns;
+
+  const first = (header[0] || '').trim();
+  if (ADDRESS_PATTERN.test(first) || ENS_PATTERN.test(first)) return null;
+  throw new Error('Roll needs a wallet (or address) column');
+}
+
+/**
+ * Dry run: validate a roll without storing anything.
+ * `resolveName(name)` resolves ENS names to addresses (null when unresolved);
+ * without it, ENS rows are reported as unresolved.
+ *
+ * Returns { voters, report }. `voters` are the rows that would be committed,
+ * in file order: { row, memberId, name, email, address, weight }. A row is
+ * rejected for an invalid wallet, a checksum mismatch (a mixed-case address
+ * whose checksum is wrong, usually a typo), an unresolved ENS name, a bad
+ * weight or email, or a wallet or member ID already used by an earlier row.
+ */
+async function validateRoll(rows, { resolveName = null } = {}) {
+  const header = rows[0] || [];
+  const mapped = mapColumns(header);
+  const columns = mapped || { wallet: 0 };
+  const dataStart = mapped ? 1 : 0;
+  const weighted = columns.weight !== undefined;
+
+  const report = {
+    totalRows: 0,
+    validRows: 0,
+    weighted,
+    columns: Object.keys(columns),
+    invalid: [],
+    duplicates: [],
+    checksumMismatches: [],
+    ens: [],
+  };
+  const voters = [];
+  const seenAddresses = new Map();
+  const seenMembers = new Map();
+
+  for (let i = dataStart; i < rows.length; i++) {
+    const cells = rows[i].map(cell => String(cell).trim());
+    if (cells.every(cell => cell === '')) continue;
+
+    const row = i + 1;
+    const get = field => (columns[field] === undefined ? '' : cells[columns[field]] || '');
+    const wallet = get('wallet');
+    const entry = { row, memberId: get('memberId') || null, name: get('name') || null, email: get('email') || null };
+    report.totalRows++;
+
+    let address = null;
+    if (ADDRESS_PATTERN.test(wallet)) {
+      const lower = wallet.toLowerCase();
+      const mixedCase = wallet.slice(2) !== lower.slice(2) && wallet.slice(2) !== wallet.slice(2).toUpperCase();
+      const checksummed = ethers.utils.getAddress(lower);
+      if (mixedCase && wallet !== checksummed) {
+        report.checksumMismatches.push({ row, value: wallet, expected: checksummed });
+        continue;
+      }
+      address = lower;
+    } else if (ENS_PATTERN.test(wallet)) {
+      const resolved = resolveName ? await resolveName(wallet.toLowerCase()).catch(() => null) : null;
+      report.ens.push({ row, name: wallet, address: resolved ? resolved.toLowerCase() : null });
+      if (!resolved) continue;
+      address = resolved.toLowerCase();
+    } else {
+      report.invalid.push({ row, value: wallet, reason: wallet ? 'Invalid wallet address' : 'Missing wallet' });
+      continue;
+    }
+
+    let weight = null;
+    if (weighted) {
+      const value = get('weight');
+      if (!/^\d+$/.test(value) || ethers.BigNumber.from(value).lte(0) || ethers.BigNumber.from(value).gte(MAX_WEIGHT)) {
+        report.invalid.push({ row, value, reason: 'Weight must be a whole number above zero' });
+        continue;
+      }
+      weight = value;
+    }
+
+    if (entry.email && !EMAIL_PATTERN.test(entry.email)) {
+      report.invalid.push({ row, value: entry.email, reason: 'Invalid email' });
+      continue;
+    }
+
+    if (seenAddresses.has(address)) {
+      report.duplicates.push({ row, field: 'wallet', value: address, firstRow: seenAddresses.get(address) });
+      continue;
+    }
+    if (entry.memberId && seenMembers.has(entry.memberId)) {
+      report.duplicates.push({ row, field: 'memberId', value: entry.memberId, firstRow: seenMembers.get(entry.memberId) });
+      continue;
+    }
+    seenAddresses.set(address, row);
+    if (entry.memberId) seenMembers.set(entry.memberId, row);
+
+    voters.push({ ...entry, address, weight });
+  }
+
+  report.validRows = voters.length;
+  report.rejectedRows = report.totalRows - voters.length;
+  return { voters, report };
+}
+
+module.exports = { readRoll, validateRoll, parseCsv };
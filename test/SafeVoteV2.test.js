@@ -1,7 +1,99 @@
 import { expect } from "chai";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
 import hre from "hardhat";
 import { MerkleTree } from "merkletreejs";
 import keccak256 from "keccak256";
+import * as snarkjs from "snarkjs";
+import { poseidon2 } from "poseidon-lite";
+import { computeResultsHash, readResults } from "../scripts/verify-results.js";
+
+const PLURALITY = 0;
+const RANKED = 1;
+const QUORUM_NONE = 0;
+const QUORUM_COUNT = 1;
+const QUORUM_PERCENTAGE = 2;
+const OUTCOME_WINNER = 1;
+const OUTCOME_NO_QUORUM = 2;
+const OUTCOME_RUNOFF = 3;
+const VOTER_ROLL = 0;
+const WEIGHTED_ROLL = 1;
+const TOKEN_WEIGHTED = 2;
+const TOKEN_GATED = 3;
+const ROLE_ADMIN = 1;
+const ROLE_OFFICIAL = 2;
+const ROLE_OBSERVER = 3;
+const SCOPE_ORGANIZATION = 0;
+const SCOPE_ELECTION = 1;
+const DEFAULT_SETTINGS = {
+  secretBallot: false,
+  revealPeriod: 0,
+  allowRevote: false,
+  quorumType: QUORUM_NONE,
+  quorum: 0,
+  eligibility: VOTER_ROLL,
+  token: hre.ethers.ZeroAddress,
+  snapshotBlock: 0,
+  addressBoundLeaf: false,
+  zkAnonymous: false,
+};
+
+// SafeVote links ElectionLib, PollLib and InviteLib as external libraries
+async function deploySafeVote() {
+  const electionLib = await hre.ethers.deployContract("ElectionLib");
+  const pollLib = await hre.ethers.deployContract("PollLib");
+  const inviteLib = await hre.ethers.deployContract("InviteLib");
+  const rolesLib = await hre.ethers.deployContract("RolesLib");
+  const orgLib = await hre.ethers.deployContract("OrgLib");
+  const safeVote = await hre.ethers.deployContract("SafeVote", {
+    libraries: {
+      ElectionLib: await electionLib.getAddress(),
+      PollLib: await pollLib.getAddress(),
+      InviteLib: await inviteLib.getAddress(),
+      RolesLib: await rolesLib.getAddress(),
+      OrgLib: await orgLib.getAddress(),
+    },
+  });
+  await safeVote.waitForDeployment();
+  return safeVote;
+}
+
+// BatchVoteSubmitter ballots are EIP-712 typed data under the submitter's own domain
+const VOTE_TYPES = {
+  Vote: [
+    { name: "electionId", type: "uint256" },
+    { name: "voterKey", type: "bytes32" },
+    { name: "votes", type: "uint256[][]" },
+    { name: "voter", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+async function signBallot(batch, signer, vote, merkleProof, domainOverrides = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const domain = {
+    name: "SafeVote BatchVoteSubmitter",
+    version: "1",
+    chainId,
+    verifyingContract: await batch.getAddress(),
+    ...domainOverrides,
+  };
+  const signature = await signer.signTypedData(domain, VOTE_TYPES, vote);
+  return { ...vote, merkleProof, signature };
+}
+
+// Voter keys are random bytes32 values; the contract leaf is keccak256(abi.encodePacked(voterKey))
+function buildVoterTree(voters) {
+  const keys = voters.map(addr => "0x" + keccak256(addr).toString("hex"));
+  const leaves = keys.map(key => keccak256(key));
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+  return { tree, keys };
+}
+
+// V1 poll keys are committed as keccak256(abi.encodePacked(pollId, votingKey))
+function pollKeyHash(pollId, votingKey) {
+  return hre.ethers.solidityPackedKeccak256(["uint256", "bytes32"], [pollId, votingKey]);
+}
 
 describe("SafeVoteV2 - Full Compatibility Tests", function () {
   let safeVote, owner, addr1, addr2;
@@ -9,12 +101,7 @@ describe("SafeVoteV2 - Full Compatibility Tests", function () {
   beforeEach(async function () {
     [owner, addr1, addr2] = await hre.ethers.getSigners();
 
-    const SafeVoteV2Factory = await hre.ethers.getContractFactory("SafeVoteV2");
-    safeVote = await hre.upgrades.deployProxy(SafeVoteV2Factory, [], { 
-      initializer: "initialize",
-      unsafeAllow: ["constructor"]
-    });
-    await safeVote.waitForDeployment();
+    safeVote = await deploySafeVote();
   });
 
   it("V1: Should create organization and add members", async function () {
@@ -43,20 +130,60 @@ describe("SafeVoteV2 - Full Compatibility Tests", function () {
       false
     );
 
-    const keys = await safeVote.generateVotingKeys(1); // Called by owner (creator)
-    expect(keys.length).to.equal(10);
+    const keys = [hre.ethers.hexlify(hre.ethers.randomBytes(32)), hre.ethers.hexlify(hre.ethers.randomBytes(32))];
+    await expect(safeVote.commitVotingKeys(1, keys.map((k) => pollKeyHash(1, k))))
+      .to.emit(safeVote, "VotingKeyGenerated")
+      .withArgs(1, pollKeyHash(1, keys[0]), anyValue);
 
     await safeVote.authorizeVoter(1, owner.address);
     await safeVote.vote(1, 0, keys[0]);
 
     const results = await safeVote.getPollResults(1);
     expect(results.votes[0]).to.equal(1n);
+
+    const [issued, used, issuedKeys] = await safeVote.checkVotingKey(1, keys[0]);
+    expect(issued).to.equal(true);
+    expect(used).to.equal(true);
+    expect(issuedKeys).to.equal(2n);
+  });
+
+  it("V1: Should only accept voting keys the creator committed", async function () {
+    await safeVote.createOrganization("Poll Org", "", true);
+    await safeVote.addMember(1, addr1.address);
+    await safeVote.createPoll(1, "Best color?", 0, ["Red", "Blue"], 3600, 50, 2, false);
+
+    const keys = [hre.ethers.hexlify(hre.ethers.randomBytes(32)), hre.ethers.hexlify(hre.ethers.randomBytes(32))];
+    const hashes = keys.map((k) => pollKeyHash(1, k));
+
+    await expect(safeVote.connect(addr1).commitVotingKeys(1, hashes))
+      .to.be.revertedWith("Only poll creator can generate keys");
+    await safeVote.commitVotingKeys(1, [hashes[0]]);
+    await expect(safeVote.commitVotingKeys(1, [hashes[0]])).to.be.revertedWith("Invalid key hash");
+    await safeVote.commitVotingKeys(1, [hashes[1]]);
+    await expect(safeVote.commitVotingKeys(1, [pollKeyHash(1, hre.ethers.ZeroHash)]))
+      .to.be.revertedWith("Too many keys");
+
+    await safeVote.batchAuthorizeVoters(1, [owner.address, addr1.address]);
+
+    // A well-formed key that was never committed
+    await expect(safeVote.vote(1, 0, hre.ethers.hexlify(hre.ethers.randomBytes(32))))
+      .to.be.revertedWith("Invalid voting key");
+    // A key committed for this poll is bound to it: the raw hash is not a key
+    await expect(safeVote.vote(1, 0, hashes[0])).to.be.revertedWith("Invalid voting key");
+
+    await safeVote.vote(1, 0, keys[0]);
+    await expect(safeVote.connect(addr1).vote(1, 1, keys[0]))
+      .to.be.revertedWith("Voting key already used");
+    await safeVote.connect(addr1).vote(1, 1, keys[1]);
+
+    const results = await safeVote.getPollResults(1);
+    expect(results.votes[0]).to.equal(1n);
+    expect(results.votes[1]).to.equal(1n);
   });
 
   it("V2: Should create election and vote with Merkle proof", async function () {
     const voters = [addr1.address, addr2.address];
-    const leaves = voters.map(addr => keccak256(addr));
-    const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+    const { tree, keys } = buildVoterTree(voters);
     const root = tree.getRoot();
 
     const block = await hre.ethers.provider.getBlock("latest");
@@ -65,7 +192,9 @@ describe("SafeVoteV2 - Full Compatibility Tests", function () {
     const positions = [{
       title: "President",
       candidates: ["Alice", "Bob"],
-      maxSelections: 1
+      maxSelections: 1,
+      ballotType: PLURALITY,
+      winThreshold: 0
     }];
 
     await safeVote.createElection(
@@ -79,16 +208,17 @@ describe("SafeVoteV2 - Full Compatibility Tests", function () {
       true,
       false,
       false,
-      positions
+      positions,
+      DEFAULT_SETTINGS
     );
 
     await hre.ethers.provider.send("evm_increaseTime", [200]);
     await hre.ethers.provider.send("evm_mine");
 
-    const proof = tree.getHexProof(keccak256(addr1.address));
+    const proof = tree.getHexProof(keccak256(keys[0]));
     const votes = [[0]];
 
-    await safeVote.connect(addr1).vote(1, keccak256(addr1.address), proof, votes, hre.ethers.ZeroAddress);
+    await safeVote.connect(addr1).vote(1, keys[0], proof, votes, hre.ethers.ZeroAddress);
 
     const results = await safeVote.getElectionResults(1, 0);
     expect(results.votesCast[0]).to.equal(1n);
@@ -96,8 +226,7 @@ describe("SafeVoteV2 - Full Compatibility Tests", function () {
 
   it("V2: Should support delegation", async function () {
     const voters = [addr1.address];
-    const leaves = voters.map(addr => keccak256(addr));
-    const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+    const { tree, keys } = buildVoterTree(voters);
     const root = tree.getRoot();
 
     const block = await hre.ethers.provider.getBlock("latest");
@@ -114,15 +243,16 @@ describe("SafeVoteV2 - Full Compatibility Tests", function () {
       true,
       false,
       true,
-      [{ title: "Test", candidates: ["A"], maxSelections: 1 }]
+      [{ title: "Test", candidates: ["A"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      DEFAULT_SETTINGS
     );
 
-    await hre.ethers.provider.send("evm_increaseTime",", [200]);
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
     await hre.ethers.provider.send("evm_mine");
 
-    const proof = tree.getHexProof(keccak256(addr1.address));
+    const proof = tree.getHexProof(keccak256(keys[0]));
 
-    await safeVote.connect(addr1).vote(1, keccak256(addr1.address), proof, [], addr2.address);
+    await safeVote.connect(addr1).vote(1, keys[0], proof, [], addr2.address);
 
     const delegate = await safeVote.delegations(1, addr1.address);
     expect(delegate).to.equal(addr2.address);
@@ -136,16 +266,20 @@ describe("SafeVoteV2 - Full Compatibility Tests", function () {
       "Complete Test",
       "",
       "",
-      now - 3600,
-      now - 100,
+      now + 100,
+      now + 200,
       1,
-      "0x0000000000000000000000000000000000000000000000000000000000000000",
+      hre.ethers.keccak256("0x01"),
       true,
       false,
       false,
-      [{ title: "Test", candidates: ["A"], maxSelections: 1 }]
+      [{ title: "Test", candidates: ["A"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      DEFAULT_SETTINGS
     );
 
+    await hre.ethers.provider.send("evm_increaseTime", [300]);
+    await hre.ethers.provider.send("evm_mine");
+
     await safeVote.completeElection(1);
     const election = await safeVote.getElection(1);
     expect(election.status).to.equal(1);
@@ -155,6 +289,2017 @@ describe("SafeVoteV2 - Full Compatibility Tests", function () {
     expect(await safeVote.getTotalOrganizations()).to.equal(0);
     expect(await safeVote.getTotalPolls()).to.equal(0);
     expect(await safeVote.getTotalElections()).to.equal(0);
-    expect(await safeVote.version()).to.equal("2.0.0-full");
+    expect(await safeVote.version()).to.equal("2.0.0-non-upgradeable");
+  });
+});
+
+describe("SafeVoteV2 - Organization Invites", function () {
+  const INVITE_TYPES = {
+    Invite: [
+      { name: "orgId", type: "uint256" },
+      { name: "invitee", type: "address" },
+      { name: "expiry", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+    ],
+  };
+
+  let safeVote, admin, alice, bob, domain, expiry;
+
+  function signInvite(signer, invite) {
+    return signer.signTypedData(domain, INVITE_TYPES, invite);
+  }
+
+  // A code invite names the code key; the holder proves it by signing the redeemer's address
+  function signCodeClaim(codeWallet, invite, redeemer) {
+    const digest = hre.ethers.TypedDataEncoder.hash(domain, INVITE_TYPES, invite);
+    const claim = hre.ethers.keccak256(
+      hre.ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [digest, redeemer])
+    );
+    return codeWallet.signMessage(hre.ethers.getBytes(claim));
+  }
+
+  beforeEach(async function () {
+    [admin, alice, bob] = await hre.ethers.getSigners();
+    safeVote = await deploySafeVote();
+    await safeVote.createOrganization("Private Org", "", false);
+
+    domain = {
+      name: "SafeVote",
+      version: "1",
+      chainId: (await hre.ethers.provider.getNetwork()).chainId,
+      verifyingContract: await safeVote.getAddress(),
+    };
+    expiry = (await hre.ethers.provider.getBlock("latest")).timestamp + 3600;
+  });
+
+  it("Should let the named invitee join once", async function () {
+    const invite = { orgId: 1, invitee: alice.address, expiry, nonce: 1 };
+    const signature = await signInvite(admin, invite);
+
+    // Only the invitee can use an address invite
+    await expect(safeVote.connect(bob).joinWithInvite(invite, signature, "0x"))
+      .to.be.revertedWith("Invalid invite code");
+
+    await expect(safeVote.connect(alice).joinWithInvite(invite, signature, "0x"))
+      .to.emit(safeVote, "InviteRedeemed")
+      .withArgs(1, 1, alice.address, anyValue)
+      .and.to.emit(safeVote, "MemberAdded")
+      .withArgs(1, alice.address, admin.address, anyValue);
+
+    expect((await safeVote.orgMembers(1, alice.address)).isActive).to.equal(true);
+    expect(await safeVote.inviteStatus(1, 1)).to.equal(1);
+
+    await safeVote.connect(alice).leaveOrganization(1);
+    await expect(safeVote.connect(alice).joinWithInvite(invite, signature, "0x"))
+      .to.be.revertedWith("Invite not available");
+  });
+
+  it("Should redeem a single-use code for whoever holds it", async function () {
+    const codeWallet = hre.ethers.Wallet.createRandom();
+    const invite = { orgId: 1, invitee: codeWallet.address, expiry, nonce: 2 };
+    const signature = await signInvite(admin, invite);
+
+    // A claim made out to alice cannot be replayed by bob from the mempool
+    const aliceClaim = await signCodeClaim(codeWallet, invite, alice.address);
+    await expect(safeVote.connect(bob).joinWithInvite(invite, signature, aliceClaim))
+      .to.be.revertedWith("Invalid invite code");
+
+    await safeVote.connect(alice).joinWithInvite(invite, signature, aliceClaim);
+    expect((await safeVote.orgMembers(1, alice.address)).isActive).to.equal(true);
+
+    const bobClaim = await signCodeClaim(codeWallet, invite, bob.address);
+    await expect(safeVote.connect(bob).joinWithInvite(invite, signature, bobClaim))
+      .to.be.revertedWith("Invite not available");
+  });
+
+  it("Should reject expired, revoked and forged invites", async function () {
+    const forged = { orgId: 1, invitee: alice.address, expiry, nonce: 3 };
+    await expect(safeVote.connect(alice).joinWithInvite(forged, await signInvite(alice, forged), "0x"))
+      .to.be.revertedWith("Invalid invite signature");
+
+    const expired = { orgId: 1, invitee: alice.address, expiry: expiry - 7200, nonce: 4 };
+    await expect(safeVote.connect(alice).joinWithInvite(expired, await signInvite(admin, expired), "0x"))
+      .to.be.revertedWith("Invite expired");
+
+    const revoked = { orgId: 1, invitee: alice.address, expiry, nonce: 5 };
+    const signature = await signInvite(admin, revoked);
+    await expect(safeVote.connect(alice).revokeInvite(1, 5))
+      .to.be.revertedWith("Only admin can perform this action");
+    await expect(safeVote.revokeInvite(1, 5)).to.emit(safeVote, "InviteRevoked").withArgs(1, 5, anyValue);
+    await expect(safeVote.connect(alice).joinWithInvite(revoked, signature, "0x"))
+      .to.be.revertedWith("Invite not available");
+    await expect(safeVote.revokeInvite(1, 5)).to.be.revertedWith("Invite not available");
+  });
+
+  it("Should accept invites from co-admins and protect the last admin", async function () {
+    const invite = { orgId: 1, invitee: bob.address, expiry, nonce: 6 };
+    const signature = await signInvite(alice, invite);
+    await expect(safeVote.connect(bob).joinWithInvite(invite, signature, "0x"))
+      .to.be.revertedWith("Invalid invite signature");
+
+    // Admins and officials must be members first
+    await expect(safeVote.grantOrgRole(1, alice.address, ROLE_ADMIN)).to.be.revertedWith("Not an active member");
+    await safeVote.addMember(1, alice.address);
+    await expect(safeVote.grantOrgRole(1, alice.address, ROLE_ADMIN))
+      .to.emit(safeVote, "RoleGranted")
+      .withArgs(SCOPE_ORGANIZATION, 1, alice.address, ROLE_ADMIN, admin.address);
+
+    await expect(safeVote.connect(bob).joinWithInvite(invite, signature, "0x"))
+      .to.emit(safeVote, "MemberAdded")
+      .withArgs(1, bob.address, alice.address, anyValue);
+
+    // Admins cannot be removed, and the last one cannot step down
+    await expect(safeVote.connect(alice).removeMember(1, admin.address)).to.be.revertedWith("Cannot remove admin");
+    await safeVote.connect(alice).revokeOrgRole(1, admin.address);
+    await expect(safeVote.connect(alice).revokeOrgRole(1, alice.address)).to.be.revertedWith("Last admin");
+    await expect(safeVote.revokeInvite(1, 7)).to.be.revertedWith("Only admin can perform this action");
+
+    await safeVote.connect(alice).grantOrgRole(1, bob.address, ROLE_OBSERVER);
+    const roles = await safeVote.getOrganizationRoles(1);
+    expect(roles.accounts).to.deep.equal([alice.address, bob.address]);
+    expect(roles.roles).to.deep.equal([BigInt(ROLE_ADMIN), BigInt(ROLE_OBSERVER)]);
+  });
+});
+
+describe("SafeVoteV2 - V1 Poll Types", function () {
+  const YES_NO = 0;
+  const MULTIPLE_CHOICE = 1;
+  const RANKED_VOTING = 2;
+  const OUTCOME_DECIDED = 1;
+  const OUTCOME_TIE = 2;
+  const OUTCOME_FAILED_QUORUM = 3;
+
+  let safeVote, owner, alice, bob, carol, keys;
+
+  // Org 1 has owner, alice, bob and carol; every member is authorized with a committed key
+  async function openPoll(pollType, options, quorum = 0) {
+    await safeVote.createPoll(1, "Question?", pollType, options, 3600, quorum, 4, false);
+    keys = Array.from({ length: 4 }, () => hre.ethers.hexlify(hre.ethers.randomBytes(32)));
+    await safeVote.commitVotingKeys(1, keys.map((k) => pollKeyHash(1, k)));
+    await safeVote.batchAuthorizeVoters(1, [owner.address, alice.address, bob.address, carol.address]);
+  }
+
+  async function endPoll() {
+    await hre.ethers.provider.send("evm_increaseTime", [3601]);
+    await hre.ethers.provider.send("evm_mine");
+    return safeVote.completePoll(1);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await hre.ethers.getSigners();
+    safeVote = await deploySafeVote();
+    await safeVote.createOrganization("Poll Org", "", true);
+    await safeVote.batchAddMembers(1, [alice.address, bob.address, carol.address]);
+  });
+
+  it("Should accept a set of options on a multiple choice poll", async function () {
+    await openPoll(MULTIPLE_CHOICE, ["Red", "Green", "Blue"]);
+
+    await expect(safeVote.voteOptions(1, [], keys[0])).to.be.revertedWith("No option selected");
+    await expect(safeVote.voteOptions(1, [0, 0], keys[0])).to.be.revertedWith("Duplicate option");
+    await expect(safeVote.voteOptions(1, [0, 3], keys[0])).to.be.revertedWith("Invalid option");
+
+    await safeVote.voteOptions(1, [0, 2], keys[0]);
+    await safeVote.connect(alice).voteOptions(1, [2], keys[1]);
+    await safeVote.connect(bob).vote(1, 1, keys[2]);
+
+    const results = await safeVote.getPollResults(1);
+    expect(results.votes).to.deep.equal([1n, 1n, 2n]);
+    expect(results.totalVotes).to.equal(3n);
+
+    await expect(endPoll())
+      .to.emit(safeVote, "PollCompleted")
+      .withArgs(1, 1, OUTCOME_DECIDED, 2, 2, anyValue);
+    const final = await safeVote.getPollResults(1);
+    expect(final.outcome).to.equal(OUTCOME_DECIDED);
+    expect(final.winningOption).to.equal(2n);
+  });
+
+  it("Should take exactly one option on a yes/no poll", async function () {
+    await openPoll(YES_NO, ["Yes", "No"]);
+
+    await expect(safeVote.voteOptions(1, [0, 1], keys[0])).to.be.revertedWith("Select exactly one option");
+    await safeVote.voteOptions(1, [1], keys[0]);
+
+    const results = await safeVote.getPollResults(1);
+    expect(results.votes).to.deep.equal([0n, 1n]);
+  });
+
+  it("Should tally ranked ballots as a Borda count", async function () {
+    await openPoll(RANKED_VOTING, ["Alice", "Bob", "Carol"]);
+
+    // Alice leads on first preferences, but Bob is everyone's first or second choice
+    await safeVote.voteOptions(1, [0, 1, 2], keys[0]);
+    await safeVote.connect(alice).voteOptions(1, [0, 1], keys[1]);
+    await safeVote.connect(bob).voteOptions(1, [1, 2, 0], keys[2]);
+    await safeVote.connect(carol).voteOptions(1, [2, 1], keys[3]);
+
+    // 3 points for a first preference, 2 for a second, 1 for a third
+    const results = await safeVote.getPollResults(1);
+    expect(results.votes).to.deep.equal([7n, 9n, 6n]);
+
+    await expect(endPoll())
+      .to.emit(safeVote, "PollCompleted")
+      .withArgs(1, 1, OUTCOME_DECIDED, 1, 9, anyValue);
+  });
+
+  it("Should complete with a tie when options share the top tally", async function () {
+    await openPoll(YES_NO, ["Yes", "No"]);
+
+    await safeVote.vote(1, 0, keys[0]);
+    await safeVote.connect(alice).vote(1, 1, keys[1]);
+
+    await expect(endPoll())
+      .to.emit(safeVote, "PollCompleted")
+      .withArgs(1, 1, OUTCOME_TIE, 0, 1, anyValue);
+  });
+
+  it("Should fail quorum against the organization's member count", async function () {
+    // 75% of 4 members is 3 ballots
+    await openPoll(YES_NO, ["Yes", "No"], 75);
+
+    await safeVote.vote(1, 0, keys[0]);
+    await safeVote.connect(alice).vote(1, 0, keys[1]);
+    expect((await safeVote.getPollResults(1)).quorumMet).to.equal(false);
+
+    await expect(endPoll())
+      .to.emit(safeVote, "PollCompleted")
+      .withArgs(1, 1, OUTCOME_FAILED_QUORUM, 0, 2, anyValue);
+    expect((await safeVote.getPollResults(1)).outcome).to.equal(OUTCOME_FAILED_QUORUM);
+  });
+});
+
+describe("SafeVoteV2 - Ballot Validation", function () {
+  let safeVote, addr1, addr2, tree, keys;
+
+  async function createElection(positions) {
+    const block = await hre.ethers.provider.getBlock("latest");
+    const now = block.timestamp;
+
+    return safeVote.createElection(
+      "Ballot Test",
+      "",
+      "",
+      now + 100,
+      now + 3600,
+      2,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      positions,
+      DEFAULT_SETTINGS
+    );
+  }
+
+  function castBallot(signer, keyIndex, votes) {
+    const proof = tree.getHexProof(keccak256(keys[keyIndex]));
+    return safeVote.connect(signer).vote(1, keys[keyIndex], proof, votes, hre.ethers.ZeroAddress);
+  }
+
+  beforeEach(async function () {
+    [, addr1, addr2] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+
+    ({ tree, keys } = buildVoterTree([addr1.address, addr2.address]));
+
+    await createElection([
+      { title: "President", candidates: ["Alice", "Bob", "Carol"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 },
+      { title: "Council", candidates: ["Dan", "Eve", "Frank", "Grace"], maxSelections: 2, ballotType: PLURALITY, winThreshold: 0 },
+    ]);
+
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  });
+
+  it("Should reject more selections than maxSelections", async function () {
+    await expect(castBallot(addr1, 0, [[0, 1, 2], [0]])).to.be.revertedWith("Too many selections");
+    await expect(castBallot(addr1, 0, [[0], [0, 1, 2]])).to.be.revertedWith("Too many selections");
+  });
+
+  it("Should reject the same candidate picked twice in one position", async function () {
+    await expect(castBallot(addr1, 0, [[0], [1, 1]])).to.be.revertedWith("Duplicate candidate");
+  });
+
+  it("Should not count a rejected ballot or spend its key", async function () {
+    await expect(castBallot(addr1, 0, [[2], [3, 3]])).to.be.revertedWith("Duplicate candidate");
+
+    const council = await safeVote.getElectionResults(1, 1);
+    expect(council.votesCast[3]).to.equal(0n);
+
+    await castBallot(addr1, 0, [[2], [3]]);
+    const election = await safeVote.getElection(1);
+    expect(election.totalVotesCast).to.equal(1n);
+  });
+
+  it("Should accept distinct selections up to the limit", async function () {
+    await castBallot(addr1, 0, [[1], [0, 3]]);
+    await castBallot(addr2, 1, [[1], []]);
+
+    const president = await safeVote.getElectionResults(1, 0);
+    const council = await safeVote.getElectionResults(1, 1);
+    expect(president.votesCast).to.deep.equal([0n, 2n, 0n]);
+    expect(council.votesCast).to.deep.equal([1n, 0n, 0n, 1n]);
+  });
+
+  it("Should reject positions with an impossible maxSelections", async function () {
+    await expect(
+      createElection([{ title: "Chair", candidates: ["A", "B"], maxSelections: 0, ballotType: PLURALITY, winThreshold: 0 }])
+    ).to.be.revertedWith("Invalid maxSelections");
+    await expect(
+      createElection([{ title: "Chair", candidates: ["A", "B"], maxSelections: 3, ballotType: PLURALITY, winThreshold: 0 }])
+    ).to.be.revertedWith("Invalid maxSelections");
+  });
+});
+
+describe("SafeVoteV2 - Liquid Delegation", function () {
+  let safeVote, alice, bob, carol, dave, tree, keys;
+
+  function castBallot(signer, keyIndex, votes, delegateTo = hre.ethers.ZeroAddress) {
+    const proof = tree.getHexProof(keccak256(keys[keyIndex]));
+    return safeVote.connect(signer).vote(1, keys[keyIndex], proof, votes, delegateTo);
+  }
+
+  async function tally() {
+    const results = await safeVote.getElectionResults(1, 0);
+    return results.votesCast;
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, carol, dave] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+
+    ({ tree, keys } = buildVoterTree([alice.address, bob.address, carol.address, dave.address]));
+
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "Delegation Weight",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      4,
+      tree.getRoot(),
+      true,
+      false,
+      true,
+      [{ title: "Chair", candidates: ["Yes", "No"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      DEFAULT_SETTINGS
+    );
+
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  });
+
+  it("Should spend the delegator's key", async function () {
+    await castBallot(alice, 0, [], bob.address);
+    await expect(castBallot(alice, 0, [], carol.address)).to.be.revertedWith("Key used");
+  });
+
+  it("Should count the delegate's ballot with the delegated weight", async function () {
+    await expect(castBallot(alice, 0, [], bob.address))
+      .to.emit(safeVote, "VoteDelegatedV2")
+      .withArgs(1, alice.address, bob.address, bob.address, 1, anyValue);
+
+    await castBallot(bob, 1, [[0]]);
+
+    expect(await tally()).to.deep.equal([2n, 0n]);
+    expect((await safeVote.getElection(1)).totalVotesCast).to.equal(2n);
+  });
+
+  it("Should resolve transitive delegation chains", async function () {
+    await castBallot(alice, 0, [], bob.address);
+    await expect(castBallot(bob, 1, [], carol.address))
+      .to.emit(safeVote, "VoteDelegatedV2")
+      .withArgs(1, bob.address, carol.address, carol.address, 2, anyValue);
+    await expect(castBallot(dave, 3, [], alice.address))
+      .to.emit(safeVote, "VoteDelegatedV2")
+      .withArgs(1, dave.address, alice.address, carol.address, 1, anyValue);
+
+    const [finalDelegate, weight] = await safeVote.resolveDelegate(1, carol.address);
+    expect(finalDelegate).to.equal(carol.address);
+    expect(weight).to.equal(4n);
+
+    await castBallot(carol, 2, [[1]]);
+    expect(await tally()).to.deep.equal([0n, 4n]);
+  });
+
+  it("Should reject delegation loops", async function () {
+    await castBallot(alice, 0, [], bob.address);
+    await castBallot(bob, 1, [], carol.address);
+    await expect(castBallot(carol, 2, [], alice.address)).to.be.revertedWith("Delegation loop");
+  });
+
+  it("Should add weight straight to a delegate who already voted", async function () {
+    await castBallot(bob, 1, [[1]]);
+    await castBallot(alice, 0, [], bob.address);
+
+    expect(await tally()).to.deep.equal([0n, 2n]);
+    expect((await safeVote.getElection(1)).totalVotesCast).to.equal(2n);
+  });
+
+  it("Should let a delegator override before the delegate votes", async function () {
+    await castBallot(dave, 3, [], alice.address);
+    await castBallot(alice, 0, [], bob.address);
+
+    await expect(castBallot(alice, 0, [[1]]))
+      .to.emit(safeVote, "DelegationRevokedV2")
+      .withArgs(1, alice.address, bob.address, 2, anyValue);
+    await castBallot(bob, 1, [[0]]);
+
+    expect(await tally()).to.deep.equal([1n, 2n]);
+    expect(await safeVote.delegations(1, alice.address)).to.equal(hre.ethers.ZeroAddress);
+    expect(await safeVote.delegatedWeight(1, bob.address)).to.equal(0n);
+  });
+
+  it("Should not allow an override once the delegate has voted", async function () {
+    await castBallot(alice, 0, [], bob.address);
+    await castBallot(bob, 1, [[0]]);
+
+    await expect(castBallot(alice, 0, [[1]])).to.be.revertedWith("Delegate already voted");
+  });
+
+  it("Should not let another wallet reuse a delegated key", async function () {
+    await castBallot(alice, 0, [], bob.address);
+    await expect(castBallot(carol, 0, [[1]])).to.be.revertedWith("Key used");
+  });
+});
+
+describe("SafeVoteV2 - Ranked Choice", function () {
+  let safeVote, alice, bob, carol, dave, tree, keys;
+
+  function castBallot(signer, keyIndex, votes, delegateTo = hre.ethers.ZeroAddress) {
+    const proof = tree.getHexProof(keccak256(keys[keyIndex]));
+    return safeVote.connect(signer).vote(1, keys[keyIndex], proof, votes, delegateTo);
+  }
+
+  async function endElection() {
+    await hre.ethers.provider.send("evm_increaseTime", [3600]);
+    await hre.ethers.provider.send("evm_mine");
+    await safeVote.completeElection(1);
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, carol, dave] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+
+    ({ tree, keys } = buildVoterTree([alice.address, bob.address, carol.address, dave.address]));
+
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "Committee Chair",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      4,
+      tree.getRoot(),
+      true,
+      false,
+      true,
+      [
+        { title: "Chair", candidates: ["Ann", "Ben", "Cat"], maxSelections: 3, ballotType: RANKED, winThreshold: 0 },
+        { title: "Treasurer", candidates: ["Dee", "Eli"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 },
+      ],
+      DEFAULT_SETTINGS
+    );
+
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  });
+
+  it("Should store the ballot type per position", async function () {
+    const election = await safeVote.getElection(1);
+    expect(election.positions[0].ballotType).to.equal(RANKED);
+    expect(election.positions[1].ballotType).to.equal(PLURALITY);
+  });
+
+  it("Should tally only first preferences live", async function () {
+    await castBallot(alice, 0, [[2, 0, 1], [0]]);
+    await castBallot(bob, 1, [[0, 2], [1]]);
+
+    const chair = await safeVote.getElectionResults(1, 0);
+    expect(chair.votesCast).to.deep.equal([1n, 0n, 1n]);
+  });
+
+  it("Should reject repeated candidates in a ranking", async function () {
+    await expect(castBallot(alice, 0, [[1, 2, 1], [0]])).to.be.revertedWith("Duplicate candidate");
+  });
+
+  it("Should only release rankings after completion", async function () {
+    await castBallot(alice, 0, [[2, 0, 1], [0]]);
+    await expect(safeVote.getRankedBallots(1, 0, 0, 10)).to.be.revertedWith("Not completed");
+
+    await endElection();
+    await expect(safeVote.getRankedBallots(1, 1, 0, 10)).to.be.revertedWith("Not ranked");
+  });
+
+  it("Should return preference lists with their weights", async function () {
+    await castBallot(dave, 3, [], carol.address);
+    await castBallot(alice, 0, [[2, 0, 1], [0]]);
+    await castBallot(bob, 1, [[0], [1]]);
+    await castBallot(carol, 2, [[1, 0], [1]]);
+    await endElection();
+
+    const [rankings, weights, total] = await safeVote.getRankedBallots(1, 0, 0, 10);
+    expect(total).to.equal(3n);
+    expect(rankings.map(r => r.map(Number))).to.deep.equal([[2, 0, 1], [0], [1, 0]]);
+    expect(weights).to.deep.equal([1n, 1n, 2n]);
+
+    const page = await safeVote.getRankedBallots(1, 0, 2, 10);
+    expect(page.rankings.length).to.equal(1);
+    expect(page.weights[0]).to.equal(2n);
+
+    const empty = await safeVote.getRankedBallots(1, 0, 5, 10);
+    expect(empty.rankings.length).to.equal(0);
+  });
+});
+
+describe("SafeVoteV2 - Secret Ballot", function () {
+  const REVEAL_PERIOD = 600;
+  let safeVote, alice, bob, carol, tree, keys, endTime;
+
+  function commitmentFor(keyIndex, votes, salt) {
+    const encoded = hre.ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "bytes32", "uint256[][]", "bytes32"],
+      [1, keys[keyIndex], votes, salt]
+    );
+    return hre.ethers.keccak256(encoded);
+  }
+
+  function commit(signer, keyIndex, votes, salt) {
+    const proof = tree.getHexProof(keccak256(keys[keyIndex]));
+    return safeVote.connect(signer).commitVote(1, keys[keyIndex], proof, commitmentFor(keyIndex, votes, salt));
+  }
+
+  async function timeTravelTo(timestamp) {
+    await hre.ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await hre.ethers.provider.send("evm_mine");
+  }
+
+  const saltA = hre.ethers.id("alice-salt");
+  const saltB = hre.ethers.id("bob-salt");
+
+  beforeEach(async function () {
+    [, alice, bob, carol] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    ({ tree, keys } = buildVoterTree([alice.address, bob.address, carol.address]));
+
+    const block = await hre.ethers.provider.getBlock("latest");
+    endTime = block.timestamp + 3600;
+    await safeVote.createElection(
+      "Secret Election",
+      "",
+      "",
+      block.timestamp + 100,
+      endTime,
+      3,
+      tree.getRoot(),
+      true,
+      false,
+      true,
+      [{ title: "Chair", candidates: ["Ann", "Ben", "Cat"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      { ...DEFAULT_SETTINGS, secretBallot: true, revealPeriod: REVEAL_PERIOD }
+    );
+
+    await timeTravelTo(block.timestamp + 200);
+  });
+
+  it("Should require a reveal period exactly when secret", async function () {
+    const block = await hre.ethers.provider.getBlock("latest");
+    const positions = [{ title: "Chair", candidates: ["A", "B"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }];
+    const create = (settings) =>
+      safeVote.createElection(
+        "X", "", "", block.timestamp + 100, block.timestamp + 200, 1,
+        tree.getRoot(), true, false, false, positions, settings
+      );
+
+    await expect(create({ ...DEFAULT_SETTINGS, secretBallot: true })).to.be.revertedWith("Invalid reveal period");
+    await expect(create({ ...DEFAULT_SETTINGS, revealPeriod: 60 })).to.be.revertedWith("Invalid reveal period");
+  });
+
+  it("Should only accept commitments while voting is open", async function () {
+    const proof = tree.getHexProof(keccak256(keys[0]));
+    await expect(safeVote.connect(alice).vote(1, keys[0], proof, [[0]], hre.ethers.ZeroAddress))
+      .to.be.revertedWith("Secret ballot");
+
+    await expect(commit(alice, 0, [[1]], saltA))
+      .to.emit(safeVote, "VoteCastV2")
+      .withArgs(1, anyValue, alice.address, false, anyValue, anyValue);
+
+    const results = await safeVote.getElectionResults(1, 0);
+    expect(results.votesCast).to.deep.equal([0n, 0n, 0n]);
+    expect((await safeVote.getElection(1)).totalVotesCast).to.equal(1n);
+  });
+
+  it("Should tally a ballot once its commitment is revealed", async function () {
+    await commit(alice, 0, [[1]], saltA);
+    await expect(safeVote.revealVote(1, keys[0], [[1]], saltA)).to.be.revertedWith("Not reveal phase");
+
+    await timeTravelTo(endTime + 1);
+    await expect(safeVote.revealVote(1, keys[0], [[2]], saltA)).to.be.revertedWith("Commitment mismatch");
+    await expect(safeVote.revealVote(1, keys[0], [[1]], saltB)).to.be.revertedWith("Commitment mismatch");
+
+    await expect(safeVote.revealVote(1, keys[0], [[1]], saltA))
+      .to.emit(safeVote, "VoteRevealedV2")
+      .withArgs(1, anyValue, 1, anyValue);
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([0n, 1n, 0n]);
+
+    await expect(safeVote.revealVote(1, keys[0], [[1]], saltA)).to.be.revertedWith("No commitment");
+  });
+
+  it("Should report unrevealed commitments separately", async function () {
+    await commit(alice, 0, [[0]], saltA);
+    await commit(bob, 1, [[2]], saltB);
+
+    await timeTravelTo(endTime + 1);
+    await safeVote.revealVote(1, keys[1], [[2]], saltB);
+    await expect(safeVote.completeElection(1)).to.be.revertedWith("Not ended");
+
+    await timeTravelTo(endTime + REVEAL_PERIOD + 1);
+    await expect(safeVote.revealVote(1, keys[0], [[0]], saltA)).to.be.revertedWith("Not reveal phase");
+    await safeVote.completeElection(1);
+
+    const status = await safeVote.getRevealStatus(1);
+    expect(status.revealDeadline).to.equal(BigInt(endTime + REVEAL_PERIOD));
+    expect(status.committed).to.equal(2n);
+    expect(status.unrevealed).to.equal(1n);
+    expect(status.unrevealedWeight).to.equal(1n);
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([0n, 0n, 1n]);
+  });
+
+  it("Should reveal with the weight delegated before the polls closed", async function () {
+    await commit(alice, 0, [[2]], saltA);
+    const proof = tree.getHexProof(keccak256(keys[2]));
+    await safeVote.connect(carol).vote(1, keys[2], proof, [], alice.address);
+
+    await timeTravelTo(endTime + 1);
+    await expect(safeVote.revealVote(1, keys[0], [[2]], saltA))
+      .to.emit(safeVote, "VoteRevealedV2")
+      .withArgs(1, anyValue, 2, anyValue);
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([0n, 0n, 2n]);
+  });
+
+  it("Should not take commitments for open elections", async function () {
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "Open Election",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      3,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      [{ title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      DEFAULT_SETTINGS
+    );
+    await timeTravelTo(block.timestamp + 200);
+
+    const proof = tree.getHexProof(keccak256(keys[0]));
+    await expect(safeVote.connect(alice).commitVote(2, keys[0], proof, hre.ethers.id("x")))
+      .to.be.revertedWith("Not secret ballot");
+    await expect(safeVote.getRevealStatus(2)).to.be.revertedWith("Not secret ballot");
+  });
+});
+
+describe("SafeVoteV2 - Revoting", function () {
+  let safeVote, alice, bob, carol, tree, keys;
+
+  function castBallot(signer, keyIndex, votes, delegateTo = hre.ethers.ZeroAddress, electionId = 1) {
+    const proof = tree.getHexProof(keccak256(keys[keyIndex]));
+    return safeVote.connect(signer).vote(electionId, keys[keyIndex], proof, votes, delegateTo);
+  }
+
+  async function createElection(settings) {
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "Member Election",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      3,
+      tree.getRoot(),
+      true,
+      false,
+      true,
+      [
+        { title: "Chair", candidates: ["Ann", "Ben", "Cat"], maxSelections: 3, ballotType: RANKED, winThreshold: 0 },
+        { title: "Board", candidates: ["Dee", "Eli", "Fay"], maxSelections: 2, ballotType: PLURALITY, winThreshold: 0 },
+      ],
+      settings
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, carol] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    ({ tree, keys } = buildVoterTree([alice.address, bob.address, carol.address]));
+
+    await createElection({ ...DEFAULT_SETTINGS, allowRevote: true });
+  });
+
+  it("Should keep rejecting reused keys unless revoting is allowed", async function () {
+    await createElection(DEFAULT_SETTINGS);
+    await castBallot(alice, 0, [[0], [0]], hre.ethers.ZeroAddress, 2);
+    await expect(castBallot(alice, 0, [[1], [1]], hre.ethers.ZeroAddress, 2)).to.be.revertedWith("Key used");
+  });
+
+  it("Should replace the earlier selections", async function () {
+    await castBallot(alice, 0, [[0, 1], [0, 1]]);
+    await castBallot(bob, 1, [[0], [0]]);
+
+    await expect(castBallot(alice, 0, [[2, 0], [2]]))
+      .to.emit(safeVote, "VoteChangedV2")
+      .withArgs(1, anyValue, alice.address, 1, anyValue)
+      .and.not.to.emit(safeVote, "VoteCastV2");
+
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([1n, 0n, 1n]);
+    expect((await safeVote.getElectionResults(1, 1)).votesCast).to.deep.equal([1n, 0n, 1n]);
+    expect((await safeVote.getElection(1)).totalVotesCast).to.equal(2n);
+  });
+
+  it("Should keep one stored ranking per key", async function () {
+    await castBallot(alice, 0, [[0, 1], [0]]);
+    await castBallot(alice, 0, [[1, 2, 0], [1]]);
+
+    await hre.ethers.provider.send("evm_increaseTime", [3600]);
+    await hre.ethers.provider.send("evm_mine");
+    await safeVote.completeElection(1);
+
+    const page = await safeVote.getRankedBallots(1, 0, 0, 10);
+    expect(page.total).to.equal(1n);
+    expect(page.rankings).to.deep.equal([[1n, 2n, 0n]]);
+  });
+
+  it("Should move delegated weight with the replaced ballot", async function () {
+    await castBallot(alice, 0, [[0], [0]]);
+    await castBallot(carol, 2, [], alice.address);
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([2n, 0n, 0n]);
+
+    await expect(castBallot(alice, 0, [[1], [1]]))
+      .to.emit(safeVote, "VoteChangedV2")
+      .withArgs(1, anyValue, alice.address, 2, anyValue);
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([0n, 2n, 0n]);
+    expect((await safeVote.getElection(1)).totalVotesCast).to.equal(2n);
+  });
+
+  it("Should not let a ballot be turned into a delegation", async function () {
+    await castBallot(alice, 0, [[0], [0]]);
+    await expect(castBallot(alice, 0, [], bob.address)).to.be.revertedWith("Key used");
+  });
+
+  it("Should validate the replacement ballot", async function () {
+    await castBallot(alice, 0, [[0], [0]]);
+    await expect(castBallot(alice, 0, [[1], [1, 1]])).to.be.revertedWith("Duplicate candidate");
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([1n, 0n, 0n]);
+  });
+
+  it("Should let a secret ballot commitment be replaced", async function () {
+    const block = await hre.ethers.provider.getBlock("latest");
+    const endTime = block.timestamp + 3600;
+    await safeVote.createElection(
+      "Secret Revote",
+      "",
+      "",
+      block.timestamp + 100,
+      endTime,
+      3,
+      tree.getRoot(),
+      true,
+      false,
+      true,
+      [{ title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      { ...DEFAULT_SETTINGS, secretBallot: true, revealPeriod: 600, allowRevote: true }
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+
+    const salt = hre.ethers.id("salt");
+    const commitmentFor = (votes) =>
+      hre.ethers.keccak256(
+        hre.ethers.AbiCoder.defaultAbiCoder().encode(
+          ["uint256", "bytes32", "uint256[][]", "bytes32"],
+          [2, keys[0], votes, salt]
+        )
+      );
+    const proof = tree.getHexProof(keccak256(keys[0]));
+    await safeVote.connect(alice).commitVote(2, keys[0], proof, commitmentFor([[0]]));
+    await expect(safeVote.connect(alice).commitVote(2, keys[0], proof, commitmentFor([[1]])))
+      .to.emit(safeVote, "VoteChangedV2");
+
+    await hre.ethers.provider.send("evm_setNextBlockTimestamp", [endTime + 1]);
+    await hre.ethers.provider.send("evm_mine");
+    await expect(safeVote.revealVote(2, keys[0], [[0]], salt)).to.be.revertedWith("Commitment mismatch");
+    await safeVote.revealVote(2, keys[0], [[1]], salt);
+
+    expect((await safeVote.getElectionResults(2, 0)).votesCast).to.deep.equal([0n, 1n]);
+    expect((await safeVote.getRevealStatus(2)).committed).to.equal(1n);
+  });
+});
+
+describe("SafeVoteV2 - Quorum and Thresholds", function () {
+  const MAJORITY = 5000;
+  const TWO_THIRDS = 6666;
+  let safeVote, voters, tree, keys;
+
+  function castBallot(keyIndex, votes) {
+    const proof = tree.getHexProof(keccak256(keys[keyIndex]));
+    return safeVote.connect(voters[keyIndex]).vote(1, keys[keyIndex], proof, votes, hre.ethers.ZeroAddress);
+  }
+
+  async function createElection(settings, thresholds = [0, MAJORITY, TWO_THIRDS]) {
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "AGM",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      10,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      [
+        { title: "Chair", candidates: ["Ann", "Ben", "Cat"], maxSelections: 1, ballotType: PLURALITY, winThreshold: thresholds[0] },
+        { title: "Motion", candidates: ["Yes", "No"], maxSelections: 1, ballotType: PLURALITY, winThreshold: thresholds[1] },
+        { title: "Bylaws", candidates: ["Yes", "No"], maxSelections: 1, ballotType: PLURALITY, winThreshold: thresholds[2] },
+      ],
+      settings
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  }
+
+  async function complete() {
+    await hre.ethers.provider.send("evm_increaseTime", [3600]);
+    await hre.ethers.provider.send("evm_mine");
+    await safeVote.completeElection(1);
+    return safeVote.getElectionOutcome(1);
+  }
+
+  beforeEach(async function () {
+    voters = (await hre.ethers.getSigners()).slice(1, 6);
+    safeVote = await deploySafeVote();
+    ({ tree, keys } = buildVoterTree(voters.map((v) => v.address)));
+  });
+
+  it("Should validate quorum settings and thresholds", async function () {
+    await expect(createElection({ ...DEFAULT_SETTINGS, quorumType: QUORUM_NONE, quorum: 3 }))
+      .to.be.revertedWith("Invalid quorum");
+    await expect(createElection({ ...DEFAULT_SETTINGS, quorumType: QUORUM_COUNT, quorum: 0 }))
+      .to.be.revertedWith("Invalid quorum");
+    await expect(createElection({ ...DEFAULT_SETTINGS, quorumType: QUORUM_PERCENTAGE, quorum: 10001 }))
+      .to.be.revertedWith("Invalid quorum");
+    await expect(createElection(DEFAULT_SETTINGS, [0, 10000, 0])).to.be.revertedWith("Invalid threshold");
+  });
+
+  it("Should only report outcomes once completed", async function () {
+    await createElection(DEFAULT_SETTINGS);
+    await expect(safeVote.getElectionOutcome(1)).to.be.revertedWith("Not completed");
+  });
+
+  it("Should record no quorum for every position when turnout is short", async function () {
+    await createElection({ ...DEFAULT_SETTINGS, quorumType: QUORUM_COUNT, quorum: 3 });
+    await castBallot(0, [[0], [0], [0]]);
+    await castBallot(1, [[0], [0], [0]]);
+
+    const outcome = await complete();
+    expect(outcome.quorumReached).to.equal(false);
+    expect(outcome.turnout).to.equal(2n);
+    expect(outcome.quorumRequired).to.equal(3n);
+    expect(outcome.results.map((r) => r.outcome)).to.deep.equal([
+      BigInt(OUTCOME_NO_QUORUM), BigInt(OUTCOME_NO_QUORUM), BigInt(OUTCOME_NO_QUORUM),
+    ]);
+    expect(outcome.results[0].winnerVotes).to.equal(2n);
+  });
+
+  it("Should round a percentage quorum up against registered voters", async function () {
+    // 25% of 10 registered voters needs 3 votes
+    await createElection({ ...DEFAULT_SETTINGS, quorumType: QUORUM_PERCENTAGE, quorum: 2500 });
+    await castBallot(0, [[0], [0], [0]]);
+    await castBallot(1, [[0], [0], [0]]);
+    await castBallot(2, [[1], [0], [0]]);
+
+    const outcome = await complete();
+    expect(outcome.quorumRequired).to.equal(3n);
+    expect(outcome.quorumReached).to.equal(true);
+  });
+
+  it("Should apply each position's winning threshold", async function () {
+    await createElection(DEFAULT_SETTINGS);
+    // Chair: plurality, 2-2-1 tie. Motion: 3/5 beats a majority. Bylaws: 3/5 falls short of two-thirds.
+    await castBallot(0, [[0], [0], [0]]);
+    await castBallot(1, [[0], [0], [0]]);
+    await castBallot(2, [[1], [0], [0]]);
+    await castBallot(3, [[1], [1], [1]]);
+    await castBallot(4, [[2], [1], [1]]);
+
+    const { results } = await complete();
+    expect(results[0].outcome).to.equal(OUTCOME_RUNOFF);
+    expect(results[1].outcome).to.equal(OUTCOME_WINNER);
+    expect(results[1].winner).to.equal(0n);
+    expect(results[1].winnerVotes).to.equal(3n);
+    expect(results[2].outcome).to.equal(OUTCOME_RUNOFF);
+  });
+
+  it("Should decide two-thirds votes that reach the threshold", async function () {
+    await createElection(DEFAULT_SETTINGS);
+    await castBallot(0, [[2], [0], [0]]);
+    await castBallot(1, [[2], [0], [0]]);
+    await castBallot(2, [[1], [1], [1]]);
+
+    const { results } = await complete();
+    expect(results[0].outcome).to.equal(OUTCOME_WINNER);
+    expect(results[0].winner).to.equal(2n);
+    expect(results[2].outcome).to.equal(OUTCOME_WINNER);
+    expect(results[2].winner).to.equal(0n);
+  });
+});
+
+describe("SafeVoteV2 - Election Amendments", function () {
+  let safeVote, creator, alice, bob, carol, tree, keys, endTime;
+
+  function castBallot(signer, voterTree, key) {
+    const proof = voterTree.getHexProof(keccak256(key));
+    return safeVote.connect(signer).vote(1, key, proof, [[0]], hre.ethers.ZeroAddress);
+  }
+
+  beforeEach(async function () {
+    [creator, alice, bob, carol] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    ({ tree, keys } = buildVoterTree([alice.address, bob.address]));
+
+    const block = await hre.ethers.provider.getBlock("latest");
+    endTime = block.timestamp + 3600;
+    await safeVote.createElection(
+      "Branch Election",
+      "",
+      "",
+      block.timestamp + 100,
+      endTime,
+      2,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      [{ title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      DEFAULT_SETTINGS
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  });
+
+  it("Should let an election admin extend an open election", async function () {
+    await expect(safeVote.connect(alice).extendElection(1, endTime + 600)).to.be.revertedWith("Not admin");
+    await expect(safeVote.extendElection(1, endTime)).to.be.revertedWith("Must extend");
+
+    await expect(safeVote.extendElection(1, endTime + 600))
+      .to.emit(safeVote, "ElectionExtendedV2")
+      .withArgs(1, creator.address, endTime, endTime + 600, anyValue);
+    expect((await safeVote.getElection(1)).endTime).to.equal(BigInt(endTime + 600));
+
+    await hre.ethers.provider.send("evm_setNextBlockTimestamp", [endTime + 300]);
+    await castBallot(alice, tree, keys[0]);
+  });
+
+  it("Should not extend an election that has ended", async function () {
+    await hre.ethers.provider.send("evm_setNextBlockTimestamp", [endTime + 1]);
+    await hre.ethers.provider.send("evm_mine");
+    await expect(safeVote.extendElection(1, endTime + 600)).to.be.revertedWith("Already ended");
+  });
+
+  it("Should swap in a superset root for late registrants", async function () {
+    const lateKey = hre.ethers.hexlify(hre.ethers.randomBytes(32));
+    const leaves = [...keys, lateKey].map((k) => keccak256(k));
+    const newTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+
+    await expect(safeVote.appendVoters(1, newTree.getHexRoot(), 2)).to.be.revertedWith("Must add voters");
+    await expect(safeVote.appendVoters(1, tree.getHexRoot(), 3)).to.be.revertedWith("Invalid root");
+    await expect(safeVote.connect(alice).appendVoters(1, newTree.getHexRoot(), 3)).to.be.revertedWith("Not admin");
+
+    await castBallot(alice, tree, keys[0]);
+    await expect(safeVote.appendVoters(1, newTree.getHexRoot(), 3))
+      .to.emit(safeVote, "VotersAppendedV2")
+      .withArgs(1, creator.address, tree.getHexRoot(), newTree.getHexRoot(), 2, 3, anyValue);
+
+    const election = await safeVote.getElection(1);
+    expect(election.voterMerkleRoot).to.equal(newTree.getHexRoot());
+    expect(election.totalRegisteredVoters).to.equal(3n);
+
+    // Earlier registrants vote with proofs from the new tree; spent keys stay spent
+    await castBallot(bob, newTree, keys[1]);
+    await castBallot(carol, newTree, lateKey);
+    await expect(castBallot(alice, newTree, keys[0])).to.be.revertedWith("Key used");
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([3n, 0n]);
+  });
+
+  it("Should not change voters once the election has closed", async function () {
+    await hre.ethers.provider.send("evm_setNextBlockTimestamp", [endTime + 1]);
+    await hre.ethers.provider.send("evm_mine");
+    await expect(safeVote.appendVoters(1, hre.ethers.id("root"), 3)).to.be.revertedWith("Already ended");
+    await expect(safeVote.revokeVoterKeys(1, hre.ethers.id("root"), [hre.ethers.id("key")])).to.be.revertedWith(
+      "Already ended"
+    );
+  });
+
+  it("Should swap in a root with a revoked key reissued", async function () {
+    // The key service replaces bob's leaf with a fresh key and records the old key's hash
+    const reissuedKey = hre.ethers.hexlify(hre.ethers.randomBytes(32));
+    const newTree = new MerkleTree([keys[0], reissuedKey].map((k) => keccak256(k)), keccak256, { sortPairs: true });
+    const revokedHash = "0x" + keccak256(keys[1]).toString("hex");
+
+    await expect(safeVote.revokeVoterKeys(1, newTree.getHexRoot(), [])).to.be.revertedWith("No keys revoked");
+    await expect(safeVote.revokeVoterKeys(1, tree.getHexRoot(), [revokedHash])).to.be.revertedWith("Invalid root");
+    await expect(
+      safeVote.connect(alice).revokeVoterKeys(1, newTree.getHexRoot(), [revokedHash])
+    ).to.be.revertedWith("Not admin");
+
+    await expect(safeVote.revokeVoterKeys(1, newTree.getHexRoot(), [revokedHash]))
+      .to.emit(safeVote, "VoterKeysRevokedV2")
+      .withArgs(1, creator.address, tree.getHexRoot(), newTree.getHexRoot(), [revokedHash], anyValue);
+    expect((await safeVote.getElection(1)).totalRegisteredVoters).to.equal(2n);
+
+    // The leaked key no longer proves membership under either tree; the reissued one does
+    await expect(castBallot(carol, tree, keys[1])).to.be.revertedWith("Invalid key");
+    await castBallot(bob, newTree, reissuedKey);
+    await castBallot(alice, newTree, keys[0]);
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([2n, 0n]);
+  });
+});
+
+describe("SafeVoteV2 - Election Officials", function () {
+  let safeVote, creator, alice, bob, carol, startTime;
+
+  beforeEach(async function () {
+    [creator, alice, bob, carol] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    const { tree } = buildVoterTree([alice.address, bob.address]);
+
+    const block = await hre.ethers.provider.getBlock("latest");
+    startTime = block.timestamp + 100;
+    await safeVote.createElection(
+      "Board Election",
+      "",
+      "",
+      startTime,
+      startTime + 3600,
+      2,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      [{ title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      DEFAULT_SETTINGS
+    );
+  });
+
+  it("Should list the creator and granted officials in getElection", async function () {
+    await expect(safeVote.connect(alice).grantElectionRole(1, bob.address, ROLE_OFFICIAL)).to.be.revertedWith("Not admin");
+
+    await expect(safeVote.grantElectionRole(1, alice.address, ROLE_OFFICIAL))
+      .to.emit(safeVote, "RoleGranted")
+      .withArgs(SCOPE_ELECTION, 1, alice.address, ROLE_OFFICIAL, creator.address);
+    await safeVote.grantElectionRole(1, bob.address, ROLE_OBSERVER);
+    await expect(safeVote.grantElectionRole(1, bob.address, ROLE_OBSERVER)).to.be.revertedWith("Role already held");
+
+    let election = await safeVote.getElection(1);
+    expect(election.officials).to.deep.equal([creator.address, alice.address, bob.address]);
+    expect(election.officialRoles).to.deep.equal([BigInt(ROLE_ADMIN), BigInt(ROLE_OFFICIAL), BigInt(ROLE_OBSERVER)]);
+
+    await expect(safeVote.revokeElectionRole(1, bob.address))
+      .to.emit(safeVote, "RoleRevoked")
+      .withArgs(SCOPE_ELECTION, 1, bob.address, creator.address);
+    await expect(safeVote.revokeElectionRole(1, creator.address)).to.be.revertedWith("Last admin");
+
+    election = await safeVote.getElection(1);
+    expect(election.officials).to.deep.equal([creator.address, alice.address]);
+
+    // A co-admin gets the creator's powers
+    await safeVote.grantElectionRole(1, carol.address, ROLE_ADMIN);
+    await safeVote.connect(carol).extendElection(1, startTime + 7200);
+  });
+
+  it("Should cancel only once M of N officials approve", async function () {
+    await safeVote.grantElectionRole(1, alice.address, ROLE_OFFICIAL);
+    await safeVote.grantElectionRole(1, bob.address, ROLE_OFFICIAL);
+    await safeVote.grantElectionRole(1, carol.address, ROLE_OBSERVER);
+
+    await expect(safeVote.setCancellationThreshold(1, 4)).to.be.revertedWith("Threshold exceeds officials");
+    await expect(safeVote.setCancellationThreshold(1, 2))
+      .to.emit(safeVote, "CancellationThresholdSetV2")
+      .withArgs(1, 2, anyValue);
+
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+
+    // The official set is frozen while the election runs; observers can still change
+    await expect(safeVote.revokeElectionRole(1, alice.address)).to.be.revertedWith("Officials locked");
+    await expect(safeVote.grantElectionRole(1, carol.address, ROLE_OFFICIAL)).to.be.revertedWith("Officials locked");
+    await safeVote.revokeElectionRole(1, carol.address);
+    await expect(safeVote.setCancellationThreshold(1, 1)).to.be.revertedWith("Already started");
+
+    await expect(safeVote.connect(carol).cancelElection(1)).to.be.revertedWith("Not an official");
+    await expect(safeVote.connect(alice).cancelElection(1))
+      .to.emit(safeVote, "CancellationApprovedV2")
+      .withArgs(1, alice.address, 1, 2, anyValue)
+      .and.not.to.emit(safeVote, "ElectionCancelledV2");
+    await expect(safeVote.connect(alice).cancelElection(1)).to.be.revertedWith("Already approved");
+    expect((await safeVote.getCancellationStatus(1)).approvals).to.equal(1n);
+
+    await expect(safeVote.connect(bob).cancelElection(1))
+      .to.emit(safeVote, "CancellationApprovedV2")
+      .withArgs(1, bob.address, 2, 2, anyValue)
+      .and.to.emit(safeVote, "ElectionCancelledV2")
+      .withArgs(1, bob.address, anyValue);
+    expect((await safeVote.getElection(1)).status).to.equal(2n);
+  });
+
+  it("Should let any admin cancel alone without a threshold", async function () {
+    await safeVote.grantElectionRole(1, alice.address, ROLE_OFFICIAL);
+    await expect(safeVote.connect(alice).cancelElection(1)).to.be.revertedWith("Not admin");
+    await expect(safeVote.cancelElection(1)).to.emit(safeVote, "ElectionCancelledV2");
+  });
+});
+
+describe("SafeVoteV2 - Paginated Views", function () {
+  const STATUS_ACTIVE = 0;
+  const STATUS_CANCELLED = 2;
+
+  let safeVote, owner, alice, bob;
+
+  async function createElection(positions) {
+    const { tree } = buildVoterTree([alice.address, bob.address]);
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "Paged Election",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      2,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      positions,
+      DEFAULT_SETTINGS
+    );
+  }
+
+  const CHAIR = { title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 };
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await hre.ethers.getSigners();
+    safeVote = await deploySafeVote();
+  });
+
+  it("Should page public organizations by id range and members by position", async function () {
+    await safeVote.createOrganization("Public A", "", true);
+    await safeVote.createOrganization("Private", "", false);
+    await safeVote.createOrganization("Public B", "", true);
+    await safeVote.batchAddMembers(1, [alice.address, bob.address]);
+
+    let page = await safeVote.getPublicOrganizationsPaged(0, 2);
+    expect(page.orgIds).to.deep.equal([1n]);
+    expect(page.total).to.equal(3n);
+    page = await safeVote.getPublicOrganizationsPaged(2, 2);
+    expect(page.orgIds).to.deep.equal([3n]);
+    expect(await safeVote.getPublicOrganizations()).to.deep.equal([1n, 3n]);
+
+    const members = await safeVote.getOrganizationMembersPaged(1, 1, 5);
+    expect(members.members).to.deep.equal([alice.address, bob.address]);
+    expect(members.total).to.equal(3n);
+    expect((await safeVote.getOrganizationMembersPaged(1, 5, 5)).members).to.deep.equal([]);
+  });
+
+  it("Should page poll voters", async function () {
+    await safeVote.createOrganization("Poll Org", "", true);
+    await safeVote.batchAddMembers(1, [alice.address, bob.address]);
+    await safeVote.createPoll(1, "Question?", 0, ["Yes", "No"], 3600, 0, 3, false);
+    const keys = Array.from({ length: 3 }, () => hre.ethers.hexlify(hre.ethers.randomBytes(32)));
+    await safeVote.commitVotingKeys(1, keys.map((k) => pollKeyHash(1, k)));
+    await safeVote.batchAuthorizeVoters(1, [owner.address, alice.address, bob.address]);
+
+    await safeVote.connect(alice).voteOptions(1, [0], keys[0]);
+    await safeVote.connect(bob).voteOptions(1, [1], keys[1]);
+
+    const page = await safeVote.getPollVotersPaged(1, 1, 1);
+    expect(page.voters).to.deep.equal([bob.address]);
+    expect(page.total).to.equal(2n);
+  });
+
+  it("Should list elections by status and by creator", async function () {
+    await createElection([CHAIR]);
+    await createElection([CHAIR]);
+    await createElection([CHAIR]);
+    await safeVote.cancelElection(2);
+    await safeVote.deleteElection(2);
+    await safeVote.cancelElection(3);
+
+    let page = await safeVote.getElectionsByStatus(STATUS_ACTIVE, 0, 10);
+    expect(page.electionIds).to.deep.equal([1n]);
+    expect(page.total).to.equal(3n);
+    // Deleted elections are skipped
+    page = await safeVote.getElectionsByStatus(STATUS_CANCELLED, 0, 10);
+    expect(page.electionIds).to.deep.equal([3n]);
+    expect((await safeVote.getElectionsByStatus(STATUS_CANCELLED, 0, 2)).electionIds).to.deep.equal([]);
+
+    page = await safeVote.getCreatorElectionsPaged(owner.address, 1, 1);
+    expect(page.electionIds).to.deep.equal([2n]);
+    expect(page.total).to.equal(3n);
+  });
+
+  it("Should return every position's tallies in one call", async function () {
+    const treasurer = { title: "Treasurer", candidates: ["Cy", "Di", "Ed"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 };
+    await createElection([CHAIR, treasurer]);
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+
+    const { tree, keys } = buildVoterTree([alice.address, bob.address]);
+    await safeVote
+      .connect(alice)
+      .vote(1, keys[0], tree.getHexProof(keccak256(keys[0])), [[1], [2]], hre.ethers.ZeroAddress);
+    await safeVote
+      .connect(bob)
+      .vote(1, keys[1], tree.getHexProof(keccak256(keys[1])), [[1], [0]], hre.ethers.ZeroAddress);
+
+    const all = await safeVote.getElectionResultsAll(1);
+    expect(all).to.deep.equal([
+      [0n, 2n],
+      [1n, 0n, 1n],
+    ]);
+    expect((await safeVote.getElectionResults(1, 1)).votesCast).to.deep.equal(all[1]);
+  });
+});
+
+describe("SafeVoteV2 - Results Certification", function () {
+  let safeVote, creator, alice, bob, endTime;
+
+  beforeEach(async function () {
+    [creator, alice, bob] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    const { tree, keys } = buildVoterTree([alice.address, bob.address]);
+
+    const block = await hre.ethers.provider.getBlock("latest");
+    endTime = block.timestamp + 3600;
+    await safeVote.createElection(
+      "Board Election",
+      "",
+      "",
+      block.timestamp + 100,
+      endTime,
+      2,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      [
+        { title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 },
+        { title: "Treasurer", candidates: ["Cy", "Di", "Ed"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 },
+      ],
+      DEFAULT_SETTINGS
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+
+    await safeVote
+      .connect(alice)
+      .vote(1, keys[0], tree.getHexProof(keccak256(keys[0])), [[1], [2]], hre.ethers.ZeroAddress);
+    await safeVote
+      .connect(bob)
+      .vote(1, keys[1], tree.getHexProof(keccak256(keys[1])), [[1], [2]], hre.ethers.ZeroAddress);
+  });
+
+  async function complete() {
+    await hre.ethers.provider.send("evm_setNextBlockTimestamp", [endTime + 1]);
+    await hre.ethers.provider.send("evm_mine");
+    await safeVote.completeElection(1);
+  }
+
+  it("Should only certify a completed election", async function () {
+    await expect(safeVote.certifyResults(1)).to.be.revertedWith("Not completed");
+    await complete();
+    await expect(safeVote.connect(alice).certifyResults(1)).to.be.revertedWith("Not admin");
+  });
+
+  it("Should record a results hash that the verifier recomputes", async function () {
+    await complete();
+
+    const results = await readResults(safeVote, 1);
+    expect(results.certification).to.equal(null);
+    expect(results.votesCast).to.deep.equal([["0", "2"], ["0", "0", "2"]]);
+    expect(results.winners).to.deep.equal(["1", "2"]);
+    const resultsHash = computeResultsHash(results);
+
+    await expect(safeVote.certifyResults(1))
+      .to.emit(safeVote, "ResultsCertifiedV2")
+      .withArgs(1, resultsHash, [1n, 2n], 2, creator.address, anyValue);
+
+    const [certifiedHash, certifiedAt, certifiedBy] = await safeVote.getCertification(1);
+    expect(certifiedHash).to.equal(resultsHash);
+    expect(certifiedAt).to.be.greaterThan(0n);
+    expect(certifiedBy).to.equal(creator.address);
+    expect((await readResults(safeVote, 1)).certification.resultsHash).to.equal(resultsHash);
+
+    // A doctored export no longer matches
+    expect(computeResultsHash({ ...results, votesCast: [["0", "2"], ["0", "1", "1"]] })).to.not.equal(resultsHash);
+    await expect(safeVote.certifyResults(1)).to.be.revertedWith("Already certified");
+  });
+
+  it("Should not delete a certified election", async function () {
+    await complete();
+    await safeVote.certifyResults(1);
+    await expect(safeVote.deleteElection(1)).to.be.revertedWith("Results certified");
+  });
+});
+
+describe("SafeVoteV2 - Token Eligibility", function () {
+  let safeVote, token, alice, bob, carol, snapshotBlock;
+
+  // Address-bound voter key: address in the low 160 bits, weighted-roll weight above it
+  function addressKey(addr, weight = 0n) {
+    return hre.ethers.toBeHex((BigInt(weight) << 160n) | BigInt(addr), 32);
+  }
+
+  function castBallot(signer, key, votes, proof = [], delegateTo = hre.ethers.ZeroAddress) {
+    return safeVote.connect(signer).vote(1, key, proof, votes, delegateTo);
+  }
+
+  async function createElection(settings, root = hre.ethers.ZeroHash) {
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "DAO Vote",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      150,
+      root,
+      true,
+      false,
+      true,
+      [{ title: "Proposal", candidates: ["For", "Against"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      { ...DEFAULT_SETTINGS, ...settings }
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  }
+
+  async function tally() {
+    return (await safeVote.getElectionResults(1, 0)).votesCast;
+  }
+
+  beforeEach(async function () {
+    [, alice, bob, carol] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    token = await hre.ethers.deployContract("MockVotesToken");
+
+    snapshotBlock = await hre.ethers.provider.getBlockNumber();
+    await token.setPastVotes(alice.address, snapshotBlock, 100);
+    await token.setPastVotes(bob.address, snapshotBlock, 50);
+  });
+
+  it("Should validate the eligibility settings", async function () {
+    const tokenAddress = await token.getAddress();
+    await expect(createElection({ eligibility: TOKEN_WEIGHTED, snapshotBlock }))
+      .to.be.revertedWith("Invalid eligibility");
+    await expect(createElection({ eligibility: TOKEN_WEIGHTED, token: tokenAddress, snapshotBlock: snapshotBlock + 100 }))
+      .to.be.revertedWith("Invalid eligibility");
+    await expect(createElection({ token: tokenAddress }, hre.ethers.id("root")))
+      .to.be.revertedWith("Invalid eligibility");
+    await expect(createElection({ eligibility: WEIGHTED_ROLL })).to.be.revertedWith("Invalid root");
+  });
+
+  it("Should weight ballots by past votes at the snapshot", async function () {
+    await createElection({ eligibility: TOKEN_WEIGHTED, token: await token.getAddress(), snapshotBlock });
+
+    // Balances after the snapshot do not count
+    await token.setPastVotes(carol.address, snapshotBlock + 5, 500);
+
+    await castBallot(alice, addressKey(alice.address), [[0]]);
+    await castBallot(bob, addressKey(bob.address), [[1]]);
+    await expect(castBallot(carol, addressKey(carol.address), [[1]])).to.be.revertedWith("Not eligible");
+    await expect(castBallot(carol, addressKey(alice.address), [[1]])).to.be.revertedWith("Invalid key");
+
+    expect(await tally()).to.deep.equal([100n, 50n]);
+    expect((await safeVote.getElection(1)).totalVotesCast).to.equal(150n);
+  });
+
+  it("Should give token holders one vote each when gated", async function () {
+    await createElection({ eligibility: TOKEN_GATED, token: await token.getAddress(), snapshotBlock });
+
+    await castBallot(alice, addressKey(alice.address), [[0]]);
+    await castBallot(bob, addressKey(bob.address), [[0]]);
+    await expect(castBallot(carol, addressKey(carol.address), [[1]])).to.be.revertedWith("Not eligible");
+
+    expect(await tally()).to.deep.equal([2n, 0n]);
+  });
+
+  it("Should carry token weight through delegation and its override", async function () {
+    await createElection({ eligibility: TOKEN_WEIGHTED, token: await token.getAddress(), snapshotBlock });
+
+    await castBallot(alice, addressKey(alice.address), [], [], bob.address);
+    expect((await safeVote.resolveDelegate(1, alice.address)).weight).to.equal(100n);
+
+    await expect(castBallot(alice, addressKey(alice.address), [[1]]))
+      .to.emit(safeVote, "DelegationRevokedV2")
+      .withArgs(1, alice.address, bob.address, 100, anyValue);
+    await castBallot(bob, addressKey(bob.address), [[0]]);
+
+    expect(await tally()).to.deep.equal([50n, 100n]);
+  });
+
+  it("Should verify weights against an off-chain snapshot roll", async function () {
+    const roll = [[alice.address, 30n], [bob.address, 12n]];
+    const keys = roll.map(([addr, weight]) => addressKey(addr, weight));
+    const tree = new MerkleTree(keys.map((k) => keccak256(k)), keccak256, { sortPairs: true });
+    await createElection({ eligibility: WEIGHTED_ROLL, snapshotBlock }, tree.getHexRoot());
+
+    const forged = addressKey(bob.address, 99n);
+    await expect(castBallot(bob, forged, [[1]], tree.getHexProof(keccak256(keys[1]))))
+      .to.be.revertedWith("Invalid key");
+    await expect(castBallot(carol, keys[1], [[1]], tree.getHexProof(keccak256(keys[1]))))
+      .to.be.revertedWith("Invalid key");
+
+    await castBallot(alice, keys[0], [[0]], tree.getHexProof(keccak256(keys[0])));
+    await castBallot(bob, keys[1], [[1]], tree.getHexProof(keccak256(keys[1])));
+    expect(await tally()).to.deep.equal([30n, 12n]);
+  });
+});
+
+describe("SafeVoteV2 - Address-Bound Keys", function () {
+  let safeVote, batch, owner, alice, bob, mallory, tree, keys;
+
+  // Bound leaf: keccak256(abi.encode(voterAddress, voterKey))
+  function boundLeaf(addr, key) {
+    return keccak256(hre.ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [addr, key]));
+  }
+
+  async function createElection(root, settings = {}) {
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "Board Election",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      2,
+      root,
+      true,
+      false,
+      false,
+      [{ title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      { ...DEFAULT_SETTINGS, addressBoundLeaf: true, ...settings }
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  }
+
+  async function signedVote(signer, voter, key, proof, votes) {
+    const nonce = await batch.getNonce(voter);
+    const vote = { electionId: 1, voterKey: key, votes, voter, nonce, deadline: hre.ethers.MaxUint256 };
+    return signBallot(batch, signer, vote, proof);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, mallory] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    batch = await hre.ethers.deployContract("BatchVoteSubmitter", [await safeVote.getAddress()]);
+    await safeVote.setBatchSubmitter(await batch.getAddress());
+
+    keys = [alice, bob].map(v => "0x" + keccak256(v.address + "bound").toString("hex"));
+    tree = new MerkleTree([boundLeaf(alice.address, keys[0]), boundLeaf(bob.address, keys[1])], keccak256, {
+      sortPairs: true,
+    });
+    await createElection(tree.getHexRoot());
+  });
+
+  it("Should only accept a bound key from its own wallet", async function () {
+    const proof = tree.getHexProof(boundLeaf(alice.address, keys[0]));
+
+    await expect(safeVote.connect(mallory).vote(1, keys[0], proof, [[1]], hre.ethers.ZeroAddress))
+      .to.be.revertedWith("Invalid key");
+    await expect(safeVote.connect(alice).vote(1, keys[0], proof, [[0]], hre.ethers.ZeroAddress))
+      .to.emit(safeVote, "VoteCastV2")
+      .withArgs(1, anyValue, alice.address, false, anyValue, anyValue);
+  });
+
+  it("Should select the leaf format per election", async function () {
+    // A key-only leaf does not verify where leaves are bound, and vice versa
+    const keyOnly = new MerkleTree([keccak256(keys[0]), keccak256(keys[1])], keccak256, { sortPairs: true });
+    await createElection(keyOnly.getHexRoot(), { addressBoundLeaf: false });
+
+    await expect(
+      safeVote.connect(alice).vote(1, keys[0], keyOnly.getHexProof(keccak256(keys[0])), [[0]], hre.ethers.ZeroAddress)
+    ).to.be.revertedWith("Invalid key");
+    await expect(
+      safeVote
+        .connect(alice)
+        .vote(2, keys[0], tree.getHexProof(boundLeaf(alice.address, keys[0])), [[0]], hre.ethers.ZeroAddress)
+    ).to.be.revertedWith("Invalid key");
+
+    await safeVote.connect(mallory).vote(2, keys[0], keyOnly.getHexProof(keccak256(keys[0])), [[0]], hre.ethers.ZeroAddress);
+    expect((await safeVote.getElectionResults(2, 0)).votesCast).to.deep.equal([1n, 0n]);
+  });
+
+  it("Should check relayed ballots against the signer", async function () {
+    const aliceVote = await signedVote(alice, alice.address, keys[0], tree.getHexProof(boundLeaf(alice.address, keys[0])), [[0]]);
+    await expect(batch.submitBatch([aliceVote]))
+      .to.emit(safeVote, "VoteCastV2")
+      .withArgs(1, anyValue, alice.address, false, anyValue, anyValue);
+
+    // Mallory signs for herself with Bob's leaked key
+    const stolen = await signedVote(mallory, mallory.address, keys[1], tree.getHexProof(boundLeaf(bob.address, keys[1])), [[1]]);
+    await expect(batch.submitBatch([stolen]))
+      .to.emit(batch, "VoteRejected")
+      .withArgs(mallory.address, 1, anyValue, hre.ethers.encodeBytes32String("Invalid key"));
+    expect(await batch.getNonce(mallory.address)).to.equal(0n);
+
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([1n, 0n]);
+  });
+
+  it("Should only take relayed ballots from the batch submitter", async function () {
+    const proof = tree.getHexProof(boundLeaf(alice.address, keys[0]));
+    await expect(safeVote.connect(mallory).voteFor(alice.address, 1, keys[0], proof, [[0]]))
+      .to.be.revertedWith("Not batch submitter");
+    await expect(safeVote.connect(mallory).setBatchSubmitter(mallory.address))
+      .to.be.revertedWithCustomError(safeVote, "OwnableUnauthorizedAccount");
+
+    await expect(safeVote.setBatchSubmitter(owner.address))
+      .to.emit(safeVote, "BatchSubmitterUpdated")
+      .withArgs(await batch.getAddress(), owner.address);
+    await safeVote.voteFor(alice.address, 1, keys[0], proof, [[0]]);
+    expect((await safeVote.getElection(1)).totalVotesCast).to.equal(1n);
+  });
+});
+
+describe("SafeVoteV2 - Anonymous Voting", function () {
+  // Built by scripts/zk/build-circuit.js together with contracts/zk/AnonymousVoteVerifier.sol
+  // (npm test builds all three if any is missing)
+  const WASM = "voting-ui/public/zk/anonymousVote.wasm";
+  const ZKEY = "voting-ui/public/zk/anonymousVote.zkey";
+  const TREE_DEPTH = 16;
+
+  let safeVote, batch, owner, alice, bob, mallory, tree, keys, identities;
+
+  this.timeout(120000);
+
+  // Path to leaves[index] in the depth-16 Poseidon tree kept by IdentityTreeLib
+  function identityPath(leaves, index) {
+    const siblings = [];
+    const pathIndices = [];
+    let level = leaves;
+    let zero = 0n;
+    for (let d = 0, i = index; d < TREE_DEPTH; d++, i >>= 1) {
+      siblings.push(level[i ^ 1] ?? zero);
+      pathIndices.push(i & 1);
+      const next = [];
+      for (let j = 0; j < level.length; j += 2) next.push(poseidon2([level[j], level[j + 1] ?? zero]));
+      level = next;
+      zero = poseidon2([zero, zero]);
+    }
+    return { root: level[0], siblings, pathIndices };
+  }
+
+  async function proveBallot(identity, leaves, votes, electionId = 1) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const externalNullifier =
+      BigInt(
+        hre.ethers.solidityPackedKeccak256(
+          ["uint256", "address", "uint256"],
+          [chainId, await safeVote.getAddress(), electionId]
+        )
+      ) >> 8n;
+    const signalHash =
+      BigInt(hre.ethers.keccak256(hre.ethers.AbiCoder.defaultAbiCoder().encode(["uint256[][]"], [votes]))) >> 8n;
+
+    const path = identityPath(leaves, leaves.indexOf(identity.commitment));
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+      {
+        identityNullifier: identity.nullifier,
+        identityTrapdoor: identity.trapdoor,
+        treePathIndices: path.pathIndices,
+        treeSiblings: path.siblings,
+        signalHash,
+        externalNullifier,
+      },
+      WASM,
+      ZKEY
+    );
+    return {
+      electionId,
+      root: publicSignals[0],
+      nullifierHash: publicSignals[1],
+      votes,
+      proof: [
+        proof.pi_a[0], proof.pi_a[1],
+        proof.pi_b[0][1], proof.pi_b[0][0], proof.pi_b[1][1], proof.pi_b[1][0],
+        proof.pi_c[0], proof.pi_c[1],
+      ],
+    };
+  }
+
+  function anonymousVote(safeVoteAs, ballot) {
+    return safeVoteAs.castAnonymousVote(ballot.electionId, ballot.root, ballot.nullifierHash, ballot.votes, ballot.proof);
+  }
+
+  async function createElection(settings = {}) {
+    const block = await hre.ethers.provider.getBlock("latest");
+    return safeVote.createElection(
+      "Union Ballot",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      2,
+      tree.getRoot(),
+      true,
+      true,
+      false,
+      [{ title: "Steward", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      { ...DEFAULT_SETTINGS, zkAnonymous: true, ...settings }
+    );
+  }
+
+  async function register(signer, index) {
+    const proof = tree.getHexProof(keccak256(keys[index]));
+    return safeVote.connect(signer).registerIdentity(1, keys[index], proof, identities[index].commitment);
+  }
+
+  before(async function () {
+    identities = [1n, 2n].map(seed => {
+      const nullifier = BigInt(hre.ethers.id(`nullifier-${seed}`)) >> 8n;
+      const trapdoor = BigInt(hre.ethers.id(`trapdoor-${seed}`)) >> 8n;
+      return { nullifier, trapdoor, commitment: poseidon2([nullifier, trapdoor]) };
+    });
+  });
+
+  beforeEach(async function () {
+    [owner, alice, bob, mallory] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    batch = await hre.ethers.deployContract("BatchVoteSubmitter", [await safeVote.getAddress()]);
+    const verifier = await hre.ethers.deployContract("AnonymousVoteVerifier");
+    const poseidon = await hre.ethers.deployContract("PoseidonT3");
+    await safeVote.setAnonymousVoteContracts(await verifier.getAddress(), await poseidon.getAddress());
+
+    ({ tree, keys } = buildVoterTree([alice.address, bob.address]));
+    await createElection();
+  });
+
+  after(async function () {
+    // snarkjs keeps worker threads for the curve alive until told otherwise
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  it("Should count a proven ballot without recording who cast it", async function () {
+    await expect(register(alice, 0))
+      .to.emit(safeVote, "IdentityRegisteredV2")
+      .withArgs(1, anyValue, identities[0].commitment, 0, anyValue, anyValue);
+    await register(bob, 1);
+
+    const leaves = identities.map(identity => identity.commitment);
+    const [root, size] = await safeVote.identityTree(1);
+    expect(root).to.equal(identityPath(leaves, 0).root);
+    expect(size).to.equal(2n);
+
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+
+    const ballot = await proveBallot(identities[0], leaves, [[1]]);
+    await expect(anonymousVote(safeVote.connect(mallory), ballot))
+      .to.emit(safeVote, "VoteCastV2")
+      .withArgs(1, hre.ethers.toBeHex(ballot.nullifierHash, 32), hre.ethers.ZeroAddress, true, anyValue, anyValue);
+
+    expect(await safeVote.nullifierUsed(1, ballot.nullifierHash)).to.equal(true);
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([0n, 1n]);
+    expect((await safeVote.getElection(1)).totalVotesCast).to.equal(1n);
+  });
+
+  it("Should reject a swapped ballot and a reused nullifier", async function () {
+    await register(alice, 0);
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+
+    const ballot = await proveBallot(identities[0], [identities[0].commitment], [[0]]);
+    await expect(anonymousVote(safeVote, { ...ballot, votes: [[1]] })).to.be.revertedWith("Invalid proof");
+    await expect(anonymousVote(safeVote, { ...ballot, root: 1n })).to.be.revertedWith("Unknown root");
+
+    await anonymousVote(safeVote, ballot);
+    await expect(anonymousVote(safeVote, ballot)).to.be.revertedWith("Nullifier used");
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([1n, 0n]);
+  });
+
+  it("Should relay anonymous ballots through the BatchVoteSubmitter", async function () {
+    await register(alice, 0);
+    await register(bob, 1);
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+
+    const leaves = identities.map(identity => identity.commitment);
+    const ballot = await proveBallot(identities[1], leaves, [[0]]);
+
+    // The duplicate is skipped rather than failing the batch
+    await expect(batch.submitAnonymousBatch([ballot, ballot]))
+      .to.emit(batch, "BatchProcessed")
+      .withArgs(1, 1, owner.address)
+      .and.to.emit(batch, "VoteRejected")
+      .withArgs(
+        hre.ethers.ZeroAddress,
+        1,
+        hre.ethers.toBeHex(ballot.nullifierHash, 32),
+        hre.ethers.encodeBytes32String("Nullifier used")
+      );
+    await expect(batch.connect(mallory).submitAnonymousBatch([ballot]))
+      .to.be.revertedWith("Not authorized relayer");
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([1n, 0n]);
+  });
+
+  it("Should only spend keys on identity registration", async function () {
+    const proof = tree.getHexProof(keccak256(keys[0]));
+    await register(alice, 0);
+    await expect(register(alice, 0)).to.be.revertedWith("Key used");
+    await expect(safeVote.connect(bob).registerIdentity(1, keys[1], proof, 7n)).to.be.revertedWith("Invalid key");
+
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+    await expect(
+      safeVote.connect(bob).vote(1, keys[1], tree.getHexProof(keccak256(keys[1])), [[0]], hre.ethers.ZeroAddress)
+    ).to.be.revertedWith("Anonymous election");
+
+    // Proofs carry no weight, delegate or replacement ballot
+    await expect(createElection({ allowRevote: true })).to.be.revertedWith("Invalid anonymous mode");
+    await expect(createElection({ eligibility: WEIGHTED_ROLL })).to.be.revertedWith("Invalid anonymous mode");
+  });
+});
+
+describe("SafeVoteV2 - Typed Ballot Signatures", function () {
+  let safeVote, batch, owner, alice, bob, tree, keys;
+
+  async function ballotFor(voter, index, overrides = {}) {
+    return {
+      electionId: 1,
+      voterKey: keys[index],
+      votes: [[0]],
+      voter,
+      nonce: await batch.getNonce(voter),
+      deadline: (await hre.ethers.provider.getBlock("latest")).timestamp + 600,
+      ...overrides,
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    batch = await hre.ethers.deployContract("BatchVoteSubmitter", [await safeVote.getAddress()]);
+    await safeVote.setBatchSubmitter(await batch.getAddress());
+
+    ({ tree, keys } = buildVoterTree([alice.address, bob.address]));
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "Relayed Election",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      2,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      [{ title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      DEFAULT_SETTINGS
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  });
+
+  it("Should sign ballots under a domain bound to the chain and submitter", async function () {
+    const domain = await batch.eip712Domain();
+    expect(domain.chainId).to.equal((await hre.ethers.provider.getNetwork()).chainId);
+    expect(domain.verifyingContract).to.equal(await batch.getAddress());
+
+    const vote = await ballotFor(alice.address, 0, { votes: [[1]] });
+    const signed = await signBallot(batch, alice, vote, tree.getHexProof(keccak256(keys[0])));
+    const digest = hre.ethers.TypedDataEncoder.hash(
+      { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+      VOTE_TYPES,
+      vote
+    );
+    expect(await batch.hashVote(vote.electionId, vote.voterKey, vote.votes, vote.voter, vote.nonce, vote.deadline))
+      .to.equal(digest);
+
+    await expect(batch.submitBatch([signed]))
+      .to.emit(safeVote, "VoteCastV2")
+      .withArgs(1, anyValue, alice.address, false, anyValue, anyValue);
+    expect((await safeVote.getElectionResults(1, 0)).votesCast).to.deep.equal([0n, 1n]);
+  });
+
+  it("Should reject expired signatures and signatures for another deployment", async function () {
+    const proof = tree.getHexProof(keccak256(keys[0]));
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+
+    const expired = await signBallot(batch, alice, await ballotFor(alice.address, 0, { deadline: now }), proof);
+    await expect(batch.submitBatch([expired]))
+      .to.emit(batch, "VoteRejected")
+      .withArgs(alice.address, 1, anyValue, hre.ethers.encodeBytes32String("Expired"));
+
+    // Same contract address on another chain, or another submitter on this one
+    const otherChain = await signBallot(batch, alice, await ballotFor(alice.address, 0), proof, { chainId: 84532 });
+    await expect(batch.submitBatch([otherChain]))
+      .to.emit(batch, "VoteRejected")
+      .withArgs(alice.address, 1, anyValue, hre.ethers.encodeBytes32String("Invalid signature"));
+    const otherSubmitter = await hre.ethers.deployContract("BatchVoteSubmitter", [await safeVote.getAddress()]);
+    const misdirected = await signBallot(otherSubmitter, alice, await ballotFor(alice.address, 0), proof);
+    await expect(batch.submitBatch([misdirected]))
+      .to.emit(batch, "VoteRejected")
+      .withArgs(alice.address, 1, anyValue, hre.ethers.encodeBytes32String("Invalid signature"));
+
+    expect(await batch.getNonce(alice.address)).to.equal(0n);
+  });
+
+  it("Should accept ERC-1271 signatures from contract wallets", async function () {
+    const wallet = await hre.ethers.deployContract("MockERC1271Wallet", [alice.address]);
+    const walletAddress = await wallet.getAddress();
+    const proof = tree.getHexProof(keccak256(keys[0]));
+
+    // Only the wallet's owner key can sign for it
+    const forged = await signBallot(batch, bob, await ballotFor(walletAddress, 0), proof);
+    await expect(batch.submitBatch([forged]))
+      .to.emit(batch, "VoteRejected")
+      .withArgs(walletAddress, 1, anyValue, hre.ethers.encodeBytes32String("Invalid signature"));
+
+    const signed = await signBallot(batch, alice, await ballotFor(walletAddress, 0), proof);
+    await expect(batch.submitBatch([signed]))
+      .to.emit(safeVote, "VoteCastV2")
+      .withArgs(1, anyValue, walletAddress, false, anyValue, anyValue);
+    expect(await batch.getNonce(walletAddress)).to.equal(1n);
+  });
+
+  it("Should report why each ballot in a batch was rejected", async function () {
+    const aliceProof = tree.getHexProof(keccak256(keys[0]));
+    const bobProof = tree.getHexProof(keccak256(keys[1]));
+    const aliceVote = await signBallot(batch, alice, await ballotFor(alice.address, 0), aliceProof);
+    const bobNonce = await signBallot(batch, bob, await ballotFor(bob.address, 1, { nonce: 3 }), bobProof);
+    const bobCandidate = await signBallot(batch, bob, await ballotFor(bob.address, 1, { votes: [[5]] }), bobProof);
+    const reason = hre.ethers.encodeBytes32String;
+
+    // Relayers can drop bad ballots before paying for them
+    expect(await batch.validateBatch([aliceVote, aliceVote, bobNonce, bobCandidate])).to.deep.equal([
+      hre.ethers.ZeroHash,
+      reason("Already processed"),
+      reason("Invalid nonce"),
+      reason("Invalid candidate"),
+    ]);
+
+    const aliceHash = await batch.hashVote(1, keys[0], [[0]], alice.address, 0, aliceVote.deadline);
+    await expect(batch.submitBatch([aliceVote, aliceVote, bobNonce, bobCandidate]))
+      .to.emit(batch, "VoteQueued")
+      .withArgs(alice.address, 1, aliceHash)
+      .and.to.emit(batch, "VoteRejected")
+      .withArgs(alice.address, 1, aliceHash, reason("Already processed"))
+      .and.to.emit(batch, "VoteRejected")
+      .withArgs(bob.address, 1, anyValue, reason("Invalid candidate"))
+      .and.to.emit(batch, "BatchProcessed")
+      .withArgs(1, 1, owner.address);
+    expect(await batch.getNonce(bob.address)).to.equal(0n);
+
+    // A batch with nothing to count still lands, so its rejections are on record
+    await expect(batch.submitBatch([bobCandidate]))
+      .to.emit(batch, "BatchProcessed")
+      .withArgs(1, 0, owner.address);
+    expect(await batch.validateBatch([aliceVote])).to.deep.equal([reason("Already processed")]);
+  });
+});
+
+describe("SafeVoteV2 - Relayer Sponsorship", function () {
+  let safeVote, batch, owner, relayer, alice, bob, tree, keys;
+
+  async function signedFor(signer, index) {
+    const vote = {
+      electionId: 1,
+      voterKey: keys[index],
+      votes: [[0]],
+      voter: signer.address,
+      nonce: await batch.getNonce(signer.address),
+      deadline: (await hre.ethers.provider.getBlock("latest")).timestamp + 600,
+    };
+    return signBallot(batch, signer, vote, tree.getHexProof(keccak256(keys[index])));
+  }
+
+  beforeEach(async function () {
+    [owner, relayer, alice, bob] = await hre.ethers.getSigners();
+
+    safeVote = await deploySafeVote();
+    batch = await hre.ethers.deployContract("BatchVoteSubmitter", [await safeVote.getAddress()]);
+    await safeVote.setBatchSubmitter(await batch.getAddress());
+    await batch.addRelayer(relayer.address);
+
+    ({ tree, keys } = buildVoterTree([alice.address, bob.address]));
+    const block = await hre.ethers.provider.getBlock("latest");
+    await safeVote.createElection(
+      "Sponsored Election",
+      "",
+      "",
+      block.timestamp + 100,
+      block.timestamp + 3600,
+      2,
+      tree.getRoot(),
+      true,
+      false,
+      false,
+      [{ title: "Chair", candidates: ["Ann", "Ben"], maxSelections: 1, ballotType: PLURALITY, winThreshold: 0 }],
+      DEFAULT_SETTINGS
+    );
+    await hre.ethers.provider.send("evm_increaseTime", [200]);
+    await hre.ethers.provider.send("evm_mine");
+  });
+
+  it("Should only take deposits from the creator of an active election", async function () {
+    const amount = hre.ethers.parseEther("1");
+    const cap = hre.ethers.parseEther("0.001");
+
+    await expect(batch.connect(alice).depositSponsorship(1, cap, { value: amount })).to.be.revertedWith("Not creator");
+    await expect(batch.depositSponsorship(1, 0, { value: amount })).to.be.revertedWith("Invalid sponsorship");
+    await expect(batch.depositSponsorship(1, cap, { value: amount }))
+      .to.emit(batch, "SponsorshipDeposited")
+      .withArgs(1, owner.address, amount, cap);
+
+    const sponsorship = await batch.getSponsorship(1);
+    expect(sponsorship.sponsor).to.equal(owner.address);
+    expect(sponsorship.balance).to.equal(amount);
+    expect(sponsorship.remainingVotes).to.equal(1000n);
+  });
+
+  it("Should reimburse relayers per counted vote up to the cap", async function () {
+    const cap = 1000n; // wei, far below the real gas cost
+    await batch.depositSponsorship(1, cap, { value: hre.ethers.parseEther("1") });
+
+    const ballots = [await signedFor(alice, 0), await signedFor(bob, 1)];
+    await expect(batch.connect(relayer).submitBatch(ballots))
+      .to.emit(batch, "RelayerReimbursed")
+      .withArgs(1, relayer.address, 2, 2n * cap);
+    expect(await batch.relayerCredits(relayer.address)).to.equal(2n * cap);
+
+    // Nothing counted, nothing paid
+    await expect(batch.connect(relayer).submitBatch([ballots[0]])).not.to.emit(batch, "RelayerReimbursed");
+
+    await expect(batch.connect(relayer).claimReimbursement()).to.changeEtherBalances(
+      [batch, relayer],
+      [-2n * cap, 2n * cap]
+    );
+    await expect(batch.connect(relayer).claimReimbursement()).to.be.revertedWith("Nothing to claim");
+
+    const sponsorship = await batch.getSponsorship(1);
+    expect(sponsorship.votesReimbursed).to.equal(2n);
+    expect(sponsorship.totalReimbursed).to.equal(2n * cap);
+  });
+
+  it("Should pay the measured gas cost when it is under the cap", async function () {
+    await batch.depositSponsorship(1, hre.ethers.parseEther("1"), { value: hre.ethers.parseEther("1") });
+
+    const tx = await batch.connect(relayer).submitBatch([await signedFor(alice, 0)]);
+    const receipt = await tx.wait();
+    const credit = await batch.relayerCredits(relayer.address);
+    const cost = receipt.gasUsed * receipt.gasPrice;
+
+    // An estimate: within a fifth of what the relayer actually paid
+    expect(credit).to.be.greaterThan((cost * 4n) / 5n);
+    expect(credit).to.be.lessThan((cost * 6n) / 5n);
+  });
+
+  it("Should return unused funds to the sponsor once the election is over", async function () {
+    const amount = hre.ethers.parseEther("1");
+    await batch.depositSponsorship(1, 1000n, { value: amount });
+    await batch.connect(relayer).submitBatch([await signedFor(alice, 0)]);
+
+    await expect(batch.withdrawSponsorship(1)).to.be.revertedWith("Election not over");
+    await expect(batch.connect(alice).withdrawSponsorship(1)).to.be.revertedWith("Not sponsor");
+
+    await hre.ethers.provider.send("evm_increaseTime", [3600]);
+    await hre.ethers.provider.send("evm_mine");
+    await safeVote.completeElection(1);
+    await expect(batch.depositSponsorship(1, 1000n, { value: amount })).to.be.revertedWith("Not active");
+
+    await expect(batch.withdrawSponsorship(1)).to.changeEtherBalances([batch, owner], [-(amount - 1000n), amount - 1000n]);
+    await expect(batch.withdrawSponsorship(1)).to.be.revertedWith("Nothing to withdraw");
   });
-});
\ No newline at end of file
+});
@@ -10,6 +10,30 @@ import { Storage } from './storage.js';
 import { UI } from './ui.js';
 import { ImmutableLoader } from './persistentCache.js';
 
+// Key hashes per commitVotingKeys transaction
+const KEY_COMMIT_CHUNK = 100;
+
+// Org ids scanned per getPublicOrganizationsPaged call
+const ORG_PAGE_SIZE = 500;
+
+// EIP-712 invitations checked by SafeVote.joinWithInvite (contracts/libraries/InviteLib.sol)
+const INVITE_TYPES = {
+  Invite: [
+    { name: 'orgId', type: 'uint256' },
+    { name: 'invitee', type: 'address' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+const INVITE_STATUS_LABELS = ['Open', 'Redeemed', 'Revoked'];
+
+// RolesLib.Role: every org admin can manage members and sign invites
+const ROLE_ADMIN = 1;
+
+// PollLib.PollType / PollLib.PollOutcome
+const POLL_TYPE = { YES_NO: 0, MULTIPLE_CHOICE: 1, RANKED: 2 };
+const POLL_OUTCOME_LABELS = ['Pending', 'Decided', 'Tie', 'Quorum Not Met'];
+
 export const Contract = {
   provider: null,
   signer: null,
@@ -215,24 +239,56 @@ export const Contract = {
   async joinPrivateOrg(event) {
     event.preventDefault();
 
-    const orgId = document.getElementById('privateOrgIdInput').value;
-    const secretKey = document.getElementById('privateOrgKeyInput').value.trim();
+    if (!this.contract) {
+      Utils.showNotification('Please connect your wallet first', 'error');
+      return;
+    }
+
+    let invite;
+    try {
+      invite = this.decodeInvite(document.getElementById('privateOrgInviteInput').value);
+    } catch {
+      Utils.showNotification('That does not look like a SafeVote invite', 'error');
+      return;
+    }
 
     try {
-      Utils.showLoading('Verifying access...');
+      Utils.showLoading('Joining organization...');
 
-      const isValid = await this.contract.verifyPrivateOrgAccess(orgId, secretKey);
+      const { signature, code, ...value } = invite;
 
-      if (isValid) {
-        Utils.showNotification('Access verified! Opening organization...', 'success');
-        UI.closeModal('joinOrgModal');
-        await UI.openOrganization(orgId);
-      } else {
-        Utils.showNotification('Invalid secret key', 'error');
+      // Code invites: prove we hold the code by signing our own address with it
+      let codeSignature = '0x';
+      if (code) {
+        const digest = ethers.utils._TypedDataEncoder.hash(await this.inviteDomain(), INVITE_TYPES, value);
+        const claim = ethers.utils.keccak256(
+          ethers.utils.defaultAbiCoder.encode(['bytes32', 'address'], [digest, this.currentAccount])
+        );
+        codeSignature = await new ethers.Wallet(code).signMessage(ethers.utils.arrayify(claim));
       }
+
+      const tx = await this.contract.joinWithInvite(value, signature, codeSignature);
+      await tx.wait();
+
+      Utils.showNotification('Welcome! Opening organization...', 'success');
+      UI.closeModal('joinOrgModal');
+      document.getElementById('privateOrgInviteInput').value = '';
+      ImmutableLoader.invalidateAfterAction('addMember', { orgId: value.orgId });
+
+      await this.loadMyOrgs();
+      await UI.openOrganization(value.orgId);
     } catch (error) {
       console.error('Join error:', error);
-      Utils.showNotification('Failed to verify access', 'error');
+      const msg = error.message.includes('Invite expired')
+        ? 'This invite has expired'
+        : error.message.includes('Invite not available')
+        ? 'This invite was already used or has been revoked'
+        : error.message.includes('Already a member')
+        ? 'You are already a member of this organization'
+        : error.message.includes('Invalid invite')
+        ? 'This invite is not valid for your account'
+        : 'Failed to join organization';
+      Utils.showNotification(msg, 'error');
     } finally {
       Utils.hideLoading();
     }
@@ -244,7 +300,14 @@ export const Contract = {
     try {
       let publicOrgIds = [];
       try {
-        publicOrgIds = await this.contract.getPublicOrganizations();
+        let offset = 0;
+        let total;
+        do {
+          const page = await this.contract.getPublicOrganizationsPaged(offset, ORG_PAGE_SIZE);
+          publicOrgIds.push(...page.orgIds);
+          total = page.total.toNumber();
+          offset += ORG_PAGE_SIZE;
+        } while (offset < total);
       } catch (error) {
         if (error.code === 'CALL_EXCEPTION' && (error.data === '0x' || error.data === null)) {
           console.info('No public organizations — normal for new deployments');
@@ -580,26 +643,150 @@ export const Contract = {
   async loadOrgSettings(orgId) {
     try {
       const org = await this.contract.getOrganization(orgId);
+      const roles = await this.contract.getOrganizationRoles(orgId);
       const isAdmin =
-        this.currentAccount && org[2].toLowerCase() === this.currentAccount.toLowerCase();
+        !!this.currentAccount &&
+        roles.accounts.some(
+          (account, i) =>
+            roles.roles[i] === ROLE_ADMIN &&
+            account.toLowerCase() === this.currentAccount.toLowerCase()
+        );
 
       document.getElementById('orgVisibility').checked = org[3];
 
+      document.getElementById('orgInviteForm').classList.toggle('hidden', !isAdmin);
       if (isAdmin) {
-        try {
-          const secretKey = await this.contract.getOrganizationSecretKey(orgId);
-          document.getElementById('secretKey').textContent = secretKey;
-        } catch (error) {
-          document.getElementById('secretKey').textContent = 'Error loading key';
-        }
+        await this.loadOrgInvites(orgId);
       } else {
-        document.getElementById('secretKey').textContent = 'Only admin can view';
+        document.getElementById('orgInvites').textContent = 'Only admins can manage invites';
       }
     } catch (error) {
       console.error('Error loading settings:', error);
     }
   },
 
+  /**
+   * Invites are EIP-712 messages signed by the org admin under the SafeVote domain.
+   * With an address they can only be redeemed by that account; without one the invite
+   * names a throwaway key whose private key travels inside the invite as its code.
+   */
+  async inviteDomain() {
+    const { chainId } = await this.provider.getNetwork();
+    return { name: 'SafeVote', version: '1', chainId, verifyingContract: this.contract.address };
+  },
+
+  encodeInvite(invite) {
+    return btoa(JSON.stringify(invite));
+  },
+
+  decodeInvite(text) {
+    const invite = JSON.parse(atob(text.trim()));
+    if (!invite.orgId || !invite.invitee || !invite.signature) throw new Error('Malformed invite');
+    return invite;
+  },
+
+  async createInvite(event) {
+    event.preventDefault();
+    if (!this.contract || !UI.currentOrgId) return;
+
+    const address = document.getElementById('inviteAddressInput').value.trim();
+    const days = parseInt(document.getElementById('inviteExpiryInput').value) || 7;
+
+    if (address && !Utils.isValidAddress(address)) {
+      Utils.showNotification('Invalid invitee address', 'error');
+      return;
+    }
+
+    try {
+      Utils.showLoading('Signing invite...');
+
+      const codeWallet = address ? null : ethers.Wallet.createRandom();
+      const value = {
+        orgId: Number(UI.currentOrgId),
+        invitee: address ? ethers.utils.getAddress(address) : codeWallet.address,
+        expiry: Math.floor(Date.now() / 1000) + days * 86400,
+        nonce: ethers.BigNumber.from(ethers.utils.randomBytes(16)).toString(),
+      };
+      const signature = await this.signer._signTypedData(await this.inviteDomain(), INVITE_TYPES, value);
+
+      const invite = { ...value, signature, ...(codeWallet && { code: codeWallet.privateKey }) };
+      Storage.invites.save(value.orgId, invite);
+
+      document.getElementById('inviteAddressInput').value = '';
+      await Utils.copyInvite(this.encodeInvite(invite));
+      await this.loadOrgInvites(value.orgId);
+    } catch (error) {
+      console.error('Create invite error:', error);
+      Utils.showNotification('Failed to create invite', 'error');
+    } finally {
+      Utils.hideLoading();
+    }
+  },
+
+  async loadOrgInvites(orgId) {
+    const container = document.getElementById('orgInvites');
+    const invites = Storage.invites.get(Number(orgId));
+
+    if (invites.length === 0) {
+      container.textContent = 'No invites created from this browser yet';
+      return;
+    }
+
+    const now = Date.now() / 1000;
+    const statuses = await Promise.all(
+      invites.map((invite) => this.contract.inviteStatus(orgId, invite.nonce))
+    );
+
+    container.innerHTML = invites
+      .map((invite, i) => {
+        const status = INVITE_STATUS_LABELS[statuses[i]];
+        const isOpen = statuses[i] === 0 && invite.expiry > now;
+        const label = statuses[i] === 0 && !isOpen ? 'Expired' : status;
+
+        return `
+          <div class="flex items-center justify-between gap-3 bg-black bg-opacity-30 rounded-lg px-4 py-3">
+            <div>
+              <div class="font-mono">${
+                invite.code ? 'Single-use code' : Utils.formatAddress(invite.invitee)
+              }</div>
+              <div class="text-xs text-gray-400">${label} · expires ${Utils.formatDate(invite.expiry)}</div>
+            </div>
+            ${
+              isOpen
+                ? `<div class="flex gap-2">
+                    <button onclick="Utils.copyInvite('${this.encodeInvite(invite)}')" class="btn-icon" title="Copy invite">
+                      <i class="fas fa-copy"></i>
+                    </button>
+                    <button onclick="Contract.revokeInvite(${orgId}, '${invite.nonce}')" class="btn-icon" title="Revoke invite">
+                      <i class="fas fa-ban"></i>
+                    </button>
+                  </div>`
+                : ''
+            }
+          </div>
+        `;
+      })
+      .join('');
+  },
+
+  async revokeInvite(orgId, nonce) {
+    if (!Utils.confirm('Revoke this invite? It can no longer be used to join.')) return;
+
+    try {
+      Utils.showLoading('Revoking invite...');
+      const tx = await this.contract.revokeInvite(orgId, nonce);
+      await tx.wait();
+
+      Utils.showNotification('Invite revoked', 'success');
+      await this.loadOrgInvites(orgId);
+    } catch (error) {
+      console.error('Revoke invite error:', error);
+      Utils.showNotification('Failed to revoke invite: ' + (error.reason || error.message), 'error');
+    } finally {
+      Utils.hideLoading();
+    }
+  },
+
   async leaveOrganization() {
     if (!this.contract || !UI.currentOrgId) return;
 
@@ -704,18 +891,43 @@ export const Contract = {
     }
   },
 
-  async generateVotingKeys(pollId, _numberOfKeys) {
-    // ... unchanged
+  // Keys are generated here and never leave this browser except through the downloaded
+  // sheets; the contract only stores keccak256(pollId, key) and vote() rejects anything else.
+  hashVotingKey(pollId, key) {
+    return ethers.utils.solidityKeccak256(['uint256', 'bytes32'], [pollId, key]);
+  },
+
+  async generateVotingKeys(pollId, numberOfKeys) {
     try {
       Utils.showLoading('Generating voting keys...');
-      const tx = await this.contract.generateVotingKeys(pollId);
-      const receipt = await tx.wait();
 
-      const keyEvents = receipt.events.filter((e) => e.event === 'VotingKeyGenerated');
-      const keys = keyEvents.map((e) => e.args.keyHash);
+      // Resume a partial commit (e.g. a rejected chunk) instead of exceeding the poll's key count
+      const [, , issued] = await this.contract.checkVotingKey(pollId, ethers.constants.HashZero);
+      const existing = Storage.votingKeys.get(pollId) || [];
+      const remaining = numberOfKeys - issued.toNumber();
+      if (remaining <= 0) {
+        Utils.showNotification('All voting keys for this poll are already committed', 'info');
+        return;
+      }
 
-      Storage.votingKeys.save(pollId, keys);
-      const keysText = keys.map((key, i) => `Key ${i + 1}: ${key}`).join('\n');
+      const keys = Array.from({ length: remaining }, () =>
+        ethers.utils.hexlify(ethers.utils.randomBytes(32))
+      );
+
+      for (let i = 0; i < keys.length; i += KEY_COMMIT_CHUNK) {
+        const chunk = keys.slice(i, i + KEY_COMMIT_CHUNK);
+        Utils.showLoading(`Committing voting keys ${i + 1}-${i + chunk.length} of ${keys.length}...`);
+        const tx = await this.contract.commitVotingKeys(
+          pollId,
+          chunk.map((key) => this.hashVotingKey(pollId, key))
+        );
+        await tx.wait();
+        // Save after every chunk so committed keys survive a later failure
+        Storage.votingKeys.save(pollId, existing.concat(keys.slice(0, i + chunk.length)));
+      }
+
+      const allKeys = existing.concat(keys);
+      const keysText = allKeys.map((key, i) => `Key ${i + 1}: ${key}`).join('\n');
       Utils.downloadFile(keysText, `poll-${pollId}-voting-keys.txt`);
 
       Utils.showNotification('Voting keys generated and downloaded!', 'success');
@@ -728,29 +940,26 @@ export const Contract = {
   },
 
   async retrieveGeneratedKeys(pollId) {
-    // ... unchanged
     try {
-      Utils.showLoading('Retrieving voting keys from blockchain...');
-
-      const poll = await this.contract.getPoll(pollId);
-      const totalKeys = poll.totalVotingKeys.toNumber();
-
-      // Get all VotingKeyGenerated events for this poll
-      const filter = this.contract.filters.VotingKeyGenerated(pollId);
-      const events = await this.contract.queryFilter(filter);
-
-      const keys = events.map((event) => event.args.keyHash);
+      Utils.showLoading('Checking voting keys against the blockchain...');
 
+      const keys = Storage.votingKeys.get(pollId) || [];
       if (keys.length === 0) {
-        Utils.showNotification('No keys found — generate them first', 'error');
+        Utils.showNotification(
+          'No keys saved in this browser — use the file downloaded when the poll was created',
+          'error'
+        );
         return;
       }
 
-      // Download
-      const keysText = keys.map((key, i) => `Key ${i + 1}: ${key}`).join('\n');
+      const statuses = await this.getVotingKeyStatuses(pollId, keys);
+      const keysText = statuses
+        .map((s, i) => `Key ${i + 1}: ${s.key} (${!s.issued ? 'NOT COMMITTED' : s.used ? 'used' : 'unused'})`)
+        .join('\n');
       Utils.downloadFile(keysText, `retrieved-keys-poll-${pollId}.txt`);
 
-      Utils.showNotification(`Retrieved ${keys.length} voting keys!`, 'success');
+      const unused = statuses.filter((s) => s.issued && !s.used).length;
+      Utils.showNotification(`Retrieved ${keys.length} voting keys (${unused} unused)`, 'success');
     } catch (error) {
       console.error('Retrieve keys error:', error);
       Utils.showNotification('Failed to retrieve keys', 'error');
@@ -759,6 +968,15 @@ export const Contract = {
     }
   },
 
+  async getVotingKeyStatuses(pollId, keys) {
+    return Promise.all(
+      keys.map(async (key) => {
+        const [issued, used] = await this.contract.checkVotingKey(pollId, key);
+        return { key, issued, used };
+      })
+    );
+  },
+
   async showVoteModal(pollId) {
     try {
       const poll = await this.contract.getPoll(pollId);
@@ -767,32 +985,45 @@ export const Contract = {
 
       document.getElementById('voteModalTitle').textContent = poll.question;
 
+      const pollType = Number(poll.pollType);
       const container = document.getElementById('voteOptionsContainer');
-      container.innerHTML = '';
+      container.innerHTML =
+        pollType === POLL_TYPE.MULTIPLE_CHOICE
+          ? '<p class="text-sm text-gray-500">Select every option you support</p>'
+          : pollType === POLL_TYPE.RANKED
+          ? '<p class="text-sm text-gray-500">Click options in order of preference; click again to remove</p>'
+          : '';
+
+      // Ranked: option indexes in the order they were clicked
+      this.voteRanking = [];
 
       poll.options.forEach((option, index) => {
         const div = document.createElement('div');
         div.className =
           'flex items-center p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition cursor-pointer';
-        div.onclick = () => {
-          document
-            .querySelectorAll('#voteOptionsContainer input')
-            .forEach((i) => (i.checked = false));
-          document.getElementById(`voteOpt${index}`).checked = true;
-        };
-
-        div.innerHTML = `
-          <input type="radio" name="voteOption" value="${index}" id="voteOpt${index}" class="w-5 h-5 mr-3">
-          <label for="voteOpt${index}" class="text-lg text-gray-800 cursor-pointer flex-1">${Utils.escapeHtml(
-          option
-        )}</label>
-        `;
+
+        if (pollType === POLL_TYPE.RANKED) {
+          div.onclick = () => this.toggleRank(index);
+          div.innerHTML = `
+            <span id="voteRank${index}" class="w-8 h-8 mr-3 rounded-full bg-gray-200 text-gray-700 font-bold flex items-center justify-center"></span>
+            <span class="text-lg text-gray-800 flex-1">${Utils.escapeHtml(option)}</span>
+          `;
+        } else {
+          const inputType = pollType === POLL_TYPE.MULTIPLE_CHOICE ? 'checkbox' : 'radio';
+          div.innerHTML = `
+            <input type="${inputType}" name="voteOption" value="${index}" id="voteOpt${index}" class="w-5 h-5 mr-3">
+            <label for="voteOpt${index}" class="text-lg text-gray-800 cursor-pointer flex-1">${Utils.escapeHtml(
+            option
+          )}</label>
+          `;
+        }
 
         container.appendChild(div);
       });
 
       document.getElementById('voteKeyInput').value = '';
       document.getElementById('voteModal').dataset.pollId = pollId;
+      document.getElementById('voteModal').dataset.pollType = pollType;
 
       if (hasVoted) {
         Utils.showNotification('You have already voted in this poll', 'info');
@@ -807,12 +1038,30 @@ export const Contract = {
     }
   },
 
+  toggleRank(index) {
+    const position = this.voteRanking.indexOf(index);
+    if (position === -1) this.voteRanking.push(index);
+    else this.voteRanking.splice(position, 1);
+
+    document.querySelectorAll('[id^="voteRank"]').forEach((badge) => {
+      const rank = this.voteRanking.indexOf(Number(badge.id.replace('voteRank', '')));
+      badge.textContent = rank === -1 ? '' : rank + 1;
+      badge.classList.toggle('bg-purple-600', rank !== -1);
+      badge.classList.toggle('text-white', rank !== -1);
+    });
+  },
+
  async submitVote() {
-  const pollId = document.getElementById('voteModal').dataset.pollId;
-  const selectedOption = document.querySelector('input[name="voteOption"]:checked');
+  const { pollId, pollType } = document.getElementById('voteModal').dataset;
+  const selectedOptions =
+    Number(pollType) === POLL_TYPE.RANKED
+      ? [...this.voteRanking]
+      : Array.from(document.querySelectorAll('input[name="voteOption"]:checked')).map((input) =>
+          parseInt(input.value)
+        );
   let votingKey = document.getElementById('voteKeyInput').value.trim();
 
-  if (!selectedOption) {
+  if (selectedOptions.length === 0) {
     Utils.showNotification('Please select an option', 'error');
     return;
   }
@@ -832,14 +1081,25 @@ export const Contract = {
   }
 
   try {
+    Utils.showLoading('Checking voting key...');
+
+    const [issued, used] = await this.contract.checkVotingKey(pollId, votingKey);
+    if (!issued) {
+      Utils.showNotification('This voting key was not issued for this poll', 'error');
+      return;
+    }
+    if (used) {
+      Utils.showNotification('This voting key has already been used', 'error');
+      return;
+    }
+
     Utils.showLoading('Casting vote...');
 
     // FIXED LINE: Use signature to disambiguate overloaded function
-    const tx = await this.contract["vote(uint256,uint256,bytes32)"](
-      pollId,
-      parseInt(selectedOption.value),
-      votingKey
-    );
+    const tx =
+      Number(pollType) === POLL_TYPE.YES_NO
+        ? await this.contract["vote(uint256,uint256,bytes32)"](pollId, selectedOptions[0], votingKey)
+        : await this.contract.voteOptions(pollId, selectedOptions, votingKey);
 
     await tx.wait();
 
@@ -857,6 +1117,8 @@ export const Contract = {
       ? 'You have already voted'
       : error.message.includes('Voting key already used')
       ? 'This voting key has already been used'
+      : error.message.includes('Invalid voting key')
+      ? 'This voting key was not issued for this poll'
       : error.message.includes('Not authorized')
       ? 'You are not authorized to vote'
       : 'Failed to cast vote';
@@ -879,6 +1141,16 @@ export const Contract = {
 
       Utils.hideLoading();
 
+      // Ranked polls are tallied as Borda points; multiple choice shares are of ballots cast,
+      // so they can add up to more than 100%
+      const isRanked = Number(poll.pollType) === POLL_TYPE.RANKED;
+      const tallies = results[1].map((v) => v.toNumber());
+      const shareBase = isRanked ? tallies.reduce((a, b) => a + b, 0) : results[2].toNumber();
+      const isCompleted = results[3] === 1;
+      const outcome = Number(results[5]);
+      const canFinalize =
+        !isCompleted && results[3] === 0 && Date.now() / 1000 > Utils.bigNumberToNumber(poll.endTime);
+
       const modalHTML = `
             <div id="resultsModal" class="hidden fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-50 p-4" onclick="if(event.target===this) this.remove()">
                 <div class="bg-white rounded-2xl shadow-2xl max-w-2xl w-full animate-modal-pop">
@@ -898,11 +1170,12 @@ export const Contract = {
                         <div class="space-y-5 mb-8">
                             ${results[0]
                               .map((option, i) => {
-                                const votes = results[1][i].toNumber();
-                                const total = results[2].toNumber();
-                                const pct = total > 0 ? (votes / total) * 100 : 0;
-                                const isWinner =
-                                  votes === Math.max(...results[1].map((v) => v.toNumber()));
+                                const votes = tallies[i];
+                                const pct = shareBase > 0 ? (votes / shareBase) * 100 : 0;
+                                // Before completion, highlight whoever currently leads
+                                const isWinner = isCompleted
+                                  ? outcome === 1 && results[6].toNumber() === i
+                                  : votes > 0 && votes === Math.max(...tallies);
 
                                 return `
                                     <div class="bg-gray-50 rounded-xl p-5 ${
@@ -917,7 +1190,9 @@ export const Contract = {
                                                 }
                                                 ${Utils.escapeHtml(option)}
                                             </span>
-                                            <span class="text-2xl font-bold">${votes} <span class="text-lg text-gray-600">(${pct.toFixed(
+                                            <span class="text-2xl font-bold">${votes}${
+                                  isRanked ? ' pts' : ''
+                                } <span class="text-lg text-gray-600">(${pct.toFixed(
                                   1
                                 )}%)</span></span>
                                         </div>
@@ -938,8 +1213,26 @@ export const Contract = {
                             }">
                                 ${results[4] ? '✓ Quorum Met' : '✗ Quorum Not Met'}
                             </span>
+                            <p class="mt-2 text-gray-700 font-semibold">
+                                ${
+                                  isCompleted
+                                    ? outcome === 1
+                                      ? `Result: ${Utils.escapeHtml(results[0][results[6].toNumber()])} wins`
+                                      : `Result: ${POLL_OUTCOME_LABELS[outcome]}`
+                                    : 'Result: pending until the poll is finalized'
+                                }
+                            </p>
                         </div>
 
+                        ${
+                          canFinalize
+                            ? `<button onclick="this.closest('#resultsModal').remove(); Contract.finalizePoll(${pollId})"
+                                    class="w-full py-4 mb-4 bg-gray-800 text-white rounded-xl font-bold hover:bg-gray-700 transition">
+                                <i class="fas fa-flag-checkered mr-2"></i>Finalize Results
+                            </button>`
+                            : ''
+                        }
+
                         <button onclick="this.closest('#resultsModal').remove()" 
                                 class="w-full py-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:shadow-lg transition">
                             Close
@@ -958,6 +1251,22 @@ export const Contract = {
     }
   },
 
+  async finalizePoll(pollId) {
+    try {
+      Utils.showLoading('Finalizing poll...');
+      const tx = await this.contract.completePoll(pollId);
+      await tx.wait();
+
+      Utils.showNotification('Poll finalized!', 'success');
+      await this.viewPollResults(pollId);
+    } catch (error) {
+      console.error('Finalize poll error:', error);
+      Utils.showNotification('Failed to finalize poll: ' + (error.reason || error.message), 'error');
+    } finally {
+      Utils.hideLoading();
+    }
+  },
+
   createResultsModal(poll, results) {
     const totalVotes = results[2].toNumber();
     const options = results[0];
@@ -1039,13 +1348,16 @@ export const Contract = {
   },
 
   async managePollKeys(pollId) {
-    // ... unchanged
     try {
       Utils.showLoading('Loading members...');
 
       const poll = await this.contract.getPoll(pollId);
       const orgId = poll.orgId;
       const members = await this.contract.getOrganizationMembers(orgId);
+      const [, , issued] = await this.contract.checkVotingKey(pollId, ethers.constants.HashZero);
+      const issuedKeys = issued.toNumber();
+      const totalKeys = poll.totalVotingKeys.toNumber();
+      const localKeys = Storage.votingKeys.get(pollId) || [];
 
       const memberDetails = await Promise.all(
         members.map(async (addr) => {
@@ -1074,10 +1386,28 @@ export const Contract = {
       )}</p>
                         </div>
 
-                        <p class="text-center text-gray-700 mb-6">
-                            Select members to authorize them to vote
+                        <p class="text-center text-gray-700 mb-2">
+                            Select members to authorize them and assign each an unused voting key
+                        </p>
+                        <p class="text-center text-sm text-gray-500 mb-6">
+                            ${issuedKeys}/${totalKeys} keys committed on-chain · ${localKeys.length} saved in this browser
                         </p>
 
+                        <div class="flex gap-3 mb-6">
+                            ${
+                              issuedKeys < totalKeys
+                                ? `<button onclick="this.closest('#manageKeysModal').remove(); Contract.generateVotingKeys(${pollId}, ${totalKeys})"
+                                    class="flex-1 py-3 bg-purple-100 text-purple-700 rounded-xl font-medium hover:bg-purple-200 transition">
+                                <i class="fas fa-key mr-2"></i>Commit ${totalKeys - issuedKeys} Key(s)
+                            </button>`
+                                : ''
+                            }
+                            <button onclick="Contract.retrieveGeneratedKeys(${pollId})"
+                                    class="flex-1 py-3 bg-gray-100 text-gray-700 rounded-xl font-medium hover:bg-gray-200 transition">
+                                <i class="fas fa-download mr-2"></i>Download Keys
+                            </button>
+                        </div>
+
                         <div class="max-h-96 overflow-y-auto space-y-3 mb-8">
                             ${memberDetails
                               .map((m) => {
@@ -1127,9 +1457,9 @@ export const Contract = {
                                     class="flex-1 py-4 bg-gray-200 text-gray-800 rounded-xl font-semibold hover:bg-gray-300 transition">
                                 Cancel
                             </button>
-                            <button onclick="Contract.batchAuthorize(${pollId}); this.closest('#manageKeysModal').remove()" 
+                            <button onclick="Contract.batchAuthorize(${pollId})" 
                                     class="flex-1 py-4 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition">
-                                Authorize Selected
+                                Authorize &amp; Assign Keys
                             </button>
                         </div>
                     </div>
@@ -1225,7 +1555,6 @@ export const Contract = {
   },
 
   async batchAuthorize(pollId) {
-    // ... unchanged
     const selected = Array.from(document.querySelectorAll('.authBox:checked:not(:disabled)'))
       .map((cb) => cb.value)
       .filter((addr) => Utils.isValidAddress(addr));
@@ -1236,6 +1565,22 @@ export const Contract = {
     }
 
     try {
+      Utils.showLoading('Checking available voting keys...');
+
+      // Hand out keys that are committed, unspent and not already given to someone else
+      const assignments = Storage.votingKeys.getAssignments(pollId);
+      const assigned = new Set(Object.values(assignments));
+      const statuses = await this.getVotingKeyStatuses(pollId, Storage.votingKeys.get(pollId) || []);
+      const available = statuses.filter((s) => s.issued && !s.used && !assigned.has(s.key));
+
+      if (available.length < selected.length) {
+        Utils.showNotification(
+          `Only ${available.length} unassigned voting key(s) left — commit more or select fewer members`,
+          'error'
+        );
+        return;
+      }
+
       Utils.showLoading(`Authorizing ${selected.length} member(s)...`);
 
       const tx =
@@ -1245,7 +1590,18 @@ export const Contract = {
 
       await tx.wait();
 
-      Utils.showNotification(`Authorized ${selected.length} voter(s)!`, 'success');
+      selected.forEach((addr, i) => {
+        assignments[addr.toLowerCase()] = available[i].key;
+      });
+      Storage.votingKeys.saveAssignments(pollId, assignments);
+
+      const sheet = selected.map((addr) => `${addr}: ${assignments[addr.toLowerCase()]}`).join('\n');
+      Utils.downloadFile(sheet, `poll-${pollId}-key-assignments.txt`);
+
+      Utils.showNotification(
+        `Authorized ${selected.length} voter(s) — send each their key from the downloaded sheet`,
+        'success'
+      );
       document.getElementById('manageKeysModal')?.remove();
     } catch (error) {
       console.error('Batch authorize error:', error);
@@ -335,8 +335,34 @@ export const Storage = {
       return data.keys;
     },
 
+    // Which member each key was handed to (address => key), so keys aren't given out twice
+    getAssignments(pollId) {
+      return Utils.storage.get(`key_assignments_poll_${pollId}`, {});
+    },
+
+    saveAssignments(pollId, assignments) {
+      Utils.storage.set(`key_assignments_poll_${pollId}`, assignments);
+    },
+
     clear(pollId) {
       Utils.storage.remove(`keys_poll_${pollId}`);
+      Utils.storage.remove(`key_assignments_poll_${pollId}`);
+    },
+  },
+
+  /**
+   * Organization invites this admin has signed. The contract only knows an invite once it is
+   * redeemed or revoked, so this is the admin's list of what was handed out.
+   */
+  invites: {
+    save(orgId, invite) {
+      const invites = this.get(orgId);
+      invites.push(invite);
+      Utils.storage.set(`invites_org_${orgId}`, invites);
+    },
+
+    get(orgId) {
+      return Utils.storage.get(`invites_org_${orgId}`, []);
     },
   },
 
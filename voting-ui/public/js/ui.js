@@ -708,12 +708,8 @@ export const UI = {
                     <form onsubmit="window.Contract.joinPrivateOrg(event)">
                         <div class="space-y-5">
                             <div>
-                                <label class="block text-gray-700 font-semibold mb-2">Organization ID *</label>
-                                <input type="number" id="privateOrgIdInput" class="w-full px-5 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-purple-500" required>
-                            </div>
-                            <div>
-                                <label class="block text-gray-700 font-semibold mb-2">Secret Key *</label>
-                                <input type="text" id="privateOrgKeyInput" class="w-full px-5 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-purple-500 font-mono" required>
+                                <label class="block text-gray-700 font-semibold mb-2">Invite Code *</label>
+                                <textarea id="privateOrgInviteInput" rows="4" class="w-full px-5 py-3 border border-gray-300 rounded-xl focus:ring-4 focus:ring-purple-500 font-mono text-sm" placeholder="Paste the invite you received from the organization admin" required></textarea>
                             </div>
                         </div>
                         <div class="flex gap-4 mt-8">
@@ -721,7 +717,7 @@ export const UI = {
                                 Cancel
                             </button>
                             <button type="submit" class="flex-1 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:from-purple-700 hover:to-pink-700 shadow-lg">
-                                Verify & Access
+                                Join Organization
                             </button>
                         </div>
                     </form>
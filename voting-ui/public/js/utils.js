@@ -119,18 +119,12 @@ export const Utils = {
   },
 
   /**
-   * Copy secret key
+   * Copy organization invite code
    */
-  async copySecretKey() {
-    const key = document.getElementById('secretKey')?.textContent;
-    if (!key || key === 'Loading...' || key === 'Only admin can view') {
-      this.showNotification('No key available', 'error');
-      return;
-    }
-
-    const success = await this.copyToClipboard(key);
+  async copyInvite(code) {
+    const success = await this.copyToClipboard(code);
     if (success) {
-      this.showNotification('Secret key copied!', 'success');
+      this.showNotification('Invite copied!', 'success');
     } else {
       this.showNotification('Failed to copy', 'error');
     }
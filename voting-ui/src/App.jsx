@@ -7,6 +7,7 @@ import Typography from './pages/Typography';
 import VotingPage from './pages/VotingPage';
 import ElectionSelectionPage from './pages/ElectionSelectionPage';
 import VoterVerificationPage from './pages/VoterVerificationPage';
+import ClaimKeyPage from './pages/ClaimKeyPage';
 import BallotPage from './pages/BallotPage';
 import ReviewPage from './pages/ReviewPage';
 import ConfirmationPage from './pages/ConfirmationPage';
@@ -54,6 +55,7 @@ function App() {
                 <Route path="/typography" element={<Typography />} />
                 <Route path="/elections" element={<ElectionSelectionPage />} />
                 <Route path="/verify/:electionId" element={<VoterVerificationPage />} />
+                <Route path="/claim/:token" element={<ClaimKeyPage />} />
                 <Route path="/vote/:electionId" element={<BallotPage />} />
                 <Route path="/review/:electionId" element={<ReviewPage />} />
                 <Route path="/confirmation/:electionId" element={<ConfirmationPage />} />
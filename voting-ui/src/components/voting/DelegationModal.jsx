@@ -10,6 +10,7 @@ export default function DelegationModal({ onDelegate, onClose }) {
   const [delegateAddress, setDelegateAddress] = useState('');
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [delegation, setDelegation] = useState(null);
 
   const handleDelegate = async () => {
     setError(null);
@@ -27,7 +28,12 @@ export default function DelegationModal({ onDelegate, onClose }) {
     setLoading(true);
 
     try {
-      await onDelegate(delegateAddress);
+      const result = await onDelegate(delegateAddress);
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Delegation failed');
+      }
+      // { delegate, finalDelegate, weight } from the VoteDelegatedV2 event
+      setDelegation(result?.delegation || null);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -46,6 +52,22 @@ export default function DelegationModal({ onDelegate, onClose }) {
         </div>
 
         <div className="modal-body">
+          {delegation && (
+            <div className="delegation-success">
+              <p>✅ Your vote has been delegated.</p>
+              <p>
+                Weight passed on: <strong>{delegation.weight}</strong> vote
+                {delegation.weight === '1' ? '' : 's'}
+              </p>
+              {delegation.finalDelegate.toLowerCase() !== delegation.delegate.toLowerCase() && (
+                <p>
+                  Your delegate has delegated too, so the weight will be cast by{' '}
+                  <code>{delegation.finalDelegate}</code>.
+                </p>
+              )}
+            </div>
+          )}
+
           <p>Enter the Ethereum address of the person you want to delegate your vote to:</p>
 
           <input
@@ -54,28 +76,31 @@ export default function DelegationModal({ onDelegate, onClose }) {
             value={delegateAddress}
             onChange={(e) => setDelegateAddress(e.target.value)}
             className="delegation-input"
-            disabled={loading}
+            disabled={loading || !!delegation}
           />
 
           {error && <p className="error-message">❌ {error}</p>}
 
           <div className="delegation-info">
             <p>ℹ️ By delegating, you authorize this address to vote on your behalf.</p>
-            <p>You can only delegate, not vote directly after delegation.</p>
+            <p>Your delegate's ballot will carry your vote plus any delegated to you.</p>
+            <p>You can still vote yourself until your delegate has voted; that replaces the delegation.</p>
           </div>
         </div>
 
         <div className="modal-footer">
           <button className="btn btn-secondary" onClick={onClose} disabled={loading}>
-            Cancel
-          </button>
-          <button
-            className="btn btn-primary"
-            onClick={handleDelegate}
-            disabled={loading || !delegateAddress.trim()}
-          >
-            {loading ? 'Processing...' : 'Delegate Vote'}
+            {delegation ? 'Close' : 'Cancel'}
           </button>
+          {!delegation && (
+            <button
+              className="btn btn-primary"
+              onClick={handleDelegate}
+              disabled={loading || !delegateAddress.trim()}
+            >
+              {loading ? 'Processing...' : 'Delegate Vote'}
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { useWallet } from '../../hooks/useWallet';
+import votingService from '../../services/votingService';
+
+// Zero-knowledge elections: the voter registers an identity ahead of voting, ideally well
+// before casting, so the registration and the relayed ballot cannot be matched by timing
+const IdentityPrompt = ({ electionUuid }) => {
+  const { address } = useWallet();
+  const [zkAnonymous, setZkAnonymous] = useState(false);
+  const [registering, setRegistering] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    votingService
+      .isZkAnonymous(electionUuid)
+      .then(enabled => !cancelled && setZkAnonymous(enabled))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [electionUuid]);
+
+  if (!zkAnonymous || !address) return null;
+
+  const handleRegister = async () => {
+    setRegistering(true);
+    const res = await votingService.registerIdentity(electionUuid, address);
+    setResult(res);
+    setRegistering(false);
+  };
+
+  if (result?.success || votingService.getIdentity(electionUuid, address)) {
+    return (
+      <div className="selection-notice">
+        <span className="notice-icon">🪪</span>
+        <span className="notice-text">
+          Anonymous identity registered on this device. Your ballot will be cast with a zero-knowledge proof.
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="selection-notice">
+      <span className="notice-icon">🕶️</span>
+      <span className="notice-text">
+        This election uses zero-knowledge ballots. Register an anonymous identity with your voter key first; keep
+        using this browser, as the identity secrets are stored only here.
+      </span>
+      <button onClick={handleRegister} disabled={registering} className="btn btn-primary">
+        {registering ? 'Registering...' : 'Register Identity'}
+      </button>
+      {result?.error && <span className="notice-text">❌ {result.error}</span>}
+    </div>
+  );
+};
+
+export default IdentityPrompt;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { useWallet } from '../../hooks/useWallet';
+import votingService from '../../services/votingService';
+import formatters from '../../utils/formatters';
+
+// Reminds a voter with an unrevealed secret ballot to open it once voting has closed
+const RevealPrompt = ({ electionUuid }) => {
+  const { address } = useWallet();
+  const [revealing, setRevealing] = useState(false);
+  const [result, setResult] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  // Ticks so the prompt moves on when the reveal period opens or ends
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const pending = votingService.getPendingReveal(electionUuid, address);
+  if (!pending && !result) return null;
+
+  const handleReveal = async () => {
+    setRevealing(true);
+    const res = await votingService.revealVote(electionUuid, address);
+    setResult(res);
+    setRevealing(false);
+  };
+
+  if (result?.success) {
+    return (
+      <div className="selection-notice">
+        <span className="notice-icon">✅</span>
+        <span className="notice-text">Your secret ballot has been revealed and counted.</span>
+      </div>
+    );
+  }
+
+  if (now <= pending.revealOpensAt) {
+    return (
+      <div className="selection-notice">
+        <span className="notice-icon">🔒</span>
+        <span className="notice-text">
+          Secret ballot committed. Come back after {formatters.formatDateTime(pending.revealOpensAt)} to
+          reveal it.
+        </span>
+      </div>
+    );
+  }
+
+  if (now > pending.revealDeadline) {
+    return (
+      <div className="ballot-error-card">
+        <span className="error-icon">⚠️</span>
+        <p className="error-text">The reveal period has ended. This ballot was not counted.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="selection-notice">
+      <span className="notice-icon">🔓</span>
+      <span className="notice-text">
+        Voting has closed. Reveal your secret ballot before{' '}
+        {formatters.formatDateTime(pending.revealDeadline)} or it will not be counted.
+      </span>
+      <button onClick={handleReveal} disabled={revealing} className="btn btn-primary">
+        {revealing ? 'Revealing...' : 'Reveal Vote'}
+      </button>
+      {result?.error && <span className="notice-text">❌ {result.error}</span>}
+    </div>
+  );
+};
+
+export default RevealPrompt;
@@ -1,13 +1,125 @@
 import React from 'react';
 import CandidateCard from './CandidateCard';
+import { BALLOT_TYPES } from '../../utils/constants';
+
+// Ordered preference list for ranked (instant-runoff) positions.
+// `ranking` holds candidate indices, first preference first.
+const RankingBooth = ({ position, ranking, onRankingChange, maxRanks }) => {
+  const unranked = position.candidates
+    .map((candidate, idx) => ({ candidate, idx }))
+    .filter(({ idx }) => !ranking.includes(idx));
+
+  const addCandidate = (idx) => {
+    if (ranking.length >= maxRanks) return;
+    onRankingChange([...ranking, idx]);
+  };
+
+  const removeCandidate = (idx) => {
+    onRankingChange(ranking.filter((c) => c !== idx));
+  };
+
+  const moveCandidate = (from, to) => {
+    if (to < 0 || to >= ranking.length) return;
+    const next = [...ranking];
+    [next[from], next[to]] = [next[to], next[from]];
+    onRankingChange(next);
+  };
+
+  return (
+    <div className="voting-booth ranking-booth">
+      <div className="voting-booth-header">
+        <div className="header-content">
+          <h3>Rank the Candidates</h3>
+          <p className="selection-instruction">
+            Pick candidates in order of preference. If your first choice is eliminated, your vote
+            moves to your next choice. You can rank up to {maxRanks}.
+          </p>
+        </div>
+        <div className="selection-counter">
+          <div className="counter-text">
+            <span className="counter-current">{ranking.length}</span>
+            <span className="counter-divider">/</span>
+            <span className="counter-max">{maxRanks}</span>
+            <span className="counter-label">ranked</span>
+          </div>
+        </div>
+      </div>
+
+      <ol className="ranking-list">
+        {ranking.map((idx, rank) => (
+          <li key={idx} className="ranking-item">
+            <span className="ranking-position">{rank + 1}</span>
+            <span className="ranking-name">{position.candidates[idx] || `Candidate #${idx + 1}`}</span>
+            <div className="ranking-actions">
+              <button
+                type="button"
+                onClick={() => moveCandidate(rank, rank - 1)}
+                disabled={rank === 0}
+                aria-label="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveCandidate(rank, rank + 1)}
+                disabled={rank === ranking.length - 1}
+                aria-label="Move down"
+              >
+                ↓
+              </button>
+              <button type="button" onClick={() => removeCandidate(idx)} aria-label="Remove">
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="candidates-list">
+        {unranked.map(({ candidate, idx }) => (
+          <CandidateCard
+            key={idx}
+            index={idx}
+            name={candidate || `Candidate #${idx + 1}`}
+            isSelected={false}
+            isMultiSelect
+            onClick={() => addCandidate(idx)}
+            maxSelections={maxRanks}
+            currentSelections={ranking.length}
+          />
+        ))}
+      </div>
+
+      {ranking.length === 0 && (
+        <div className="no-selection-notice">
+          <span className="notice-icon">👆</span>
+          <span className="notice-text">Choose your first preference to continue</span>
+        </div>
+      )}
+    </div>
+  );
+};
 
 const VotingBooth = ({
   position,
   positionIndex,
   selectedCandidates = [],
   onVoteChange,
+  onRankingChange,
   maxSelections = 1,
+  ballotType = BALLOT_TYPES.PLURALITY,
 }) => {
+  if (ballotType === BALLOT_TYPES.RANKED) {
+    return (
+      <RankingBooth
+        position={position}
+        ranking={selectedCandidates}
+        onRankingChange={onRankingChange}
+        maxRanks={maxSelections}
+      />
+    );
+  }
+
   const handleCandidateClick = (candidateIndex) => {
     const isCurrentlySelected = selectedCandidates.includes(candidateIndex);
 
@@ -4,7 +4,13 @@
 // ============================================================
 
 import { useState, useCallback } from 'react';
-import { generateMerkleProof, formatProofForContract } from '../services/merkleService';
+import {
+  LEAF_FORMATS,
+  computeLeaf,
+  generateMerkleProof,
+  verifyMerkleProof,
+  formatProofForContract,
+} from '../services/merkleService';
 import { validateVoterKey } from '../services/securityService';
 
 export const useMerkleProof = () => {
@@ -13,9 +19,10 @@ export const useMerkleProof = () => {
   const [error, setError] = useState(null);
 
   /**
-   * Generate proof
+   * Generate proof. leafOptions selects the election's leaf format:
+   * { leafFormat: 'address', voterAddress } for keys bound to a wallet.
    */
-  const generateProof = useCallback(async (voterKey, allKeys) => {
+  const generateProof = useCallback(async (voterKey, merkleRoot, leafOptions = {}) => {
     setLoading(true);
     setError(null);
 
@@ -24,22 +31,26 @@ export const useMerkleProof = () => {
       if (!validateVoterKey(voterKey)) {
         throw new Error('Invalid voter key format');
       }
+      if (leafOptions.leafFormat === LEAF_FORMATS.ADDRESS && !leafOptions.voterAddress) {
+        throw new Error('Voter address required for address-bound keys');
+      }
 
       // Generate merkle proof
-      const merkleProof = generateMerkleProof(voterKey, allKeys);
+      const merkleProof = await generateMerkleProof(voterKey, merkleRoot, leafOptions);
 
-      if (!merkleProof.isValid) {
+      if (!verifyMerkleProof(voterKey, merkleProof, merkleRoot, leafOptions)) {
         throw new Error('Invalid merkle proof');
       }
 
       // Format for contract
-      const formattedProof = formatProofForContract(merkleProof.proof);
+      const formattedProof = formatProofForContract(merkleProof);
 
       setProof({
         voterKey,
         merkleProof: formattedProof,
-        leaf: merkleProof.leaf,
-        root: merkleProof.root,
+        leaf: computeLeaf(voterKey, leafOptions),
+        root: merkleRoot,
+        leafFormat: leafOptions.leafFormat || LEAF_FORMATS.KEY,
       });
 
       console.log('✅ Merkle proof generated');
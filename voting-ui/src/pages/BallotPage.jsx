@@ -3,6 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useVoting } from '../context/VotingContext';
 import { useSecurity } from '../context/SecurityContext';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import VotingBooth from '../components/voting/VotingBooth';
+import { BALLOT_TYPES } from '../utils/constants';
 
 
 const BallotPage = () => {
@@ -31,9 +33,9 @@ const BallotPage = () => {
 
   const positions = currentElection.positions;
   const currentPosition = positions[currentPositionIndex];
-  const selectedCandidateIndex = votes[currentPositionIndex]
-    ? votes[currentPositionIndex][0]
-    : null;
+  const isRanked = currentPosition.ballotType === BALLOT_TYPES.RANKED;
+  const ranking = votes[currentPositionIndex] || [];
+  const selectedCandidateIndex = ranking.length > 0 ? ranking[0] : null;
   const progress = ((currentPositionIndex + 1) / positions.length) * 100;
   const isLast = currentPositionIndex === positions.length - 1;
 
@@ -42,9 +44,18 @@ const BallotPage = () => {
     setError(null);
   };
 
+  const handleRankingChange = (newRanking) => {
+    updateVote(currentPositionIndex, newRanking);
+    setError(null);
+  };
+
   const handleNext = () => {
     if (selectedCandidateIndex === null) {
-      setError('Please select a candidate before continuing.');
+      setError(
+        isRanked
+          ? 'Please rank at least one candidate before continuing.'
+          : 'Please select a candidate before continuing.'
+      );
       return;
     }
     if (isLast) {
@@ -89,35 +100,50 @@ const BallotPage = () => {
         {/* Position Card */}
         <div className="ballot-position-card">
           <h2 className="position-title">{currentPosition.title}</h2>
-          <p className="position-subtitle">Select one candidate</p>
+          <p className="position-subtitle">
+            {isRanked ? 'Rank candidates in order of preference' : 'Select one candidate'}
+          </p>
         </div>
 
         {/* Candidates Card */}
-        <div className="ballot-candidates-card">
-          <div className="candidates-list">
-            {currentPosition.candidates.map((candidate, idx) => {
-              const isSelected = selectedCandidateIndex === idx;
-
-              return (
-                <label
-                  key={idx}
-                  className={`candidate-option ${isSelected ? 'candidate-selected' : ''}`}
-                >
-                  <input
-                    type="radio"
-                    name="candidate"
-                    value={idx}
-                    checked={isSelected}
-                    onChange={() => handleSelect(idx)}
-                    className="candidate-radio"
-                  />
-                  <span className="candidate-text">{candidate || `Candidate #${idx + 1}`}</span>
-                  {isSelected && <span className="candidate-checkmark">✓</span>}
-                </label>
-              );
-            })}
+        {isRanked ? (
+          <div className="ballot-candidates-card">
+            <VotingBooth
+              position={currentPosition}
+              positionIndex={currentPositionIndex}
+              selectedCandidates={ranking}
+              onRankingChange={handleRankingChange}
+              maxSelections={currentPosition.maxSelections || currentPosition.candidates.length}
+              ballotType={BALLOT_TYPES.RANKED}
+            />
           </div>
-        </div>
+        ) : (
+          <div className="ballot-candidates-card">
+            <div className="candidates-list">
+              {currentPosition.candidates.map((candidate, idx) => {
+                const isSelected = selectedCandidateIndex === idx;
+
+                return (
+                  <label
+                    key={idx}
+                    className={`candidate-option ${isSelected ? 'candidate-selected' : ''}`}
+                  >
+                    <input
+                      type="radio"
+                      name="candidate"
+                      value={idx}
+                      checked={isSelected}
+                      onChange={() => handleSelect(idx)}
+                      className="candidate-radio"
+                    />
+                    <span className="candidate-text">{candidate || `Candidate #${idx + 1}`}</span>
+                    {isSelected && <span className="candidate-checkmark">✓</span>}
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        )}
 
         {/* Error Alert Card */}
         {error && (
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useSecurity } from '../context/SecurityContext';
+import { useWallet } from '../hooks/useWallet';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import votingService from '../services/votingService';
+
+// Landing page of the one-time claim links the key service emails or prints on QR sheets.
+// Claiming binds the voter key to the connected wallet; voting then starts at /verify as usual.
+const ClaimKeyPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { addSecurityWarning } = useSecurity();
+  const { address, connectWallet, isConnecting } = useWallet();
+
+  const [claiming, setClaiming] = useState(false);
+  const [claimed, setClaimed] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleConnectWallet = async () => {
+    try {
+      await connectWallet();
+    } catch {
+      setError('Failed to connect wallet.');
+      addSecurityWarning('Wallet connection failed');
+    }
+  };
+
+  const handleClaim = async () => {
+    try {
+      setClaiming(true);
+      setError(null);
+      const result = await votingService.claimVoterKey(token);
+      setClaimed(result);
+    } catch (err) {
+      console.error('❌ Key claim failed:', err);
+      setError(err.message || 'Failed to claim your voting key.');
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  return (
+    <div className="verification-page">
+      <div className="verification-container">
+        <div className="verification-header-card">
+          <div className="verification-header-content">
+            <h1 className="verification-title">Claim Your Voting Key</h1>
+            <p className="verification-subtitle">
+              Your key will be bound to the wallet you sign in with. This link works once.
+            </p>
+          </div>
+        </div>
+
+        {/* Step 1: Connect Wallet */}
+        <div className="verification-step-card">
+          <div className="step-header">
+            <div className="step-number">1</div>
+            <h3 className="step-title">Connect Your Wallet</h3>
+          </div>
+
+          {!address ? (
+            <div className="step-content">
+              <p className="step-description">
+                Connect the wallet you will vote with
+              </p>
+              <button
+                onClick={handleConnectWallet}
+                disabled={isConnecting}
+                className="verification-btn verification-btn-primary"
+              >
+                {isConnecting ? '⏳ Connecting...' : '🔌 Connect Wallet'}
+              </button>
+            </div>
+          ) : (
+            <div className="step-success">
+              <span className="success-check">✓</span>
+              <div className="success-content">
+                <p className="success-label">Wallet Connected</p>
+                <code className="success-address">
+                  {address.substring(0, 6)}...{address.substring(38)}
+                </code>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Step 2: Claim */}
+        {address && (
+          <div className="verification-step-card">
+            <div className="step-header">
+              <div className="step-number">2</div>
+              <h3 className="step-title">Claim Key</h3>
+            </div>
+
+            {claiming ? (
+              <div className="step-content-center">
+                <LoadingSpinner message="Waiting for your wallet to sign in to the key service..." />
+              </div>
+            ) : claimed ? (
+              <div className="step-content">
+                <div className="step-success">
+                  <span className="success-check">✓</span>
+                  <div className="success-content">
+                    <p className="success-label">Key claimed for this wallet</p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => navigate(`/verify/${claimed.electionId}`)}
+                  className="verification-btn verification-btn-primary"
+                >
+                  Continue to Voting →
+                </button>
+              </div>
+            ) : (
+              <div className="step-content">
+                {error && <p className="error-description">⚠️ {error}</p>}
+                <button
+                  onClick={handleClaim}
+                  className="verification-btn verification-btn-primary"
+                >
+                  🎟️ Claim Voting Key
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClaimKeyPage;
@@ -3,21 +3,29 @@ import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useVoting } from '../context/VotingContext';
 import formatters from '../utils/formatters';
 import SecurityBadge from '../components/common/SecurityBadge';
+import votingService from '../services/votingService';
+import { useWallet } from '../hooks/useWallet';
 
 const ConfirmationPage = () => {
   const { electionId } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
   const { currentElection, resetVoting, isAnonymous } = useVoting();
+  const { address } = useWallet();
 
   const [showConfetti, setShowConfetti] = useState(false);
   const transactionHash = location.state?.transactionHash;
   const blockNumber = location.state?.blockNumber;
+  const secretBallot = location.state?.secretBallot;
+  const replacedBallot = location.state?.replacedBallot;
 
   useEffect(() => {
     setShowConfetti(true);
     setTimeout(() => setShowConfetti(false), 3000);
 
+    // Secret ballot voters need time to read the reveal instructions
+    if (secretBallot) return;
+
     const cleanup = setTimeout(() => {
       handleFinish();
     }, 30000);
@@ -40,6 +48,20 @@ const ConfirmationPage = () => {
     alert('Copied to clipboard!');
   };
 
+  // Copy of the commitment data in case this browser's storage is cleared
+  const handleDownloadRevealBackup = () => {
+    const pending = votingService.getPendingReveal(electionId, address);
+    if (!pending) return;
+    const blob = new Blob([JSON.stringify({ electionId, ...pending }, null, 2)], {
+      type: 'application/json',
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `safevote-reveal-${electionId}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
   const explorerUrl = `https://arbiscan.io/tx/${transactionHash}`;
 
   return (
@@ -117,6 +139,42 @@ const ConfirmationPage = () => {
           </div>
         </div>
 
+        {/* Revote Notice Card */}
+        {replacedBallot && (
+          <div className="confirmation-security-card">
+            <div className="security-header">
+              <span className="security-icon">🔁</span>
+              <h4 className="security-title">Earlier Ballot Replaced</h4>
+            </div>
+            <p className="security-text">
+              This ballot replaces the one you cast earlier. Your previous selections no longer
+              count; you can vote again until the election closes and only the last ballot counts.
+            </p>
+          </div>
+        )}
+
+        {/* Secret Ballot Reveal Card */}
+        {secretBallot && (
+          <div className="confirmation-security-card">
+            <div className="security-header">
+              <span className="security-icon">🔒</span>
+              <h4 className="security-title">Reveal Required</h4>
+            </div>
+            <p className="security-text">
+              This is a secret ballot: only a commitment to your choices is on-chain until voting
+              closes. Return between {formatters.formatDateTime(secretBallot.revealOpensAt)} and{' '}
+              {formatters.formatDateTime(secretBallot.revealDeadline)} to reveal it from the
+              elections list. Unrevealed ballots are not counted.
+            </p>
+            <button
+              onClick={handleDownloadRevealBackup}
+              className="confirmation-btn confirmation-btn-secondary"
+            >
+              💾 Download Reveal Backup
+            </button>
+          </div>
+        )}
+
         {/* What Happens Next Card */}
         <div className="confirmation-info-card">
           <h3 className="info-card-title">What Happens Next?</h3>
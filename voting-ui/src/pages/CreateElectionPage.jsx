@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { ChevronLeft, ChevronRight, Check, AlertCircle, Loader } from 'lucide-react';
 import ElectionCreationService from '../services/ElectionCreationService';
+import { WIN_THRESHOLD_NAMES, ELIGIBILITY_MODE_NAMES } from '../utils/constants';
 import { useMultichainWallet } from '../hooks/useMultichainWallet';
 import '../styles/CreateElectionPage.css';
 
@@ -22,13 +23,27 @@ const CreateElectionPage = () => {
     isPublic: true,
     allowAnonymous: false,
     allowDelegation: false,
-    positions: [{ title: '', candidates: ['', ''] }],
+    secretBallot: false,
+    revealHours: 24,
+    allowRevote: false,
+    quorumMode: 'none',
+    quorumValue: '',
+    eligibility: 'roll',
+    leafFormat: 'key',
+    zkAnonymous: false,
+    tokenAddress: '',
+    snapshotBlock: '',
+    eligibleVoters: '',
+    sponsorAmount: '',
+    sponsorMaxPerVote: '',
+    positions: [{ title: '', candidates: ['', ''], ballotType: 'plurality', winRule: 'plurality' }],
   });
 
   const [selectedChains, setSelectedChains] = useState([11155111, 84532, 421614]);
   const [voterAddresses, setVoterAddresses] = useState([]);
   const [merkleRoot, setMerkleRoot] = useState(null);
   const [keyGenerationResult, setKeyGenerationResult] = useState(null);
+  const [deployResult, setDeployResult] = useState(null);
 
   useEffect(() => {
     const uuid = ElectionCreationService.generateUUID();
@@ -85,7 +100,7 @@ const CreateElectionPage = () => {
   const addPosition = () => {
     setElectionData(prev => ({
       ...prev,
-      positions: [...prev.positions, { title: '', candidates: ['', ''] }],
+      positions: [...prev.positions, { title: '', candidates: ['', ''], ballotType: 'plurality', winRule: 'plurality' }],
     }));
   };
 
@@ -136,6 +151,14 @@ const CreateElectionPage = () => {
         break;
 
       case 3:
+        if (ElectionCreationService.isTokenEligibility(electionData)) {
+          if (!/^0x[a-fA-F0-9]{40}$/.test(electionData.tokenAddress.trim())) {
+            setError('Please enter the voting token contract address');
+            return false;
+          }
+          setVoterAddresses([]);
+          break;
+        }
         const addresses = document
           .getElementById('voterAddresses')
           ?.value.split('\n')
@@ -194,13 +217,15 @@ const CreateElectionPage = () => {
   const handleDeploy = async () => {
     setLoading(true);
     setError(null);
+    setDeployResult(null);
     try {
-      await ElectionCreationService.deploy(
+      const result = await ElectionCreationService.deploy(
         electionData,
         voterAddresses,
         merkleRoot,
         selectedChains
       );
+      setDeployResult(result);
       setTimeout(() => {
         setCurrentStep(1);
         setElectionData(prev => ({
@@ -212,7 +237,7 @@ const CreateElectionPage = () => {
           startTime: '',
           endDate: '',
           endTime: '',
-          positions: [{ title: '', candidates: ['', ''] }],
+          positions: [{ title: '', candidates: ['', ''], ballotType: 'plurality', winRule: 'plurality' }],
           electionUUID: ElectionCreationService.generateUUID(),
         }));
         setSelectedChains([11155111, 84532, 421614]);
@@ -245,6 +270,24 @@ const CreateElectionPage = () => {
             </div>
           )}
 
+          {deployResult && !loading && (
+            <div className="success-alert" style={{ marginBottom: '1.5rem' }}>
+              <h3 className="success-title">{deployResult.message}</h3>
+              <div className="success-content">
+                {deployResult.results
+                  .filter(r => r.success && r.sponsorship)
+                  .map(r => (
+                    <p key={r.chainId}>
+                      ⛽ Chain {r.chainId}:{' '}
+                      {r.sponsorship.error
+                        ? `sponsorship failed (${r.sponsorship.error})`
+                        : `${r.sponsorship.balance} sponsored, covers about ${r.sponsorship.remainingVotes} votes`}
+                    </p>
+                  ))}
+              </div>
+            </div>
+          )}
+
           {loading && (
             <div className="loading-container">
               <Loader className="loading-spinner" />
@@ -266,6 +309,8 @@ const CreateElectionPage = () => {
           )}
           {!loading && currentStep === 3 && (
             <Step3
+              data={electionData}
+              onChange={handleInputChange}
               voterAddresses={voterAddresses}
               merkleRoot={merkleRoot}
               keyGenerationResult={keyGenerationResult}
@@ -273,7 +318,13 @@ const CreateElectionPage = () => {
             />
           )}
           {!loading && currentStep === 4 && (
-            <Step4 chains={chains} selectedChains={selectedChains} onChainToggle={handleChainToggle} />
+            <Step4
+              data={electionData}
+              onChange={handleInputChange}
+              chains={chains}
+              selectedChains={selectedChains}
+              onChainToggle={handleChainToggle}
+            />
           )}
           {!loading && currentStep === 5 && (
             <Step5
@@ -418,6 +469,43 @@ const Step1 = ({ data, onChange }) => (
           <input type="checkbox" checked={data.allowDelegation} onChange={e => onChange('allowDelegation', e.target.checked)} className="checkbox-input" />
           Allow vote delegation
         </label>
+        <label className="checkbox-label">
+          <input type="checkbox" checked={data.secretBallot} onChange={e => onChange('secretBallot', e.target.checked)} className="checkbox-input" />
+          Secret ballot (results hidden until voters reveal after the end time)
+        </label>
+        <label className="checkbox-label">
+          <input type="checkbox" checked={data.allowRevote} onChange={e => onChange('allowRevote', e.target.checked)} className="checkbox-input" />
+          Allow voters to change their vote until the end time (last ballot counts)
+        </label>
+      </div>
+      {data.secretBallot && (
+        <div>
+          <label className="form-label">Reveal Period (hours after end) *</label>
+          <input type="number" min="1" value={data.revealHours} onChange={e => onChange('revealHours', e.target.value)} className="form-input" />
+        </div>
+      )}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
+        <div>
+          <label className="form-label">Quorum</label>
+          <select value={data.quorumMode} onChange={e => onChange('quorumMode', e.target.value)} className="form-input">
+            <option value="none">No quorum</option>
+            <option value="count">Minimum number of votes</option>
+            <option value="percentage">Percentage of registered voters</option>
+          </select>
+        </div>
+        {data.quorumMode !== 'none' && (
+          <div>
+            <label className="form-label">{data.quorumMode === 'count' ? 'Votes required *' : 'Turnout required (%) *'}</label>
+            <input
+              type="number"
+              min="1"
+              max={data.quorumMode === 'percentage' ? 100 : undefined}
+              value={data.quorumValue}
+              onChange={e => onChange('quorumValue', e.target.value)}
+              className="form-input"
+            />
+          </div>
+        )}
       </div>
     </div>
   </div>
@@ -446,6 +534,27 @@ const Step2 = ({
             className="form-input"
             style={{ marginBottom: '1rem' }}
           />
+          <label className="form-label">Ballot Type:</label>
+          <select
+            value={pos.ballotType || 'plurality'}
+            onChange={e => onPositionChange(posIdx, 'ballotType', e.target.value)}
+            className="form-input"
+            style={{ marginBottom: '1rem' }}
+          >
+            <option value="plurality">Plurality (pick one)</option>
+            <option value="ranked">Ranked choice (instant runoff)</option>
+          </select>
+          <label className="form-label">Winning Rule:</label>
+          <select
+            value={pos.winRule || 'plurality'}
+            onChange={e => onPositionChange(posIdx, 'winRule', e.target.value)}
+            className="form-input"
+            style={{ marginBottom: '1rem' }}
+          >
+            {Object.entries(WIN_THRESHOLD_NAMES).map(([rule, name]) => (
+              <option key={rule} value={rule}>{name}</option>
+            ))}
+          </select>
           <label className="form-label">Candidates:</label>
           <div className="candidates-list">
             {pos.candidates.map((cand, candIdx) => (
@@ -482,23 +591,105 @@ const Step2 = ({
   </div>
 );
 
-const Step3 = ({ voterAddresses, merkleRoot, keyGenerationResult, onGenerateKeys }) => (
+const Step3 = ({ data, onChange, voterAddresses, merkleRoot, keyGenerationResult, onGenerateKeys }) => (
   <div>
     <h2 style={{ fontSize: '1.875rem', fontWeight: 700, color: '#fff', marginBottom: '2rem' }}>Step 3: Register Voters</h2>
     <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
       <div>
-        <label className="form-label">Voter Addresses (one per line)</label>
-        <textarea
-          id="voterAddresses"
-          rows="8"
-          placeholder="0x1234...&#10;0x5678...&#10;0xabcd..."
-          className="form-textarea"
-        />
-        <p style={{ color: '#fff', fontSize: '0.875rem', marginTop: '0.5rem', opacity: 0.7 }}>Paste Ethereum addresses, one per line</p>
+        <label className="form-label">Who can vote</label>
+        <select value={data.eligibility} onChange={e => onChange('eligibility', e.target.value)} className="form-input">
+          {Object.entries(ELIGIBILITY_MODE_NAMES).map(([mode, name]) => (
+            <option key={mode} value={mode}>{name}</option>
+          ))}
+        </select>
       </div>
-      <button onClick={onGenerateKeys} className="button-base button-primary" style={{ width: '100%' }}>
-        🔑 Generate Voter Keys
-      </button>
+      {ElectionCreationService.isTokenEligibility(data) ? (
+        <>
+          <div>
+            <label className="form-label">Voting Token Address *</label>
+            <input
+              type="text"
+              value={data.tokenAddress}
+              onChange={e => onChange('tokenAddress', e.target.value)}
+              placeholder="0x... (ERC20Votes or ERC721Votes contract)"
+              className="form-input"
+            />
+            <p style={{ color: '#fff', fontSize: '0.875rem', marginTop: '0.5rem', opacity: 0.7 }}>
+              Holders vote with the voting power they had delegated at the snapshot block. The token must be deployed at this address on every selected chain.
+            </p>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
+            <div>
+              <label className="form-label">Snapshot Block</label>
+              <input
+                type="number"
+                min="0"
+                value={data.snapshotBlock}
+                onChange={e => onChange('snapshotBlock', e.target.value)}
+                placeholder="Latest block at deploy"
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">{data.eligibility === 'nft' ? 'Eligible Holders *' : 'Total Voting Power'}</label>
+              <input
+                type="number"
+                min="1"
+                value={data.eligibleVoters}
+                onChange={e => onChange('eligibleVoters', e.target.value)}
+                placeholder={data.eligibility === 'nft' ? 'Used as the quorum base' : 'Past total supply'}
+                className="form-input"
+              />
+            </div>
+          </div>
+        </>
+      ) : (
+        <>
+          <div>
+            <label className="form-label">
+              {data.eligibility === 'weighted' ? 'Voter Addresses and Weights (one per line)' : 'Voter Addresses (one per line)'}
+            </label>
+            <textarea
+              id="voterAddresses"
+              rows="8"
+              placeholder={data.eligibility === 'weighted' ? '0x1234..., 120\n0x5678..., 45' : '0x1234...\n0x5678...\n0xabcd...'}
+              className="form-textarea"
+            />
+            <p style={{ color: '#fff', fontSize: '0.875rem', marginTop: '0.5rem', opacity: 0.7 }}>
+              {data.eligibility === 'weighted'
+                ? 'Paste "address, weight" pairs, one per line. Voters must vote from the listed wallet.'
+                : 'Paste Ethereum addresses, one per line'}
+            </p>
+          </div>
+          {data.eligibility === 'roll' && (
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={data.leafFormat === 'address'}
+                disabled={!!keyGenerationResult}
+                onChange={e => onChange('leafFormat', e.target.checked ? 'address' : 'key')}
+                className="checkbox-input"
+              />
+              Bind each voter key to its wallet (a leaked key cannot be used from another address)
+            </label>
+          )}
+          {data.eligibility === 'roll' && (
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={data.zkAnonymous}
+                onChange={e => onChange('zkAnonymous', e.target.checked)}
+                className="checkbox-input"
+              />
+              Zero-knowledge ballots (voters register an identity with their key, then vote with a proof that cannot be
+              linked to their wallet; no delegation, secret ballot or revoting)
+            </label>
+          )}
+          <button onClick={onGenerateKeys} className="button-base button-primary" style={{ width: '100%' }}>
+            🔑 Generate Voter Keys
+          </button>
+        </>
+      )}
       {keyGenerationResult && (
         <div className="success-alert">
           <h3 className="success-title">✅ Election & Keys Generated!</h3>
@@ -513,7 +704,7 @@ const Step3 = ({ voterAddresses, merkleRoot, keyGenerationResult, onGenerateKeys
   </div>
 );
 
-const Step4 = ({ chains, selectedChains, onChainToggle }) => (
+const Step4 = ({ data, onChange, chains, selectedChains, onChainToggle }) => (
   <div>
     <h2 style={{ fontSize: '1.875rem', fontWeight: 700, color: '#fff', marginBottom: '0.5rem' }}>Step 4: Select Blockchains</h2>
     <p style={{ color: '#d1d5db', marginBottom: '2rem' }}>Choose which chains to deploy your election to</p>
@@ -526,6 +717,22 @@ const Step4 = ({ chains, selectedChains, onChainToggle }) => (
         </label>
       ))}
     </div>
+    <div style={{ marginTop: '2rem' }}>
+      <h3 style={{ color: '#fff', fontWeight: 600, marginBottom: '0.5rem' }}>⛽ Sponsor Gasless Voting (optional)</h3>
+      <p style={{ color: '#d1d5db', fontSize: '0.875rem', marginBottom: '1rem' }}>
+        Deposited on each selected chain. Relayers are reimbursed per counted vote; what is left can be withdrawn once the election ends.
+      </p>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
+        <div>
+          <label className="form-label">Deposit per chain (native currency)</label>
+          <input type="number" min="0" step="any" placeholder="e.g. 0.05" value={data.sponsorAmount} onChange={e => onChange('sponsorAmount', e.target.value)} className="form-input" />
+        </div>
+        <div>
+          <label className="form-label">Max reimbursement per vote</label>
+          <input type="number" min="0" step="any" placeholder="e.g. 0.0002" value={data.sponsorMaxPerVote} onChange={e => onChange('sponsorMaxPerVote', e.target.value)} className="form-input" />
+        </div>
+      </div>
+    </div>
     <div className="info-box" style={{ marginTop: '2rem' }}>
       <h3 className="info-title">💡 Why Multichain?</h3>
       <ul className="info-list">
@@ -562,6 +769,18 @@ const Step5 = ({ data, positions, voterAddresses, selectedChains, chains }) => {
             <div className="review-item"><span className="review-label">Start:</span> {data.startDate} at {data.startTime}</div>
             <div className="review-item"><span className="review-label">End:</span> {data.endDate} at {data.endTime}</div>
             <div className="review-item"><span className="review-label">Duration:</span> {duration} hours</div>
+            {data.secretBallot && (
+              <div className="review-item"><span className="review-label">Secret ballot:</span> reveal within {data.revealHours} hours of the end</div>
+            )}
+            {data.quorumMode !== 'none' && (
+              <div className="review-item"><span className="review-label">Quorum:</span> {data.quorumValue}{data.quorumMode === 'percentage' ? '% of registered voters' : ' votes'}</div>
+            )}
+            {data.allowRevote && (
+              <div className="review-item"><span className="review-label">Revoting:</span> allowed until the end time</div>
+            )}
+            {Number(data.sponsorAmount) > 0 && (
+              <div className="review-item"><span className="review-label">Gasless voting:</span> {data.sponsorAmount} deposited per chain, up to {data.sponsorMaxPerVote || '?'} per vote</div>
+            )}
           </div>
         </div>
 
@@ -570,17 +789,32 @@ const Step5 = ({ data, positions, voterAddresses, selectedChains, chains }) => {
           <div className="review-content">
             {positions.map((p, i) => (
               <div key={i} style={{ backgroundColor: 'rgba(255,255,255,0.05)', padding: '0.75rem', borderRadius: '0.5rem', marginBottom: '0.5rem' }}>
-                <p><strong>{i + 1}. {p.title || 'Untitled Position'}</strong></p>
+                <p><strong>{i + 1}. {p.title || 'Untitled Position'}</strong>{p.ballotType === 'ranked' && ' · Ranked choice'}{p.winRule && p.winRule !== 'plurality' && ` · ${WIN_THRESHOLD_NAMES[p.winRule]}`}</p>
                 <p style={{ color: '#d1d5db', marginTop: '0.25rem' }}>Candidates: {p.candidates.filter(c => c).length}</p>
               </div>
             ))}
           </div>
         </div>
 
-        <div className="review-section">
-          <h3>👥 Voters ({voterAddresses.length})</h3>
-          <p style={{ color: '#fff', fontSize: '0.875rem' }}>{voterAddresses.length} registered voter{voterAddresses.length !== 1 ? 's' : ''}</p>
-        </div>
+        {ElectionCreationService.isTokenEligibility(data) ? (
+          <div className="review-section">
+            <h3>👥 Voters ({ELIGIBILITY_MODE_NAMES[data.eligibility]})</h3>
+            <div className="review-content">
+              <div className="review-item"><span className="review-label">Token:</span> <span className="review-code">{data.tokenAddress}</span></div>
+              <div className="review-item"><span className="review-label">Snapshot:</span> {data.snapshotBlock ? `block ${data.snapshotBlock}` : 'latest block at deploy'}</div>
+            </div>
+          </div>
+        ) : (
+          <div className="review-section">
+            <h3>👥 Voters ({voterAddresses.length})</h3>
+            <p style={{ color: '#fff', fontSize: '0.875rem' }}>
+              {voterAddresses.length} registered voter{voterAddresses.length !== 1 ? 's' : ''}
+              {data.eligibility === 'weighted' && ' · weighted roll'}
+              {data.eligibility === 'roll' && data.leafFormat === 'address' && ' · keys bound to wallets'}
+              {data.eligibility === 'roll' && data.zkAnonymous && ' · zero-knowledge ballots'}
+            </p>
+          </div>
+        )}
 
         <div className="review-section">
           <h3>⛓️ Selected Chains ({selectedChains.length})</h3>
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { TrendingUp, Users, CheckCircle, Activity, ArrowUp, ArrowDown } from 'lucide-react';
+import { getElectionOfficials } from '../services/votingService';
+import { formatAddress } from '../utils/formatters';
 
 const DashboardPage = () => {
   const navigate = useNavigate();
@@ -11,7 +13,9 @@ const DashboardPage = () => {
     systemStatus: 0
   });
   const [recentElections, setRecentElections] = useState([]);
+  const [officials, setOfficials] = useState({});
   const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
 
   const BACKEND_API = process.env.REACT_APP_BACKEND_API || 'http://localhost:5000';
 
@@ -19,12 +23,16 @@ const DashboardPage = () => {
     fetchDashboardData();
   }, []);
 
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
   const fetchDashboardData = async () => {
     try {
       const response = await fetch(`${BACKEND_API}/api/elections`);
       const elections = await response.json();
 
-      const now = Math.floor(Date.now() / 1000);
       const active = elections.filter(e => e.startTime <= now && e.endTime >= now).length;
       const completed = elections.filter(e => e.endTime < now).length;
       const totalVoters = elections.reduce((sum, e) => sum + (e.totalVoters || 0), 0);
@@ -36,7 +44,9 @@ const DashboardPage = () => {
         systemStatus: active > 0 ? 100 : 85
       });
 
-      setRecentElections(elections.slice(0, 5));
+      const recent = elections.slice(0, 5);
+      setRecentElections(recent);
+      fetchOfficials(recent);
     } catch (err) {
       console.error('Failed to fetch dashboard data:', err);
     } finally {
@@ -44,6 +54,21 @@ const DashboardPage = () => {
     }
   };
 
+  // Admins, officials and observers from getElection; left out for elections
+  // that are not on-chain yet or when no wallet is connected
+  const fetchOfficials = async (elections) => {
+    const entries = await Promise.all(
+      elections.map(async (election) => {
+        try {
+          return [election.uuid, await getElectionOfficials(election.uuid)];
+        } catch {
+          return [election.uuid, null];
+        }
+      })
+    );
+    setOfficials(Object.fromEntries(entries));
+  };
+
   const statCards = [
     {
       title: 'Total Elections',
@@ -149,13 +174,13 @@ const DashboardPage = () => {
                 <th>Title</th>
                 <th>Status</th>
                 <th>Voters</th>
+                <th>Officials</th>
                 <th>End Date</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
               {recentElections.map((election) => {
-                const now = Math.floor(Date.now() / 1000);
                 const status = election.endTime < now ? 'Completed' : 
                               election.startTime > now ? 'Upcoming' : 'Active';
                 
@@ -168,6 +193,16 @@ const DashboardPage = () => {
                       </span>
                     </td>
                     <td>{election.totalVoters || 0}</td>
+                    <td>
+                      {officials[election.uuid]
+                        ? officials[election.uuid].map((official) => (
+                            <div key={official.address} className="text-sm">
+                              <span className="font-mono">{formatAddress(official.address)}</span>{' '}
+                              <span className="text-gray-500">{official.role}</span>
+                            </div>
+                          ))
+                        : '—'}
+                    </td>
                     <td>{new Date(election.endTime * 1000).toLocaleDateString()}</td>
                     <td>
                       <button
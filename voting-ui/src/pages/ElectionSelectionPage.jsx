@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import RevealPrompt from '../components/voting/RevealPrompt';
+import IdentityPrompt from '../components/voting/IdentityPrompt';
 import formatters from '../utils/formatters';
 
 const ElectionSelectionPage = () => {
@@ -215,6 +217,9 @@ const ElectionSelectionPage = () => {
 
               </div>
 
+              <RevealPrompt electionUuid={election.uuid} />
+              <IdentityPrompt electionUuid={election.uuid} />
+
               {/* ✅ ACTION BUTTONS - Updated */}
               <div className="election-actions">
                 <button
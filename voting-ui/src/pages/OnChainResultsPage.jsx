@@ -7,6 +7,8 @@ import {
 import votingService from '../services/votingService';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import ResultsToggle from '../components/common/ResultsToggle';
+import { tallyInstantRunoff } from '../utils/instantRunoff';
+import { BALLOT_TYPES, ELECTION_OUTCOMES } from '../utils/constants';
 
 const OnChainResultsPage = () => {
   const { electionId } = useParams();
@@ -15,6 +17,9 @@ const OnChainResultsPage = () => {
   // State
   const [election, setElection] = useState(null);
   const [results, setResults] = useState({});
+  const [runoffs, setRunoffs] = useState({});
+  const [outcome, setOutcome] = useState(null);
+  const [certification, setCertification] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [onChainId, setOnChainId] = useState(null);
@@ -81,32 +86,44 @@ const OnChainResultsPage = () => {
       console.log(`📈 Fetching ON-CHAIN results for ${elecData.positions.length} positions...`);
       
       const newResults = {};
+      const newRunoffs = {};
       let totalVotes = 0;
 
+      // Every position's tallies in one call
+      let allVotes = [];
+      try {
+        allVotes = await votingService.getElectionResultsAll(chainId);
+      } catch (resultsErr) {
+        console.warn('⚠️ Error fetching tallies:', resultsErr);
+      }
+
       for (let posIdx = 0; posIdx < elecData.positions.length; posIdx++) {
         const position = elecData.positions[posIdx];
-        
-        try {
-          const response = await votingService.getElectionResults(chainId, posIdx);
-          
-          newResults[posIdx] = {
-            title: position.title,
-            candidates: position.candidates,
-            votes: response.votesCast || []
-          };
-
-          totalVotes += response.votesCast.reduce((a, b) => a + b, 0);
-        } catch (posErr) {
-          console.warn(`⚠️ Error fetching position ${posIdx}:`, posErr);
-          newResults[posIdx] = {
-            title: position.title,
-            candidates: position.candidates,
-            votes: new Array(position.candidates.length).fill(0)
-          };
+        const votes = allVotes[posIdx] || new Array(position.candidates.length).fill(0);
+
+        newResults[posIdx] = {
+          title: position.title,
+          candidates: position.candidates,
+          votes
+        };
+
+        totalVotes += votes.reduce((a, b) => a + b, 0);
+
+        // Preference lists are only readable after completeElection
+        if (position.ballotType === BALLOT_TYPES.RANKED) {
+          try {
+            const ballots = await votingService.getRankedBallots(chainId, posIdx);
+            newRunoffs[posIdx] = tallyInstantRunoff(position.candidates, ballots);
+          } catch {
+            console.log(`⏭️ Ranked ballots for position ${posIdx} not available yet`);
+          }
         }
       }
 
       setResults(newResults);
+      setRunoffs(newRunoffs);
+      setOutcome(await votingService.getElectionOutcome(chainId));
+      setCertification(await votingService.getCertification(chainId));
       const avgVotes = elecData.positions.length > 0 ? totalVotes / elecData.positions.length : 0;
       
       setContractStats(prev => ({
@@ -213,6 +230,9 @@ const OnChainResultsPage = () => {
   // Prepare data for display
   const position = election.positions[selectedPosition];
   const positionResults = results[selectedPosition];
+  const runoff = runoffs[selectedPosition];
+  const isRanked = position?.ballotType === BALLOT_TYPES.RANKED;
+  const positionOutcome = outcome?.results[selectedPosition];
   const totalVotesInPosition = positionResults?.votes?.reduce((a, b) => a + b, 0) || 0;
   const participationRate = contractStats.totalVoters > 0 
     ? ((contractStats.votedCount / contractStats.totalVoters) * 100).toFixed(1) 
@@ -341,6 +361,35 @@ const OnChainResultsPage = () => {
         </div>
       </div>
 
+      {/* Quorum (recorded at completion) */}
+      {outcome && (
+        <div className={`info-banner ${outcome.quorumReached ? 'on-chain' : ''}`}>
+          <span className="banner-icon">{outcome.quorumReached ? '✅' : '⚠️'}</span>
+          <div className="banner-content">
+            <strong>{outcome.quorumReached ? 'Quorum reached' : 'Quorum not reached'}</strong>
+            <p>
+              {outcome.turnout} vote{outcome.turnout !== 1 ? 's' : ''} cast
+              {outcome.quorumRequired > 0 && `, ${outcome.quorumRequired} required`}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Certification (certifyResults) */}
+      {certification && (
+        <div className="info-banner on-chain">
+          <span className="banner-icon">🔏</span>
+          <div className="banner-content">
+            <strong>Results certified</strong>
+            <p>
+              {new Date(certification.certifiedAt * 1000).toLocaleString()} by {certification.certifiedBy}
+              <br />
+              Results hash: <code>{certification.resultsHash}</code>
+            </p>
+          </div>
+        </div>
+      )}
+
       {/* Position Tabs */}
       <div className="positions-tabs">
         {election.positions.map((pos, idx) => (
@@ -360,6 +409,18 @@ const OnChainResultsPage = () => {
         <div className="position-header">
           <h2>{position?.title}</h2>
           <p className="votes-count">Total Votes: {totalVotesInPosition}</p>
+          {isRanked && <p className="votes-count">Ranked choice · charts show first preferences</p>}
+          {positionOutcome && (
+            <p className="votes-count">
+              {positionOutcome.outcome === ELECTION_OUTCOMES.WINNER &&
+                `🏆 Official result: ${position.candidates[positionOutcome.winner]} (${positionOutcome.winnerVotes} votes)`}
+              {positionOutcome.outcome === ELECTION_OUTCOMES.NO_QUORUM && '⚠️ No result: quorum not reached'}
+              {positionOutcome.outcome === ELECTION_OUTCOMES.RUNOFF_REQUIRED &&
+                (isRanked
+                  ? '🔁 No first-preference majority: decided by the instant-runoff rounds below'
+                  : '🔁 Runoff required: no candidate met the winning threshold')}
+            </p>
+          )}
         </div>
 
         <div className="charts-grid">
@@ -494,6 +555,59 @@ const OnChainResultsPage = () => {
             </tbody>
           </table>
         </div>
+
+        {/* Instant-Runoff Rounds */}
+        {isRanked && (
+          <div className="results-table">
+            <h3>Instant-Runoff Rounds</h3>
+            {runoff ? (
+              <>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Candidate</th>
+                      {runoff.rounds.map((_, r) => (
+                        <th key={r}>Round {r + 1}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {position.candidates.map((candidate, idx) => {
+                      const outRound = runoff.rounds.findIndex(round => round.eliminated.includes(idx));
+
+                      return (
+                        <tr key={idx} className={runoff.winner === idx ? 'leading' : ''}>
+                          <td className="candidate-name">{candidate}</td>
+                          {runoff.rounds.map((round, r) => (
+                            <td key={r} className="votes">
+                              {outRound !== -1 && r > outRound ? '—' : round.counts[idx]}
+                              {r === outRound && ' ✕'}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                    <tr>
+                      <td className="candidate-name">Exhausted</td>
+                      {runoff.rounds.map((round, r) => (
+                        <td key={r} className="votes">{round.exhausted}</td>
+                      ))}
+                    </tr>
+                  </tbody>
+                </table>
+                <p className="votes-count">
+                  {runoff.winner !== null
+                    ? `🥇 Winner: ${position.candidates[runoff.winner]}`
+                    : `Tied: ${runoff.tie.map(idx => position.candidates[idx]).join(', ')}`}
+                </p>
+              </>
+            ) : (
+              <p style={{ textAlign: 'center', color: '#999' }}>
+                Elimination rounds are available once the election is completed on-chain
+              </p>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
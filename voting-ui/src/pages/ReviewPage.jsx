@@ -6,6 +6,7 @@ import { useWallet } from '../hooks/useWallet';
 import votingService from '../services/votingService';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import SecurityBadge from '../components/common/SecurityBadge';
+import { BALLOT_TYPES } from '../utils/constants';
 
 const ReviewPage = () => {
   const { electionId } = useParams();
@@ -17,6 +18,10 @@ const ReviewPage = () => {
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [confirmSubmit, setConfirmSubmit] = useState(false);
+  const [revoteStatus, setRevoteStatus] = useState({ allowRevote: false, replacing: false });
+  const [gaslessAvailable, setGaslessAvailable] = useState(false);
+  const [gasless, setGasless] = useState(false);
+  const [relayStatus, setRelayStatus] = useState(null);
 
   useEffect(() => {
     // Guard: check if we have election data
@@ -37,6 +42,18 @@ const ReviewPage = () => {
     }
   }, [currentElection, delegateTo, votes, electionId, navigate, addSecurityWarning]);
 
+  useEffect(() => {
+    if (!address) return;
+    votingService.getRevoteStatus(electionId, address).then(setRevoteStatus);
+  }, [electionId, address]);
+
+  useEffect(() => {
+    votingService
+      .supportsGasless(electionId)
+      .then(setGaslessAvailable)
+      .catch(() => setGaslessAvailable(false));
+  }, [electionId]);
+
   const handleSubmitVote = async () => {
     if (!confirmSubmit) {
       setError('Please confirm your vote before submitting.');
@@ -51,6 +68,7 @@ const ReviewPage = () => {
       console.log(`   Election UUID: ${electionId}`);
       console.log(`   Voter Address: ${address}`);
       console.log(`   Delegating: ${delegateTo ? 'Yes' : 'No'}`);
+      console.log(`   Gasless: ${gasless ? 'Yes' : 'No'}`);
 
       // Format votes as array of arrays (for each position)
       const formattedVotes = currentElection.positions.map((_, i) => votes[i] || []);
@@ -62,12 +80,16 @@ const ReviewPage = () => {
       // NEW: castVote(electionUuid, voterAddress, votes, delegateTo)
       // merkleProof is now fetched inside castVote from keyService
       
-      const result = await votingService.castVote(
-        electionId,              // Election UUID
-        address,                 // Voter Address
-        formattedVotes,          // Votes (uint256[][])
-        delegateTo || null       // Delegate (optional)
-      );
+      // Gasless ballots are signed here and submitted by the relayer in its next batch;
+      // delegation always goes through the voter's own wallet
+      const result = gasless && !delegateTo
+        ? await votingService.castGaslessVote(electionId, address, formattedVotes, setRelayStatus)
+        : await votingService.castVote(
+            electionId,              // Election UUID
+            address,                 // Voter Address
+            formattedVotes,          // Votes (uint256[][])
+            delegateTo || null       // Delegate (optional)
+          );
 
       if (!result.success) {
         throw new Error(result.error || 'Transaction failed');
@@ -80,7 +102,10 @@ const ReviewPage = () => {
       navigate(`/confirmation/${electionId}`, {
         state: {
           transactionHash: result.transactionHash,
-          blockNumber: result.blockNumber
+          blockNumber: result.blockNumber,
+          secretBallot: result.secretBallot,
+          replacedBallot: result.replacedBallot,
+          gasless: result.gasless
         }
       });
     } catch (err) {
@@ -88,6 +113,7 @@ const ReviewPage = () => {
       setError(err.message || 'Failed to submit vote.');
     } finally {
       setSubmitting(false);
+      setRelayStatus(null);
     }
   };
 
@@ -127,6 +153,23 @@ const ReviewPage = () => {
                 const selectedIdx = votes[posIdx]?.[0];
                 const selected = selectedIdx !== undefined ? position.candidates[selectedIdx] : null;
 
+                if (position.ballotType === BALLOT_TYPES.RANKED) {
+                  return (
+                    <div key={posIdx} className="ballot-review-item">
+                      <h4>{position.title}</h4>
+                      {selected ? (
+                        <ol className="ranking-review">
+                          {votes[posIdx].map((idx) => (
+                            <li key={idx}>{position.candidates[idx]}</li>
+                          ))}
+                        </ol>
+                      ) : (
+                        <div>No ranking</div>
+                      )}
+                    </div>
+                  );
+                }
+
                 return (
                   <div key={posIdx} className="ballot-review-item">
                     <h4>{position.title}</h4>
@@ -150,12 +193,35 @@ const ReviewPage = () => {
           <div>
             <span>Delegation: {delegateTo ? 'Active' : 'None'}</span>
           </div>
+          {gaslessAvailable && !delegateTo && (
+            <div>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={gasless}
+                  onChange={e => setGasless(e.target.checked)}
+                  disabled={submitting}
+                />
+                <span>Gasless vote (sign only; a relayer submits and pays the gas)</span>
+              </label>
+            </div>
+          )}
           <div>
             <span>Voter Address:</span>
             <code>{address?.substring(0, 6)}...{address?.substring(38)}</code>
           </div>
         </div>
 
+        {revoteStatus.replacing && (
+          <div className="review-delegation-card">
+            <h3>🔁 Replacing Your Earlier Ballot</h3>
+            <p>
+              You have already voted in this election. Submitting will replace your earlier
+              selections; only your last ballot before the election closes is counted.
+            </p>
+          </div>
+        )}
+
         {error && (
           <div className="review-error-card">
             <p>❌ {error}</p>
@@ -170,7 +236,12 @@ const ReviewPage = () => {
               onChange={e => setConfirmSubmit(e.target.checked)}
             />
             <span>
-              I confirm my selections. <strong>This is irreversible.</strong>
+              I confirm my selections.{' '}
+              {revoteStatus.allowRevote ? (
+                <strong>I can change them again until the election closes.</strong>
+              ) : (
+                <strong>This is irreversible.</strong>
+              )}
             </span>
           </label>
         </div>
@@ -187,7 +258,13 @@ const ReviewPage = () => {
             disabled={!confirmSubmit || submitting}
             className="review-btn-primary"
           >
-            {submitting ? 'Submitting...' : 'Submit Vote →'}
+            {submitting
+              ? relayStatus
+                ? `Relayer: ${relayStatus.status}...`
+                : 'Submitting...'
+              : gasless && !delegateTo
+                ? 'Sign & Submit Gasless →'
+                : 'Submit Vote →'}
           </button>
         </div>
 
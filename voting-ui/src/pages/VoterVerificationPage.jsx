@@ -5,6 +5,7 @@ import { useSecurity } from '../context/SecurityContext';
 import { useWallet } from '../hooks/useWallet';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import SecurityWarning from '../components/security/SecurityWarning';
+import votingService from '../services/votingService';
 
 const VoterVerificationPage = () => {
   const { electionId } = useParams();
@@ -19,7 +20,6 @@ const VoterVerificationPage = () => {
   const [error, setError] = useState(null);
   const [verificationStatus, setVerificationStatus] = useState('');
 
-  const KEYGEN_API = process.env.REACT_APP_KEYGEN_API || 'http://localhost:3001';
   const BACKEND_API = process.env.REACT_APP_BACKEND_API || 'http://localhost:5000';
 
   useEffect(() => {
@@ -79,14 +79,38 @@ const autoVerifyVoter = async () => {
     console.log(`🔍 Starting auto-verification for wallet: ${address}`);
     console.log(`Election UUID: ${electionId}`);
 
-    // New endpoint that returns voter_key + merkleProof
-    const response = await fetch(`${KEYGEN_API}/api/elections/${electionId}/voter/${address}/key`);
+    // Token elections have no voter roll: eligibility is the wallet's voting power at the snapshot
+    const tokenEligibility = await votingService.getTokenEligibility(electionId, address);
+    if (tokenEligibility) {
+      if (tokenEligibility.weight === '0') {
+        setVerificationStatus('ineligible');
+        setError(`Your wallet held no voting power at block ${tokenEligibility.snapshotBlock}.`);
+        return;
+      }
+
+      setVoterKey(tokenEligibility.voterKey);
+      setMerkleProof(tokenEligibility.merkleProof);
+      setIsVerified(true);
+      setVerificationStatus('success');
+      setTimeout(() => {
+        navigate(`/vote/${electionId}`);
+      }, 2000);
+      return;
+    }
+
+    // Returns voter_key + merkleProof once the wallet has signed the key service's sign-in message
+    setVerificationStatus('signing');
+    const response = await votingService.fetchVoterKey(`/api/elections/${electionId}/voter/${address}/key`, address);
+    setVerificationStatus('');
 
     if (!response.ok) {
       if (response.status === 404) {
         console.log('Voter not found in voter_keys table');
         setVerificationStatus('ineligible');
         setError('Your wallet is not registered for this election.');
+      } else if (response.status === 401) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.error || 'Wallet sign-in failed');
       } else if (response.status === 403) {
         console.log('Already voted (403 from backend)');
         setVerificationStatus('alreadyVoted');
@@ -231,7 +255,13 @@ const autoVerifyVoter = async () => {
 
             {verifying && (
               <div className="step-content-center">
-                <LoadingSpinner message="Checking your eligibility..." />
+                <LoadingSpinner
+                  message={
+                    verificationStatus === 'signing'
+                      ? 'Sign the message in your wallet to prove this address is yours...'
+                      : 'Checking your eligibility...'
+                  }
+                />
               </div>
             )}
 
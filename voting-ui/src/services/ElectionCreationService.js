@@ -3,6 +3,16 @@
  * Handles API calls and logic for creating elections
  */
 
+import { ethers } from 'ethers';
+import { BALLOT_TYPES, BALLOT_TYPE_IDS, WIN_THRESHOLDS, QUORUM_TYPES, ELIGIBILITY_MODES } from '../utils/constants';
+import { getCurrentAccount, fetchAsWallet } from './votingService';
+
+const VOTES_ABI = ['function getPastTotalSupply(uint256 timepoint) view returns (uint256)'];
+const SPONSORSHIP_ABI = [
+  'function depositSponsorship(uint256 electionId, uint256 maxPerVote) payable',
+  'function getSponsorship(uint256 electionId) view returns (address sponsor, uint256 balance, uint256 maxPerVote, uint256 votesReimbursed, uint256 totalReimbursed, uint256 remainingVotes)',
+];
+
 const ElectionCreationService = {
   /**
    * Generate a unique election UUID (v4 style)
@@ -21,6 +31,131 @@ const ElectionCreationService = {
     );
   },
 
+  /**
+   * Normalize a form position. Ranked positions let voters rank every
+   * candidate; plurality positions keep a single pick.
+   */
+  buildPosition(pos) {
+    const candidates = pos.candidates.filter(c => c.trim());
+    const ballotType = pos.ballotType === BALLOT_TYPES.RANKED ? BALLOT_TYPES.RANKED : BALLOT_TYPES.PLURALITY;
+    return {
+      title: pos.title || 'Untitled Position',
+      candidates,
+      maxSelections: ballotType === BALLOT_TYPES.RANKED ? candidates.length : 1,
+      ballotType,
+      winThreshold: WIN_THRESHOLDS[pos.winRule] || 0,
+    };
+  },
+
+  /**
+   * Election options passed to createElection alongside the positions
+   */
+  buildSettings(electionData) {
+    const secretBallot = Boolean(electionData.secretBallot);
+    return {
+      secretBallot,
+      revealPeriod: secretBallot ? Math.floor(Number(electionData.revealHours) * 3600) : 0,
+      allowRevote: Boolean(electionData.allowRevote),
+      ...this.buildQuorum(electionData),
+      ...this.buildEligibility(electionData),
+      // Leaves commit to the voter's wallet: a leaked key cannot be used elsewhere
+      addressBoundLeaf: electionData.eligibility === 'roll' && electionData.leafFormat === 'address',
+      // Voters register an identity with their key and vote with a zero-knowledge proof
+      zkAnonymous: electionData.eligibility === 'roll' && Boolean(electionData.zkAnonymous),
+    };
+  },
+
+  /**
+   * Token modes need no voter roll: the contract reads IVotes voting power
+   * at the snapshot block. Left blank, the snapshot is taken at deploy time.
+   */
+  buildEligibility(electionData) {
+    const eligibility = ELIGIBILITY_MODES[electionData.eligibility] || ELIGIBILITY_MODES.roll;
+    return {
+      eligibility,
+      token: this.isTokenEligibility(electionData) ? electionData.tokenAddress : ethers.constants.AddressZero,
+      snapshotBlock: Math.floor(Number(electionData.snapshotBlock)) || 0,
+    };
+  },
+
+  isTokenEligibility(electionData) {
+    return ELIGIBILITY_MODES[electionData.eligibility] >= ELIGIBILITY_MODES.token;
+  },
+
+  /**
+   * Roll lines are "address" or, for a weighted roll, "address, weight"
+   */
+  parseVoterRoll(lines, weighted) {
+    const entries = lines
+      .map(line => line.split(/[,;\s]+/).filter(Boolean))
+      .filter(([address]) => address && /^0x[a-fA-F0-9]{40}$/.test(address))
+      .map(([address, weight]) => ({ address, weight: weighted ? Number(weight) : 1 }));
+
+    if (weighted && entries.some(e => !Number.isInteger(e.weight) || e.weight <= 0)) {
+      throw new Error('Each voter needs a whole-number weight above zero (address, weight)');
+    }
+    return entries;
+  },
+
+  /**
+   * Quorum as the contract expects it: a vote count, or basis points
+   * of the registered voters for a percentage
+   */
+  buildQuorum(electionData) {
+    const value = Number(electionData.quorumValue) || 0;
+    if (electionData.quorumMode === 'count' && value > 0) {
+      return { quorumType: QUORUM_TYPES.COUNT, quorum: Math.floor(value) };
+    }
+    if (electionData.quorumMode === 'percentage' && value > 0) {
+      return { quorumType: QUORUM_TYPES.PERCENTAGE, quorum: Math.round(value * 100) };
+    }
+    return { quorumType: QUORUM_TYPES.NONE, quorum: 0 };
+  },
+
+  /**
+   * Gasless voting deposit, in each chain's native currency. Relayers are paid from it
+   * per counted ballot, up to maxPerVote. Null when the election is not sponsored.
+   */
+  buildSponsorship(electionData) {
+    const amount = String(electionData.sponsorAmount || '').trim();
+    if (!(Number(amount) > 0)) return null;
+
+    const maxPerVote = String(electionData.sponsorMaxPerVote || '').trim();
+    if (!(Number(maxPerVote) > 0)) {
+      throw new Error('Set the most a relayer may be reimbursed per vote');
+    }
+    return {
+      amount: ethers.utils.parseEther(amount),
+      maxPerVote: ethers.utils.parseEther(maxPerVote),
+    };
+  },
+
+  /**
+   * BatchVoteSubmitter on the connected chain, as registered with SafeVote
+   */
+  async getBatchSubmitter() {
+    const address = await window.Contract.contract.batchSubmitter();
+    if (address === ethers.constants.AddressZero) {
+      throw new Error('Gasless voting is not set up on this chain');
+    }
+    return new ethers.Contract(address, SPONSORSHIP_ABI, window.Contract.signer);
+  },
+
+  /**
+   * Sponsorship balance of an election on the connected chain, in ether
+   */
+  async getSponsorship(onChainElectionId) {
+    const submitter = await this.getBatchSubmitter();
+    const s = await submitter.getSponsorship(onChainElectionId);
+    return {
+      balance: ethers.utils.formatEther(s.balance),
+      maxPerVote: ethers.utils.formatEther(s.maxPerVote),
+      remainingVotes: s.remainingVotes.toNumber(),
+      votesReimbursed: s.votesReimbursed.toNumber(),
+      totalReimbursed: ethers.utils.formatEther(s.totalReimbursed),
+    };
+  },
+
   /**
    * Generate keys - Create election in DB FIRST, then generate keys
    */
@@ -30,9 +165,9 @@ const ElectionCreationService = {
       throw new Error('Please enter at least one voter address');
     }
 
-    const validAddresses = voterAddresses
-      .map(a => a.trim())
-      .filter(a => a && /^0x[a-fA-F0-9]{40}$/.test(a));
+    const weighted = electionData.eligibility === 'weighted';
+    const roll = this.parseVoterRoll(voterAddresses, weighted);
+    const validAddresses = roll.map(e => e.address);
 
     if (validAddresses.length === 0) {
       throw new Error('No valid addresses found. Please use valid Ethereum addresses (0x...)');
@@ -41,7 +176,8 @@ const ElectionCreationService = {
     //const KEYGEN_API = window.KEYGEN_API || 'http://localhost:3001';
     //const BACKEND_API = window.BACKEND_API || 'http://localhost:5000';
     const BACKEND_API = process.env.REACT_APP_BACKEND_API || 'http://localhost:5000';
-    const KEYGEN_API = process.env.REACT_APP_KEYGEN_API || 'http://localhost:3001';
+    // The key service only generates keys for the election's creator, signed in with this wallet
+    const creator = await getCurrentAccount();
 
 
     // Parse timestamps
@@ -64,18 +200,14 @@ const ElectionCreationService = {
         title: electionData.title || 'Untitled Election',
         description: electionData.description || '',
         location: electionData.location || '',
-        creator: '0x0000000000000000000000000000000000000000',
+        creator,
         startTime: startTime,
         endTime: endTime,
         totalVoters: validAddresses.length,
         isPublic: electionData.isPublic,
         allowAnonymous: electionData.allowAnonymous,
         allowDelegation: electionData.allowDelegation,
-        positions: electionData.positions.map(p => ({
-          title: p.title || 'Untitled Position',
-          candidates: p.candidates.filter(c => c.trim()),
-          maxSelections: 1,
-        })),
+        positions: electionData.positions.map(p => this.buildPosition(p)),
         voterAddresses: validAddresses,
       }),
     });
@@ -91,13 +223,15 @@ const ElectionCreationService = {
     // STEP 2: Now generate keys
     console.log(`\n🔑 Step 2: Generating voter keys...`);
 
-    const keyResponse = await fetch(`${KEYGEN_API}/api/elections/keys/generate`, {
+    const keyResponse = await fetchAsWallet('/api/elections/keys/generate', creator, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         electionId: electionData.electionUUID,
         numVoters: validAddresses.length,
         voterAddresses: validAddresses,
+        ...(weighted && { weights: roll.map(e => e.weight) }),
+        leafFormat: this.buildSettings(electionData).addressBoundLeaf ? 'address' : 'key',
       }),
     });
 
@@ -163,14 +297,26 @@ const ElectionCreationService = {
     // Convert times to Unix timestamps
     const startTime = Math.floor(startDateTime.getTime() / 1000);
     const endTime = Math.floor(endDateTime.getTime() / 1000);
-    const totalVoters = voterAddresses.length;
+    const tokenEligibility = this.isTokenEligibility(electionData);
+    const weighted = electionData.eligibility === 'weighted';
 
     // Prepare positions data
-    const positions = electionData.positions.map(pos => ({
-      title: pos.title || 'Untitled Position',
-      candidates: pos.candidates.filter(c => c.trim()),
-      maxSelections: 1,
-    }));
+    const positions = electionData.positions.map(pos => {
+      const position = this.buildPosition(pos);
+      return { ...position, ballotType: BALLOT_TYPE_IDS[position.ballotType] };
+    });
+
+    const settings = this.buildSettings(electionData);
+    if (settings.secretBallot && !(settings.revealPeriod > 0)) {
+      throw new Error('Secret ballot elections need a reveal period');
+    }
+    if (settings.quorumType === QUORUM_TYPES.PERCENTAGE && settings.quorum > 10000) {
+      throw new Error('Quorum percentage cannot exceed 100%');
+    }
+    if (settings.zkAnonymous && (settings.secretBallot || settings.allowRevote || electionData.allowDelegation)) {
+      throw new Error('Zero-knowledge ballots cannot be combined with secret ballots, revoting or delegation');
+    }
+    const sponsorship = this.buildSponsorship(electionData);
 
     // Validate positions have candidates
     const invalidPositions = positions.filter(p => p.candidates.length === 0);
@@ -178,13 +324,28 @@ const ElectionCreationService = {
       throw new Error('All positions must have at least one candidate');
     }
 
-    // Get voter merkle root
-    const voterMerkleRoot = merkleRoot;
+    if (tokenEligibility && !ethers.utils.isAddress(electionData.tokenAddress || '')) {
+      throw new Error('Enter the voting token contract address');
+    }
+
+    // Get voter merkle root (token elections have no voter roll)
+    const voterMerkleRoot = tokenEligibility ? ethers.constants.HashZero : merkleRoot;
 
-    if (!voterMerkleRoot || voterMerkleRoot === '0x000...') {
+    if (!tokenEligibility && (!voterMerkleRoot || voterMerkleRoot === '0x000...')) {
       throw new Error('Keys not generated yet. Click "Generate Voter Keys" first.');
     }
 
+    // Quorum base: summed weights for a weighted roll, holder count or supply for tokens
+    let totalVoters = weighted
+      ? this.parseVoterRoll(voterAddresses, true).reduce((sum, e) => sum + e.weight, 0)
+      : voterAddresses.length;
+    if (tokenEligibility) {
+      totalVoters = Math.floor(Number(electionData.eligibleVoters)) || 0;
+    }
+    if (electionData.eligibility === 'nft' && totalVoters === 0) {
+      throw new Error('Enter the number of eligible holders');
+    }
+
     // Deploy to selected chains
     const deploymentResults = [];
 
@@ -201,6 +362,18 @@ const ElectionCreationService = {
           await new Promise(resolve => setTimeout(resolve, 1000));
         }
 
+        // Block numbers are per chain, so a blank snapshot is taken on each one
+        const chainSettings = { ...settings };
+        if (tokenEligibility && !chainSettings.snapshotBlock) {
+          chainSettings.snapshotBlock = (await window.Contract.provider.getBlockNumber()) - 1;
+        }
+
+        let chainVoters = totalVoters;
+        if (electionData.eligibility === 'token' && !chainVoters) {
+          const token = new ethers.Contract(chainSettings.token, VOTES_ABI, window.Contract.provider);
+          chainVoters = (await token.getPastTotalSupply(chainSettings.snapshotBlock)).toString();
+        }
+
         // Call createElection contract method
         const tx = await window.Contract.contract.createElection(
           electionData.title,
@@ -208,24 +381,43 @@ const ElectionCreationService = {
           electionData.location || '',
           startTime,
           endTime,
-          totalVoters,
+          chainVoters,
           voterMerkleRoot,
           electionData.isPublic,
           electionData.allowAnonymous,
           electionData.allowDelegation,
-          positions
+          positions,
+          chainSettings
         );
 
         const receipt = await tx.wait();
         const event = receipt.events?.find(e => e.event === 'ElectionCreatedV2');
         const onChainElectionId = event?.args?.electionId?.toString() || 'unknown';
 
+        // The election exists either way, so a failed deposit is reported, not thrown
+        let sponsorshipResult = null;
+        if (sponsorship && onChainElectionId !== 'unknown') {
+          try {
+            const submitter = await this.getBatchSubmitter();
+            const depositTx = await submitter.depositSponsorship(onChainElectionId, sponsorship.maxPerVote, {
+              value: sponsorship.amount,
+            });
+            await depositTx.wait();
+            sponsorshipResult = await this.getSponsorship(onChainElectionId);
+            console.log(`⛽ Sponsored gasless voting on chain ${chainId}: ${sponsorshipResult.balance}`);
+          } catch (sponsorErr) {
+            console.warn(`Sponsorship deposit failed on chain ${chainId}:`, sponsorErr);
+            sponsorshipResult = { error: sponsorErr.reason || sponsorErr.message };
+          }
+        }
+
         deploymentResults.push({
           chainId,
           success: true,
           electionId: electionData.electionUUID,
           onChainElectionId,
           txHash: receipt.transactionHash,
+          sponsorship: sponsorshipResult,
         });
 
         // Sync to backend
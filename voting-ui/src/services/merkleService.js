@@ -1,7 +1,24 @@
 import { ethers } from 'ethers';
 
+// Merkle leaf formats, chosen per election (the contract's settings.addressBoundLeaf)
+export const LEAF_FORMATS = {
+  KEY: 'key',
+  ADDRESS: 'address',
+};
+
+// keccak256(abi.encodePacked(voterKey)), or keccak256(abi.encode(voterAddress, voterKey))
+// for address-bound leaves, which only verify when voting from that wallet
+export const computeLeaf = (voterKey, { voterAddress, leafFormat = LEAF_FORMATS.KEY } = {}) => {
+  if (leafFormat === LEAF_FORMATS.ADDRESS) {
+    return ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(['address', 'bytes32'], [voterAddress, voterKey])
+    );
+  }
+  return ethers.utils.keccak256(voterKey);
+};
+
 // Generate Merkle proof for voter key
-export const generateProof = async (voterKey, merkleRoot) => {
+export const generateProof = async (voterKey, merkleRoot, { voterAddress, leafFormat } = {}) => {
   try {
     // In production, this would fetch from your backend API
     // For now, we'll simulate proof generation
@@ -13,6 +30,8 @@ export const generateProof = async (voterKey, merkleRoot) => {
       body: JSON.stringify({
         voterKey,
         merkleRoot,
+        voterAddress,
+        leafFormat,
       }),
     });
 
@@ -31,9 +50,9 @@ export const generateProof = async (voterKey, merkleRoot) => {
 };
 
 // Verify Merkle proof locally
-export const verifyProof = (voterKey, proof, root) => {
+export const verifyProof = (voterKey, proof, root, leafOptions = {}) => {
   try {
-    let computedHash = ethers.utils.keccak256(voterKey);
+    let computedHash = computeLeaf(voterKey, leafOptions);
 
     for (const proofElement of proof) {
       if (computedHash < proofElement) {
@@ -73,6 +92,8 @@ export const verifyMerkleProof = verifyProof;
 
 // Export as default object AND named exports
 const merkleService = {
+  LEAF_FORMATS,
+  computeLeaf,
   generateProof,
   verifyProof,
   generateVoterKey,
@@ -71,6 +71,9 @@ export const validateVoteStructure = (votes, positions) => {
     if (positionVotes.length === 0) return false;
     if (positionVotes.length > position.maxSelections) return false;
 
+    // Contract rejects the same candidate twice in one position
+    if (new Set(positionVotes).size !== positionVotes.length) return false;
+
     // Check all indices are valid
     for (const idx of positionVotes) {
       if (idx < 0 || idx >= position.candidates.length) return false;
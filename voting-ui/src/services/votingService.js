@@ -1,9 +1,14 @@
 import { ethers } from 'ethers';
+import { groth16 } from 'snarkjs';
+import { poseidon2 } from 'poseidon-lite';
 import { SAFE_VOTE_V2_ABI } from '../utils/SafeVoteV2ABI';
+import { ELIGIBILITY_MODES } from '../utils/constants';
 
 const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS;
+const BATCH_SUBMITTER_ADDRESS = process.env.REACT_APP_BATCH_SUBMITTER_ADDRESS;
 const BACKEND_API = process.env.REACT_APP_BACKEND_API || 'http://localhost:5000';
 const KEYGEN_API = process.env.REACT_APP_KEYGEN_API || 'http://localhost:3001';
+const RELAYER_API = process.env.REACT_APP_RELAYER_API;
 
 let provider = null;
 let signer = null;
@@ -67,6 +72,84 @@ export const getOnChainElectionId = async (uuid) => {
   return onChainElectionId;
 };
 
+/* ============================================
+   KEY SERVICE SIGN-IN
+   The key service only releases a voter key to the wallet that owns the
+   address: sign its Sign-In-With-Ethereum message once, then send the
+   short-lived session token with each key request.
+============================================ */
+
+// lowercase address → { token, expiresAt (ms) }
+const keySessions = new Map();
+
+const postKeyService = async (path, body) => {
+  const response = await fetch(`${KEYGEN_API}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Key service error ${response.status}`);
+  return data;
+};
+
+const getKeySession = async (voterAddress) => {
+  const cached = keySessions.get(voterAddress.toLowerCase());
+  if (cached && cached.expiresAt - Date.now() > 30000) return cached.token;
+
+  if (!signer) await initializeProvider();
+  const account = await signer.getAddress();
+  if (account.toLowerCase() !== voterAddress.toLowerCase()) {
+    throw new Error('Switch to the wallet you are registered with to get your voter key');
+  }
+
+  const { chainId } = await provider.getNetwork();
+  const challenge = await postKeyService('/api/auth/nonce', { address: account, chainId });
+  const signature = await signer.signMessage(challenge.message);
+  const session = await postKeyService('/api/auth/verify', { nonce: challenge.nonce, signature });
+
+  keySessions.set(voterAddress.toLowerCase(), { token: session.token, expiresAt: Date.parse(session.expiresAt) });
+  return session.token;
+};
+
+// Call the key service signed in as `address` (a voter, or an election's creator), signing in again if the session has lapsed
+export const fetchAsWallet = async (path, address, init = {}) => {
+  const request = async () => fetch(`${KEYGEN_API}${path}`, {
+    ...init,
+    headers: { ...init.headers, Authorization: `Bearer ${await getKeySession(address)}` }
+  });
+
+  let response = await request();
+  if (response.status === 401) {
+    keySessions.delete(address.toLowerCase());
+    response = await request();
+  }
+  return response;
+};
+
+// GET a voter's key endpoint with their session
+export const fetchVoterKey = (path, voterAddress) => fetchAsWallet(path, voterAddress);
+
+// Redeem a claim link (emailed or from a QR sheet): the key moves to the connected wallet
+export const claimVoterKey = async (claimToken) => {
+  if (!signer) await initializeProvider();
+  const account = await signer.getAddress();
+
+  const request = async () => fetch(`${KEYGEN_API}/api/claims/${encodeURIComponent(claimToken)}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await getKeySession(account)}` }
+  });
+
+  let response = await request();
+  if (response.status === 401) {
+    keySessions.delete(account.toLowerCase());
+    response = await request();
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.message || data.error || 'Failed to claim voter key');
+  return data;
+};
+
 /* ============================================
    GET VOTER DATA WITH MERKLE PROOF
    FIXED: Fetch from keyService instead of context
@@ -78,8 +161,12 @@ export const getVoterMerkleData = async (electionId, voterAddress) => {
   console.log(`   Voter: ${voterAddress.substring(0, 10)}...`);
 
   try {
-    const response = await fetch(
-      `${KEYGEN_API}/api/elections/${electionId}/keys/${voterAddress}`
+    // The key service refuses voters already recorded on another chain;
+    // passing ours lets a revote on the same chain through
+    const chainQuery = provider ? `?chainId=${(await provider.getNetwork()).chainId}` : '';
+    const response = await fetchVoterKey(
+      `/api/elections/${electionId}/keys/${voterAddress}${chainQuery}`,
+      voterAddress
     );
 
     if (!response.ok) {
@@ -105,6 +192,38 @@ export const getVoterMerkleData = async (electionId, voterAddress) => {
   }
 };
 
+/* ============================================
+   TOKEN ELIGIBILITY
+   Token-weighted and token-gated elections have no voter roll: the key
+   is the voter's own address and voting power is read from the token
+   at the election's snapshot block
+============================================ */
+
+const VOTES_ABI = ['function getPastVotes(address account, uint256 timepoint) view returns (uint256)'];
+
+export const getTokenEligibility = async (electionUuid, voterAddress) => {
+  if (!contract) await initializeProvider();
+
+  const onChainElectionId = await getOnChainElectionId(electionUuid);
+  const settings = await contract.electionSettings(onChainElectionId);
+  if (settings.eligibility < ELIGIBILITY_MODES.token) return null;
+
+  const token = new ethers.Contract(settings.token, VOTES_ABI, provider);
+  const votes = await token.getPastVotes(voterAddress, settings.snapshotBlock);
+  const gated = settings.eligibility === ELIGIBILITY_MODES.nft;
+
+  return {
+    voterKey: ethers.utils.hexZeroPad(voterAddress, 32),
+    merkleProof: [],
+    snapshotBlock: settings.snapshotBlock.toNumber(),
+    weight: gated && !votes.isZero() ? '1' : votes.toString()
+  };
+};
+
+// Key and proof for vote(): the token snapshot, or the voter roll via the key service
+const getVoterCredentials = async (electionUuid, voterAddress) =>
+  (await getTokenEligibility(electionUuid, voterAddress)) || getVoterMerkleData(electionUuid, voterAddress);
+
 /* ============================================
    VOTING STATUS
 ============================================ */
@@ -154,12 +273,17 @@ export const castVote = async (
   try {
     if (!contract) await initializeProvider();
 
+    // Zero-knowledge elections never send the voter key with the ballot
+    if (await isZkAnonymous(electionUuid)) {
+      return castAnonymousVote(electionUuid, voterAddress, votes);
+    }
+
     console.log('\n🗳️ Starting vote submission...');
     console.log('━'.repeat(60));
 
-    // STEP 1: Fetch voter merkle data from keyService
+    // STEP 1: Fetch voter merkle data from keyService (token elections use the address)
     console.log(`\n📍 Step 1: Fetching voter merkle proof...`);
-    const merkleData = await getVoterMerkleData(electionUuid, voterAddress);
+    const merkleData = await getVoterCredentials(electionUuid, voterAddress);
     
     const voterKey = merkleData.voterKey;
     const merkleProof = merkleData.merkleProof;
@@ -214,17 +338,56 @@ export const castVote = async (
     console.log(`\n📍 Step 6: Submitting vote transaction...`);
     console.log(`━`.repeat(60));
 
-    const tx = await contract.vote(
-      onChainElectionId,           // uint256 electionId
-      voterKey,                    // bytes32 voterKey (random from voter_keys table)
-      merkleProof,                 // bytes32[] merkleProof
-      formattedVotes,              // uint256[][] votes
-      delegateAddress,             // address delegateTo
-      { 
-        gasLimit: 800000,
-        gasPrice: ethers.utils.parseUnits('0.05', 'gwei')
-      }
-    );
+    const txOptions = {
+      gasLimit: 800000,
+      gasPrice: ethers.utils.parseUnits('0.05', 'gwei')
+    };
+
+    // Secret ballot elections take a commitment now and the votes after endTime.
+    // Delegations are public and still go through vote().
+    const settings = await contract.electionSettings(onChainElectionId);
+    const commitSecretBallot = settings.secretBallot && delegateAddress === ethers.constants.AddressZero;
+    let pendingReveal = null;
+
+    const replacedBallot = settings.allowRevote && await hasCastBallot(onChainElectionId, voterKey);
+    if (replacedBallot) {
+      console.log('🔁 Revote: this ballot replaces the one cast earlier with this key');
+    }
+
+    let tx;
+    if (commitSecretBallot) {
+      const election = await contract.getElection(onChainElectionId);
+      const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      pendingReveal = {
+        onChainElectionId: onChainElectionId.toString(),
+        voterKey,
+        votes: votes.map(arr => arr.map(Number)),
+        salt,
+        revealOpensAt: election.endTime.toNumber(),
+        revealDeadline: election.endTime.add(settings.revealPeriod).toNumber()
+      };
+
+      // Saved before sending: without the salt the ballot can never be counted
+      savePendingReveal(electionUuid, voterAddress, pendingReveal);
+      console.log(`🔒 Secret ballot: committing, reveal opens ${new Date(pendingReveal.revealOpensAt * 1000).toLocaleString()}`);
+
+      tx = await contract.commitVote(
+        onChainElectionId,
+        voterKey,
+        merkleProof,
+        computeCommitment(onChainElectionId, voterKey, formattedVotes, salt),
+        txOptions
+      );
+    } else {
+      tx = await contract.vote(
+        onChainElectionId,           // uint256 electionId
+        voterKey,                    // bytes32 voterKey (random from voter_keys table)
+        merkleProof,                 // bytes32[] merkleProof
+        formattedVotes,              // uint256[][] votes
+        delegateAddress,             // address delegateTo
+        txOptions
+      );
+    }
 
     console.log(`📤 TX sent: ${tx.hash}`);
     console.log(`⏳ Waiting for confirmation...`);
@@ -269,7 +432,12 @@ export const castVote = async (
     return {
       success: true,
       transactionHash: receipt.transactionHash,
-      blockNumber: receipt.blockNumber
+      blockNumber: receipt.blockNumber,
+      delegation: parseDelegation(receipt),
+      replacedBallot,
+      secretBallot: pendingReveal
+        ? { revealOpensAt: pendingReveal.revealOpensAt, revealDeadline: pendingReveal.revealDeadline }
+        : null
     };
   } catch (error) {
     console.error('\n❌ Error casting vote:', error);
@@ -282,6 +450,446 @@ export const castVote = async (
   }
 };
 
+/* ============================================
+   REVOTING
+   Elections created with allowRevote count the
+   last ballot cast with a key before endTime.
+============================================ */
+
+// Same hash the contract uses to track keys: keccak256(abi.encodePacked(electionId, voterKey))
+const hasCastBallot = async (onChainElectionId, voterKey) => {
+  const keyHash = ethers.utils.solidityKeccak256(['uint256', 'bytes32'], [onChainElectionId, voterKey]);
+  const weight = await contract.ballotWeights(onChainElectionId, keyHash);
+  return !weight.isZero();
+};
+
+export const getRevoteStatus = async (electionUuid, voterAddress) => {
+  try {
+    if (!contract) await initializeProvider();
+
+    const onChainElectionId = await getOnChainElectionId(electionUuid);
+    const settings = await contract.electionSettings(onChainElectionId);
+    if (!settings.allowRevote) {
+      return { allowRevote: false, replacing: false };
+    }
+
+    const { voterKey } = await getVoterCredentials(electionUuid, voterAddress);
+    return { allowRevote: true, replacing: await hasCastBallot(onChainElectionId, voterKey) };
+  } catch (err) {
+    console.error('Revote status check failed:', err);
+    return { allowRevote: false, replacing: false };
+  }
+};
+
+/* ============================================
+   SECRET BALLOT (COMMIT-REVEAL)
+   The commitment binds the votes to a random
+   salt that only this browser knows. It is kept
+   in localStorage until the vote is revealed.
+============================================ */
+
+const revealStorageKey = (electionUuid, voterAddress) =>
+  `safevote:reveal:${electionUuid}:${voterAddress.toLowerCase()}`;
+
+const savePendingReveal = (electionUuid, voterAddress, data) => {
+  localStorage.setItem(revealStorageKey(electionUuid, voterAddress), JSON.stringify(data));
+};
+
+// Must match keccak256(abi.encode(electionId, voterKey, votes, salt)) in ElectionLib
+export const computeCommitment = (onChainElectionId, voterKey, votes, salt) => {
+  const encoded = ethers.utils.defaultAbiCoder.encode(
+    ['uint256', 'bytes32', 'uint256[][]', 'bytes32'],
+    [onChainElectionId, voterKey, votes, salt]
+  );
+  return ethers.utils.keccak256(encoded);
+};
+
+export const getPendingReveal = (electionUuid, voterAddress) => {
+  if (!voterAddress) return null;
+  const stored = localStorage.getItem(revealStorageKey(electionUuid, voterAddress));
+  return stored ? JSON.parse(stored) : null;
+};
+
+export const revealVote = async (electionUuid, voterAddress) => {
+  try {
+    if (!contract) await initializeProvider();
+
+    const pending = getPendingReveal(electionUuid, voterAddress);
+    if (!pending) {
+      throw new Error('No secret ballot to reveal on this device');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (now <= pending.revealOpensAt) {
+      throw new Error('Votes can be revealed once voting has closed');
+    }
+
+    console.log(`🔓 Revealing secret ballot for election ${pending.onChainElectionId}...`);
+    const tx = await contract.revealVote(
+      pending.onChainElectionId,
+      pending.voterKey,
+      pending.votes,
+      pending.salt,
+      { gasLimit: 800000 }
+    );
+    const receipt = await tx.wait();
+
+    localStorage.removeItem(revealStorageKey(electionUuid, voterAddress));
+    console.log(`✅ Vote revealed: ${receipt.transactionHash}`);
+
+    return { success: true, transactionHash: receipt.transactionHash };
+  } catch (error) {
+    console.error('❌ Error revealing vote:', error);
+    return {
+      success: false,
+      error: error.reason || error.message || 'Reveal failed'
+    };
+  }
+};
+
+/* ============================================
+   SIGNED BALLOTS (BatchVoteSubmitter)
+   Gasless ballots are EIP-712 typed data, so the
+   wallet shows the election, key and choices
+   being signed. The domain pins the signature to
+   this chain and submitter deployment, and the
+   deadline bounds how long a relayer may hold it.
+============================================ */
+
+const BATCH_SUBMITTER_ABI = [
+  'function getNonce(address voter) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+// Must match VOTE_TYPEHASH in BatchVoteSubmitter
+export const VOTE_TYPES = {
+  Vote: [
+    { name: 'electionId', type: 'uint256' },
+    { name: 'voterKey', type: 'bytes32' },
+    { name: 'votes', type: 'uint256[][]' },
+    { name: 'voter', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * Sign a ballot for a relayer to submit. Returns it in the shape
+ * BatchVoteSubmitter.submitBatch takes (SignedVote).
+ */
+export const signBallot = async (electionUuid, voterAddress, votes, validForSeconds = 3600) => {
+  if (!contract) await initializeProvider();
+  if (!BATCH_SUBMITTER_ADDRESS) throw new Error('Gasless voting is not configured (REACT_APP_BATCH_SUBMITTER_ADDRESS)');
+
+  const { voterKey, merkleProof } = await getVoterCredentials(electionUuid, voterAddress);
+  const onChainElectionId = await getOnChainElectionId(electionUuid);
+  const submitter = new ethers.Contract(BATCH_SUBMITTER_ADDRESS, BATCH_SUBMITTER_ABI, provider);
+
+  // Read the domain from the contract (EIP-5267) rather than trusting local config
+  const { name, version, chainId, verifyingContract } = await submitter.eip712Domain();
+  const domain = { name, version, chainId: chainId.toNumber(), verifyingContract };
+
+  const ballot = {
+    electionId: onChainElectionId.toString(),
+    voterKey,
+    votes: votes.map(arr => arr.map(Number)),
+    voter: voterAddress,
+    nonce: (await submitter.getNonce(voterAddress)).toString(),
+    deadline: Math.floor(Date.now() / 1000) + validForSeconds
+  };
+
+  console.log(`✍️  Requesting typed-data signature for election ${onChainElectionId}...`);
+  const signature = await signer._signTypedData(domain, VOTE_TYPES, ballot);
+
+  return { ...ballot, merkleProof, signature };
+};
+
+/* ============================================
+   RELAYER
+   The relayer (relayer/server.js) validates a
+   ballot, answers 202 with an id and submits it
+   in the next batch. The id is polled until the
+   ballot is included or rejected.
+============================================ */
+
+const RELAY_POLL_INTERVAL_MS = 3000;
+const RELAY_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Gasless voting needs a relayer and submitter configured, and an election that takes
+ * plain ballots: secret ballots are committed by the voter, and zkAnonymous ballots
+ * always go through the relayer anyway.
+ */
+export const supportsGasless = async (electionUuid) => {
+  if (!RELAYER_API || !BATCH_SUBMITTER_ADDRESS) return false;
+  if (!contract) await initializeProvider();
+  const settings = await contract.electionSettings(await getOnChainElectionId(electionUuid));
+  return !settings.secretBallot && !settings.zkAnonymous;
+};
+
+const submitToRelayer = async (path, ballot) => {
+  const { chainId } = await provider.getNetwork();
+  const response = await fetch(`${RELAYER_API}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chainId, ballot })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Relayer rejected the ballot');
+  return data.id;
+};
+
+export const getRelayStatus = async (id) => {
+  const response = await fetch(`${RELAYER_API}/api/relay/ballots/${id}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Unknown ballot');
+  return data;
+};
+
+/**
+ * Poll until the relayer reports the ballot included (resolves with the receipt
+ * fields) or failed/expired (throws). onStatus sees every intermediate status.
+ */
+const waitForRelay = async (id, onStatus) => {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < RELAY_TIMEOUT_MS) {
+    const status = await getRelayStatus(id);
+    if (onStatus) onStatus(status);
+    if (status.status === 'included') {
+      return { transactionHash: status.txHash, blockNumber: status.blockNumber };
+    }
+    if (status.status === 'failed' || status.status === 'expired') {
+      throw new Error(status.error || `Ballot ${status.status}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, RELAY_POLL_INTERVAL_MS));
+  }
+  throw new Error('Timed out waiting for the relayer; check the ballot status later');
+};
+
+/**
+ * Cast a ballot without paying gas: sign it (EIP-712) and hand it to the relayer.
+ * Resolves once the batch carrying it is mined.
+ */
+export const castGaslessVote = async (electionUuid, voterAddress, votes, onStatus) => {
+  try {
+    if (!RELAYER_API) throw new Error('Gasless voting is not configured (REACT_APP_RELAYER_API)');
+
+    const ballot = await signBallot(electionUuid, voterAddress, votes);
+    const relayId = await submitToRelayer('/api/relay/ballots', ballot);
+    console.log(`📨 Ballot queued with relayer: ${relayId}`);
+
+    const { transactionHash, blockNumber } = await waitForRelay(relayId, onStatus);
+    console.log(`✅ Gasless vote included: ${transactionHash}`);
+    return { success: true, transactionHash, blockNumber, relayId, gasless: true };
+  } catch (error) {
+    console.error('❌ Error casting gasless vote:', error);
+    return {
+      success: false,
+      error: error.reason || error.message || 'Gasless vote failed'
+    };
+  }
+};
+
+/* ============================================
+   ZERO-KNOWLEDGE BALLOTS (zkAnonymous)
+   The voter key is spent registering a Semaphore-
+   style identity commitment. The ballot is then
+   cast with a Groth16 proof, generated here in
+   the browser, that the sender knows the secrets
+   of some registered identity. A relayer submits
+   it through the BatchVoteSubmitter so the
+   sending wallet says nothing about the voter.
+   The identity secrets never leave localStorage.
+============================================ */
+
+const ZK_WASM_URL = `${process.env.PUBLIC_URL || ''}/zk/anonymousVote.wasm`;
+const ZK_ZKEY_URL = `${process.env.PUBLIC_URL || ''}/zk/anonymousVote.zkey`;
+const IDENTITY_TREE_DEPTH = 16;
+
+const identityStorageKey = (electionUuid, voterAddress) =>
+  `safevote:identity:${electionUuid}:${voterAddress.toLowerCase()}`;
+
+// Random field elements; commitment = Poseidon(identityNullifier, identityTrapdoor)
+const createIdentity = () => {
+  const nullifier = BigInt(ethers.utils.hexlify(ethers.utils.randomBytes(31)));
+  const trapdoor = BigInt(ethers.utils.hexlify(ethers.utils.randomBytes(31)));
+  return {
+    nullifier: nullifier.toString(),
+    trapdoor: trapdoor.toString(),
+    commitment: poseidon2([nullifier, trapdoor]).toString()
+  };
+};
+
+export const isZkAnonymous = async (electionUuid) => {
+  if (!contract) await initializeProvider();
+  const settings = await contract.electionSettings(await getOnChainElectionId(electionUuid));
+  return settings.zkAnonymous;
+};
+
+export const getIdentity = (electionUuid, voterAddress) => {
+  if (!voterAddress) return null;
+  const stored = localStorage.getItem(identityStorageKey(electionUuid, voterAddress));
+  return stored ? JSON.parse(stored) : null;
+};
+
+// Must match externalNullifier() in ElectionLib: one nullifier per identity, contract and election
+const computeExternalNullifier = async (onChainElectionId) => {
+  const { chainId } = await provider.getNetwork();
+  const hash = ethers.utils.solidityKeccak256(
+    ['uint256', 'address', 'uint256'],
+    [chainId, CONTRACT_ADDRESS, onChainElectionId]
+  );
+  return BigInt(hash) >> BigInt(8);
+};
+
+// Must match signalHash() in ElectionLib: binds the proof to these exact votes
+const computeSignalHash = (votes) =>
+  BigInt(ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['uint256[][]'], [votes]))) >> BigInt(8);
+
+// Every commitment registered so far, in tree order
+const fetchIdentityCommitments = async (onChainElectionId) => {
+  const events = await contract.queryFilter(contract.filters.IdentityRegisteredV2(onChainElectionId));
+  return events
+    .sort((a, b) => a.args.index.sub(b.args.index).toNumber())
+    .map(e => BigInt(e.args.identityCommitment.toString()));
+};
+
+// Path to leaves[index] in the depth-16 Poseidon tree kept by IdentityTreeLib
+const buildIdentityPath = (leaves, index) => {
+  const siblings = [];
+  const pathIndices = [];
+  let level = leaves;
+  let zero = BigInt(0);
+  for (let depth = 0, i = index; depth < IDENTITY_TREE_DEPTH; depth++, i >>= 1) {
+    siblings.push((level[i ^ 1] ?? zero).toString());
+    pathIndices.push(i & 1);
+    const next = [];
+    for (let j = 0; j < level.length; j += 2) {
+      next.push(poseidon2([level[j], level[j + 1] ?? zero]));
+    }
+    level = next;
+    zero = poseidon2([zero, zero]);
+  }
+  return { root: level[0], siblings, pathIndices };
+};
+
+export const registerIdentity = async (electionUuid, voterAddress) => {
+  try {
+    if (!contract) await initializeProvider();
+
+    if (getIdentity(electionUuid, voterAddress)) {
+      throw new Error('An identity is already registered for this election on this device');
+    }
+
+    const onChainElectionId = await getOnChainElectionId(electionUuid);
+    const { voterKey, merkleProof } = await getVoterMerkleData(electionUuid, voterAddress);
+    const identity = createIdentity();
+
+    // Saved before sending: without the secrets the registered identity can never vote
+    localStorage.setItem(identityStorageKey(electionUuid, voterAddress), JSON.stringify(identity));
+
+    console.log(`🪪 Registering anonymous identity for election ${onChainElectionId}...`);
+    const tx = await contract.registerIdentity(onChainElectionId, voterKey, merkleProof, identity.commitment, {
+      gasLimit: 1500000
+    });
+    const receipt = await tx.wait();
+    console.log(`✅ Identity registered: ${receipt.transactionHash}`);
+
+    return { success: true, transactionHash: receipt.transactionHash };
+  } catch (error) {
+    console.error('❌ Error registering identity:', error);
+    return {
+      success: false,
+      error: error.reason || error.message || 'Registration failed'
+    };
+  }
+};
+
+/**
+ * Prove membership for the stored identity and package the ballot in the
+ * shape BatchVoteSubmitter.submitAnonymousBatch takes
+ */
+export const buildAnonymousBallot = async (electionUuid, voterAddress, votes) => {
+  if (!contract) await initializeProvider();
+
+  const identity = getIdentity(electionUuid, voterAddress);
+  if (!identity) throw new Error('Register an anonymous identity for this election first');
+
+  const onChainElectionId = await getOnChainElectionId(electionUuid);
+  const leaves = await fetchIdentityCommitments(onChainElectionId);
+  const index = leaves.indexOf(BigInt(identity.commitment));
+  if (index === -1) throw new Error('Identity registration has not been confirmed yet');
+
+  const formattedVotes = votes.map(arr => arr.map(Number));
+  const path = buildIdentityPath(leaves, index);
+
+  console.log(`🧮 Generating membership proof (${leaves.length} registered identities)...`);
+  const { proof, publicSignals } = await groth16.fullProve(
+    {
+      identityNullifier: identity.nullifier,
+      identityTrapdoor: identity.trapdoor,
+      treePathIndices: path.pathIndices,
+      treeSiblings: path.siblings,
+      signalHash: computeSignalHash(formattedVotes).toString(),
+      externalNullifier: (await computeExternalNullifier(onChainElectionId)).toString()
+    },
+    ZK_WASM_URL,
+    ZK_ZKEY_URL
+  );
+
+  return {
+    electionId: onChainElectionId.toString(),
+    root: publicSignals[0],
+    nullifierHash: publicSignals[1],
+    votes: formattedVotes,
+    // pi_b coordinates are swapped for the verifier's pairing precompile
+    proof: [
+      proof.pi_a[0], proof.pi_a[1],
+      proof.pi_b[0][1], proof.pi_b[0][0], proof.pi_b[1][1], proof.pi_b[1][0],
+      proof.pi_c[0], proof.pi_c[1]
+    ]
+  };
+};
+
+export const castAnonymousVote = async (electionUuid, voterAddress, votes, onStatus) => {
+  try {
+    if (!contract) await initializeProvider();
+
+    const ballot = await buildAnonymousBallot(electionUuid, voterAddress, votes);
+    if (await contract.nullifierUsed(ballot.electionId, ballot.nullifierHash)) {
+      throw new Error('This identity has already voted');
+    }
+
+    let transactionHash;
+    let blockNumber;
+    if (RELAYER_API) {
+      const relayId = await submitToRelayer('/api/relay/anonymous', ballot);
+      ({ transactionHash, blockNumber } = await waitForRelay(relayId, onStatus));
+    } else {
+      // Without a relayer the ballot is still anonymous, but the sending wallet is visible
+      console.warn('⚠️  No relayer configured: submitting the proof from the connected wallet');
+      const tx = await contract.castAnonymousVote(
+        ballot.electionId,
+        ballot.root,
+        ballot.nullifierHash,
+        ballot.votes,
+        ballot.proof,
+        { gasLimit: 1500000 }
+      );
+      ({ transactionHash, blockNumber } = await tx.wait());
+    }
+
+    console.log(`✅ Anonymous ballot cast: ${transactionHash}`);
+    return { success: true, transactionHash, blockNumber, anonymous: true };
+  } catch (error) {
+    console.error('❌ Error casting anonymous vote:', error);
+    return {
+      success: false,
+      error: error.reason || error.message || 'Anonymous vote failed'
+    };
+  }
+};
+
 /* ============================================
    RESULTS & DELEGATION
 ============================================ */
@@ -295,21 +903,157 @@ export const getElectionResults = async (electionId, positionIndex) => {
   };
 };
 
-export const delegateVote = async (electionId, delegateAddress) => {
+// Every position's tallies in one call, indexed like the election's positions
+export const getElectionResultsAll = async (electionId) => {
+  if (!contract) await initializeProvider();
+  const votesCast = await contract.getElectionResultsAll(electionId);
+  return votesCast.map(position => position.map(v => v.toNumber()));
+};
+
+// Quorum check and per-position outcome recorded by completeElection.
+// Null while the election has not been completed on-chain.
+export const getElectionOutcome = async (electionId) => {
+  if (!contract) await initializeProvider();
   try {
-    if (!contract) await initializeProvider();
-    const tx = await contract.vote(
-      electionId,
-      ethers.constants.HashZero,
-      [],
-      [],
-      delegateAddress
-    );
-    const receipt = await tx.wait();
-    return { success: true, transactionHash: receipt.transactionHash };
-  } catch (err) {
-    return { success: false, error: err.message };
+    const res = await contract.getElectionOutcome(electionId);
+    return {
+      quorumReached: res.quorumReached,
+      turnout: res.turnout.toNumber(),
+      quorumRequired: res.quorumRequired.toNumber(),
+      results: res.results.map(r => ({
+        outcome: r.outcome,
+        winner: r.winner.toNumber(),
+        winnerVotes: r.winnerVotes.toNumber()
+      }))
+    };
+  } catch {
+    return null;
+  }
+};
+
+// Results hash published by certifyResults. Null until the election is
+// certified; check it with scripts/verify-results.js.
+export const getCertification = async (electionId) => {
+  if (!contract) await initializeProvider();
+  const cert = await contract.getCertification(electionId);
+  if (cert.certifiedAt.isZero()) return null;
+  return {
+    resultsHash: cert.resultsHash,
+    certifiedAt: cert.certifiedAt.toNumber(),
+    certifiedBy: cert.certifiedBy
+  };
+};
+
+// Ranked positions only: preference lists are released once the
+// election is completed. Pages through every ballot.
+export const getRankedBallots = async (electionId, positionIndex, pageSize = 200) => {
+  if (!contract) await initializeProvider();
+  const ballots = [];
+  let offset = 0;
+  let total;
+
+  do {
+    const page = await contract.getRankedBallots(electionId, positionIndex, offset, pageSize);
+    page.rankings.forEach((ranking, i) => {
+      ballots.push({
+        ranking: ranking.map(c => c.toNumber()),
+        weight: page.weights[i].toNumber()
+      });
+    });
+    total = page.total.toNumber();
+    offset += pageSize;
+  } while (offset < total);
+
+  return ballots;
+};
+
+/* ============================================
+   OFFICIALS
+   Election admins manage the election, officials
+   approve cancellation alongside them, observers
+   are listed only (RolesLib.Role).
+============================================ */
+
+export const ROLE_LABELS = ['None', 'Admin', 'Official', 'Observer'];
+
+export const getElectionOfficials = async (electionUuid) => {
+  if (!contract) await initializeProvider();
+  const onChainElectionId = await getOnChainElectionId(electionUuid);
+  const election = await contract.getElection(onChainElectionId);
+
+  return election.officials.map((address, i) => ({
+    address,
+    role: ROLE_LABELS[election.officialRoles[i]]
+  }));
+};
+
+// required is 0 or 1 when any admin can cancel alone
+export const getCancellationStatus = async (electionUuid) => {
+  if (!contract) await initializeProvider();
+  const onChainElectionId = await getOnChainElectionId(electionUuid);
+  const status = await contract.getCancellationStatus(onChainElectionId);
+  return {
+    required: status.required.toNumber(),
+    approvals: status.approvals.toNumber()
+  };
+};
+
+/* ============================================
+   DELEGATION
+   Delegating spends the voter key. The weight
+   (own vote + anything delegated to the voter)
+   follows the chain to the first address that
+   has not delegated; the voter can still vote
+   directly until that delegate votes.
+============================================ */
+
+// Pull the resolved delegate and weight out of a VoteDelegatedV2 log
+const parseDelegation = (receipt) => {
+  for (const log of receipt.logs || []) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed.name === 'VoteDelegatedV2') {
+        return {
+          delegate: parsed.args.delegate,
+          finalDelegate: parsed.args.finalDelegate,
+          weight: parsed.args.weight.toNumber()
+        };
+      }
+    } catch {
+      // Not a SafeVote event
+    }
+  }
+  return null;
+};
+
+export const getDelegationInfo = async (electionUuid, voterAddress) => {
+  if (!contract) await initializeProvider();
+  const onChainElectionId = await getOnChainElectionId(electionUuid);
+
+  const [delegate, resolved] = await Promise.all([
+    contract.delegations(onChainElectionId, voterAddress),
+    contract.resolveDelegate(onChainElectionId, voterAddress)
+  ]);
+
+  return {
+    delegate: delegate === ethers.constants.AddressZero ? null : delegate,
+    finalDelegate: resolved.finalDelegate,
+    // Token-weighted elections can exceed a JS number
+    weight: resolved.weight.toString()
+  };
+};
+
+export const delegateVote = async (electionUuid, voterAddress, delegateAddress) => {
+  if (!ethers.utils.isAddress(delegateAddress)) {
+    return { success: false, error: 'Invalid delegate address' };
+  }
+
+  // Same path as a ballot: the key and proof are spent on the delegation
+  const result = await castVote(electionUuid, voterAddress, [], delegateAddress);
+  if (result.success && !result.delegation) {
+    return { success: false, error: 'Delegation is not enabled for this election' };
   }
+  return result;
 };
 
 /* ============================================
@@ -328,9 +1072,33 @@ export default {
   isContractReady,
   getCurrentAccount,
   getOnChainElectionId,
+  fetchAsWallet,
+  fetchVoterKey,
+  claimVoterKey,
   getVoterMerkleData,
+  getTokenEligibility,
   hasVoted,
   castVote,
+  getRevoteStatus,
+  computeCommitment,
+  getPendingReveal,
+  revealVote,
+  signBallot,
+  supportsGasless,
+  getRelayStatus,
+  castGaslessVote,
+  isZkAnonymous,
+  getIdentity,
+  registerIdentity,
+  buildAnonymousBallot,
+  castAnonymousVote,
   getElectionResults,
+  getElectionResultsAll,
+  getElectionOutcome,
+  getCertification,
+  getRankedBallots,
+  getElectionOfficials,
+  getCancellationStatus,
+  getDelegationInfo,
   delegateVote
 };
\ No newline at end of file
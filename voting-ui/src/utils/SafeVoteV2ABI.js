@@ -73,11 +73,61 @@ export const SAFE_VOTE_V2_ABI = [
       {"indexed": true, "internalType": "uint256", "name": "electionId", "type": "uint256"},
       {"indexed": true, "internalType": "address", "name": "delegator", "type": "address"},
       {"indexed": true, "internalType": "address", "name": "delegate", "type": "address"},
+      {"indexed": false, "internalType": "address", "name": "finalDelegate", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "weight", "type": "uint256"},
       {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
     ],
     "name": "VoteDelegatedV2",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"indexed": true, "internalType": "address", "name": "delegator", "type": "address"},
+      {"indexed": true, "internalType": "address", "name": "delegate", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "weight", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
+    ],
+    "name": "DelegationRevokedV2",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"indexed": true, "internalType": "bytes32", "name": "voterKeyHash", "type": "bytes32"},
+      {"indexed": false, "internalType": "uint256", "name": "weight", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
+    ],
+    "name": "VoteRevealedV2",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"indexed": true, "internalType": "bytes32", "name": "voterKeyHash", "type": "bytes32"},
+      {"indexed": true, "internalType": "address", "name": "voter", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "weight", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
+    ],
+    "name": "VoteChangedV2",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"indexed": true, "internalType": "bytes32", "name": "voterKeyHash", "type": "bytes32"},
+      {"indexed": false, "internalType": "uint256", "name": "identityCommitment", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "index", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "root", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
+    ],
+    "name": "IdentityRegisteredV2",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -88,6 +138,19 @@ export const SAFE_VOTE_V2_ABI = [
     "name": "ElectionCompletedV2",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"indexed": false, "internalType": "bytes32", "name": "resultsHash", "type": "bytes32"},
+      {"indexed": false, "internalType": "uint256[]", "name": "winners", "type": "uint256[]"},
+      {"indexed": false, "internalType": "uint256", "name": "turnout", "type": "uint256"},
+      {"indexed": true, "internalType": "address", "name": "certifiedBy", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
+    ],
+    "name": "ResultsCertifiedV2",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -98,6 +161,18 @@ export const SAFE_VOTE_V2_ABI = [
     "name": "ElectionCancelledV2",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"indexed": true, "internalType": "address", "name": "official", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "approvals", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "required", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
+    ],
+    "name": "CancellationApprovedV2",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -153,11 +228,30 @@ export const SAFE_VOTE_V2_ABI = [
         "components": [
           {"internalType": "string", "name": "title", "type": "string"},
           {"internalType": "string[]", "name": "candidates", "type": "string[]"},
-          {"internalType": "uint256", "name": "maxSelections", "type": "uint256"}
+          {"internalType": "uint256", "name": "maxSelections", "type": "uint256"},
+          {"internalType": "enum ElectionLib.BallotType", "name": "ballotType", "type": "uint8"},
+          {"internalType": "uint256", "name": "winThreshold", "type": "uint256"}
         ],
-        "internalType": "struct SafeVote.Position[]",
+        "internalType": "struct ElectionLib.Position[]",
         "name": "positions",
         "type": "tuple[]"
+      },
+      {
+        "components": [
+          {"internalType": "bool", "name": "secretBallot", "type": "bool"},
+          {"internalType": "uint256", "name": "revealPeriod", "type": "uint256"},
+          {"internalType": "bool", "name": "allowRevote", "type": "bool"},
+          {"internalType": "enum ElectionLib.QuorumType", "name": "quorumType", "type": "uint8"},
+          {"internalType": "uint256", "name": "quorum", "type": "uint256"},
+          {"internalType": "enum ElectionLib.Eligibility", "name": "eligibility", "type": "uint8"},
+          {"internalType": "address", "name": "token", "type": "address"},
+          {"internalType": "uint256", "name": "snapshotBlock", "type": "uint256"},
+          {"internalType": "bool", "name": "addressBoundLeaf", "type": "bool"},
+          {"internalType": "bool", "name": "zkAnonymous", "type": "bool"}
+        ],
+        "internalType": "struct ElectionLib.ElectionSettings",
+        "name": "settings",
+        "type": "tuple"
       }
     ],
     "name": "createElection",
@@ -183,6 +277,139 @@ export const SAFE_VOTE_V2_ABI = [
     "type": "function"
   },
 
+  // Secret ballot elections: commit during voting, reveal after endTime
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "bytes32", "name": "voterKey", "type": "bytes32"},
+      {"internalType": "bytes32[]", "name": "merkleProof", "type": "bytes32[]"},
+      {"internalType": "bytes32", "name": "commitment", "type": "bytes32"}
+    ],
+    "name": "commitVote",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "bytes32", "name": "voterKey", "type": "bytes32"},
+      {"internalType": "uint256[][]", "name": "votes", "type": "uint256[][]"},
+      {"internalType": "bytes32", "name": "salt", "type": "bytes32"}
+    ],
+    "name": "revealVote",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  // zkAnonymous elections: register an identity with a voter key, then vote with a proof
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "bytes32", "name": "voterKey", "type": "bytes32"},
+      {"internalType": "bytes32[]", "name": "merkleProof", "type": "bytes32[]"},
+      {"internalType": "uint256", "name": "identityCommitment", "type": "uint256"}
+    ],
+    "name": "registerIdentity",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "uint256", "name": "root", "type": "uint256"},
+      {"internalType": "uint256", "name": "nullifierHash", "type": "uint256"},
+      {"internalType": "uint256[][]", "name": "votes", "type": "uint256[][]"},
+      {"internalType": "uint256[8]", "name": "proof", "type": "uint256[8]"}
+    ],
+    "name": "castAnonymousVote",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"}
+    ],
+    "name": "identityTree",
+    "outputs": [
+      {"internalType": "uint256", "name": "root", "type": "uint256"},
+      {"internalType": "uint256", "name": "size", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "uint256", "name": "nullifierHash", "type": "uint256"}
+    ],
+    "name": "nullifierUsed",
+    "outputs": [
+      {"internalType": "bool", "name": "", "type": "bool"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"}
+    ],
+    "name": "electionSettings",
+    "outputs": [
+      {"internalType": "bool", "name": "secretBallot", "type": "bool"},
+      {"internalType": "uint256", "name": "revealPeriod", "type": "uint256"},
+      {"internalType": "bool", "name": "allowRevote", "type": "bool"},
+      {"internalType": "enum ElectionLib.QuorumType", "name": "quorumType", "type": "uint8"},
+      {"internalType": "uint256", "name": "quorum", "type": "uint256"},
+      {"internalType": "enum ElectionLib.Eligibility", "name": "eligibility", "type": "uint8"},
+      {"internalType": "address", "name": "token", "type": "address"},
+      {"internalType": "uint256", "name": "snapshotBlock", "type": "uint256"},
+      {"internalType": "bool", "name": "addressBoundLeaf", "type": "bool"},
+      {"internalType": "bool", "name": "zkAnonymous", "type": "bool"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"}
+    ],
+    "name": "getElectionOutcome",
+    "outputs": [
+      {"internalType": "bool", "name": "quorumReached", "type": "bool"},
+      {"internalType": "uint256", "name": "turnout", "type": "uint256"},
+      {"internalType": "uint256", "name": "quorumRequired", "type": "uint256"},
+      {
+        "components": [
+          {"internalType": "enum ElectionLib.Outcome", "name": "outcome", "type": "uint8"},
+          {"internalType": "uint256", "name": "winner", "type": "uint256"},
+          {"internalType": "uint256", "name": "winnerVotes", "type": "uint256"}
+        ],
+        "internalType": "struct ElectionLib.PositionResult[]",
+        "name": "results",
+        "type": "tuple[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"}
+    ],
+    "name": "getRevealStatus",
+    "outputs": [
+      {"internalType": "uint256", "name": "revealDeadline", "type": "uint256"},
+      {"internalType": "uint256", "name": "committed", "type": "uint256"},
+      {"internalType": "uint256", "name": "unrevealed", "type": "uint256"},
+      {"internalType": "uint256", "name": "unrevealedWeight", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
   // ⭐ CRITICAL: Get election results - THIS WAS THE PROBLEM
   {
     "inputs": [
@@ -198,6 +425,59 @@ export const SAFE_VOTE_V2_ABI = [
     "type": "function"
   },
 
+  // Every position's tallies in one call
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"}
+    ],
+    "name": "getElectionResultsAll",
+    "outputs": [
+      {"internalType": "uint256[][]", "name": "votesCast", "type": "uint256[][]"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
+  // Results hash published by certifyResults; certifiedAt is 0 until then
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"}
+    ],
+    "name": "getCertification",
+    "outputs": [
+      {
+        "components": [
+          {"internalType": "bytes32", "name": "resultsHash", "type": "bytes32"},
+          {"internalType": "uint256", "name": "certifiedAt", "type": "uint256"},
+          {"internalType": "address", "name": "certifiedBy", "type": "address"}
+        ],
+        "internalType": "struct ElectionLib.Certification",
+        "name": "",
+        "type": "tuple"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
+  // Ranked positions: preference lists + weights, readable once completed
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "uint256", "name": "positionIndex", "type": "uint256"},
+      {"internalType": "uint256", "name": "offset", "type": "uint256"},
+      {"internalType": "uint256", "name": "limit", "type": "uint256"}
+    ],
+    "name": "getRankedBallots",
+    "outputs": [
+      {"internalType": "uint256[][]", "name": "rankings", "type": "uint256[][]"},
+      {"internalType": "uint256[]", "name": "weights", "type": "uint256[]"},
+      {"internalType": "uint256", "name": "total", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
   // ⭐ CRITICAL: Get election - tuple format must be exact
   {
     "inputs": [
@@ -219,17 +499,21 @@ export const SAFE_VOTE_V2_ABI = [
       {"internalType": "bool", "name": "isPublic", "type": "bool"},
       {"internalType": "bool", "name": "allowAnonymous", "type": "bool"},
       {"internalType": "bool", "name": "allowDelegation", "type": "bool"},
-      {"internalType": "enum SafeVote.ElectionStatus", "name": "status", "type": "uint8"},
+      {"internalType": "enum ElectionLib.ElectionStatus", "name": "status", "type": "uint8"},
       {
         "components": [
           {"internalType": "string", "name": "title", "type": "string"},
           {"internalType": "string[]", "name": "candidates", "type": "string[]"},
-          {"internalType": "uint256", "name": "maxSelections", "type": "uint256"}
+          {"internalType": "uint256", "name": "maxSelections", "type": "uint256"},
+          {"internalType": "enum ElectionLib.BallotType", "name": "ballotType", "type": "uint8"},
+          {"internalType": "uint256", "name": "winThreshold", "type": "uint256"}
         ],
-        "internalType": "struct SafeVote.Position[]",
+        "internalType": "struct ElectionLib.Position[]",
         "name": "positions",
         "type": "tuple[]"
-      }
+      },
+      {"internalType": "address[]", "name": "officials", "type": "address[]"},
+      {"internalType": "enum RolesLib.Role[]", "name": "officialRoles", "type": "uint8[]"}
     ],
     "stateMutability": "view",
     "type": "function"
@@ -247,6 +531,37 @@ export const SAFE_VOTE_V2_ABI = [
     "type": "function"
   },
 
+  {
+    "inputs": [
+      {"internalType": "address", "name": "creator", "type": "address"},
+      {"internalType": "uint256", "name": "offset", "type": "uint256"},
+      {"internalType": "uint256", "name": "limit", "type": "uint256"}
+    ],
+    "name": "getCreatorElectionsPaged",
+    "outputs": [
+      {"internalType": "uint256[]", "name": "electionIds", "type": "uint256[]"},
+      {"internalType": "uint256", "name": "total", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
+  // Pages over the election id range; continue while offset + limit < total
+  {
+    "inputs": [
+      {"internalType": "enum ElectionLib.ElectionStatus", "name": "status", "type": "uint8"},
+      {"internalType": "uint256", "name": "offset", "type": "uint256"},
+      {"internalType": "uint256", "name": "limit", "type": "uint256"}
+    ],
+    "name": "getElectionsByStatus",
+    "outputs": [
+      {"internalType": "uint256[]", "name": "electionIds", "type": "uint256[]"},
+      {"internalType": "uint256", "name": "total", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
   {
     "inputs": [],
     "name": "getTotalElections",
@@ -267,6 +582,16 @@ export const SAFE_VOTE_V2_ABI = [
     "type": "function"
   },
 
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"}
+    ],
+    "name": "certifyResults",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+
   {
     "inputs": [
       {"internalType": "uint256", "name": "electionId", "type": "uint256"}
@@ -287,6 +612,54 @@ export const SAFE_VOTE_V2_ABI = [
     "type": "function"
   },
 
+  // ============ Election Officials ============
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "address", "name": "account", "type": "address"},
+      {"internalType": "enum RolesLib.Role", "name": "role", "type": "uint8"}
+    ],
+    "name": "grantElectionRole",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "address", "name": "account", "type": "address"}
+    ],
+    "name": "revokeElectionRole",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "uint256", "name": "threshold", "type": "uint256"}
+    ],
+    "name": "setCancellationThreshold",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"}
+    ],
+    "name": "getCancellationStatus",
+    "outputs": [
+      {"internalType": "uint256", "name": "required", "type": "uint256"},
+      {"internalType": "uint256", "name": "approvals", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
   // ============ Storage/State Variables ============
   {
     "inputs": [],
@@ -324,6 +697,18 @@ export const SAFE_VOTE_V2_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "bytes32", "name": "keyHash", "type": "bytes32"}
+    ],
+    "name": "ballotWeights",
+    "outputs": [
+      {"internalType": "uint256", "name": "", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
 
   {
     "inputs": [
@@ -338,6 +723,33 @@ export const SAFE_VOTE_V2_ABI = [
     "type": "function"
   },
 
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "", "type": "uint256"},
+      {"internalType": "address", "name": "", "type": "address"}
+    ],
+    "name": "delegatedWeight",
+    "outputs": [
+      {"internalType": "uint256", "name": "", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
+  {
+    "inputs": [
+      {"internalType": "uint256", "name": "electionId", "type": "uint256"},
+      {"internalType": "address", "name": "voter", "type": "address"}
+    ],
+    "name": "resolveDelegate",
+    "outputs": [
+      {"internalType": "address", "name": "finalDelegate", "type": "address"},
+      {"internalType": "uint256", "name": "weight", "type": "uint256"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+
   {
     "inputs": [
       {"internalType": "uint256", "name": "", "type": "uint256"},
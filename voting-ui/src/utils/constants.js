@@ -15,6 +15,60 @@ export const ELECTION_STATUS_NAMES = {
   2: 'Cancelled',
 };
 
+// Per-position ballot type; the contract stores it as an enum
+export const BALLOT_TYPES = {
+  PLURALITY: 'plurality',
+  RANKED: 'ranked',
+};
+
+export const BALLOT_TYPE_IDS = {
+  plurality: 0,
+  ranked: 1,
+};
+
+// Share of the votes (basis points) a position's winner must exceed
+export const WIN_THRESHOLDS = {
+  plurality: 0,
+  majority: 5000,
+  two_thirds: 6666,
+};
+
+export const WIN_THRESHOLD_NAMES = {
+  plurality: 'Most votes',
+  majority: 'Simple majority (>50%)',
+  two_thirds: 'Two-thirds',
+};
+
+export const QUORUM_TYPES = {
+  NONE: 0,
+  COUNT: 1,
+  PERCENTAGE: 2,
+};
+
+// Who may vote and with what weight; the contract stores it as an enum.
+// The token modes read IVotes voting power at a snapshot block.
+export const ELIGIBILITY_MODES = {
+  roll: 0,
+  weighted: 1,
+  token: 2,
+  nft: 3,
+};
+
+export const ELIGIBILITY_MODE_NAMES = {
+  roll: 'Voter roll (one vote each)',
+  weighted: 'Weighted roll (address, weight)',
+  token: 'Token holders (weighted by voting power)',
+  nft: 'Token / NFT holders (one vote each)',
+};
+
+// Per-position outcome recorded by completeElection
+export const ELECTION_OUTCOMES = {
+  PENDING: 0,
+  WINNER: 1,
+  NO_QUORUM: 2,
+  RUNOFF_REQUIRED: 3,
+};
+
 export const VOTING_STEPS = {
   SELECTION: 'election_selection',
   VERIFICATION: 'voter_verification',
@@ -0,0 +1,73 @@
+// ============================================================
+// Instant-runoff tally for ranked positions
+// Ballots come from SafeVote.getRankedBallots once the election
+// is completed: each is an ordered list of candidate indices
+// with the voter's weight (1 + any delegated weight).
+// ============================================================
+
+/**
+ * Run an instant-runoff count.
+ *
+ * Each round counts every ballot for its highest-ranked candidate that is
+ * still in the race. A candidate with more than half of the continuing
+ * weight wins; otherwise the candidate with the fewest votes is eliminated.
+ * Ties for last place are broken by the earlier round counts, then by the
+ * higher candidate index, so every client reaches the same result.
+ *
+ * @param {string[]} candidates - Candidate names for the position
+ * @param {{ ranking: number[], weight: number }[]} ballots
+ * @returns {{ rounds: object[], winner: number|null, tie: number[] }}
+ */
+export const tallyInstantRunoff = (candidates, ballots) => {
+  const remaining = new Set(candidates.map((_, idx) => idx));
+  const rounds = [];
+
+  while (remaining.size > 0) {
+    const counts = new Array(candidates.length).fill(0);
+    let exhausted = 0;
+
+    for (const { ranking, weight } of ballots) {
+      const choice = ranking.find((idx) => remaining.has(idx));
+      if (choice === undefined) {
+        exhausted += weight;
+      } else {
+        counts[choice] += weight;
+      }
+    }
+
+    const continuing = [...remaining].reduce((sum, idx) => sum + counts[idx], 0);
+    const round = { counts, exhausted, continuing, eliminated: [], winner: null };
+    rounds.push(round);
+
+    const leader = [...remaining].reduce((best, idx) => (counts[idx] > counts[best] ? idx : best));
+    if (counts[leader] * 2 > continuing || remaining.size === 1) {
+      round.winner = leader;
+      return { rounds, winner: leader, tie: [] };
+    }
+
+    // Everyone left has the same count: nobody can be eliminated fairly
+    const lowest = Math.min(...[...remaining].map((idx) => counts[idx]));
+    const trailing = [...remaining].filter((idx) => counts[idx] === lowest);
+    if (trailing.length === remaining.size) {
+      return { rounds, winner: null, tie: trailing };
+    }
+
+    const loser = breakTie(trailing, rounds);
+    round.eliminated.push(loser);
+    remaining.delete(loser);
+  }
+
+  return { rounds, winner: null, tie: [] };
+};
+
+// Walk back through earlier rounds; the lowest earlier count goes out first
+const breakTie = (trailing, rounds) => {
+  let tied = trailing;
+  for (let r = rounds.length - 2; r >= 0 && tied.length > 1; r--) {
+    const lowest = Math.min(...tied.map((idx) => rounds[r].counts[idx]));
+    tied = tied.filter((idx) => rounds[r].counts[idx] === lowest);
+  }
+  return Math.max(...tied);
+};
+
+export default tallyInstantRunoff;